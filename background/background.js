@@ -1,13 +1,84 @@
 // Service worker for Clutterless extension
 // Handles message routing and coordinates tab grouping operations
 
-import { getAllTabs, createGroup } from '../lib/tab-manager.js';
-import { saveCredentials, clearCredentials, getConfig, saveConfig } from '../lib/storage-manager.js';
-import { BedrockProvider, GeminiProvider, LocalLLMProvider } from '../lib/llm-provider.js';
+import {
+  getAllTabs,
+  getHighlightedTabs,
+  createGroup,
+  addTabsToGroup,
+  getTabGroups,
+  getWindows,
+  ungroupTabs,
+  setGroupsCollapsed,
+  getGroupTabs,
+  updateGroup,
+  closeTabs,
+  openTabs,
+  openWindow,
+  moveGroupToNewWindow
+} from '../lib/tab-manager.js';
+import { saveCredentials, clearCredentials, getConfig, updateConfig } from '../lib/storage-manager.js';
+import { applyRules, validateRules } from '../lib/rules-engine.js';
+import { validateProtectionSettings, resolveProtectionSettings, getProtectionReason, splitProtectedTabs, describeProtectedTabs } from '../lib/tab-protection.js';
+import { validatePresets, findPresetForShortcut, exportPresets, parsePresetImport, mergePresets } from '../lib/prompt-presets.js';
+import {
+  validateDuplicateSettings,
+  resolveDuplicateSettings,
+  normalizeUrl,
+  compareKeepPreference,
+  findDuplicates
+} from '../lib/duplicate-detector.js';
+import { getTabActivity, recordTabActivity, reconcileTabActivity, validateStaleDays, findStaleTabs } from '../lib/tab-activity.js';
+import { MAX_ARCHIVE_ENTRIES, getArchive, archiveTabs, removeArchiveEntries, searchArchive } from '../lib/tab-archive.js';
+import {
+  getSessions,
+  validateSessionName,
+  buildSessionSnapshot,
+  addSession,
+  renameSession,
+  deleteSession,
+  summarizeSession
+} from '../lib/session-manager.js';
+import { exportSnapshot, parseSessionImport } from '../lib/session-export.js';
+import {
+  getGroupRegistry,
+  resolveGroupIdentity,
+  pickGroupColor,
+  getKnownGroupNames,
+  rememberGroups,
+  updateGroupIdentity,
+  removeGroupIdentity,
+  getDomainKey,
+  getDomainGroupMap,
+  rememberDomainGroups
+} from '../lib/group-registry.js';
+import { findGroupForTab } from '../lib/tab-classifier.js';
+import { BedrockProvider, GeminiProvider, LocalLLMProvider, OpenAIProvider, AnthropicProvider } from '../lib/llm-provider.js';
+import { getDefaultModel, getModelPresets, normalizeModelId, listModels } from '../lib/model-catalog.js';
+import { getLocalApiBase, inferLocalApiFormat, getLocalRequestUrl } from '../lib/local-endpoint.js';
+import { enrichTabMetadata } from '../lib/page-content.js';
+import { validatePrivacySettings, resolvePrivacySettings, getPrivacyAction, applyPrivacyFilter } from '../lib/privacy-filter.js';
+import {
+  validateAutomationSettings,
+  resolveAutomationSettings,
+  isQuietTime,
+  getAutomationState,
+  recordAutomationRun,
+  checkAutomationRun
+} from '../lib/automation.js';
 import { formatErrorMessage } from '../lib/error-handler.js';
+import {
+  recordHistoryEntry,
+  peekUndo,
+  peekRedo,
+  commitUndo,
+  commitRedo,
+  getHistorySummary
+} from '../lib/history-manager.js';
 import {
   logError,
   logWarning,
+  logInfo,
   logOperationStart,
   logOperationSuccess,
   logOperationFailure
@@ -16,6 +87,9 @@ import {
 // Chrome colors available for tab groups
 const CHROME_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
 
+// Chrome reports ungrouped tabs with groupId -1 (chrome.tabGroups.TAB_GROUP_ID_NONE)
+const TAB_GROUP_ID_NONE = -1;
+
 // Error messages for user-friendly display
 const ERROR_MESSAGES = {
   'INVALID_CREDENTIALS': 'Your API credentials are invalid. Please check your settings.',
@@ -25,8 +99,61 @@ const ERROR_MESSAGES = {
   'LLM_ERROR': 'The AI service encountered an error. Please try again.',
   'NO_CONFIG': 'Please configure your LLM provider first.',
   'EMPTY_PROMPT': 'Please provide grouping instructions.',
-  'NO_TABS': 'No tabs available to group.'
+  'NO_TABS': 'No tabs available to group.',
+  'ALL_GROUPED': 'All tabs are already grouped. Open some new tabs or turn off "Only group ungrouped tabs".'
+};
+
+// Alarms used by automatic grouping: the repeating schedule and the debounced threshold check
+const AUTOMATION_ALARMS = {
+  INTERVAL: 'automation-interval',
+  THRESHOLD_CHECK: 'automation-threshold-check'
+};
+
+// Set while an automatic run is in progress so overlapping triggers are skipped
+let automationRunning = false;
+
+// Tabs opened since the service worker started that have not been placed yet
+const pendingNewTabs = new Set();
+
+// Keyboard shortcuts (manifest "commands") and the messages they send through handleMessage
+const COMMAND_MESSAGES = {
+  'auto-group': { action: 'autoGroup' },
+  'undo-grouping': { action: 'undo' },
+  'ungroup-all': { action: 'ungroupAll' },
+  'collapse-groups': { action: 'collapseGroups' },
+  'rerun-custom-prompt': { action: 'rerunCustomPrompt' },
+  'run-preset-1': { action: 'runPreset', data: { shortcut: 1 } },
+  'run-preset-2': { action: 'runPreset', data: { shortcut: 2 } },
+  'run-preset-3': { action: 'runPreset', data: { shortcut: 3 } }
+};
+
+// Action icon badge shown while a shortcut or menu action runs and for a few seconds after
+const ACTION_BADGES = {
+  running: { text: '...', color: '#6b7280' },
+  success: { text: '✓', color: '#16a34a' },
+  failure: { text: '!', color: '#dc2626' }
+};
+const BADGE_CLEAR_DELAY_MS = 5000;
+let badgeClearTimer = null;
+
+// Context menu entries (page and toolbar icon); "Move to group" gets one child per open group
+const MENU_IDS = {
+  GROUP_SIMILAR: 'group-similar',
+  GROUP_SELECTED: 'group-selected',
+  MOVE_TO_GROUP: 'move-to-group',
+  EXCLUDE_DOMAIN: 'exclude-domain'
 };
+const MOVE_TO_GROUP_PREFIX = 'move-to-group:';
+const MENU_CONTEXTS = ['page', 'action'];
+const MAX_MENU_GROUPS = 25;
+
+// Most tabs sent to the LLM in one near-duplicate check
+const MAX_NEAR_DUPLICATE_TABS = 150;
+
+// Menu rebuilds run one at a time, shortly after the last group change
+const MENU_REBUILD_DELAY_MS = 300;
+let menuRebuild = Promise.resolve();
+let menuRebuildTimer = null;
 
 // Message listener for popup communication
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -48,16 +175,139 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// Tab activity schedules a debounced check of the ungrouped tab threshold
+// New tabs are also placed one by one as soon as they finish loading
+chrome.tabs.onCreated.addListener((tab) => {
+  pendingNewTabs.add(tab.id);
+  scheduleAutomationCheck();
+});
+
+// Closed tabs are never placed; forget them so the pending set does not grow
+chrome.tabs.onRemoved.addListener((tabId) => {
+  pendingNewTabs.delete(tabId);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  // Only navigation matters; grouping and other property changes do not add tabs to place
+  if (changeInfo.url || changeInfo.status === 'complete') {
+    scheduleAutomationCheck();
+  }
+  
+  if (changeInfo.status === 'complete' && pendingNewTabs.has(tabId)) {
+    classifyNewTab(tab);
+  }
+});
+
+// Last-activated times feed stale tab detection
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  trackTabActivation(activeInfo.tabId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === AUTOMATION_ALARMS.INTERVAL) {
+    runAutomation('interval');
+  } else if (alarm.name === AUTOMATION_ALARMS.THRESHOLD_CHECK) {
+    runAutomation('threshold');
+  }
+});
+
+chrome.commands.onCommand.addListener((command) => {
+  handleCommand(command);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleMenuClick(info, tab);
+});
+
+// Keep the "Move to group" submenu in step with the open groups
+chrome.tabGroups.onCreated.addListener(() => scheduleMenuRebuild());
+chrome.tabGroups.onUpdated.addListener(() => scheduleMenuRebuild());
+chrome.tabGroups.onRemoved.addListener(() => scheduleMenuRebuild());
+
+// Alarms may not survive a browser restart or an update, so recreate them from the settings
+// Context menus are recreated too, so the group list matches the restored windows
+// Restored tabs get new IDs, so tab activity is matched back to them by URL
+chrome.runtime.onStartup.addListener(() => {
+  syncAutomationAlarms();
+  scheduleMenuRebuild();
+  syncTabActivity();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+  syncAutomationAlarms();
+  scheduleMenuRebuild();
+});
+
 // Route messages to appropriate handler functions
 async function handleMessage(message) {
   const { action, data } = message;
   
   switch (action) {
     case 'autoGroup':
-      return await handleAutoGroup();
+      return await handleAutoGroup(data);
     
     case 'customGroup':
-      return await handleCustomGroup(data?.prompt);
+      return await handleCustomGroup(data?.prompt, data);
+    
+    case 'previewGroup':
+      return await handlePreviewGroup(data?.prompt, data);
+    
+    case 'applyPreview':
+      return await handleApplyPreview(data);
+    
+    case 'getWindows':
+      return await handleGetWindows();
+    
+    case 'getRules':
+      return await handleGetRules();
+    
+    case 'saveRules':
+      return await handleSaveRules(data);
+    
+    case 'getPresets':
+      return await handleGetPresets();
+    
+    case 'savePresets':
+      return await handleSavePresets(data);
+    
+    case 'exportPresets':
+      return await handleExportPresets();
+    
+    case 'importPresets':
+      return await handleImportPresets(data);
+    
+    case 'runPreset':
+      return await handleRunPreset(data);
+    
+    case 'getProtectionSettings':
+      return await handleGetProtectionSettings();
+    
+    case 'saveProtectionSettings':
+      return await handleSaveProtectionSettings(data);
+    
+    case 'getPrivacySettings':
+      return await handleGetPrivacySettings();
+    
+    case 'savePrivacySettings':
+      return await handleSavePrivacySettings(data);
+    
+    case 'previewRequest':
+      return await handlePreviewRequest(data?.prompt, data);
+    
+    case 'getAutomationSettings':
+      return await handleGetAutomationSettings();
+    
+    case 'saveAutomationSettings':
+      return await handleSaveAutomationSettings(data);
+    
+    case 'getGroupRegistry':
+      return await handleGetGroupRegistry();
+    
+    case 'updateGroupIdentity':
+      return await handleUpdateGroupIdentity(data);
+    
+    case 'forgetGroupIdentity':
+      return await handleForgetGroupIdentity(data);
     
     case 'getConfig':
       return await handleGetConfig();
@@ -68,19 +318,132 @@ async function handleMessage(message) {
     case 'clearConfig':
       return await handleClearConfig();
     
+    case 'listModels':
+      return await handleListModels(data);
+    
+    case 'undo':
+      return await handleUndo();
+    
+    case 'ungroupAll':
+      return await handleUngroupAll(data);
+    
+    case 'collapseGroups':
+      return await handleCollapseGroups(data);
+    
+    case 'listGroups':
+      return await handleListGroups();
+    
+    case 'updateGroup':
+      return await handleUpdateGroup(data);
+    
+    case 'mergeGroups':
+      return await handleMergeGroups(data);
+    
+    case 'splitGroup':
+      return await handleSplitGroup(data);
+    
+    case 'ungroupGroup':
+      return await handleUngroupGroup(data);
+    
+    case 'closeGroup':
+      return await handleCloseGroup(data);
+    
+    case 'moveGroupToNewWindow':
+      return await handleMoveGroupToNewWindow(data);
+    
+    case 'findDuplicates':
+      return await handleFindDuplicates(data);
+    
+    case 'closeDuplicates':
+      return await handleCloseDuplicates(data);
+    
+    case 'getDuplicateSettings':
+      return await handleGetDuplicateSettings();
+    
+    case 'saveDuplicateSettings':
+      return await handleSaveDuplicateSettings(data);
+    
+    case 'findStaleTabs':
+      return await handleFindStaleTabs(data);
+    
+    case 'archiveStaleTabs':
+      return await handleArchiveStaleTabs(data);
+    
+    case 'getArchive':
+      return await handleGetArchive(data);
+    
+    case 'restoreArchivedTabs':
+      return await handleRestoreArchivedTabs(data);
+    
+    case 'deleteArchivedTabs':
+      return await handleDeleteArchivedTabs(data);
+    
+    case 'listSessions':
+      return await handleListSessions();
+    
+    case 'saveSession':
+      return await handleSaveSession(data);
+    
+    case 'restoreSession':
+      return await handleRestoreSession(data);
+    
+    case 'renameSession':
+      return await handleRenameSession(data);
+    
+    case 'deleteSession':
+      return await handleDeleteSession(data);
+    
+    case 'exportTabs':
+      return await handleExportTabs(data);
+    
+    case 'importTabs':
+      return await handleImportTabs(data);
+    
+    case 'rerunCustomPrompt':
+      return await handleRerunCustomPrompt();
+    
+    case 'groupSimilarTabs':
+      return await handleGroupSimilarTabs(data);
+    
+    case 'groupSelectedTabs':
+      return await handleGroupSelectedTabs(data);
+    
+    case 'moveTabsToGroup':
+      return await handleMoveTabsToGroup(data);
+    
+    case 'excludeDomain':
+      return await handleExcludeDomain(data);
+    
+    case 'redo':
+      return await handleRedo();
+    
+    case 'getHistory':
+      return await handleGetHistory();
+    
     default:
       throw new Error(`Unknown action: ${action}`);
   }
 }
 
 // Handle automatic tab grouping with error recovery
-async function handleAutoGroup() {
-  logOperationStart('autoGroup');
+// options.incremental: only place ungrouped tabs, reusing existing groups where they fit
+// options.automated: started by automation rather than from the popup (labels the undo entry)
+async function handleAutoGroup(options = {}) {
+  logOperationStart('autoGroup', { incremental: !!options?.incremental });
   let metadata;
   
   try {
-    // Collect metadata from all tabs
-    metadata = await collectTabMetadata();
+    // Collect metadata from the tabs to group
+    const input = await prepareGroupingInput(options);
+    metadata = input.metadata;
+    
+    if (metadata.length === 0) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.ALL_GROUPED,
+        retryable: false
+      };
+    }
     
     // Get configured LLM provider
     const config = await getConfig();
@@ -108,30 +471,33 @@ async function handleAutoGroup() {
       };
     }
     
-    // Create LLM provider instance
-    const provider = createLLMProvider(config);
-    
-    // Send metadata to LLM with system prompt (with retry for transient failures)
-    const groupingResult = await callWithRetry(async () => {
-      return await provider.groupTabs(metadata);
-    }, config.provider);
+    // Apply local rules, then send the remaining tabs to the LLM
+    const groupingResult = await generateGrouping(config, metadata, '', input.promptOptions, options);
     
     // Apply grouping results (with graceful degradation)
-    const result = await applyGrouping(groupingResult);
+    const result = await applyGrouping(groupingResult, {
+      operation: 'autoGroup',
+      label: options?.automated
+        ? 'Automatic grouping'
+        : (options?.incremental ? 'Auto group (new tabs)' : 'Auto group'),
+      ...groupingRunOptions(options)
+    });
     
     // Handle partial success
     if (result.partialSuccess) {
       logOperationSuccess('autoGroup', { 
         groupsCreated: result.groupsCreated,
+        groupsExtended: result.groupsExtended,
         failedGroups: result.failedGroups,
         partialSuccess: true
       });
       
       return {
         success: true,
-        message: `Created ${result.groupsCreated} group(s). ${result.failedGroups} group(s) could not be created.`,
+        message: `Created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}. ${result.failedGroups} group(s) could not be created.`,
         data: {
           groupsCreated: result.groupsCreated,
+          groupsExtended: result.groupsExtended,
           failedGroups: result.failedGroups,
           partialSuccess: true
         },
@@ -139,13 +505,17 @@ async function handleAutoGroup() {
       };
     }
     
-    logOperationSuccess('autoGroup', { groupsCreated: result.groupsCreated });
+    logOperationSuccess('autoGroup', {
+      groupsCreated: result.groupsCreated,
+      groupsExtended: result.groupsExtended
+    });
     
     return {
       success: true,
-      message: `Successfully created ${result.groupsCreated} group(s)`,
+      message: `Successfully created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}`,
       data: {
-        groupsCreated: result.groupsCreated
+        groupsCreated: result.groupsCreated,
+        groupsExtended: result.groupsExtended
       },
       retryable: false
     };
@@ -177,6 +547,7 @@ async function handleAutoGroup() {
 // Create LLM provider instance based on configuration
 function createLLMProvider(config) {
   const { provider, credentials } = config;
+  const model = config.model || getDefaultModel(provider);
   
   switch (provider) {
     case 'bedrock':
@@ -191,18 +562,27 @@ function createLLMProvider(config) {
         credentials.accessKey,
         credentials.secretKey,
         credentials.region,
-        credentials.sessionToken || null
+        credentials.sessionToken || null,
+        model
       );
     
     case 'gemini':
-      return new GeminiProvider(credentials.apiKey);
+      return new GeminiProvider(credentials.apiKey, model);
     
     case 'local':
       return new LocalLLMProvider(
         credentials.endpoint,
-        credentials.apiKey
+        credentials.apiKey,
+        model,
+        config.localApiFormat || null
       );
     
+    case 'openai':
+      return new OpenAIProvider(credentials.apiKey, model);
+    
+    case 'anthropic':
+      return new AnthropicProvider(credentials.apiKey, model);
+    
     default:
       throw new Error(`Unknown provider: ${provider}`);
   }
@@ -212,8 +592,8 @@ function createLLMProvider(config) {
 // Keeping ERROR_MESSAGES for backward compatibility with existing code
 
 // Handle custom prompt tab grouping with error recovery
-async function handleCustomGroup(prompt) {
-  logOperationStart('customGroup', { hasPrompt: !!prompt });
+async function handleCustomGroup(prompt, options = {}) {
+  logOperationStart('customGroup', { hasPrompt: !!prompt, incremental: !!options?.incremental });
   let metadata;
   
   try {
@@ -227,8 +607,20 @@ async function handleCustomGroup(prompt) {
       };
     }
     
-    // Collect metadata from all tabs
-    metadata = await collectTabMetadata();
+    // Remember the prompt and options so a shortcut can run them again
+    await rememberCustomPrompt(prompt.trim(), options);
+    
+    // Collect metadata from the tabs to group
+    const input = await prepareGroupingInput(options);
+    metadata = input.metadata;
+    
+    if (metadata.length === 0) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.ALL_GROUPED,
+        retryable: false
+      };
+    }
     
     // Get configured LLM provider
     const config = await getConfig();
@@ -241,21 +633,20 @@ async function handleCustomGroup(prompt) {
       };
     }
     
-    // Create LLM provider instance
-    const provider = createLLMProvider(config);
-    
-    // Send metadata to LLM with custom prompt (with retry for transient failures)
-    const groupingResult = await callWithRetry(async () => {
-      return await provider.groupTabs(metadata, prompt.trim());
-    }, config.provider);
+    // Apply local rules, then send the remaining tabs to the LLM with the custom prompt
+    const groupingResult = await generateGrouping(config, metadata, prompt.trim(), input.promptOptions, options);
     
     // Apply grouping results (with graceful degradation)
-    const result = await applyGrouping(groupingResult);
+    const result = await applyGrouping(groupingResult, {
+      operation: 'customGroup',
+      label: `Custom group: ${prompt.trim()}`,
+      ...groupingRunOptions(options)
+    });
     
     // Handle partial success
     if (result.partialSuccess) {
       const groupNames = result.groupNames.join(', ');
-      const summaryMessage = `Created ${result.groupsCreated} group(s): ${groupNames}. ${result.failedGroups} group(s) could not be created.`;
+      const summaryMessage = `Created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}: ${groupNames}. ${result.failedGroups} group(s) could not be created.`;
       
       logOperationSuccess('customGroup', {
         groupsCreated: result.groupsCreated,
@@ -269,6 +660,7 @@ async function handleCustomGroup(prompt) {
         message: summaryMessage,
         data: {
           groupsCreated: result.groupsCreated,
+          groupsExtended: result.groupsExtended,
           groupNames: result.groupNames,
           failedGroups: result.failedGroups,
           partialSuccess: true
@@ -279,7 +671,7 @@ async function handleCustomGroup(prompt) {
     
     // Build summary message for complete success
     const groupNames = result.groupNames.join(', ');
-    const summaryMessage = `Created ${result.groupsCreated} group(s): ${groupNames}`;
+    const summaryMessage = `Created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}: ${groupNames}`;
     
     logOperationSuccess('customGroup', {
       groupsCreated: result.groupsCreated,
@@ -291,6 +683,7 @@ async function handleCustomGroup(prompt) {
       message: summaryMessage,
       data: {
         groupsCreated: result.groupsCreated,
+        groupsExtended: result.groupsExtended,
         groupNames: result.groupNames
       },
       retryable: false
@@ -312,21 +705,218 @@ async function handleCustomGroup(prompt) {
   }
 }
 
-// Collect metadata from all open tabs (optimized for speed)
-async function collectTabMetadata() {
+// Handle dry-run grouping: ask the LLM for groups but return them instead of applying
+async function handlePreviewGroup(prompt, options = {}) {
+  logOperationStart('previewGroup', { hasPrompt: !!prompt, incremental: !!options?.incremental });
+  let metadata;
+  
+  try {
+    // Collect metadata from the tabs to group
+    const input = await prepareGroupingInput(options);
+    metadata = input.metadata;
+    
+    if (metadata.length === 0) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.ALL_GROUPED,
+        retryable: false
+      };
+    }
+    
+    // Get configured LLM provider
+    const config = await getConfig();
+    if (!config || !config.configured) {
+      logWarning('No LLM provider configured', { operation: 'previewGroup' });
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NO_CONFIG,
+        retryable: false
+      };
+    }
+    
+    // Apply local rules, then send the remaining tabs to the LLM
+    const customPrompt = prompt ? prompt.trim() : '';
+    const groupingResult = await generateGrouping(config, metadata, customPrompt, input.promptOptions, options);
+    
+    const proposal = buildGroupingProposal(groupingResult, metadata);
+    
+    if (proposal.groups.length === 0) {
+      throw new Error('No groups returned from LLM');
+    }
+    
+    logOperationSuccess('previewGroup', { groupCount: proposal.groups.length });
+    
+    return {
+      success: true,
+      message: `Proposed ${proposal.groups.length} group(s)`,
+      data: {
+        prompt: customPrompt,
+        incremental: !!options?.incremental,
+        scope: options?.scope || 'current',
+        windowId: options?.windowId,
+        consolidate: !!options?.consolidate,
+        groups: proposal.groups,
+        ungroupedTabs: proposal.ungroupedTabs
+      },
+      retryable: false
+    };
+  } catch (error) {
+    logOperationFailure('previewGroup', error, { tabCount: metadata?.length });
+    
+    return {
+      success: false,
+      message: formatErrorMessage(error),
+      retryable: isRetryableError(error),
+      data: {
+        errorType: error.message
+      }
+    };
+  }
+}
+
+// Convert a grouping result into an editable proposal keyed by tab ID
+// Groups carry tab IDs, or LLM indices referring to positions in the metadata list that was sent
+function buildGroupingProposal(groupingResult, metadata) {
+  const assignedTabIds = new Set();
+  const metadataById = new Map(metadata.map(tab => [tab.id, tab]));
+  const toProposalTab = tab => ({ id: tab.id, title: tab.title, url: tab.url });
+  
+  const groups = (groupingResult?.groups || [])
+    .map(group => {
+      const candidates = group.tabIds
+        ? group.tabIds.map(id => metadataById.get(id))
+        : (group.tabIndices || []).map(index => metadata[index]);
+      const tabs = candidates.filter(tab => tab && !assignedTabIds.has(tab.id));
+      
+      tabs.forEach(tab => assignedTabIds.add(tab.id));
+      
+      return {
+        name: group.name,
+        reasoning: group.reasoning || '',
+        color: group.color || undefined,
+        source: group.source,
+        tabs: tabs.map(toProposalTab)
+      };
+    })
+    .filter(group => group.tabs.length > 0);
+  
+  const ungroupedTabs = metadata
+    .filter(tab => !assignedTabIds.has(tab.id))
+    .map(toProposalTab);
+  
+  return { groups, ungroupedTabs };
+}
+
+// Apply a proposal the user reviewed (and possibly edited) in the popup
+async function handleApplyPreview(data) {
+  logOperationStart('applyPreview', { groupCount: data?.groups?.length });
+  
+  try {
+    if (!data || !Array.isArray(data.groups) || data.groups.length === 0) {
+      return {
+        success: false,
+        message: 'No groups to apply',
+        retryable: false
+      };
+    }
+    
+    if (data.groups.some(group => !group.name || group.name.trim() === '')) {
+      return {
+        success: false,
+        message: 'Every group needs a name',
+        retryable: false
+      };
+    }
+    
+    // A tab listed in more than one reviewed group stays in the first one
+    const claimed = new Set();
+    const groups = [];
+    for (const group of data.groups) {
+      const tabIds = (group.tabIds || []).filter(id => Number.isInteger(id) && !claimed.has(id));
+      tabIds.forEach(id => claimed.add(id));
+      if (tabIds.length > 0) {
+        groups.push({
+          name: group.name.trim(),
+          color: CHROME_COLORS.includes(group.color) ? group.color : undefined,
+          tabIds: [...new Set(tabIds)]
+        });
+      }
+    }
+    
+    if (groups.length === 0) {
+      return {
+        success: false,
+        message: 'No groups to apply',
+        retryable: false
+      };
+    }
+    
+    const result = await applyGrouping({ groups }, {
+      operation: 'previewGroup',
+      label: data.prompt ? `Reviewed grouping: ${data.prompt}` : 'Reviewed grouping',
+      ...groupingRunOptions(data)
+    });
+    
+    const groupNames = result.groupNames.join(', ');
+    let summaryMessage = `Created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}: ${groupNames}`;
+    if (result.partialSuccess) {
+      summaryMessage += `. ${result.failedGroups} group(s) could not be created.`;
+    }
+    
+    logOperationSuccess('applyPreview', {
+      groupsCreated: result.groupsCreated,
+      failedGroups: result.failedGroups
+    });
+    
+    return {
+      success: true,
+      message: summaryMessage,
+      data: {
+        groupsCreated: result.groupsCreated,
+        groupsExtended: result.groupsExtended,
+        groupNames: result.groupNames,
+        failedGroups: result.failedGroups,
+        partialSuccess: result.partialSuccess
+      },
+      retryable: false
+    };
+  } catch (error) {
+    logOperationFailure('applyPreview', error);
+    
+    return {
+      success: false,
+      message: formatErrorMessage(error),
+      retryable: false
+    };
+  }
+}
+
+// Collect metadata from the open tabs in scope (optimized for speed)
+// With protection settings, protected tabs (pinned, active, audible, incognito) are left out
+async function collectTabMetadata(scope = {}, protection = null) {
   try {
-    // Query all open tabs
-    const tabs = await getAllTabs();
+    // Query all open tabs in scope
+    const tabs = await getAllTabs(scope);
     
     if (!tabs || tabs.length === 0) {
       throw new Error(ERROR_MESSAGES.NO_TABS);
     }
     
+    const { allowed, protectedTabs } = splitProtectedTabs(tabs, protection);
+    if (protectedTabs.length > 0) {
+      logInfo('Leaving protected tabs out of grouping', {
+        operation: 'collectTabMetadata',
+        metadata: { protectedTabs: describeProtectedTabs(protectedTabs) }
+      });
+    }
+    
     // Fast path: Use only tab title and URL (no content extraction)
     // This is much faster and sufficient for grouping in most cases
-    const metadata = tabs.map(tab => ({
+    const metadata = allowed.map(tab => ({
       id: tab.id,
       index: tab.index,
+      windowId: tab.windowId,
+      groupId: normalizeGroupId(tab.groupId),
       title: tab.title || 'Unknown',
       url: tab.url || ''
     }));
@@ -338,38 +928,229 @@ async function collectTabMetadata() {
   }
 }
 
-// Note: extractTabMetadata removed - we now use only title and URL for faster performance
+// Collect the tabs to send to the LLM plus any prompt context
+// In incremental mode only ungrouped tabs are sent and existing group names are passed along
+// Group names remembered from earlier runs are passed along so the LLM reuses them
+async function prepareGroupingInput(options = {}) {
+  const scope = resolveTabScope(options);
+  const allMetadata = await collectTabMetadata(scope, await loadProtectionSettings());
+  const knownGroups = getKnownGroupNames(await loadGroupRegistry());
+  
+  if (!options?.incremental) {
+    return { metadata: allMetadata, promptOptions: { knownGroups } };
+  }
+  
+  const windowId = scope.allWindows ? undefined : allMetadata[0]?.windowId;
+  const existingGroups = await getTabGroups(windowId);
+  
+  return {
+    metadata: allMetadata.filter(tab => tab.groupId === null),
+    promptOptions: {
+      existingGroups: [...new Set(existingGroups.map(group => group.title).filter(Boolean))],
+      knownGroups
+    }
+  };
+}
 
-// Capture current tab state for recovery
-async function captureTabState() {
+// Read the tab protection settings; on a storage failure the defaults still protect tabs
+async function loadProtectionSettings() {
   try {
-    const tabs = await getAllTabs();
-    
-    // Capture detailed state including group information
-    const state = {
-      timestamp: Date.now(),
-      tabs: tabs.map(tab => ({
-        id: tab.id,
-        index: tab.index,
-        groupId: tab.groupId || null,
-        pinned: tab.pinned || false,
-        url: tab.url,
-        title: tab.title
-      }))
-    };
-    
-    // Also capture existing group information
-    try {
-      const groups = await chrome.tabGroups.query({});
-      state.groups = groups.map(group => ({
-        id: group.id,
-        title: group.title,
-        color: group.color,
-        collapsed: group.collapsed
-      }));
-    } catch (error) {
-      // Groups API might not be available in all contexts
-      state.groups = [];
+    const config = await getConfig();
+    return resolveProtectionSettings(config?.protection);
+  } catch (error) {
+    logError(error, { operation: 'loadProtectionSettings' });
+    return resolveProtectionSettings(null);
+  }
+}
+
+// Read the group registry; a storage failure only costs consistent naming, not the run
+async function loadGroupRegistry() {
+  try {
+    return await getGroupRegistry();
+  } catch (error) {
+    logError(error, { operation: 'loadGroupRegistry' });
+    return {};
+  }
+}
+
+// Translate grouping options into a tab query scope
+// options.scope: 'current' (default), 'window' (with options.windowId) or 'all'
+function resolveTabScope(options = {}) {
+  if (options?.scope === 'all') {
+    return { allWindows: true };
+  }
+  if (options?.scope === 'window' && Number.isInteger(options.windowId)) {
+    return { windowId: options.windowId };
+  }
+  return {};
+}
+
+// applyGrouping options shared by every grouping entry point
+function groupingRunOptions(options = {}) {
+  return {
+    mergeIntoExisting: !!options?.incremental,
+    scope: resolveTabScope(options),
+    consolidate: !!options?.consolidate
+  };
+}
+
+// Decide which window(s) a group's tabs end up in
+// Tabs spread over several windows become one group per window, unless consolidating,
+// in which case they all move to the window that already holds most of them
+function planGroupPlacement(tabIds, tabsById, consolidate) {
+  const tabIdsByWindow = new Map();
+  for (const tabId of tabIds) {
+    const windowId = tabsById.get(tabId)?.windowId;
+    if (!tabIdsByWindow.has(windowId)) {
+      tabIdsByWindow.set(windowId, []);
+    }
+    tabIdsByWindow.get(windowId).push(tabId);
+  }
+  
+  if (tabIdsByWindow.size <= 1 || !consolidate) {
+    return [...tabIdsByWindow.entries()].map(([windowId, ids]) => ({ windowId, tabIds: ids }));
+  }
+  
+  let targetWindowId;
+  let largest = 0;
+  for (const [windowId, ids] of tabIdsByWindow) {
+    if (ids.length > largest) {
+      targetWindowId = windowId;
+      largest = ids.length;
+    }
+  }
+  
+  return [{ windowId: targetWindowId, tabIds }];
+}
+
+// Group tabs with the configured rules first and ask the LLM only about the leftovers
+// Returns groups with tab IDs; LLM groups named like a rule group are merged into it
+// With options.enrichContent, page content is read for the tabs sent to the LLM
+async function generateGrouping(config, metadata, prompt, promptOptions, options = {}) {
+  const ruleResult = applyRules(metadata, config.rules);
+  const groups = ruleResult.groups;
+  
+  if (groups.length > 0) {
+    logOperationSuccess('applyRules', {
+      groupCount: groups.length,
+      tabCount: metadata.length - ruleResult.remainingTabs.length
+    });
+  }
+  
+  if (ruleResult.remainingTabs.length === 0) {
+    return { groups };
+  }
+  
+  // Tabs excluded by the privacy settings are never sent and stay ungrouped
+  const llmInput = await prepareLLMTabs(config, ruleResult.remainingTabs, options);
+  if (llmInput.tabs.length === 0) {
+    return { groups };
+  }
+  
+  // Create LLM provider instance
+  const provider = createLLMProvider(config);
+  
+  // Send remaining metadata to LLM (with retry for transient failures)
+  const llmResult = await callWithRetry(async () => {
+    return await provider.groupTabs(llmInput.tabs, prompt, promptOptions);
+  }, config.provider);
+  
+  for (const llmGroup of resolveGroupTabIds(llmResult, llmInput.tabs).groups) {
+    const ruleGroup = groups.find(group => normalizeGroupTitle(group.name) === normalizeGroupTitle(llmGroup.name));
+    if (ruleGroup) {
+      ruleGroup.tabIds.push(...llmGroup.tabIds);
+    } else {
+      groups.push(llmGroup);
+    }
+  }
+  
+  return { groups };
+}
+
+// Turn the tabs left after the rules into what is sent to the LLM
+// Page content is read only when opted in, and never for tabs the privacy settings exclude
+// or redact; the privacy filter then drops, redacts and strips tabs
+// Returns { tabs, excluded, redactedCount }
+async function prepareLLMTabs(config, tabs, options = {}) {
+  const withContent = options?.enrichContent
+    ? await enrichTabMetadata(tabs, { filter: tab => !getPrivacyAction(tab, config.privacy) })
+    : tabs;
+  
+  return applyPrivacyFilter(withContent, config.privacy);
+}
+
+// Map LLM tab indices (positions in the metadata list that was sent) to tab IDs
+function resolveGroupTabIds(groupingResult, metadata) {
+  return {
+    groups: (groupingResult?.groups || []).map(group => ({
+      name: group.name,
+      reasoning: group.reasoning,
+      tabIds: (group.tabIndices || [])
+        .map(index => metadata[index]?.id)
+        .filter(id => id !== undefined)
+    }))
+  };
+}
+
+// Summary suffix for tabs added to existing groups (incremental mode)
+function describeExtendedGroups(result) {
+  return result.groupsExtended > 0
+    ? ` and added tabs to ${result.groupsExtended} existing group(s)`
+    : '';
+}
+
+// Normalize a group title for name matching
+function normalizeGroupTitle(title) {
+  return (title || '').trim().toLowerCase();
+}
+
+// Note: extractTabMetadata removed - we now use only title and URL for faster performance
+
+// Normalize Chrome's "no group" sentinel (-1) and missing values to null
+function normalizeGroupId(groupId) {
+  if (groupId === undefined || groupId === null || groupId === TAB_GROUP_ID_NONE) {
+    return null;
+  }
+  return groupId;
+}
+
+// Capture current tab arrangement (windows, order, groups, colors, collapsed state)
+// Used for error recovery and as undo/redo history snapshots
+async function captureTabState(scope = {}) {
+  try {
+    const tabs = await getAllTabs(scope);
+    
+    // Capture detailed state including group information
+    const state = {
+      timestamp: Date.now(),
+      scope,
+      tabs: tabs.map(tab => ({
+        id: tab.id,
+        index: tab.index,
+        windowId: tab.windowId,
+        groupId: normalizeGroupId(tab.groupId),
+        pinned: tab.pinned || false,
+        url: tab.url,
+        title: tab.title
+      }))
+    };
+    
+    // Also capture existing group information (only groups used by these tabs)
+    try {
+      const usedGroupIds = new Set(state.tabs.map(tab => tab.groupId).filter(id => id !== null));
+      const groups = await chrome.tabGroups.query({});
+      state.groups = (groups || [])
+        .filter(group => usedGroupIds.has(group.id))
+        .map(group => ({
+          id: group.id,
+          windowId: group.windowId,
+          title: group.title,
+          color: group.color,
+          collapsed: group.collapsed
+        }));
+    } catch (error) {
+      // Groups API might not be available in all contexts
+      state.groups = [];
     }
     
     return state;
@@ -379,224 +1160,2638 @@ async function captureTabState() {
   }
 }
 
-// Restore tab state on critical failure
-async function restoreTabState(savedState) {
-  if (!savedState || !savedState.tabs || savedState.tabs.length === 0) {
-    logWarning('No saved state to restore', { operation: 'restoreTabState' });
-    return false;
+// Match saved tabs to currently open tabs (by ID, falling back to URL)
+// Tab IDs change across browser restarts, so URL matching keeps older history usable
+function matchSavedTabs(savedTabs, currentTabs) {
+  const matches = new Map();
+  const usedIds = new Set();
+  const currentById = new Map(currentTabs.map(tab => [tab.id, tab]));
+  
+  for (const savedTab of savedTabs) {
+    const current = currentById.get(savedTab.id);
+    if (current && !usedIds.has(current.id)) {
+      matches.set(savedTab.id, current);
+      usedIds.add(current.id);
+    }
+  }
+  
+  for (const savedTab of savedTabs) {
+    if (matches.has(savedTab.id) || !savedTab.url) {
+      continue;
+    }
+    const current = currentTabs.find(tab => !usedIds.has(tab.id) && tab.url === savedTab.url);
+    if (current) {
+      matches.set(savedTab.id, current);
+      usedIds.add(current.id);
+    }
+  }
+  
+  return matches;
+}
+
+// Rebuild a captured tab arrangement: ungroup, restore order, then recreate groups
+// Used on critical failure and for undo/redo
+async function restoreTabState(savedState) {
+  if (!savedState || !savedState.tabs || savedState.tabs.length === 0) {
+    logWarning('No saved state to restore', { operation: 'restoreTabState' });
+    return false;
+  }
+  
+  try {
+    logWarning('Restoring saved tab arrangement', {
+      operation: 'restoreTabState',
+      metadata: { 
+        tabCount: savedState.tabs.length,
+        groupCount: savedState.groups?.length || 0,
+        stateAge: Date.now() - savedState.timestamp
+      }
+    });
+    
+    const currentTabs = await getAllTabs(savedState.scope || {});
+    const matches = matchSavedTabs(savedState.tabs, currentTabs);
+    
+    // Track restoration progress
+    let tabsRestored = 0;
+    let tabsFailed = 0;
+    
+    // Step 1: ungroup every matched tab so groups can be rebuilt from scratch
+    const groupedTabIds = [...matches.values()]
+      .filter(tab => normalizeGroupId(tab.groupId) !== null)
+      .map(tab => tab.id);
+    
+    if (groupedTabIds.length > 0) {
+      try {
+        await chrome.tabs.ungroup(groupedTabIds);
+      } catch (error) {
+        logError(error, {
+          operation: 'restoreTabState',
+          metadata: { step: 'ungroup', tabCount: groupedTabIds.length }
+        });
+      }
+    }
+    
+    // Step 2: restore windows and tab order (ascending so earlier moves are not disturbed)
+    const orderedTabs = savedState.tabs
+      .filter(savedTab => matches.has(savedTab.id))
+      .sort((a, b) => a.index - b.index);
+    const openWindowIds = new Set(currentTabs.map(tab => tab.windowId));
+    const reopenedWindows = new Map();
+    const restoredWindowByTabId = new Map();
+    
+    for (const savedTab of orderedTabs) {
+      const currentTab = matches.get(savedTab.id);
+      try {
+        const windowId = await resolveRestoreWindow(savedTab.windowId, currentTab, openWindowIds, reopenedWindows);
+        const moveProperties = { index: savedTab.index };
+        if (windowId !== undefined && windowId !== currentTab.windowId) {
+          moveProperties.windowId = windowId;
+        }
+        
+        await chrome.tabs.move(currentTab.id, moveProperties);
+        restoredWindowByTabId.set(currentTab.id, windowId ?? currentTab.windowId);
+        tabsRestored++;
+      } catch (error) {
+        tabsFailed++;
+        logError(error, {
+          operation: 'restoreTabState',
+          metadata: { tabId: currentTab.id, tabTitle: savedTab.title }
+        });
+      }
+    }
+    
+    // Step 3: recreate the original groups with their properties
+    let groupsRestored = 0;
+    for (const group of savedState.groups || []) {
+      const tabIds = savedState.tabs
+        .filter(savedTab => savedTab.groupId === group.id && matches.has(savedTab.id))
+        .map(savedTab => matches.get(savedTab.id).id);
+      
+      if (tabIds.length === 0) {
+        continue;
+      }
+      
+      try {
+        // Without a window Chrome would create the group in the current window
+        const groupOptions = { tabIds };
+        const windowId = restoredWindowByTabId.get(tabIds[0]);
+        if (windowId !== undefined) {
+          groupOptions.createProperties = { windowId };
+        }
+        
+        const newGroupId = await chrome.tabs.group(groupOptions);
+        await chrome.tabGroups.update(newGroupId, {
+          title: group.title || '',
+          color: CHROME_COLORS.includes(group.color) ? group.color : 'grey',
+          collapsed: !!group.collapsed
+        });
+        groupsRestored++;
+      } catch (error) {
+        tabsFailed += tabIds.length;
+        logError(error, {
+          operation: 'restoreTabState',
+          metadata: { groupTitle: group.title, tabCount: tabIds.length }
+        });
+      }
+    }
+    
+    logWarning(`Tab state restoration completed: ${tabsRestored} restored, ${groupsRestored} group(s) recreated, ${tabsFailed} failed`, {
+      operation: 'restoreTabState',
+      metadata: { tabsRestored, groupsRestored, tabsFailed }
+    });
+    
+    return tabsRestored > 0 || tabsFailed === 0;
+  } catch (error) {
+    logError(error, { operation: 'restoreTabState' });
+    return false;
+  }
+}
+
+// Find the open window a saved tab belongs in, reopening windows that were closed since
+// (e.g. emptied by consolidation). reopenedWindows maps saved window IDs to new ones.
+async function resolveRestoreWindow(savedWindowId, currentTab, openWindowIds, reopenedWindows) {
+  if (savedWindowId === undefined || openWindowIds.has(savedWindowId)) {
+    return savedWindowId;
+  }
+  
+  if (reopenedWindows.has(savedWindowId)) {
+    return reopenedWindows.get(savedWindowId);
+  }
+  
+  const window = await chrome.windows.create({ tabId: currentTab.id, focused: false });
+  reopenedWindows.set(savedWindowId, window.id);
+  return window.id;
+}
+
+// Apply grouping results to tabs with graceful degradation
+// options.operation/options.label describe the run for the undo history
+// options.mergeIntoExisting adds tabs to open groups whose title matches a result group
+// options.scope is the tab query scope; options.consolidate moves each group into one window
+async function applyGrouping(groupingResult, options = {}) {
+  const scope = options.scope || {};
+  
+  // Capture current state before making changes (error recovery)
+  const savedState = await captureTabState(scope);
+  
+  try {
+    if (!groupingResult || !groupingResult.groups || groupingResult.groups.length === 0) {
+      throw new Error('No groups returned from LLM');
+    }
+    
+    const groups = groupingResult.groups;
+    let groupsCreated = 0;
+    let groupsExtended = 0;
+    const groupNames = [];
+    const appliedGroups = [];
+    let failedGroups = 0;
+    const failedGroupDetails = [];
+    
+    // Get all tabs to map indices to tab IDs
+    // Tab indices restart in every window, so across windows use list positions instead
+    const allTabs = await getAllTabs(scope);
+    const singleWindow = new Set(allTabs.map(tab => tab.windowId)).size <= 1;
+    const tabIndexMap = new Map();
+    allTabs.forEach((tab, position) => {
+      tabIndexMap.set(singleWindow ? tab.index : position, tab.id);
+    });
+    const tabsById = new Map(allTabs.map(tab => [tab.id, tab]));
+    const protection = await loadProtectionSettings();
+    
+    // Existing groups in scope, keyed by normalized title and then by window (incremental mode)
+    const existingGroupsByTitle = new Map();
+    if (options.mergeIntoExisting) {
+      const existingGroups = await getTabGroups(scope.allWindows ? undefined : allTabs[0]?.windowId);
+      existingGroups.forEach(existing => {
+        const key = normalizeGroupTitle(existing.title);
+        if (!key) {
+          return;
+        }
+        if (!existingGroupsByTitle.has(key)) {
+          existingGroupsByTitle.set(key, new Map());
+        }
+        if (!existingGroupsByTitle.get(key).has(existing.windowId)) {
+          existingGroupsByTitle.get(key).set(existing.windowId, existing);
+        }
+      });
+    }
+    
+    // Remembered names and colors keep recurring groups consistent across runs
+    // Colors fixed by rules or the registry are reserved before new groups pick theirs
+    const registry = await loadGroupRegistry();
+    const usedColors = new Set(groups
+      .map(group => CHROME_COLORS.includes(group.color) ? group.color : resolveGroupIdentity(group.name, registry)?.color)
+      .filter(Boolean));
+    
+    // Create each group with individual error handling (graceful degradation)
+    for (const group of groups) {
+      try {
+        // Groups carry either LLM tab indices or explicit tab IDs (reviewed proposals)
+        const requested = group.tabIds || group.tabIndices;
+        
+        // Skip empty groups
+        if (!requested || requested.length === 0) {
+          logWarning('Skipping empty group', {
+            operation: 'applyGrouping',
+            metadata: { groupName: group.name }
+          });
+          continue;
+        }
+        
+        // Map tab indices to tab IDs (explicit IDs must still be open)
+        const mappedTabIds = group.tabIds
+          ? group.tabIds.filter(id => tabsById.has(id))
+          : group.tabIndices
+            .map(index => tabIndexMap.get(index))
+            .filter(id => id !== undefined);
+        
+        // Protected tabs are enforced again here, whatever the LLM or a reviewed proposal asked for
+        const tabIds = mappedTabIds.filter(id => !getProtectionReason(tabsById.get(id), protection));
+        if (tabIds.length < mappedTabIds.length) {
+          logWarning('Skipping protected tabs', {
+            operation: 'applyGrouping',
+            metadata: { groupName: group.name, skipped: mappedTabIds.length - tabIds.length }
+          });
+        }
+        
+        if (tabIds.length === 0) {
+          logWarning('No valid tabs found for group', {
+            operation: 'applyGrouping',
+            metadata: { groupName: group.name, requestedIndices: requested }
+          });
+          continue;
+        }
+        
+        const identity = resolveGroupIdentity(group.name, registry);
+        const groupName = identity?.name || group.name;
+        
+        // One group per window unless consolidating; a consolidated group goes to a window
+        // that already has a matching group when there is one
+        const existingByWindow = existingGroupsByTitle.get(normalizeGroupTitle(groupName)) ||
+          existingGroupsByTitle.get(normalizeGroupTitle(group.name)) || new Map();
+        let placements = planGroupPlacement(tabIds, tabsById, options.consolidate);
+        if (options.consolidate && existingByWindow.size > 0 && !existingByWindow.has(placements[0].windowId)) {
+          placements = [{ windowId: existingByWindow.keys().next().value, tabIds }];
+        }
+        
+        // Tabs join a matching existing group in their own window instead of a duplicate;
+        // they never move to another window's group unless consolidating
+        for (const placement of placements) {
+          const existingGroup = existingByWindow.get(placement.windowId);
+          if (existingGroup) {
+            await addTabsToGroup(existingGroup.id, placement.tabIds);
+            logOperationSuccess('addTabsToGroup', {
+              groupName: existingGroup.title,
+              tabCount: placement.tabIds.length
+            });
+          }
+        }
+        const newPlacements = placements.filter(placement => !existingByWindow.has(placement.windowId));
+        if (newPlacements.length === 0) {
+          const existingGroup = existingByWindow.get(placements[0].windowId);
+          groupsExtended++;
+          groupNames.push(existingGroup.title);
+          appliedGroups.push({ name: existingGroup.title, color: existingGroup.color, tabIds });
+          continue;
+        }
+        
+        // Color priority: the group's own (e.g. from a rule), the remembered one, then a stable pick
+        let color = CHROME_COLORS.includes(group.color) ? group.color : identity?.color;
+        if (!color) {
+          color = pickGroupColor(groupName, usedColors);
+          usedColors.add(color);
+        }
+        
+        // Create the group with retry for transient failures
+        for (const placement of newPlacements) {
+          await retryGroupCreation(groupName, color, placement.tabIds, placement.windowId);
+        }
+        groupsCreated++;
+        groupNames.push(groupName);
+        appliedGroups.push({ name: groupName, color, tabIds });
+        
+        logOperationSuccess('createGroup', {
+          groupName,
+          tabCount: tabIds.length
+        });
+      } catch (error) {
+        // Continue with other groups even if one fails (graceful degradation)
+        failedGroups++;
+        failedGroupDetails.push({
+          name: group.name,
+          error: error.message,
+          tabCount: (group.tabIds || group.tabIndices)?.length
+        });
+        
+        logError(error, {
+          operation: 'applyGrouping',
+          metadata: { groupName: group.name, tabCount: (group.tabIds || group.tabIndices)?.length }
+        });
+      }
+    }
+    
+    // Determine if this is a partial success or complete failure
+    const totalGroups = groups.length;
+    const groupsApplied = groupsCreated + groupsExtended;
+    const successRate = totalGroups > 0 ? (groupsApplied / totalGroups) : 0;
+    
+    // Log appropriate message based on success rate
+    if (failedGroups > 0) {
+      if (groupsApplied > 0) {
+        // Partial success - some groups created
+        logWarning(`Partial success: Applied ${groupsApplied}/${totalGroups} group(s)`, {
+          operation: 'applyGrouping',
+          metadata: { 
+            totalGroups, 
+            groupsCreated, 
+            groupsExtended,
+            failedGroups,
+            successRate: `${(successRate * 100).toFixed(1)}%`,
+            failedGroupDetails
+          }
+        });
+      } else {
+        // Complete failure - no groups created
+        logError(new Error('Failed to create any tab groups'), {
+          operation: 'applyGrouping',
+          metadata: { totalGroups, failedGroups, failedGroupDetails }
+        });
+      }
+    }
+    
+    // Critical failure: no groups created at all
+    if (groupsApplied === 0 && groups.length > 0) {
+      // Attempt to restore original state
+      const restored = await restoreTabState(savedState);
+      
+      if (restored) {
+        throw new Error('Failed to create any tab groups. Original tab state has been restored.');
+      } else {
+        throw new Error('Failed to create any tab groups. Unable to fully restore original state.');
+      }
+    }
+    
+    // Partial failure: some groups created, some failed
+    if (failedGroups > 0 && groupsApplied > 0) {
+      // Don't restore state for partial failures - keep successful groups
+      logWarning('Some groups were created successfully despite failures', {
+        operation: 'applyGrouping',
+        metadata: { groupsCreated, failedGroups }
+      });
+    }
+    
+    // Remember the applied names and colors, and where each domain went, for later runs
+    try {
+      await rememberGroups(appliedGroups);
+      await rememberDomainGroups(appliedGroups.map(group => ({
+        name: group.name,
+        urls: group.tabIds.map(tabId => tabsById.get(tabId)?.url)
+      })));
+    } catch (error) {
+      logError(error, { operation: 'rememberGroups' });
+    }
+    
+    // Record the run so it can be undone (history failures never fail the grouping)
+    await recordGroupingHistory(savedState, options);
+    
+    return {
+      groupsCreated,
+      groupsExtended,
+      groupNames,
+      failedGroups,
+      partialSuccess: failedGroups > 0 && groupsApplied > 0
+    };
+  } catch (error) {
+    // On critical error, attempt to restore original state
+    if (savedState) {
+      const restored = await restoreTabState(savedState);
+      if (!restored) {
+        logError(new Error('Failed to restore original tab state'), {
+          operation: 'applyGrouping'
+        });
+      }
+    }
+    logError(error, { operation: 'applyGrouping' });
+    throw error;
+  }
+}
+
+// Record a completed grouping run in the undo/redo history
+async function recordGroupingHistory(before, options = {}) {
+  if (!before) {
+    return;
+  }
+  
+  try {
+    const after = await captureTabState(before.scope || {});
+    if (!after) {
+      return;
+    }
+    
+    await recordHistoryEntry({
+      operation: options.operation || 'grouping',
+      label: options.label || 'Grouping',
+      before,
+      after
+    });
+  } catch (error) {
+    logError(error, { operation: 'recordGroupingHistory' });
+  }
+}
+
+// Undo the most recent grouping run by rebuilding the arrangement captured before it
+async function handleUndo() {
+  logOperationStart('undo');
+  
+  try {
+    const entry = await peekUndo();
+    if (!entry) {
+      return {
+        success: false,
+        message: 'Nothing to undo'
+      };
+    }
+    
+    const restored = await restoreTabState(entry.before);
+    if (!restored) {
+      throw new Error('Failed to restore the previous tab arrangement');
+    }
+    
+    await commitUndo();
+    logOperationSuccess('undo', { operation: entry.operation });
+    
+    return {
+      success: true,
+      message: `Undid: ${entry.label}`,
+      data: await getHistorySummary()
+    };
+  } catch (error) {
+    logOperationFailure('undo', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Redo the most recently undone grouping run by rebuilding the arrangement captured after it
+async function handleRedo() {
+  logOperationStart('redo');
+  
+  try {
+    const entry = await peekRedo();
+    if (!entry) {
+      return {
+        success: false,
+        message: 'Nothing to redo'
+      };
+    }
+    
+    const restored = await restoreTabState(entry.after);
+    if (!restored) {
+      throw new Error('Failed to reapply the tab arrangement');
+    }
+    
+    await commitRedo();
+    logOperationSuccess('redo', { operation: entry.operation });
+    
+    return {
+      success: true,
+      message: `Redid: ${entry.label}`,
+      data: await getHistorySummary()
+    };
+  } catch (error) {
+    logOperationFailure('redo', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// List models for the model picker
+// Uses the credentials from the form, or the saved ones when the provider is unchanged
+async function handleListModels(data) {
+  const provider = data?.provider;
+  if (!provider) {
+    return {
+      success: false,
+      message: 'Provider is required'
+    };
+  }
+  
+  try {
+    let credentials = data.credentials || null;
+    if (!credentials) {
+      const config = await getConfig();
+      if (config?.provider === provider) {
+        credentials = config.credentials || null;
+      }
+    }
+    
+    const result = await listModels(provider, credentials);
+    return {
+      success: true,
+      data: result
+    };
+  } catch (error) {
+    logWarning('Model listing failed', {
+      operation: 'listModels',
+      metadata: { provider, error: error.message }
+    });
+    // Presets are still returned so the picker stays usable
+    return {
+      success: false,
+      message: error.message,
+      data: { models: getModelPresets(provider), defaultModel: getDefaultModel(provider), discovered: false }
+    };
+  }
+}
+
+// Store the last custom prompt with its options; a window chosen in the popup is not kept,
+// so a re-run applies to the current window (or all windows)
+async function rememberCustomPrompt(prompt, options = {}) {
+  try {
+    await updateConfig({
+      lastCustomGroup: {
+        prompt,
+        scope: options?.scope === 'all' ? 'all' : 'current',
+        incremental: !!options?.incremental,
+        consolidate: !!options?.consolidate,
+        enrichContent: !!options?.enrichContent
+      }
+    });
+  } catch (error) {
+    logError(error, { operation: 'rememberCustomPrompt' });
+  }
+}
+
+// Run the last custom prompt again with the options it was used with
+async function handleRerunCustomPrompt() {
+  const config = await getConfig();
+  const last = config?.lastCustomGroup;
+  
+  if (!last?.prompt) {
+    return {
+      success: false,
+      message: 'No custom prompt to run again yet. Use Custom Group in the popup first.'
+    };
+  }
+  
+  return await handleCustomGroup(last.prompt, last);
+}
+
+// Remove every tab in scope from its group; the change can be undone
+async function handleUngroupAll(options = {}) {
+  logOperationStart('ungroupAll');
+  
+  try {
+    const scope = resolveTabScope(options);
+    const tabs = await getAllTabs(scope);
+    const groupedTabIds = (tabs || [])
+      .filter(tab => normalizeGroupId(tab.groupId) !== null)
+      .map(tab => tab.id);
+    
+    if (groupedTabIds.length === 0) {
+      return {
+        success: false,
+        message: 'No grouped tabs to ungroup'
+      };
+    }
+    
+    const savedState = await captureTabState(scope);
+    await ungroupTabs(groupedTabIds);
+    await recordGroupingHistory(savedState, { operation: 'ungroupAll', label: 'Ungroup all' });
+    logOperationSuccess('ungroupAll', { tabCount: groupedTabIds.length });
+    
+    return {
+      success: true,
+      message: `Ungrouped ${groupedTabIds.length} tab(s)`,
+      data: { tabCount: groupedTabIds.length }
+    };
+  } catch (error) {
+    logOperationFailure('ungroupAll', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Collapse the groups in scope, or expand them when they are all collapsed already
+// options.collapsed forces one direction
+async function handleCollapseGroups(options = {}) {
+  try {
+    const scope = resolveTabScope(options);
+    const windowIds = new Set((await getAllTabs(scope) || []).map(tab => tab.windowId));
+    const groups = (await getTabGroups(scope.allWindows ? undefined : scope.windowId))
+      .filter(group => windowIds.has(group.windowId));
+    
+    if (groups.length === 0) {
+      return {
+        success: false,
+        message: 'No tab groups to collapse'
+      };
+    }
+    
+    const collapsed = typeof options?.collapsed === 'boolean'
+      ? options.collapsed
+      : !groups.every(group => group.collapsed);
+    const changed = groups.filter(group => !!group.collapsed !== collapsed);
+    await setGroupsCollapsed(changed.map(group => group.id), collapsed);
+    
+    return {
+      success: true,
+      message: `${collapsed ? 'Collapsed' : 'Expanded'} ${changed.length} group(s)`,
+      data: { collapsed, groupCount: changed.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'collapseGroups' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// List the open groups in every window with their tab counts, in window and tab strip order
+async function handleListGroups() {
+  try {
+    const [groups, tabs] = await Promise.all([
+      getTabGroups(),
+      getAllTabs({ allWindows: true })
+    ]);
+    
+    const tabCounts = new Map();
+    const firstIndex = new Map();
+    for (const tab of tabs || []) {
+      const groupId = normalizeGroupId(tab.groupId);
+      if (groupId === null) {
+        continue;
+      }
+      tabCounts.set(groupId, (tabCounts.get(groupId) || 0) + 1);
+      firstIndex.set(groupId, Math.min(firstIndex.get(groupId) ?? tab.index, tab.index));
+    }
+    
+    const data = groups
+      .map(group => ({
+        id: group.id,
+        title: group.title || '',
+        color: group.color,
+        collapsed: !!group.collapsed,
+        windowId: group.windowId,
+        tabCount: tabCounts.get(group.id) || 0
+      }))
+      .sort((a, b) => a.windowId - b.windowId || (firstIndex.get(a.id) ?? 0) - (firstIndex.get(b.id) ?? 0));
+    
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    logError(error, { operation: 'listGroups' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Find an open group by ID (any window)
+async function findOpenGroup(groupId) {
+  return (await getTabGroups()).find(group => group.id === groupId) || null;
+}
+
+// Apply a change to open groups and record it in the undo history
+async function changeGroupsWithHistory(operation, label, change) {
+  const savedState = await captureTabState({ allWindows: true });
+  const result = await change();
+  await recordGroupingHistory(savedState, { operation, label });
+  return result;
+}
+
+// Rename and/or recolor a group; the change can be undone
+async function handleUpdateGroup(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    const changes = {};
+    if (typeof data.title === 'string' && data.title.trim() !== (group.title || '')) {
+      changes.title = data.title.trim();
+    }
+    if (data.color && data.color !== group.color) {
+      changes.color = data.color;
+    }
+    if (Object.keys(changes).length === 0) {
+      return {
+        success: true,
+        message: 'No changes',
+        data: group
+      };
+    }
+    
+    const label = changes.title !== undefined
+      ? `Rename group: ${group.title || 'Unnamed'} → ${changes.title || 'Unnamed'}`
+      : `Recolor group: ${group.title || 'Unnamed'}`;
+    const updated = await changeGroupsWithHistory('updateGroup', label, () => updateGroup(group.id, changes));
+    
+    return {
+      success: true,
+      message: 'Group updated',
+      data: updated
+    };
+  } catch (error) {
+    logError(error, { operation: 'updateGroup' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Move every tab of one group into another; the emptied group disappears
+async function handleMergeGroups(data) {
+  try {
+    const source = await findOpenGroup(data?.sourceGroupId);
+    const target = await findOpenGroup(data?.targetGroupId);
+    if (!source || !target) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    if (source.id === target.id) {
+      return {
+        success: false,
+        message: 'Choose two different groups to merge'
+      };
+    }
+    
+    const tabs = await getGroupTabs(source.id);
+    await changeGroupsWithHistory(
+      'mergeGroups',
+      `Merge groups: ${source.title || 'Unnamed'} into ${target.title || 'Unnamed'}`,
+      () => addTabsToGroup(target.id, tabs.map(tab => tab.id))
+    );
+    
+    return {
+      success: true,
+      message: `Moved ${tabs.length} tab(s) from ${source.title || 'the group'} into ${target.title || 'the group'}`,
+      data: { groupId: target.id, tabCount: tabs.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'mergeGroups' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Split a group in two: the given tabs (or the second half of the group) move to a new group
+// with the same color, named data.title or after the original group
+async function handleSplitGroup(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    const tabs = await getGroupTabs(group.id);
+    if (tabs.length < 2) {
+      return {
+        success: false,
+        message: 'A group needs at least two tabs to split'
+      };
+    }
+    
+    const groupTabIds = new Set(tabs.map(tab => tab.id));
+    const tabIds = Array.isArray(data.tabIds) && data.tabIds.length > 0
+      ? data.tabIds.filter(id => groupTabIds.has(id))
+      : tabs.slice(Math.ceil(tabs.length / 2)).map(tab => tab.id);
+    if (tabIds.length === 0 || tabIds.length === tabs.length) {
+      return {
+        success: false,
+        message: 'Choose some, but not all, of the group\'s tabs to split off'
+      };
+    }
+    
+    const title = data.title?.trim() || `${group.title || 'Group'} (2)`;
+    const newGroupId = await changeGroupsWithHistory(
+      'splitGroup',
+      `Split group: ${group.title || 'Unnamed'}`,
+      () => createGroup(title, group.color, tabIds, group.windowId)
+    );
+    
+    return {
+      success: true,
+      message: `Moved ${tabIds.length} tab(s) to ${title}`,
+      data: { groupId: newGroupId, tabCount: tabIds.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'splitGroup' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Ungroup the tabs of one group, leaving them open; the change can be undone
+async function handleUngroupGroup(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    const tabIds = (await getGroupTabs(group.id)).map(tab => tab.id);
+    await changeGroupsWithHistory('ungroupGroup', `Ungroup: ${group.title || 'Unnamed'}`, () => ungroupTabs(tabIds));
+    
+    return {
+      success: true,
+      message: `Ungrouped ${tabIds.length} tab(s)`,
+      data: { tabCount: tabIds.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'ungroupGroup' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Close every tab of a group (closed tabs cannot be restored by undo)
+async function handleCloseGroup(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    const tabIds = (await getGroupTabs(group.id)).map(tab => tab.id);
+    await closeTabs(tabIds);
+    logOperationSuccess('closeGroup', { tabCount: tabIds.length });
+    
+    return {
+      success: true,
+      message: `Closed ${group.title || 'the group'} (${tabIds.length} tab(s))`,
+      data: { tabCount: tabIds.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'closeGroup' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Move a group with its name and color into a new window
+async function handleMoveGroupToNewWindow(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    const windowId = await moveGroupToNewWindow(group.id);
+    
+    return {
+      success: true,
+      message: `Moved ${group.title || 'the group'} to a new window`,
+      data: { windowId }
+    };
+  } catch (error) {
+    logError(error, { operation: 'moveGroupToNewWindow' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Find tabs showing the same page, keeping one copy of each (active, pinned or grouped first)
+// Exact duplicates compare normalized URLs; with data.nearDuplicates the LLM also looks for
+// the same article under different URLs. Protected tabs are never offered for closing
+async function handleFindDuplicates(data) {
+  logOperationStart('findDuplicates', { nearDuplicates: !!data?.nearDuplicates });
+  
+  try {
+    const config = await getConfig();
+    const settings = resolveDuplicateSettings(config?.duplicates);
+    const protection = await loadProtectionSettings();
+    const tabs = await getAllTabs(resolveTabScope(data));
+    const isClosable = tab => !getProtectionReason(tab, protection);
+    
+    // A protected copy (e.g. one playing audio) is the one kept
+    const sets = findDuplicates(tabs, settings)
+      .map(set => {
+        const copies = [set.keep, ...set.duplicates];
+        const keep = copies.find(tab => !isClosable(tab)) || set.keep;
+        return { kind: 'exact', keep, duplicates: copies.filter(tab => tab !== keep && isClosable(tab)) };
+      })
+      .filter(set => set.duplicates.length > 0);
+    
+    if (data?.nearDuplicates) {
+      if (!config || !config.configured) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.NO_CONFIG
+        };
+      }
+      sets.push(...await findNearDuplicateSets(config, tabs, settings, isClosable));
+    }
+    
+    const duplicateCount = sets.reduce((count, set) => count + set.duplicates.length, 0);
+    logOperationSuccess('findDuplicates', { setCount: sets.length, duplicateCount });
+    
+    return {
+      success: true,
+      message: duplicateCount > 0
+        ? `Found ${duplicateCount} duplicate tab(s) of ${sets.length} page(s)`
+        : 'No duplicate tabs found',
+      data: {
+        sets: sets.map(set => ({
+          kind: set.kind,
+          keep: summarizeDuplicateTab(set.keep),
+          duplicates: set.duplicates.map(summarizeDuplicateTab)
+        })),
+        duplicateCount
+      }
+    };
+  } catch (error) {
+    logOperationFailure('findDuplicates', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Ask the LLM which of the remaining tabs show the same content under different URLs
+// Only one tab per normalized URL is sent, protected tabs are never sent, and the privacy
+// settings apply as for grouping
+async function findNearDuplicateSets(config, tabs, settings, isClosable) {
+  const seenKeys = new Set();
+  const candidates = [];
+  for (const tab of [...tabs].sort(compareKeepPreference)) {
+    const key = normalizeUrl(tab.url, settings);
+    if (!key || seenKeys.has(key) || !isClosable(tab)) {
+      continue;
+    }
+    seenKeys.add(key);
+    candidates.push({ id: tab.id, title: tab.title || 'Unknown', url: tab.url });
+  }
+  
+  const llmInput = await prepareLLMTabs(config, candidates.slice(0, MAX_NEAR_DUPLICATE_TABS));
+  if (llmInput.tabs.length < 2) {
+    return [];
+  }
+  
+  const provider = createLLMProvider(config);
+  const indexSets = await callWithRetry(async () => {
+    return await provider.findNearDuplicates(llmInput.tabs);
+  }, config.provider);
+  
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+  return indexSets
+    .map(indices => indices.map(index => tabsById.get(llmInput.tabs[index].id)).sort(compareKeepPreference))
+    .map(([keep, ...duplicates]) => ({ kind: 'near', keep, duplicates }));
+}
+
+// The parts of a duplicate tab the popup shows
+function summarizeDuplicateTab(tab) {
+  return {
+    id: tab.id,
+    title: tab.title || 'Unknown',
+    url: tab.url || '',
+    windowId: tab.windowId,
+    groupId: normalizeGroupId(tab.groupId)
+  };
+}
+
+// Close the duplicate tabs the user confirmed, skipping any that closed or became protected
+// since they were listed (closed tabs cannot be restored by undo)
+async function handleCloseDuplicates(data) {
+  const requested = Array.isArray(data?.tabIds) ? data.tabIds.filter(Number.isInteger) : [];
+  if (requested.length === 0) {
+    return {
+      success: false,
+      message: 'Select the duplicate tabs to close'
+    };
+  }
+  
+  try {
+    const protection = await loadProtectionSettings();
+    const openTabs = new Map((await getAllTabs({ allWindows: true })).map(tab => [tab.id, tab]));
+    const tabIds = requested.filter(tabId => openTabs.has(tabId) && !getProtectionReason(openTabs.get(tabId), protection));
+    
+    await closeTabs(tabIds);
+    logOperationSuccess('closeDuplicates', { tabCount: tabIds.length, skipped: requested.length - tabIds.length });
+    
+    const skipped = requested.length - tabIds.length;
+    return {
+      success: true,
+      message: `Closed ${tabIds.length} duplicate tab(s)${skipped > 0 ? ` (${skipped} skipped: closed or protected)` : ''}`,
+      data: { closedTabIds: tabIds }
+    };
+  } catch (error) {
+    logOperationFailure('closeDuplicates', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Remember when a tab was activated; a failure only makes the tab look used less recently
+async function trackTabActivation(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await recordTabActivity(tab);
+  } catch (error) {
+    logError(error, { operation: 'trackTabActivation' });
+  }
+}
+
+// Match stored tab activity to the open tabs and return it
+async function syncTabActivity() {
+  try {
+    return await reconcileTabActivity(await getAllTabs({ allWindows: true }));
+  } catch (error) {
+    logError(error, { operation: 'syncTabActivity' });
+    return await getTabActivity().catch(() => ({}));
+  }
+}
+
+// List tabs in scope not used for data.days days, least recently used first
+// Protected tabs (pinned, audible...) and the active tab are never listed
+async function handleFindStaleTabs(data) {
+  let days;
+  try {
+    days = validateStaleDays(data?.days);
+  } catch (error) {
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    const activity = await syncTabActivity();
+    const protection = await loadProtectionSettings();
+    const tabs = (await getAllTabs(resolveTabScope(data))).filter(tab => !getProtectionReason(tab, protection));
+    const groupTitles = new Map((await getTabGroups()).map(group => [group.id, group.title || '']));
+    
+    const stale = findStaleTabs(tabs, activity, days).map(({ tab, lastActive }) => ({
+      id: tab.id,
+      title: tab.title || 'Unknown',
+      url: tab.url || '',
+      lastActive,
+      groupName: groupTitles.get(normalizeGroupId(tab.groupId)) || null
+    }));
+    
+    return {
+      success: true,
+      message: stale.length > 0
+        ? `${stale.length} tab(s) unused for ${days} day(s) or more`
+        : `No tabs unused for ${days} day(s) or more`,
+      data: { days, tabs: stale }
+    };
+  } catch (error) {
+    logError(error, { operation: 'findStaleTabs' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Save the confirmed stale tabs to the archive, then close them
+// Tabs that closed, became active or became protected since they were listed are skipped
+async function handleArchiveStaleTabs(data) {
+  const requested = Array.isArray(data?.tabIds) ? data.tabIds.filter(Number.isInteger) : [];
+  if (requested.length === 0) {
+    return {
+      success: false,
+      message: 'Select the tabs to archive'
+    };
+  }
+  
+  // The archive keeps only its newest entries, so a bigger batch would lose closed tabs
+  if (requested.length > MAX_ARCHIVE_ENTRIES) {
+    return {
+      success: false,
+      message: `Archive at most ${MAX_ARCHIVE_ENTRIES} tabs at a time`
+    };
+  }
+  
+  logOperationStart('archiveStaleTabs', { tabCount: requested.length });
+  
+  try {
+    const activity = await syncTabActivity();
+    const protection = await loadProtectionSettings();
+    const openTabsById = new Map((await getAllTabs({ allWindows: true })).map(tab => [tab.id, tab]));
+    const groups = new Map((await getTabGroups()).map(group => [group.id, group]));
+    const tabs = requested
+      .map(tabId => openTabsById.get(tabId))
+      .filter(tab => tab && !tab.active && !getProtectionReason(tab, protection));
+    
+    // Archive first, so a failure to close never loses a tab
+    await archiveTabs(tabs.map(tab => {
+      const group = groups.get(normalizeGroupId(tab.groupId));
+      return {
+        url: tab.url,
+        title: tab.title,
+        groupName: group?.title || null,
+        groupColor: group?.color || null,
+        lastActive: activity[tab.id]?.lastActive ?? tab.lastAccessed ?? null
+      };
+    }));
+    await closeTabs(tabs.map(tab => tab.id));
+    logOperationSuccess('archiveStaleTabs', { tabCount: tabs.length });
+    
+    const skipped = requested.length - tabs.length;
+    return {
+      success: true,
+      message: `Archived and closed ${tabs.length} tab(s)${skipped > 0 ? ` (${skipped} skipped: closed, active or protected)` : ''}`,
+      data: { archivedCount: tabs.length }
+    };
+  } catch (error) {
+    logOperationFailure('archiveStaleTabs', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// List archived tabs, newest first, filtered by data.query
+async function handleGetArchive(data) {
+  try {
+    const archive = await getArchive();
+    return {
+      success: true,
+      data: {
+        entries: searchArchive(archive, data?.query),
+        total: archive.length
+      }
+    };
+  } catch (error) {
+    logError(error, { operation: 'getArchive' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Reopen archived tabs in the current window (or data.windowId) and remove them from the archive
+// Tabs that were in a group go back into an open group with that name, or a new one
+// A tab that fails to open stays in the archive
+async function handleRestoreArchivedTabs(data) {
+  const ids = new Set(Array.isArray(data?.ids) ? data.ids : []);
+  
+  try {
+    const entries = (await getArchive()).filter(entry => ids.has(entry.id));
+    if (entries.length === 0) {
+      return {
+        success: false,
+        message: 'Those tabs are no longer in the archive'
+      };
+    }
+    
+    const restored = [];
+    for (const entry of entries) {
+      try {
+        const [tab] = await openTabs([entry.url], data?.windowId);
+        restored.push({ entry, tab });
+      } catch (error) {
+        logWarning('Could not reopen archived tab', {
+          operation: 'restoreArchivedTabs',
+          metadata: { id: entry.id, error: error.message }
+        });
+      }
+    }
+    if (restored.length === 0) {
+      return {
+        success: false,
+        message: 'The archived tabs could not be reopened'
+      };
+    }
+    
+    await removeArchiveEntries(restored.map(({ entry }) => entry.id));
+    await regroupRestoredTabs(restored);
+    logOperationSuccess('restoreArchivedTabs', { tabCount: restored.length });
+    
+    const failed = entries.length - restored.length;
+    return {
+      success: true,
+      message: `Restored ${restored.length} tab(s)${failed > 0 ? ` (${failed} could not be opened and stay archived)` : ''}`,
+      data: { tabIds: restored.map(({ tab }) => tab.id) }
+    };
+  } catch (error) {
+    logOperationFailure('restoreArchivedTabs', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Put restored tabs ({ entry, tab } pairs) back into groups named like the ones they were
+// archived from; the tabs are already open, so a grouping failure is only logged
+async function regroupRestoredTabs(restored) {
+  const byGroup = new Map();
+  restored.forEach(({ entry, tab }) => {
+    if (!entry.groupName) {
+      return;
+    }
+    if (!byGroup.has(entry.groupName)) {
+      byGroup.set(entry.groupName, { color: entry.groupColor, tabIds: [], windowId: tab.windowId });
+    }
+    byGroup.get(entry.groupName).tabIds.push(tab.id);
+  });
+  
+  for (const [name, { color, tabIds, windowId }] of byGroup) {
+    try {
+      const existing = (await getTabGroups(windowId))
+        .find(group => normalizeGroupTitle(group.title) === normalizeGroupTitle(name));
+      if (existing) {
+        await addTabsToGroup(existing.id, tabIds);
+      } else {
+        await createGroup(name, CHROME_COLORS.includes(color) ? color : 'grey', tabIds, windowId);
+      }
+    } catch (error) {
+      logWarning('Could not regroup restored tabs', {
+        operation: 'restoreArchivedTabs',
+        metadata: { group: name, error: error.message }
+      });
+    }
+  }
+}
+
+// Remove entries from the archive without reopening them
+async function handleDeleteArchivedTabs(data) {
+  try {
+    const removed = await removeArchiveEntries(Array.isArray(data?.ids) ? data.ids : []);
+    return {
+      success: true,
+      message: `Deleted ${removed.length} archived tab(s)`,
+      data: { deletedCount: removed.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'deleteArchivedTabs' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// List the saved sessions, newest first, without their tabs
+async function handleListSessions() {
+  try {
+    return {
+      success: true,
+      data: (await getSessions()).map(summarizeSession)
+    };
+  } catch (error) {
+    logError(error, { operation: 'listSessions' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Save the tabs and groups in scope (the current window by default) as a named session
+async function handleSaveSession(data) {
+  let name;
+  try {
+    name = validateSessionName(data?.name, await getSessions());
+  } catch (error) {
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    const state = await captureTabState(resolveTabScope(data));
+    if (!state) {
+      throw new Error('Could not read the open tabs');
+    }
+    
+    const session = await addSession(name, buildSessionSnapshot(state));
+    const summary = summarizeSession(session);
+    logOperationSuccess('saveSession', { tabCount: summary.tabCount, groupCount: summary.groupCount });
+    
+    return {
+      success: true,
+      message: `Saved ${name} (${summary.tabCount} tab(s), ${summary.groupCount} group(s))`,
+      data: summary
+    };
+  } catch (error) {
+    logOperationFailure('saveSession', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Open a session snapshot ({ tabs, groups }) in a new window and recreate its groups
+// The tabs are already open when groups are created, so a group failure is only logged
+async function openSnapshotWindow(snapshot, operation) {
+  const window = await openWindow(snapshot.tabs);
+  const createdTabs = window.tabs || [];
+  
+  let groupsRestored = 0;
+  for (const [position, group] of snapshot.groups.entries()) {
+    const tabIds = snapshot.tabs
+      .map((tab, index) => (tab.group === position ? createdTabs[index]?.id : undefined))
+      .filter(tabId => tabId !== undefined);
+    if (tabIds.length === 0) {
+      continue;
+    }
+    
+    try {
+      const groupId = await createGroup(group.title, group.color, tabIds, window.id);
+      if (group.collapsed) {
+        await setGroupsCollapsed([groupId], true);
+      }
+      groupsRestored++;
+    } catch (error) {
+      logWarning('Could not recreate a session group', {
+        operation,
+        metadata: { group: group.title, error: error.message }
+      });
+    }
+  }
+  logOperationSuccess(operation, { tabCount: createdTabs.length, groupsRestored });
+  
+  return { windowId: window.id, tabCount: createdTabs.length, groupsRestored };
+}
+
+// Reopen a saved session in a new window and recreate its groups
+async function handleRestoreSession(data) {
+  try {
+    const session = (await getSessions()).find(existing => existing.id === data?.id);
+    if (!session) {
+      return {
+        success: false,
+        message: 'That session no longer exists'
+      };
+    }
+    
+    logOperationStart('restoreSession', { tabCount: session.tabs.length });
+    const opened = await openSnapshotWindow(session, 'restoreSession');
+    
+    return {
+      success: true,
+      message: `Opened ${session.name} in a new window (${opened.tabCount} tab(s), ${opened.groupsRestored} group(s))`,
+      data: { windowId: opened.windowId }
+    };
+  } catch (error) {
+    logOperationFailure('restoreSession', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Rename a saved session; names stay unique
+async function handleRenameSession(data) {
+  try {
+    validateSessionName(data?.name, await getSessions(), data?.id);
+  } catch (error) {
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    const session = await renameSession(data.id, data.name);
+    return {
+      success: true,
+      message: `Renamed session to ${session.name}`,
+      data: summarizeSession(session)
+    };
+  } catch (error) {
+    logError(error, { operation: 'renameSession' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Delete a saved session (its tabs are not affected)
+async function handleDeleteSession(data) {
+  try {
+    const deleted = await deleteSession(data?.id);
+    return {
+      success: deleted,
+      message: deleted ? 'Session deleted' : 'That session no longer exists'
+    };
+  } catch (error) {
+    logError(error, { operation: 'deleteSession' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Export a saved session, or the tabs in scope (the current window by default), as
+// JSON, Markdown, Netscape bookmark HTML or OneTab text
+async function handleExportTabs(data) {
+  try {
+    let snapshot;
+    if (data?.sessionId) {
+      snapshot = (await getSessions()).find(session => session.id === data.sessionId);
+      if (!snapshot) {
+        return {
+          success: false,
+          message: 'That session no longer exists'
+        };
+      }
+    } else {
+      const state = await captureTabState(resolveTabScope(data));
+      if (!state) {
+        throw new Error('Could not read the open tabs');
+      }
+      snapshot = {
+        name: `Tabs ${new Date().toISOString().slice(0, 10)}`,
+        ...buildSessionSnapshot(state)
+      };
+    }
+    
+    let exported;
+    try {
+      exported = exportSnapshot(snapshot, data?.format);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+    
+    return {
+      success: true,
+      message: `Exported ${snapshot.tabs.length} tab(s)`,
+      data: exported
+    };
+  } catch (error) {
+    logError(error, { operation: 'exportTabs' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Open tabs from pasted or uploaded JSON export or OneTab text in a new window, with their groups
+async function handleImportTabs(data) {
+  let imported;
+  try {
+    imported = parseSessionImport(data?.text);
+  } catch (error) {
+    logWarning('Tab import failed', {
+      operation: 'importTabs',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    logOperationStart('importTabs', { tabCount: imported.tabs.length });
+    const opened = await openSnapshotWindow(imported, 'importTabs');
+    const skipped = imported.skipped > 0 ? `; skipped ${imported.skipped} link(s) that are not web pages` : '';
+    
+    return {
+      success: true,
+      message: `Opened ${opened.tabCount} tab(s) in a new window (${opened.groupsRestored} group(s))${skipped}`,
+      data: { windowId: opened.windowId }
+    };
+  } catch (error) {
+    logOperationFailure('importTabs', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Run a keyboard shortcut through the popup's message routing, showing progress and the
+// result on the action icon badge (the result message is the icon's tooltip)
+async function handleCommand(command) {
+  const message = COMMAND_MESSAGES[command];
+  if (!message) {
+    logWarning('Unknown command', { operation: 'command', metadata: { command } });
+    return null;
+  }
+  
+  logOperationStart('command', { command });
+  return await runWithBadge(message);
+}
+
+// Run a message through handleMessage with progress and the result on the action icon badge
+async function runWithBadge(message) {
+  await showActionBadge('running', 'Working...');
+  
+  let response;
+  try {
+    response = await handleMessage(message);
+  } catch (error) {
+    logError(error, { operation: 'runWithBadge', metadata: { action: message.action } });
+    response = {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+  
+  await showActionBadge(response?.success ? 'success' : 'failure', response?.message);
+  return response;
+}
+
+// Show a badge state; finished states are cleared after a few seconds
+async function showActionBadge(state, title) {
+  const badge = ACTION_BADGES[state];
+  clearTimeout(badgeClearTimer);
+  
+  try {
+    await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+    await chrome.action.setBadgeText({ text: badge.text });
+    await chrome.action.setTitle({ title: title ? `Clutterless: ${title}` : 'Clutterless' });
+  } catch (error) {
+    logError(error, { operation: 'showActionBadge' });
+    return;
+  }
+  
+  if (state !== 'running') {
+    badgeClearTimer = setTimeout(() => {
+      chrome.action.setBadgeText({ text: '' }).catch(() => {});
+      chrome.action.setTitle({ title: 'Clutterless' }).catch(() => {});
+    }, BADGE_CLEAR_DELAY_MS);
+  }
+}
+
+// Rebuild the context menus shortly after the last change, one rebuild at a time
+function scheduleMenuRebuild() {
+  clearTimeout(menuRebuildTimer);
+  menuRebuildTimer = setTimeout(() => {
+    menuRebuild = menuRebuild.then(buildContextMenus);
+  }, MENU_REBUILD_DELAY_MS);
+}
+
+// Create the context menu entries, listing the open groups under "Move to group"
+async function buildContextMenus() {
+  try {
+    const groups = (await getTabGroups())
+      .sort((a, b) => a.windowId - b.windowId || (a.title || '').localeCompare(b.title || ''))
+      .slice(0, MAX_MENU_GROUPS);
+    
+    await chrome.contextMenus.removeAll();
+    createMenuItem({ id: MENU_IDS.GROUP_SIMILAR, title: 'Group similar tabs to this one' });
+    createMenuItem({ id: MENU_IDS.GROUP_SELECTED, title: 'Group selected tabs with AI' });
+    createMenuItem({ id: MENU_IDS.MOVE_TO_GROUP, title: 'Move this tab to group' });
+    
+    for (const group of groups) {
+      createMenuItem({
+        id: `${MOVE_TO_GROUP_PREFIX}${group.id}`,
+        parentId: MENU_IDS.MOVE_TO_GROUP,
+        title: group.title || `Unnamed ${group.color || ''} group`.replace('  ', ' ')
+      });
+    }
+    if (groups.length === 0) {
+      createMenuItem({
+        id: `${MOVE_TO_GROUP_PREFIX}none`,
+        parentId: MENU_IDS.MOVE_TO_GROUP,
+        title: 'No groups yet',
+        enabled: false
+      });
+    }
+    
+    createMenuItem({ id: MENU_IDS.EXCLUDE_DOMAIN, title: 'Exclude this domain from grouping' });
+  } catch (error) {
+    logError(error, { operation: 'buildContextMenus' });
+  }
+}
+
+// Create one context menu entry, logging (rather than throwing) creation errors
+function createMenuItem(properties) {
+  chrome.contextMenus.create({ contexts: MENU_CONTEXTS, ...properties }, () => {
+    if (chrome.runtime.lastError) {
+      logWarning('Could not create context menu entry', {
+        operation: 'buildContextMenus',
+        metadata: { id: properties.id, error: chrome.runtime.lastError.message }
+      });
+    }
+  });
+}
+
+// Turn a context menu click into a handleMessage call, with the result on the badge
+async function handleMenuClick(info, tab) {
+  const menuItemId = String(info?.menuItemId || '');
+  let message = null;
+  
+  if (!tab) {
+    return null;
+  } else if (menuItemId === MENU_IDS.GROUP_SIMILAR) {
+    message = { action: 'groupSimilarTabs', data: { tabId: tab.id, windowId: tab.windowId } };
+  } else if (menuItemId === MENU_IDS.GROUP_SELECTED) {
+    message = { action: 'groupSelectedTabs', data: { windowId: tab.windowId } };
+  } else if (menuItemId === MENU_IDS.EXCLUDE_DOMAIN) {
+    message = { action: 'excludeDomain', data: { url: tab.url } };
+  } else if (menuItemId.startsWith(MOVE_TO_GROUP_PREFIX)) {
+    const groupId = Number(menuItemId.slice(MOVE_TO_GROUP_PREFIX.length));
+    if (Number.isInteger(groupId)) {
+      message = { action: 'moveTabsToGroup', data: { groupId, tabId: tab.id, windowId: tab.windowId } };
+    }
+  }
+  
+  if (!message) {
+    return null;
+  }
+  
+  logOperationStart('contextMenu', { menuItemId });
+  return await runWithBadge(message);
+}
+
+// Group the ungrouped tabs in a window that are about the same thing as one tab
+// If that tab is already in a group, the similar tabs join its group
+async function handleGroupSimilarTabs(data) {
+  logOperationStart('groupSimilarTabs');
+  
+  try {
+    const scope = { windowId: data?.windowId };
+    const allMetadata = await collectTabMetadata(scope, await loadProtectionSettings());
+    const anchor = allMetadata.find(tab => tab.id === data?.tabId);
+    if (!anchor) {
+      return {
+        success: false,
+        message: 'This tab is protected from grouping (see Privacy in the popup) or no longer open'
+      };
+    }
+    
+    const candidates = [anchor, ...allMetadata.filter(tab => tab.id !== anchor.id && tab.groupId === null)];
+    if (candidates.length < 2) {
+      return {
+        success: false,
+        message: 'No ungrouped tabs to compare with this one'
+      };
+    }
+    
+    const config = await getConfig();
+    if (!config || !config.configured) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NO_CONFIG
+      };
+    }
+    
+    // The prompt names the tab, so an excluded one would leak through it
+    if (getPrivacyAction(anchor, config.privacy) === 'exclude') {
+      return {
+        success: false,
+        message: 'This tab is excluded by your privacy settings and is never sent to the AI'
+      };
+    }
+    
+    const anchorGroup = anchor.groupId !== null
+      ? (await getTabGroups(anchor.windowId)).find(group => group.id === anchor.groupId)
+      : null;
+    // Name the tab as the LLM sees it, redacted or stripped like the tab list
+    const anchorTitle = applyPrivacyFilter([anchor], config.privacy).tabs[0].title;
+    const prompt = `Make one group of the tab titled "${anchorTitle}" and the other tabs about the same topic or task. Leave unrelated tabs out of it.`;
+    const groupingResult = await generateGrouping(
+      config,
+      candidates,
+      prompt,
+      { knownGroups: getKnownGroupNames(await loadGroupRegistry()) }
+    );
+    
+    const similar = groupingResult.groups.find(group => group.tabIds.includes(anchor.id));
+    if (!similar || similar.tabIds.length < 2) {
+      return {
+        success: false,
+        message: 'No similar tabs found'
+      };
+    }
+    
+    const name = anchorGroup?.title || similar.name;
+    await applyGrouping({ groups: [{ ...similar, name }] }, {
+      operation: 'groupSimilarTabs',
+      label: `Group similar tabs: ${name}`,
+      mergeIntoExisting: !!anchorGroup,
+      scope
+    });
+    logOperationSuccess('groupSimilarTabs', { tabCount: similar.tabIds.length });
+    
+    return {
+      success: true,
+      message: `Grouped ${similar.tabIds.length} similar tab(s) in ${name}`,
+      data: { groupName: name, tabIds: similar.tabIds }
+    };
+  } catch (error) {
+    logOperationFailure('groupSimilarTabs', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Group only the selected (highlighted) tabs of a window, reusing existing groups where they fit
+async function handleGroupSelectedTabs(data) {
+  logOperationStart('groupSelectedTabs');
+  
+  try {
+    const selected = await getHighlightedTabs(data?.windowId);
+    if (selected.length < 2) {
+      return {
+        success: false,
+        message: 'Select at least two tabs (Ctrl/Cmd+click their tabs) to group them'
+      };
+    }
+    
+    const config = await getConfig();
+    if (!config || !config.configured) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NO_CONFIG
+      };
+    }
+    
+    const scope = { windowId: data.windowId };
+    const selectedIds = new Set(selected.map(tab => tab.id));
+    const metadata = (await collectTabMetadata(scope, await loadProtectionSettings()))
+      .filter(tab => selectedIds.has(tab.id));
+    if (metadata.length === 0) {
+      return {
+        success: false,
+        message: 'The selected tabs are all protected from grouping'
+      };
+    }
+    const existingGroups = await getTabGroups(data.windowId);
+    
+    const groupingResult = await generateGrouping(config, metadata, '', {
+      existingGroups: [...new Set(existingGroups.map(group => group.title).filter(Boolean))],
+      knownGroups: getKnownGroupNames(await loadGroupRegistry())
+    });
+    
+    const result = await applyGrouping(groupingResult, {
+      operation: 'groupSelectedTabs',
+      label: 'Group selected tabs',
+      mergeIntoExisting: true,
+      scope
+    });
+    logOperationSuccess('groupSelectedTabs', {
+      groupsCreated: result.groupsCreated,
+      groupsExtended: result.groupsExtended
+    });
+    
+    return {
+      success: true,
+      message: `Created ${result.groupsCreated} group(s)${describeExtendedGroups(result)}`,
+      data: {
+        groupsCreated: result.groupsCreated,
+        groupsExtended: result.groupsExtended
+      }
+    };
+  } catch (error) {
+    logOperationFailure('groupSelectedTabs', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Move a tab (or every selected tab, when it is one of them) into an existing group
+// The move is remembered in the domain map, so later tabs from the same site follow it
+async function handleMoveTabsToGroup(data) {
+  try {
+    const group = await findOpenGroup(data?.groupId);
+    if (!group) {
+      return {
+        success: false,
+        message: 'That group is no longer open'
+      };
+    }
+    
+    // The clicked tab is read in full, so its domain is learned and its protection checked
+    const selected = await getHighlightedTabs(data.windowId);
+    const protection = await loadProtectionSettings();
+    const tabs = (selected.some(tab => tab.id === data.tabId) ? selected : [await chrome.tabs.get(data.tabId)])
+      .filter(tab => !getProtectionReason(tab, protection));
+    if (tabs.length === 0) {
+      return {
+        success: false,
+        message: 'This tab is protected from grouping (see Privacy in the popup)'
+      };
+    }
+    
+    await addTabsToGroup(group.id, tabs.map(tab => tab.id));
+    await rememberDomainGroups([{ name: group.title, urls: tabs.map(tab => tab.url) }]);
+    
+    return {
+      success: true,
+      message: `Moved ${tabs.length} tab(s) to ${group.title || 'the group'}`,
+      data: { groupId: group.id, tabCount: tabs.length }
+    };
+  } catch (error) {
+    logError(error, { operation: 'moveTabsToGroup' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Add an exclude pattern for a page's domain to the privacy settings, so its tabs are
+// never sent to the LLM and stay ungrouped
+async function handleExcludeDomain(data) {
+  const domain = getDomainKey(data?.url);
+  if (!domain) {
+    return {
+      success: false,
+      message: 'This page has no domain to exclude'
+    };
+  }
+  
+  const config = await getConfig();
+  const privacy = resolvePrivacySettings(config?.privacy);
+  const alreadyExcluded = privacy.patterns.some(entry =>
+    entry.action === 'exclude' && entry.matchType === 'domain' && entry.pattern.toLowerCase() === domain);
+  if (alreadyExcluded) {
+    return {
+      success: true,
+      message: `${domain} is already excluded`,
+      data: privacy
+    };
+  }
+  
+  const response = await handleSavePrivacySettings({
+    ...privacy,
+    patterns: [...privacy.patterns, { action: 'exclude', matchType: 'domain', pattern: domain }]
+  });
+  
+  return response.success
+    ? { ...response, message: `${domain} will no longer be grouped or sent to the AI` }
+    : response;
+}
+
+// Get the grouping rules stored in the configuration
+async function handleGetRules() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: Array.isArray(config?.rules) ? config.rules : []
+    };
+  } catch (error) {
+    logError(error, { operation: 'getRules' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the full list of grouping rules
+async function handleSaveRules(data) {
+  logOperationStart('saveRules', { ruleCount: data?.rules?.length });
+  
+  let rules;
+  try {
+    rules = validateRules(data?.rules);
+  } catch (error) {
+    logWarning('Rule validation failed', {
+      operation: 'saveRules',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ rules });
+    logOperationSuccess('saveRules', { ruleCount: rules.length });
+    
+    return {
+      success: true,
+      message: `Saved ${rules.length} rule(s)`,
+      data: rules
+    };
+  } catch (error) {
+    logOperationFailure('saveRules', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Get the saved prompt presets
+async function handleGetPresets() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: Array.isArray(config?.promptPresets) ? config.promptPresets : []
+    };
+  } catch (error) {
+    logError(error, { operation: 'getPresets' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the full list of prompt presets
+async function handleSavePresets(data) {
+  logOperationStart('savePresets', { presetCount: data?.presets?.length });
+  
+  let promptPresets;
+  try {
+    promptPresets = validatePresets(data?.presets);
+  } catch (error) {
+    logWarning('Preset validation failed', {
+      operation: 'savePresets',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ promptPresets });
+    logOperationSuccess('savePresets', { presetCount: promptPresets.length });
+    
+    return {
+      success: true,
+      message: `Saved ${promptPresets.length} preset(s)`,
+      data: promptPresets
+    };
+  } catch (error) {
+    logOperationFailure('savePresets', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Serialize the saved presets as a JSON file the popup can download
+async function handleExportPresets() {
+  const response = await handleGetPresets();
+  if (!response.success) {
+    return response;
+  }
+  
+  return {
+    success: true,
+    message: `Exported ${response.data.length} preset(s)`,
+    data: { json: exportPresets(response.data) }
+  };
+}
+
+// Merge presets from an exported JSON file into the saved ones (same name = updated prompt)
+async function handleImportPresets(data) {
+  let imported;
+  try {
+    imported = parsePresetImport(data?.text);
+  } catch (error) {
+    logWarning('Preset import failed', {
+      operation: 'importPresets',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  const current = await handleGetPresets();
+  if (!current.success) {
+    return current;
+  }
+  
+  const merged = mergePresets(current.data, imported);
+  const response = await handleSavePresets({ presets: merged.presets });
+  
+  return response.success
+    ? { ...response, message: `Imported ${merged.added} new and updated ${merged.updated} existing preset(s)` }
+    : response;
+}
+
+// Run a preset's prompt as a custom grouping, chosen by id (popup) or shortcut slot (keyboard)
+// Grouping options come from the popup; shortcuts group the current window
+async function handleRunPreset(data) {
+  const config = await getConfig();
+  const presets = Array.isArray(config?.promptPresets) ? config.promptPresets : [];
+  const preset = data?.id
+    ? presets.find(candidate => candidate.id === data.id)
+    : findPresetForShortcut(presets, data?.shortcut);
+  
+  if (!preset) {
+    return {
+      success: false,
+      message: data?.id
+        ? 'Preset not found'
+        : `No preset is assigned to shortcut ${data?.shortcut}. Assign one in Prompt Presets in the popup.`
+    };
+  }
+  
+  logOperationStart('runPreset', { preset: preset.name });
+  return await handleCustomGroup(preset.prompt, data);
+}
+
+// Get the tab protection policies, with defaults filled in
+async function handleGetProtectionSettings() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: resolveProtectionSettings(config?.protection)
+    };
+  } catch (error) {
+    logError(error, { operation: 'getProtectionSettings' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the tab protection policies
+async function handleSaveProtectionSettings(data) {
+  let protection;
+  try {
+    protection = validateProtectionSettings(data);
+  } catch (error) {
+    logWarning('Protection settings validation failed', {
+      operation: 'saveProtectionSettings',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ protection });
+    logOperationSuccess('saveProtectionSettings', protection);
+    
+    return {
+      success: true,
+      message: 'Tab protection saved',
+      data: protection
+    };
+  } catch (error) {
+    logOperationFailure('saveProtectionSettings', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Get the duplicate detection settings, with defaults filled in
+async function handleGetDuplicateSettings() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: resolveDuplicateSettings(config?.duplicates)
+    };
+  } catch (error) {
+    logError(error, { operation: 'getDuplicateSettings' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the duplicate detection settings
+async function handleSaveDuplicateSettings(data) {
+  let duplicates;
+  try {
+    duplicates = validateDuplicateSettings(data);
+  } catch (error) {
+    logWarning('Duplicate settings validation failed', {
+      operation: 'saveDuplicateSettings',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ duplicates });
+    logOperationSuccess('saveDuplicateSettings', { domainRuleCount: duplicates.domainRules.length });
+    
+    return {
+      success: true,
+      message: 'Duplicate settings saved',
+      data: duplicates
+    };
+  } catch (error) {
+    logOperationFailure('saveDuplicateSettings', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Get the privacy settings (exclude/redact patterns and stripping), with defaults filled in
+async function handleGetPrivacySettings() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: resolvePrivacySettings(config?.privacy)
+    };
+  } catch (error) {
+    logError(error, { operation: 'getPrivacySettings' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the privacy settings
+async function handleSavePrivacySettings(data) {
+  logOperationStart('savePrivacySettings', { patternCount: data?.patterns?.length });
+  
+  let privacy;
+  try {
+    privacy = validatePrivacySettings(data);
+  } catch (error) {
+    logWarning('Privacy settings validation failed', {
+      operation: 'savePrivacySettings',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ privacy });
+    logOperationSuccess('savePrivacySettings', { patternCount: privacy.patterns.length });
+    
+    return {
+      success: true,
+      message: 'Privacy settings saved',
+      data: privacy
+    };
+  } catch (error) {
+    logOperationFailure('savePrivacySettings', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Show exactly what a grouping run would send to the LLM, without sending anything
+// Takes the same options as the grouping actions; tabs matched by rules are not sent
+async function handlePreviewRequest(prompt, options = {}) {
+  try {
+    const config = await getConfig();
+    if (!config || !config.configured) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NO_CONFIG
+      };
+    }
+    
+    const input = await prepareGroupingInput(options);
+    const ruleResult = applyRules(input.metadata, config.rules);
+    const llmInput = await prepareLLMTabs(config, ruleResult.remainingTabs, options);
+    const provider = createLLMProvider(config);
+    
+    return {
+      success: true,
+      data: {
+        provider: config.provider,
+        model: config.model || getDefaultModel(config.provider),
+        systemPrompt: provider.buildSystemPrompt(prompt ? prompt.trim() : '', input.promptOptions),
+        tabData: llmInput.tabs.length > 0 ? provider.formatTabMetadata(llmInput.tabs) : '',
+        tabCount: llmInput.tabs.length,
+        ruleTabCount: input.metadata.length - ruleResult.remainingTabs.length,
+        redactedCount: llmInput.redactedCount,
+        excludedTabs: llmInput.excluded.map(tab => ({ id: tab.id, title: tab.title, url: tab.url }))
+      }
+    };
+  } catch (error) {
+    logError(error, { operation: 'previewRequest' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Get the automation settings with today's usage and the last automatic run
+async function handleGetAutomationSettings() {
+  try {
+    const config = await getConfig();
+    return {
+      success: true,
+      data: {
+        settings: resolveAutomationSettings(config?.automation),
+        status: await getAutomationState()
+      }
+    };
+  } catch (error) {
+    logError(error, { operation: 'getAutomationSettings' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Validate and store the automation settings, then update the alarms to match
+async function handleSaveAutomationSettings(data) {
+  logOperationStart('saveAutomationSettings', { enabled: !!data?.enabled });
+  
+  let automation;
+  try {
+    automation = validateAutomationSettings(data);
+  } catch (error) {
+    logWarning('Automation settings validation failed', {
+      operation: 'saveAutomationSettings',
+      metadata: { error: error.message }
+    });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+  
+  try {
+    await updateConfig({ automation });
+    await syncAutomationAlarms(automation);
+    logOperationSuccess('saveAutomationSettings', { enabled: automation.enabled });
+    
+    return {
+      success: true,
+      message: automation.enabled ? 'Automatic grouping is on' : 'Automatic grouping is off',
+      data: automation
+    };
+  } catch (error) {
+    logOperationFailure('saveAutomationSettings', error);
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Create or clear the repeating alarm so it matches the automation settings
+// Reads the stored settings when none are given; an unchanged schedule is left running
+async function syncAutomationAlarms(settings) {
+  try {
+    const automation = settings || resolveAutomationSettings((await getConfig())?.automation);
+    
+    if (!automation.enabled) {
+      await chrome.alarms.clear(AUTOMATION_ALARMS.THRESHOLD_CHECK);
+    }
+    
+    if (!automation.enabled || automation.intervalMinutes === 0) {
+      await chrome.alarms.clear(AUTOMATION_ALARMS.INTERVAL);
+      return;
+    }
+    
+    const existing = await chrome.alarms.get(AUTOMATION_ALARMS.INTERVAL);
+    if (existing?.periodInMinutes !== automation.intervalMinutes) {
+      await chrome.alarms.create(AUTOMATION_ALARMS.INTERVAL, {
+        delayInMinutes: automation.intervalMinutes,
+        periodInMinutes: automation.intervalMinutes
+      });
+    }
+  } catch (error) {
+    logError(error, { operation: 'syncAutomationAlarms' });
+  }
+}
+
+// Debounce tab activity: each event pushes the threshold check back by the debounce delay
+async function scheduleAutomationCheck() {
+  try {
+    const config = await getConfig();
+    const automation = resolveAutomationSettings(config?.automation);
+    if (!automation.enabled || automation.tabThreshold === 0) {
+      return;
+    }
+    
+    await chrome.alarms.create(AUTOMATION_ALARMS.THRESHOLD_CHECK, {
+      delayInMinutes: automation.debounceSeconds / 60
+    });
+  } catch (error) {
+    logError(error, { operation: 'scheduleAutomationCheck' });
+  }
+}
+
+// List the sorted IDs of ungrouped tabs in all windows that an automatic run would send
+// to the LLM (protected and privacy-excluded tabs never are)
+async function listAutomationCandidates(config) {
+  const tabs = await getAllTabs({ allWindows: true });
+  return splitProtectedTabs(tabs, resolveProtectionSettings(config.protection)).allowed
+    .filter(tab => normalizeGroupId(tab.groupId) === null && getPrivacyAction(tab, config.privacy) !== 'exclude')
+    .map(tab => tab.id)
+    .sort((a, b) => a - b);
+}
+
+// Run incremental grouping across all windows if automation allows it right now
+// trigger: 'threshold' (enough ungrouped tabs after tab activity) or 'interval' (schedule)
+// Returns { ran, reason, result }; only runs that reach the grouping step count against the budget
+async function runAutomation(trigger) {
+  if (automationRunning) {
+    return { ran: false, reason: 'already_running' };
   }
   
+  automationRunning = true;
   try {
-    logWarning('Attempting to restore original tab state after failure', {
-      operation: 'restoreTabState',
-      metadata: { 
-        tabCount: savedState.tabs.length,
-        groupCount: savedState.groups?.length || 0,
-        stateAge: Date.now() - savedState.timestamp
-      }
-    });
+    const config = await getConfig();
+    if (!config || !config.configured) {
+      return { ran: false, reason: 'not_configured' };
+    }
     
-    // Get current tabs to see what changed
-    const currentTabs = await getAllTabs();
-    const currentTabIds = new Set(currentTabs.map(t => t.id));
+    const automation = resolveAutomationSettings(config.automation);
+    const state = await getAutomationState();
+    const check = checkAutomationRun(automation, state);
+    if (!check.allowed) {
+      return { ran: false, reason: check.reason };
+    }
     
-    // Track restoration progress
-    let tabsRestored = 0;
-    let tabsFailed = 0;
+    const ungroupedTabIds = await listAutomationCandidates(config);
+    const ungroupedCount = ungroupedTabIds.length;
+    const needed = trigger === 'threshold' ? automation.tabThreshold : 1;
+    if (ungroupedCount === 0 || ungroupedCount < needed) {
+      return { ran: false, reason: 'below_threshold' };
+    }
     
-    // Restore each tab to its original group (or ungroup it)
-    for (const savedTab of savedState.tabs) {
-      // Skip if tab no longer exists
-      if (!currentTabIds.has(savedTab.id)) {
-        continue;
-      }
-      
-      try {
-        const currentTab = currentTabs.find(t => t.id === savedTab.id);
-        
-        // If tab was ungrouped originally and is now grouped, ungroup it
-        if (savedTab.groupId === null && currentTab.groupId !== null) {
-          await chrome.tabs.ungroup(savedTab.id);
-          tabsRestored++;
-        }
-        // Note: Re-grouping tabs to their original groups is complex because
-        // we would need to recreate the original groups with the same properties
-        // For now, we focus on ungrouping tabs that shouldn't be grouped
-      } catch (error) {
-        tabsFailed++;
-        logError(error, {
-          operation: 'restoreTabState',
-          metadata: { tabId: savedTab.id, tabTitle: savedTab.title }
-        });
-      }
+    // The last run already saw these exact tabs; running again would spend budget for nothing
+    if (state.lastUngroupedTabIds && state.lastUngroupedTabIds.join(',') === ungroupedTabIds.join(',')) {
+      return { ran: false, reason: 'unchanged' };
     }
     
-    logWarning(`Tab state restoration completed: ${tabsRestored} restored, ${tabsFailed} failed`, {
-      operation: 'restoreTabState',
-      metadata: { tabsRestored, tabsFailed }
+    logOperationStart('automation', { trigger, ungroupedCount });
+    const result = await handleAutoGroup({ incremental: true, scope: 'all', automated: true });
+    await recordAutomationRun({
+      trigger,
+      success: result.success,
+      message: result.message,
+      ungroupedTabIds: await listAutomationCandidates(config)
     });
     
-    return tabsRestored > 0 || tabsFailed === 0;
+    return { ran: true, reason: null, result };
   } catch (error) {
-    logError(error, { operation: 'restoreTabState' });
-    return false;
+    logOperationFailure('automation', error, { trigger });
+    return { ran: false, reason: 'error' };
+  } finally {
+    automationRunning = false;
   }
 }
 
-// Apply grouping results to tabs with graceful degradation
-async function applyGrouping(groupingResult) {
-  // Capture current state before making changes (error recovery)
-  const savedState = await captureTabState();
+// Place one newly loaded tab into an existing group in its window
+// Rules and the domain map are tried first; the LLM is asked only when neither knows the tab,
+// and those calls count against the automation budget. Single-tab moves are not added to
+// the undo history. Returns { placed, reason, groupId, source }
+async function classifyNewTab(tab) {
+  // New tab pages load before the user navigates, so the tab stays pending until it has a web page
+  if (!tab || !getDomainKey(tab.url)) {
+    return { placed: false, reason: 'not_web_page' };
+  }
+  pendingNewTabs.delete(tab.id);
   
   try {
-    if (!groupingResult || !groupingResult.groups || groupingResult.groups.length === 0) {
-      throw new Error('No groups returned from LLM');
+    if (normalizeGroupId(tab.groupId) !== null) {
+      return { placed: false, reason: 'not_eligible' };
     }
     
-    const groups = groupingResult.groups;
-    let groupsCreated = 0;
-    const groupNames = [];
-    let colorIndex = 0;
-    let failedGroups = 0;
-    const failedGroupDetails = [];
-    
-    // Get all tabs to map indices to tab IDs
-    const allTabs = await getAllTabs();
-    const tabIndexMap = new Map();
-    allTabs.forEach(tab => {
-      tabIndexMap.set(tab.index, tab.id);
-    });
+    const config = await getConfig();
+    if (getProtectionReason(tab, resolveProtectionSettings(config?.protection))) {
+      return { placed: false, reason: 'protected' };
+    }
+    const automation = resolveAutomationSettings(config?.automation);
+    if (!automation.enabled || !automation.classifyNewTabs) {
+      return { placed: false, reason: 'disabled' };
+    }
+    if (isQuietTime(automation.quietHours)) {
+      return { placed: false, reason: 'quiet_hours' };
+    }
     
-    // Create each group with individual error handling (graceful degradation)
-    for (const group of groups) {
-      try {
-        // Skip empty groups
-        if (!group.tabIndices || group.tabIndices.length === 0) {
-          logWarning('Skipping empty group', {
-            operation: 'applyGrouping',
-            metadata: { groupName: group.name }
-          });
-          continue;
-        }
-        
-        // Map tab indices to tab IDs
-        const tabIds = group.tabIndices
-          .map(index => tabIndexMap.get(index))
-          .filter(id => id !== undefined);
-        
-        if (tabIds.length === 0) {
-          logWarning('No valid tabs found for group', {
-            operation: 'applyGrouping',
-            metadata: { groupName: group.name, requestedIndices: group.tabIndices }
-          });
-          continue;
-        }
-        
-        // Assign color (cycle through available colors)
-        const color = CHROME_COLORS[colorIndex % CHROME_COLORS.length];
-        colorIndex++;
-        
-        // Create the group with retry for transient failures
-        await retryGroupCreation(group.name, color, tabIds);
-        groupsCreated++;
-        groupNames.push(group.name);
-        
-        logOperationSuccess('createGroup', {
-          groupName: group.name,
-          tabCount: tabIds.length
-        });
-      } catch (error) {
-        // Continue with other groups even if one fails (graceful degradation)
-        failedGroups++;
-        failedGroupDetails.push({
-          name: group.name,
-          error: error.message,
-          tabCount: group.tabIndices?.length
-        });
-        
-        logError(error, {
-          operation: 'applyGrouping',
-          metadata: { groupName: group.name, tabCount: group.tabIndices?.length }
-        });
-      }
+    const groups = (await getTabGroups(tab.windowId)).filter(group => group.title);
+    if (groups.length === 0) {
+      return { placed: false, reason: 'no_groups' };
     }
     
-    // Determine if this is a partial success or complete failure
-    const totalGroups = groups.length;
-    const successRate = totalGroups > 0 ? (groupsCreated / totalGroups) : 0;
+    const metadata = { id: tab.id, windowId: tab.windowId, title: tab.title || 'Unknown', url: tab.url };
+    let match = findGroupForTab(metadata, {
+      groups,
+      rules: config?.rules,
+      domainMap: await getDomainGroupMap()
+    });
     
-    // Log appropriate message based on success rate
-    if (failedGroups > 0) {
-      if (groupsCreated > 0) {
-        // Partial success - some groups created
-        logWarning(`Partial success: Created ${groupsCreated}/${totalGroups} group(s)`, {
-          operation: 'applyGrouping',
-          metadata: { 
-            totalGroups, 
-            groupsCreated, 
-            failedGroups,
-            successRate: `${(successRate * 100).toFixed(1)}%`,
-            failedGroupDetails
-          }
-        });
-      } else {
-        // Complete failure - no groups created
-        logError(new Error('Failed to create any tab groups'), {
-          operation: 'applyGrouping',
-          metadata: { totalGroups, failedGroups, failedGroupDetails }
-        });
-      }
+    if (!match) {
+      match = await classifyTabWithLLM(config, automation, metadata, groups);
     }
-    
-    // Critical failure: no groups created at all
-    if (groupsCreated === 0 && groups.length > 0) {
-      // Attempt to restore original state
-      const restored = await restoreTabState(savedState);
-      
-      if (restored) {
-        throw new Error('Failed to create any tab groups. Original tab state has been restored.');
-      } else {
-        throw new Error('Failed to create any tab groups. Unable to fully restore original state.');
-      }
+    if (!match) {
+      return { placed: false, reason: 'no_match' };
     }
     
-    // Partial failure: some groups created, some failed
-    if (failedGroups > 0 && groupsCreated > 0) {
-      // Don't restore state for partial failures - keep successful groups
-      logWarning('Some groups were created successfully despite failures', {
-        operation: 'applyGrouping',
-        metadata: { groupsCreated, failedGroups }
-      });
-    }
+    await addTabsToGroup(match.group.id, [tab.id]);
+    await rememberDomainGroups([{ name: match.group.title, urls: [tab.url] }]);
+    logOperationSuccess('classifyTab', { groupName: match.group.title, source: match.source });
     
+    return { placed: true, reason: null, groupId: match.group.id, source: match.source };
+  } catch (error) {
+    logError(error, { operation: 'classifyTab', metadata: { tabId: tab.id } });
+    return { placed: false, reason: 'error' };
+  }
+}
+
+// Ask the LLM which existing group a tab belongs to, within the privacy settings and budget
+// Returns { group, source: 'llm' } or null
+async function classifyTabWithLLM(config, automation, metadata, groups) {
+  if (!config?.configured || !config.credentials) {
+    return null;
+  }
+  
+  // Excluded tabs are never sent; redacted ones are classified by their domain only
+  const llmInput = await prepareLLMTabs(config, [metadata]);
+  if (llmInput.tabs.length === 0) {
+    return null;
+  }
+  
+  if (!checkAutomationRun(automation, await getAutomationState()).allowed) {
+    return null;
+  }
+  
+  const provider = createLLMProvider(config);
+  const name = await provider.classifyTab(llmInput.tabs[0], groups.map(group => group.title));
+  const group = name ? groups.find(candidate => candidate.title === name) : null;
+  
+  await recordAutomationRun({
+    trigger: 'new_tab',
+    success: true,
+    message: group ? `Added a new tab to ${group.title}` : 'No existing group fit a new tab'
+  });
+  
+  return group ? { group, source: 'llm' } : null;
+}
+
+// List remembered group identities for the popup
+async function handleGetGroupRegistry() {
+  try {
+    const registry = await getGroupRegistry();
     return {
-      groupsCreated,
-      groupNames,
-      failedGroups,
-      partialSuccess: failedGroups > 0 && groupsCreated > 0
+      success: true,
+      data: Object.entries(registry)
+        .map(([key, entry]) => ({ key, ...entry }))
+        .sort((a, b) => a.key.localeCompare(b.key))
     };
   } catch (error) {
-    // On critical error, attempt to restore original state
-    if (savedState) {
-      const restored = await restoreTabState(savedState);
-      if (!restored) {
-        logError(new Error('Failed to restore original tab state'), {
-          operation: 'applyGrouping'
-        });
-      }
-    }
-    logError(error, { operation: 'applyGrouping' });
-    throw error;
+    logError(error, { operation: 'getGroupRegistry' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Set the remembered color and/or canonical name for a group name
+async function handleUpdateGroupIdentity(data) {
+  try {
+    const entry = await updateGroupIdentity(data?.name, {
+      color: data?.color,
+      canonicalName: data?.canonicalName
+    });
+    
+    return {
+      success: true,
+      message: `Updated "${entry.name}"`,
+      data: entry
+    };
+  } catch (error) {
+    // Validation errors (missing name, unknown color) are shown as-is
+    logError(error, { operation: 'updateGroupIdentity' });
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+// Forget a remembered group name
+async function handleForgetGroupIdentity(data) {
+  try {
+    await removeGroupIdentity(data?.name);
+    return {
+      success: true,
+      message: 'Group forgotten'
+    };
+  } catch (error) {
+    logError(error, { operation: 'forgetGroupIdentity' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// List open browser windows for the popup's scope selector
+async function handleGetWindows() {
+  try {
+    const windows = await getWindows();
+    
+    return {
+      success: true,
+      data: windows.map(window => {
+        const tabs = window.tabs || [];
+        const activeTab = tabs.find(tab => tab.active) || tabs[0];
+        return {
+          id: window.id,
+          focused: !!window.focused,
+          tabCount: tabs.length,
+          title: activeTab?.title || 'Untitled'
+        };
+      })
+    };
+  } catch (error) {
+    logError(error, { operation: 'getWindows' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
+  }
+}
+
+// Get undo/redo availability and history labels for the popup
+async function handleGetHistory() {
+  try {
+    return {
+      success: true,
+      data: await getHistorySummary()
+    };
+  } catch (error) {
+    logError(error, { operation: 'getHistory' });
+    return {
+      success: false,
+      message: formatErrorMessage(error)
+    };
   }
 }
 
 // Retry group creation with exponential backoff for transient failures
-async function retryGroupCreation(name, color, tabIds, maxRetries = 2) {
+async function retryGroupCreation(name, color, tabIds, windowId, maxRetries = 2) {
   let lastError;
   
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      await createGroup(name, color, tabIds);
+      await createGroup(name, color, tabIds, windowId);
       return; // Success
     } catch (error) {
       lastError = error;
@@ -703,6 +3898,7 @@ function isRetryableError(error) {
     '404',
     'invalid',
     'bad request',
+    'quota',
     '400'
   ];
   
@@ -751,6 +3947,17 @@ async function handleSaveConfig(configData) {
       };
     }
     
+    // Validate the model ID (empty means the provider default)
+    let model;
+    try {
+      model = normalizeModelId(configData.model);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message
+      };
+    }
+    
     // Validate credentials based on provider
     const validationError = validateCredentials(configData);
     if (validationError) {
@@ -764,10 +3971,11 @@ async function handleSaveConfig(configData) {
       };
     }
     
-    // Test endpoint connectivity for local LLM
+    // Test endpoint connectivity for local LLM and detect the API it speaks
+    let localApiFormat = null;
     if (configData.provider === 'local') {
       try {
-        await testLocalEndpoint(configData.credentials.endpoint, configData.credentials.apiKey);
+        localApiFormat = await testLocalEndpoint(configData.credentials.endpoint, configData.credentials.apiKey);
       } catch (error) {
         logError(error, {
           operation: 'testLocalEndpoint',
@@ -783,12 +3991,13 @@ async function handleSaveConfig(configData) {
     // Save credentials
     await saveCredentials(configData.provider, configData.credentials);
     
-    // Save config
-    const config = {
+    // Save config (other settings such as grouping rules are kept)
+    await updateConfig({
       provider: configData.provider,
-      configured: true
-    };
-    await saveConfig(config);
+      configured: true,
+      model,
+      ...(localApiFormat && { localApiFormat })
+    });
     
     logOperationSuccess('saveConfig', { provider: configData.provider });
     
@@ -811,7 +4020,7 @@ async function handleClearConfig() {
   
   try {
     await clearCredentials();
-    await saveConfig({ configured: false });
+    await updateConfig({ configured: false });
     
     logOperationSuccess('clearConfig');
     
@@ -921,6 +4130,18 @@ function validateCredentials(config) {
       }
       break;
     
+    case 'openai':
+      if (!credentials.apiKey) {
+        return 'OpenAI API key is required';
+      }
+      break;
+    
+    case 'anthropic':
+      if (!credentials.apiKey) {
+        return 'Anthropic API key is required';
+      }
+      break;
+    
     case 'local':
       if (!credentials.endpoint) {
         return 'Local LLM endpoint is required';
@@ -941,6 +4162,8 @@ function validateCredentials(config) {
 }
 
 // Test local LLM endpoint connectivity
+// Returns the API format to use: Ollama servers (which answer /api/version) are called
+// through their native API, which can constrain the output to the grouping JSON schema
 async function testLocalEndpoint(endpoint, apiKey) {
   try {
     const headers = {
@@ -951,15 +4174,16 @@ async function testLocalEndpoint(endpoint, apiKey) {
       headers['Authorization'] = `Bearer ${apiKey}`;
     }
     
+    const apiFormat = await detectLocalApiFormat(endpoint, headers);
+    const testPayload = apiFormat === 'ollama-generate'
+      ? { model: 'test', prompt: 'test', stream: false }
+      : { model: 'test', messages: [{ role: 'user', content: 'test' }], max_tokens: 1, stream: false };
+    
     // Simple connectivity test - try to reach the endpoint
-    const response = await fetch(endpoint, {
+    const response = await fetch(getLocalRequestUrl(endpoint, apiFormat), {
       method: 'POST',
       headers,
-      body: JSON.stringify({
-        model: 'test',
-        messages: [{ role: 'user', content: 'test' }],
-        max_tokens: 1
-      })
+      body: JSON.stringify(testPayload)
     });
     
     // We don't care about the response content, just that we can connect
@@ -967,6 +4191,8 @@ async function testLocalEndpoint(endpoint, apiKey) {
     if (response.status >= 500) {
       throw new Error(`Server error: ${response.status}`);
     }
+    
+    return apiFormat;
   } catch (error) {
     if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
       throw new Error('Endpoint is not reachable. Please check the URL and ensure the server is running.');
@@ -975,12 +4201,103 @@ async function testLocalEndpoint(endpoint, apiKey) {
   }
 }
 
+// Detect whether a local endpoint belongs to an Ollama server
+// Falls back to the format implied by the endpoint path when the probe fails
+async function detectLocalApiFormat(endpoint, headers) {
+  const pathFormat = inferLocalApiFormat(endpoint);
+  
+  try {
+    const response = await fetch(`${getLocalApiBase(endpoint)}/api/version`, {
+      method: 'GET',
+      headers,
+      signal: AbortSignal.timeout(5000)
+    });
+    
+    if (response.ok) {
+      const body = await response.json().catch(() => ({}));
+      if (body?.version) {
+        return pathFormat === 'ollama-generate' ? 'ollama-generate' : 'ollama-chat';
+      }
+    }
+  } catch (error) {
+    // Not an Ollama server, or it does not answer the probe
+  }
+  
+  return pathFormat;
+}
+
 // Export functions for testing
 export {
   handleAutoGroup,
   handleCustomGroup,
   collectTabMetadata,
   applyGrouping,
+  captureTabState,
+  restoreTabState,
+  handleUndo,
+  handleRedo,
+  handlePreviewGroup,
+  handleApplyPreview,
+  buildGroupingProposal,
+  resolveGroupTabIds,
+  resolveTabScope,
+  planGroupPlacement,
+  handleGetWindows,
+  generateGrouping,
+  handleGetRules,
+  handleSaveRules,
+  handleGetPresets,
+  handleSavePresets,
+  handleExportPresets,
+  handleImportPresets,
+  handleRunPreset,
+  handleGetPrivacySettings,
+  handleSavePrivacySettings,
+  handleGetProtectionSettings,
+  handleSaveProtectionSettings,
+  handlePreviewRequest,
+  handleGetAutomationSettings,
+  handleSaveAutomationSettings,
+  syncAutomationAlarms,
+  scheduleAutomationCheck,
+  runAutomation,
+  classifyNewTab,
+  handleCommand,
+  handleUngroupAll,
+  handleCollapseGroups,
+  handleListGroups,
+  handleUpdateGroup,
+  handleMergeGroups,
+  handleSplitGroup,
+  handleUngroupGroup,
+  handleCloseGroup,
+  handleMoveGroupToNewWindow,
+  handleFindDuplicates,
+  handleCloseDuplicates,
+  handleGetDuplicateSettings,
+  handleSaveDuplicateSettings,
+  handleFindStaleTabs,
+  handleArchiveStaleTabs,
+  handleGetArchive,
+  handleRestoreArchivedTabs,
+  handleDeleteArchivedTabs,
+  handleListSessions,
+  handleSaveSession,
+  handleRestoreSession,
+  handleRenameSession,
+  handleDeleteSession,
+  handleExportTabs,
+  handleImportTabs,
+  handleRerunCustomPrompt,
+  buildContextMenus,
+  handleMenuClick,
+  handleGroupSimilarTabs,
+  handleGroupSelectedTabs,
+  handleMoveTabsToGroup,
+  handleExcludeDomain,
+  handleGetGroupRegistry,
+  handleUpdateGroupIdentity,
+  handleListModels,
   handleGetConfig as getConfig,
   handleSaveConfig as saveConfig
 };
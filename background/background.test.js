@@ -1,22 +1,82 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
+// Tab event listeners registered by the service worker, so tests can fire them
+const tabListeners = {};
+
 // Mock Chrome APIs
 global.chrome = {
   runtime: {
     onMessage: {
       addListener: vi.fn()
+    },
+    onStartup: {
+      addListener: vi.fn()
+    },
+    onInstalled: {
+      addListener: vi.fn()
+    }
+  },
+  commands: {
+    onCommand: {
+      addListener: vi.fn()
+    }
+  },
+  contextMenus: {
+    create: vi.fn((properties, callback) => callback?.()),
+    removeAll: vi.fn(),
+    onClicked: {
+      addListener: vi.fn()
+    }
+  },
+  action: {
+    setBadgeText: vi.fn(),
+    setBadgeBackgroundColor: vi.fn(),
+    setTitle: vi.fn()
+  },
+  alarms: {
+    create: vi.fn(),
+    clear: vi.fn(),
+    get: vi.fn(),
+    onAlarm: {
+      addListener: vi.fn()
     }
   },
   tabs: {
+    onCreated: {
+      addListener: vi.fn((listener) => { tabListeners.onCreated = listener; })
+    },
+    onUpdated: {
+      addListener: vi.fn((listener) => { tabListeners.onUpdated = listener; })
+    },
+    onRemoved: {
+      addListener: vi.fn((listener) => { tabListeners.onRemoved = listener; })
+    },
+    onActivated: {
+      addListener: vi.fn()
+    },
+    get: vi.fn(),
     query: vi.fn(),
     sendMessage: vi.fn(),
     group: vi.fn(),
-    ungroup: vi.fn()
+    ungroup: vi.fn(),
+    move: vi.fn()
   },
   tabGroups: {
+    onCreated: {
+      addListener: vi.fn()
+    },
+    onUpdated: {
+      addListener: vi.fn()
+    },
+    onRemoved: {
+      addListener: vi.fn()
+    },
     update: vi.fn(),
     query: vi.fn()
   },
+  windows: {
+    create: vi.fn()
+  },
   scripting: {
     executeScript: vi.fn()
   },
@@ -32,8 +92,18 @@ global.chrome = {
 // Mock modules
 vi.mock('../lib/tab-manager.js', () => ({
   getAllTabs: vi.fn(),
+  getHighlightedTabs: vi.fn(),
   createGroup: vi.fn(),
-  ungroupTabs: vi.fn()
+  addTabsToGroup: vi.fn(),
+  getTabGroups: vi.fn(),
+  ungroupTabs: vi.fn(),
+  setGroupsCollapsed: vi.fn(),
+  getGroupTabs: vi.fn(),
+  updateGroup: vi.fn(),
+  closeTabs: vi.fn(),
+  openTabs: vi.fn(),
+  openWindow: vi.fn(),
+  moveGroupToNewWindow: vi.fn()
 }));
 
 vi.mock('../lib/storage-manager.js', () => ({
@@ -41,13 +111,25 @@ vi.mock('../lib/storage-manager.js', () => ({
   saveCredentials: vi.fn(),
   clearCredentials: vi.fn(),
   getConfig: vi.fn(),
-  saveConfig: vi.fn()
+  saveConfig: vi.fn(),
+  updateConfig: vi.fn()
 }));
 
 vi.mock('../lib/llm-provider.js', () => ({
   BedrockProvider: vi.fn(),
   GeminiProvider: vi.fn(),
-  LocalLLMProvider: vi.fn()
+  LocalLLMProvider: vi.fn(),
+  OpenAIProvider: vi.fn(),
+  AnthropicProvider: vi.fn()
+}));
+
+vi.mock('../lib/history-manager.js', () => ({
+  recordHistoryEntry: vi.fn(),
+  peekUndo: vi.fn(),
+  peekRedo: vi.fn(),
+  commitUndo: vi.fn(),
+  commitRedo: vi.fn(),
+  getHistorySummary: vi.fn()
 }));
 
 vi.mock('../lib/error-handler.js', () => ({
@@ -70,9 +152,24 @@ vi.mock('../lib/error-logger.js', () => ({
   logOperationFailure: vi.fn()
 }));
 
-import { getAllTabs, createGroup } from '../lib/tab-manager.js';
-import { getConfig, saveConfig, saveCredentials, clearCredentials } from '../lib/storage-manager.js';
-import { BedrockProvider, GeminiProvider, LocalLLMProvider } from '../lib/llm-provider.js';
+import {
+  getAllTabs,
+  getHighlightedTabs,
+  createGroup,
+  addTabsToGroup,
+  getTabGroups,
+  ungroupTabs,
+  setGroupsCollapsed,
+  getGroupTabs,
+  updateGroup,
+  closeTabs,
+  openTabs,
+  openWindow,
+  moveGroupToNewWindow
+} from '../lib/tab-manager.js';
+import { getConfig, saveConfig, updateConfig, saveCredentials, clearCredentials } from '../lib/storage-manager.js';
+import { BedrockProvider, GeminiProvider, LocalLLMProvider, OpenAIProvider, AnthropicProvider } from '../lib/llm-provider.js';
+import { recordHistoryEntry, peekUndo, peekRedo, commitUndo, commitRedo, getHistorySummary } from '../lib/history-manager.js';
 
 describe('Background Service Worker', () => {
   beforeEach(() => {
@@ -741,3 +838,1904 @@ describe('Error Recovery Mechanisms', () => {
     });
   });
 });
+
+describe('Undo/Redo History', () => {
+  let background;
+
+  const beforeState = {
+    timestamp: Date.now(),
+    tabs: [
+      { id: 1, index: 0, groupId: 10, pinned: false, url: 'https://a.com', title: 'A' },
+      { id: 2, index: 1, groupId: 10, pinned: false, url: 'https://b.com', title: 'B' },
+      { id: 3, index: 2, groupId: null, pinned: false, url: 'https://c.com', title: 'C' }
+    ],
+    groups: [{ id: 10, title: 'Research', color: 'blue', collapsed: true }]
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    chrome.tabs.group.mockResolvedValue(99);
+    chrome.tabs.ungroup.mockResolvedValue(undefined);
+    chrome.tabs.move.mockResolvedValue({});
+    chrome.tabGroups.update.mockResolvedValue({});
+    getHistorySummary.mockResolvedValue({ canUndo: false, canRedo: true, cursor: 0, entries: [] });
+  });
+
+  describe('captureTabState', () => {
+    it('should normalize ungrouped tabs and keep only referenced groups', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, groupId: 10, windowId: 1, url: 'https://a.com', title: 'A' },
+        { id: 2, index: 1, groupId: -1, windowId: 1, url: 'https://b.com', title: 'B' }
+      ]);
+      chrome.tabGroups.query.mockResolvedValue([
+        { id: 10, title: 'Research', color: 'blue', collapsed: false },
+        { id: 20, title: 'Other window', color: 'red', collapsed: false }
+      ]);
+
+      const state = await background.captureTabState();
+
+      expect(state.tabs[1].groupId).toBeNull();
+      expect(state.groups).toEqual([{ id: 10, title: 'Research', color: 'blue', collapsed: false }]);
+    });
+  });
+
+  describe('restoreTabState', () => {
+    it('should recreate previous groups with title, color and collapsed state', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 3, index: 0, groupId: 50, url: 'https://c.com' },
+        { id: 1, index: 1, groupId: 50, url: 'https://a.com' },
+        { id: 2, index: 2, groupId: -1, url: 'https://b.com' }
+      ]);
+
+      const restored = await background.restoreTabState(beforeState);
+
+      expect(restored).toBe(true);
+      expect(chrome.tabs.ungroup).toHaveBeenCalledWith([1, 3]);
+      expect(chrome.tabs.move).toHaveBeenNthCalledWith(1, 1, { index: 0 });
+      expect(chrome.tabs.move).toHaveBeenNthCalledWith(2, 2, { index: 1 });
+      expect(chrome.tabs.move).toHaveBeenNthCalledWith(3, 3, { index: 2 });
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 2] });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(99, {
+        title: 'Research',
+        color: 'blue',
+        collapsed: true
+      });
+    });
+
+    it('should match tabs by URL when IDs have changed', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 101, index: 0, groupId: -1, url: 'https://a.com' },
+        { id: 102, index: 1, groupId: -1, url: 'https://b.com' }
+      ]);
+
+      await background.restoreTabState(beforeState);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [101, 102] });
+    });
+
+    it('should return false when there is no saved state', async () => {
+      expect(await background.restoreTabState(null)).toBe(false);
+    });
+  });
+
+  describe('handleUndo', () => {
+    it('should report when there is nothing to undo', async () => {
+      peekUndo.mockResolvedValue(null);
+
+      const response = await background.handleUndo();
+
+      expect(response.success).toBe(false);
+      expect(response.message).toBe('Nothing to undo');
+      expect(commitUndo).not.toHaveBeenCalled();
+    });
+
+    it('should restore the before snapshot and move the cursor back', async () => {
+      peekUndo.mockResolvedValue({ operation: 'autoGroup', label: 'Auto group', before: beforeState, after: beforeState });
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, groupId: -1, url: 'https://a.com' },
+        { id: 2, index: 1, groupId: -1, url: 'https://b.com' },
+        { id: 3, index: 2, groupId: -1, url: 'https://c.com' }
+      ]);
+
+      const response = await background.handleUndo();
+
+      expect(response.success).toBe(true);
+      expect(response.message).toBe('Undid: Auto group');
+      expect(commitUndo).toHaveBeenCalled();
+      expect(response.data.canRedo).toBe(true);
+    });
+  });
+
+  describe('handleRedo', () => {
+    it('should restore the after snapshot and move the cursor forward', async () => {
+      peekRedo.mockResolvedValue({ operation: 'customGroup', label: 'Custom group: by project', before: beforeState, after: beforeState });
+      getAllTabs.mockResolvedValue([{ id: 1, index: 0, groupId: -1, url: 'https://a.com' }]);
+
+      const response = await background.handleRedo();
+
+      expect(response.success).toBe(true);
+      expect(commitRedo).toHaveBeenCalled();
+    });
+  });
+
+  describe('applyGrouping history', () => {
+    it('should record a history entry after grouping succeeds', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, groupId: -1, url: 'https://a.com' },
+        { id: 2, index: 1, groupId: -1, url: 'https://b.com' }
+      ]);
+      chrome.tabGroups.query.mockResolvedValue([]);
+      createGroup.mockReset();
+      createGroup.mockResolvedValue(5);
+
+      await background.applyGrouping(
+        { groups: [{ name: 'Docs', tabIndices: [0, 1] }] },
+        { operation: 'autoGroup', label: 'Auto group' }
+      );
+
+      expect(recordHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'autoGroup',
+        label: 'Auto group',
+        before: expect.any(Object),
+        after: expect.any(Object)
+      }));
+    });
+  });
+});
+
+describe('Preview and Approve', () => {
+  let background;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+  });
+
+  describe('buildGroupingProposal', () => {
+    it('should map LLM indices to tabs and collect ungrouped tabs', () => {
+      const metadata = [
+        { id: 11, index: 0, title: 'A', url: 'https://a.com' },
+        { id: 12, index: 1, title: 'B', url: 'https://b.com' },
+        { id: 13, index: 2, title: 'C', url: 'https://c.com' }
+      ];
+
+      const proposal = background.buildGroupingProposal({
+        groups: [
+          { name: 'First', tabIndices: [0, 7], reasoning: 'Related' },
+          { name: 'Second', tabIndices: [0] }
+        ]
+      }, metadata);
+
+      expect(proposal.groups).toEqual([
+        { name: 'First', reasoning: 'Related', tabs: [{ id: 11, title: 'A', url: 'https://a.com' }] }
+      ]);
+      expect(proposal.ungroupedTabs.map(tab => tab.id)).toEqual([12, 13]);
+    });
+  });
+
+  describe('handlePreviewGroup', () => {
+    it('should return proposal without creating groups', async () => {
+      getAllTabs.mockResolvedValue([{ id: 1, index: 0, title: 'Tab 1', url: 'https://example.com' }]);
+      getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' } });
+      GeminiProvider.mockImplementation(() => ({
+        groupTabs: vi.fn().mockResolvedValue({ groups: [{ name: 'Example', tabIndices: [0], reasoning: 'Same site' }] })
+      }));
+
+      const response = await background.handlePreviewGroup('');
+
+      expect(response.success).toBe(true);
+      expect(response.data.groups[0].name).toBe('Example');
+      expect(createGroup).not.toHaveBeenCalled();
+    });
+
+    it('should send page content to the LLM only when enrichContent is set', async () => {
+      getAllTabs.mockResolvedValue([{ id: 1, index: 0, title: 'Dashboard', url: 'https://grafana.example.com' }]);
+      getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' } });
+      chrome.scripting.executeScript.mockResolvedValue([{ result: { description: 'API latency' } }]);
+      const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Monitoring', tabIndices: [0] }] });
+      GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+      await background.handlePreviewGroup('');
+      await background.handlePreviewGroup('', { enrichContent: true });
+
+      expect(groupTabs.mock.calls[0][0][0].content).toBeUndefined();
+      expect(groupTabs.mock.calls[1][0][0].content).toEqual({ description: 'API latency' });
+      expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('handleApplyPreview', () => {
+    it('should reject unnamed groups', async () => {
+      const response = await background.handleApplyPreview({ groups: [{ name: ' ', tabIds: [1] }] });
+
+      expect(response.success).toBe(false);
+      expect(response.message).toBe('Every group needs a name');
+    });
+
+    it('should create groups from explicit tab IDs', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, windowId: 1, groupId: -1, url: 'https://a.com' },
+        { id: 2, index: 1, windowId: 1, groupId: -1, url: 'https://b.com' }
+      ]);
+      chrome.tabGroups.query.mockResolvedValue([]);
+      createGroup.mockReset();
+      createGroup.mockResolvedValue(7);
+
+      const response = await background.handleApplyPreview({
+        groups: [{ name: 'Reviewed', tabIds: [2, 1, 99] }]
+      });
+
+      expect(response.success).toBe(true);
+      expect(createGroup).toHaveBeenCalledWith('Reviewed', expect.any(String), [2, 1], 1);
+    });
+
+    it('should keep a tab listed in two groups in the first one only', async () => {
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, windowId: 1, groupId: -1, url: 'https://a.com' },
+        { id: 2, index: 1, windowId: 1, groupId: -1, url: 'https://b.com' },
+        { id: 3, index: 2, windowId: 1, groupId: -1, url: 'https://c.com' }
+      ]);
+      chrome.tabGroups.query.mockResolvedValue([]);
+      createGroup.mockReset();
+      createGroup.mockResolvedValue(7);
+
+      const response = await background.handleApplyPreview({
+        groups: [
+          { name: 'First', tabIds: [1, 2, 2] },
+          { name: 'Second', tabIds: [2, 3] },
+          { name: 'Empty', tabIds: [1] }
+        ]
+      });
+
+      expect(response.success).toBe(true);
+      expect(createGroup).toHaveBeenCalledTimes(2);
+      expect(createGroup).toHaveBeenCalledWith('First', expect.any(String), [1, 2], 1);
+      expect(createGroup).toHaveBeenCalledWith('Second', expect.any(String), [3], 1);
+    });
+  });
+});
+
+describe('Incremental Grouping', () => {
+  let background;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    createGroup.mockReset();
+    background = await import('./background.js');
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' } });
+    getTabGroups.mockResolvedValue([{ id: 50, title: 'Work', color: 'blue', windowId: 1 }]);
+    chrome.tabGroups.query.mockResolvedValue([{ id: 50, title: 'Work', color: 'blue', windowId: 1 }]);
+  });
+
+  it('should send only ungrouped tabs and existing group names to the LLM', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 1, index: 0, windowId: 1, groupId: 50, title: 'Jira', url: 'https://jira.example.com' },
+      { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Docs', url: 'https://docs.example.com' }
+    ]);
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Work', tabIndices: [0] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+    addTabsToGroup.mockResolvedValue(50);
+
+    const response = await background.handleAutoGroup({ incremental: true });
+
+    const [metadata, , promptOptions] = groupTabs.mock.calls[0];
+    expect(metadata.map(tab => tab.id)).toEqual([2]);
+    expect(promptOptions.existingGroups).toEqual(['Work']);
+    expect(addTabsToGroup).toHaveBeenCalledWith(50, [2]);
+    expect(createGroup).not.toHaveBeenCalled();
+    expect(response.success).toBe(true);
+    expect(response.data.groupsExtended).toBe(1);
+  });
+
+  it('should report when every tab is already grouped', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 1, index: 0, windowId: 1, groupId: 50, title: 'Jira', url: 'https://jira.example.com' }
+    ]);
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const response = await background.handleAutoGroup({ incremental: true });
+
+    expect(response.success).toBe(false);
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+
+  it('should create new groups for names that do not match', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 2, index: 0, windowId: 1, groupId: -1, title: 'News', url: 'https://news.example.com' }
+    ]);
+    createGroup.mockResolvedValue(60);
+
+    const result = await background.applyGrouping(
+      { groups: [{ name: 'News', tabIds: [2] }] },
+      { mergeIntoExisting: true }
+    );
+
+    expect(addTabsToGroup).not.toHaveBeenCalled();
+    expect(createGroup).toHaveBeenCalledWith('News', expect.any(String), [2], 1);
+    expect(result.groupsCreated).toBe(1);
+  });
+
+  it('should only merge tabs into a matching group in their own window', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 2, index: 0, windowId: 1, groupId: -1, title: 'Docs', url: 'https://docs.example.com' },
+      { id: 3, index: 0, windowId: 2, groupId: -1, title: 'Jira', url: 'https://jira.example.com' }
+    ]);
+    createGroup.mockResolvedValue(60);
+    addTabsToGroup.mockResolvedValue(50);
+
+    const result = await background.applyGrouping(
+      { groups: [{ name: 'Work', tabIds: [2, 3] }] },
+      { mergeIntoExisting: true, scope: { allWindows: true } }
+    );
+
+    expect(addTabsToGroup).toHaveBeenCalledTimes(1);
+    expect(addTabsToGroup).toHaveBeenCalledWith(50, [2]);
+    expect(createGroup).toHaveBeenCalledWith('Work', expect.any(String), [3], 2);
+    expect(result.groupNames).toEqual(['Work']);
+  });
+
+  it('should merge tabs from other windows into the existing group when consolidating', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 2, index: 0, windowId: 2, groupId: -1, title: 'Docs', url: 'https://docs.example.com' },
+      { id: 3, index: 1, windowId: 2, groupId: -1, title: 'Jira', url: 'https://jira.example.com' }
+    ]);
+    addTabsToGroup.mockResolvedValue(50);
+
+    const result = await background.applyGrouping(
+      { groups: [{ name: 'Work', tabIds: [2, 3] }] },
+      { mergeIntoExisting: true, consolidate: true, scope: { allWindows: true } }
+    );
+
+    expect(addTabsToGroup).toHaveBeenCalledWith(50, [2, 3]);
+    expect(createGroup).not.toHaveBeenCalled();
+    expect(result.groupsExtended).toBe(1);
+  });
+});
+
+describe('Multi-Window Grouping', () => {
+  let background;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 10, groupId: -1, title: 'Docs A', url: 'https://docs.example.com/a' },
+    { id: 2, index: 1, windowId: 10, groupId: -1, title: 'News', url: 'https://news.example.com' },
+    { id: 3, index: 0, windowId: 20, groupId: -1, title: 'Docs B', url: 'https://docs.example.com/b' },
+    { id: 4, index: 1, windowId: 20, groupId: -1, title: 'Docs C', url: 'https://docs.example.com/c' }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    createGroup.mockReset();
+    createGroup.mockResolvedValue(100);
+    background = await import('./background.js');
+    getAllTabs.mockResolvedValue(tabs);
+    chrome.tabGroups.query.mockResolvedValue([]);
+  });
+
+  describe('resolveTabScope', () => {
+    it('should map scope options to tab queries', () => {
+      expect(background.resolveTabScope({})).toEqual({});
+      expect(background.resolveTabScope({ scope: 'all' })).toEqual({ allWindows: true });
+      expect(background.resolveTabScope({ scope: 'window', windowId: 20 })).toEqual({ windowId: 20 });
+      expect(background.resolveTabScope({ scope: 'window' })).toEqual({});
+    });
+  });
+
+  describe('planGroupPlacement', () => {
+    const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+
+    it('should split groups per window by default', () => {
+      expect(background.planGroupPlacement([1, 3, 4], tabsById, false)).toEqual([
+        { windowId: 10, tabIds: [1] },
+        { windowId: 20, tabIds: [3, 4] }
+      ]);
+    });
+
+    it('should consolidate into the window holding most of the tabs', () => {
+      expect(background.planGroupPlacement([1, 3, 4], tabsById, true)).toEqual([
+        { windowId: 20, tabIds: [1, 3, 4] }
+      ]);
+    });
+  });
+
+  describe('applyGrouping across windows', () => {
+    it('should query every window and create one group per window', async () => {
+      const result = await background.applyGrouping(
+        { groups: [{ name: 'Docs', tabIds: [1, 3, 4] }] },
+        { scope: { allWindows: true } }
+      );
+
+      expect(getAllTabs).toHaveBeenCalledWith({ allWindows: true });
+      expect(createGroup).toHaveBeenCalledWith('Docs', expect.any(String), [1], 10);
+      expect(createGroup).toHaveBeenCalledWith('Docs', expect.any(String), [3, 4], 20);
+      expect(createGroup.mock.calls[0][1]).toBe(createGroup.mock.calls[1][1]);
+      expect(result.groupsCreated).toBe(1);
+    });
+
+    it('should move tabs into one window when consolidating', async () => {
+      await background.applyGrouping(
+        { groups: [{ name: 'Docs', tabIds: [1, 3, 4] }] },
+        { scope: { allWindows: true }, consolidate: true }
+      );
+
+      expect(createGroup).toHaveBeenCalledTimes(1);
+      expect(createGroup).toHaveBeenCalledWith('Docs', expect.any(String), [1, 3, 4], 20);
+    });
+
+    it('should map LLM indices to list positions across windows', async () => {
+      await background.applyGrouping(
+        { groups: [{ name: 'Docs', tabIndices: [2, 3] }] },
+        { scope: { allWindows: true } }
+      );
+
+      expect(createGroup).toHaveBeenCalledWith('Docs', expect.any(String), [3, 4], 20);
+    });
+  });
+
+  describe('handleAutoGroup with scope', () => {
+    it('should send tabs from every window to the LLM', async () => {
+      getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' } });
+      const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Docs', tabIndices: [0, 2, 3] }] });
+      GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+      const response = await background.handleAutoGroup({ scope: 'all', consolidate: true });
+
+      expect(groupTabs.mock.calls[0][0]).toHaveLength(4);
+      expect(createGroup).toHaveBeenCalledWith('Docs', expect.any(String), [1, 3, 4], 20);
+      expect(response.success).toBe(true);
+    });
+  });
+
+  describe('restoreTabState', () => {
+    it('should reopen closed windows and recreate groups in them', async () => {
+      chrome.windows.create.mockResolvedValue({ id: 30 });
+      getAllTabs.mockResolvedValue([
+        { id: 1, index: 0, windowId: 20, groupId: -1 },
+        { id: 3, index: 1, windowId: 20, groupId: -1 }
+      ]);
+      chrome.tabs.group.mockResolvedValue(5);
+
+      await background.restoreTabState({
+        timestamp: Date.now(),
+        scope: { allWindows: true },
+        tabs: [
+          { id: 1, index: 0, windowId: 10, groupId: 7, url: 'https://docs.example.com/a' },
+          { id: 3, index: 0, windowId: 20, groupId: null, url: 'https://docs.example.com/b' }
+        ],
+        groups: [{ id: 7, windowId: 10, title: 'Docs', color: 'blue', collapsed: false }]
+      });
+
+      expect(chrome.windows.create).toHaveBeenCalledWith({ tabId: 1, focused: false });
+      expect(chrome.tabs.move).toHaveBeenCalledWith(3, { index: 0 });
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1], createProperties: { windowId: 30 } });
+    });
+  });
+});
+
+describe('Rule-Based Grouping', () => {
+  let background;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, title: 'PROJ-1', url: 'https://acme.atlassian.net/browse/PROJ-1' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Recipes', url: 'https://food.example.com' }
+  ];
+  const rules = [{ id: 'r1', groupName: 'Jira', matchType: 'domain', pattern: 'atlassian.net', color: 'blue' }];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    createGroup.mockReset();
+    createGroup.mockResolvedValue(100);
+    background = await import('./background.js');
+    chrome.tabGroups.query.mockResolvedValue([]);
+  });
+
+  describe('generateGrouping', () => {
+    it('should not call the LLM when rules cover every tab', async () => {
+      const groupTabs = vi.fn();
+      GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+      const result = await background.generateGrouping(
+        { provider: 'gemini', credentials: { apiKey: 'key' }, rules },
+        [tabs[0]], '', {}
+      );
+
+      expect(groupTabs).not.toHaveBeenCalled();
+      expect(result.groups).toEqual([expect.objectContaining({ name: 'Jira', color: 'blue', tabIds: [1] })]);
+    });
+
+    it('should send only leftover tabs to the LLM and merge matching names', async () => {
+      const groupTabs = vi.fn().mockResolvedValue({
+        groups: [{ name: 'jira', tabIndices: [0] }]
+      });
+      GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+      const result = await background.generateGrouping(
+        { provider: 'gemini', credentials: { apiKey: 'key' }, rules },
+        tabs, '', {}
+      );
+
+      expect(groupTabs.mock.calls[0][0].map(tab => tab.id)).toEqual([2]);
+      expect(result.groups).toHaveLength(1);
+      expect(result.groups[0].tabIds).toEqual([1, 2]);
+    });
+  });
+
+  describe('handleAutoGroup with rules', () => {
+    it('should create rule groups with their configured color', async () => {
+      getAllTabs.mockResolvedValue(tabs);
+      getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' }, rules });
+      GeminiProvider.mockImplementation(() => ({
+        groupTabs: vi.fn().mockResolvedValue({ groups: [{ name: 'Food', tabIndices: [0] }] })
+      }));
+
+      const response = await background.handleAutoGroup();
+
+      expect(response.success).toBe(true);
+      expect(createGroup).toHaveBeenCalledWith('Jira', 'blue', [1], 1);
+      expect(createGroup).toHaveBeenCalledWith('Food', expect.any(String), [2], 1);
+    });
+  });
+
+  describe('handleSaveRules', () => {
+    it('should store validated rules in the configuration', async () => {
+      updateConfig.mockResolvedValue({});
+
+      const response = await background.handleSaveRules({ rules });
+
+      expect(response.success).toBe(true);
+      expect(updateConfig).toHaveBeenCalledWith({
+        rules: [expect.objectContaining({ id: 'r1', groupName: 'Jira', enabled: true })]
+      });
+    });
+
+    it('should reject invalid rules without saving', async () => {
+      const response = await background.handleSaveRules({
+        rules: [{ groupName: 'Bad', matchType: 'url', pattern: '(' }]
+      });
+
+      expect(response.success).toBe(false);
+      expect(response.message).toContain('Rule 1: Invalid URL pattern');
+      expect(updateConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleGetRules', () => {
+    it('should return stored rules', async () => {
+      getConfig.mockResolvedValue({ provider: 'gemini', configured: true, rules });
+
+      const response = await background.handleGetRules();
+
+      expect(response.data).toEqual(rules);
+    });
+  });
+});
+
+describe('Group Identity Registry', () => {
+  let background;
+  let registry;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    createGroup.mockReset();
+    createGroup.mockResolvedValue(100);
+    background = await import('./background.js');
+    registry = {
+      'research papers': { name: 'Research', color: 'purple', useCount: 3, lastUsed: 1 },
+      research: { name: 'Research', color: 'purple', useCount: 3, lastUsed: 1 }
+    };
+    chrome.storage.local.get.mockImplementation(async (key) => (key === 'group_registry' ? { group_registry: registry } : {}));
+    chrome.storage.local.set.mockResolvedValue(undefined);
+    chrome.tabGroups.query.mockResolvedValue([]);
+    getAllTabs.mockResolvedValue([
+      { id: 1, index: 0, windowId: 1, groupId: -1, title: 'Paper', url: 'https://arxiv.org/abs/1' },
+      { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Shop', url: 'https://shop.example.com' }
+    ]);
+  });
+
+  afterEach(() => {
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+  });
+
+  it('should reuse the remembered canonical name and color', async () => {
+    await background.applyGrouping({
+      groups: [{ name: 'research papers', tabIds: [1] }]
+    });
+
+    expect(createGroup).toHaveBeenCalledWith('Research', 'purple', [1], 1);
+  });
+
+  it('should give new groups a color not already taken in the run', async () => {
+    await background.applyGrouping({
+      groups: [
+        { name: 'Research', tabIds: [1] },
+        { name: 'Shopping', tabIds: [2] }
+      ]
+    });
+
+    expect(createGroup.mock.calls[1][1]).not.toBe('purple');
+  });
+
+  it('should remember applied groups', async () => {
+    await background.applyGrouping({
+      groups: [{ name: 'Shopping', tabIds: [2] }]
+    });
+
+    const saved = chrome.storage.local.set.mock.calls
+      .map(([items]) => items.group_registry)
+      .find(Boolean);
+    expect(saved.shopping).toMatchObject({ name: 'Shopping', color: createGroup.mock.calls[0][1] });
+  });
+
+  it('should list remembered identities with their keys', async () => {
+    const response = await background.handleGetGroupRegistry();
+
+    expect(response.data.map(entry => entry.key)).toEqual(['research', 'research papers']);
+  });
+
+  it('should report invalid identity updates', async () => {
+    const response = await background.handleUpdateGroupIdentity({ name: 'Research', color: 'black' });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toContain('Invalid color: black');
+  });
+
+  it('should pass known group names to the LLM', async () => {
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' } });
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Research', tabIndices: [0] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.handleAutoGroup();
+
+    expect(groupTabs.mock.calls[0][2].knownGroups).toEqual(['Research']);
+  });
+});
+
+describe('First-Party API Providers', () => {
+  let background;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+  });
+
+  it.each([
+    ['openai', OpenAIProvider],
+    ['anthropic', AnthropicProvider]
+  ])('should create the %s provider with the API key', async (provider, Provider) => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    Provider.mockImplementation(() => ({ groupTabs }));
+
+    await background.generateGrouping(
+      { provider, credentials: { apiKey: 'sk-test' } },
+      [{ id: 1, title: 'Tab', url: 'https://example.com' }], '', {}
+    );
+
+    expect(Provider).toHaveBeenCalledWith('sk-test', expect.any(String));
+    expect(groupTabs).toHaveBeenCalled();
+  });
+
+  it.each([
+    ['openai', 'OpenAI API key is required'],
+    ['anthropic', 'Anthropic API key is required']
+  ])('should require an API key for %s', async (provider, message) => {
+    const response = await background.saveConfig({ provider, credentials: {} });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toBe(message);
+    expect(saveCredentials).not.toHaveBeenCalled();
+  });
+
+  it('should save OpenAI configuration', async () => {
+    saveCredentials.mockResolvedValue(undefined);
+    updateConfig.mockResolvedValue({});
+
+    const response = await background.saveConfig({ provider: 'openai', credentials: { apiKey: 'sk-test' } });
+
+    expect(response.success).toBe(true);
+    expect(saveCredentials).toHaveBeenCalledWith('openai', { apiKey: 'sk-test' });
+    expect(updateConfig).toHaveBeenCalledWith({ provider: 'openai', configured: true, model: null });
+  });
+});
+
+describe('Model Selection', () => {
+  let background;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+  });
+
+  it('should create the provider with the configured model', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    LocalLLMProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.generateGrouping(
+      { provider: 'local', model: 'qwen2.5:7b', credentials: { endpoint: 'http://localhost:11434/v1/chat/completions' } },
+      [{ id: 1, title: 'Tab', url: 'https://example.com' }], '', {}
+    );
+
+    expect(LocalLLMProvider).toHaveBeenCalledWith('http://localhost:11434/v1/chat/completions', undefined, 'qwen2.5:7b', null);
+  });
+
+  it('should fall back to the provider default model', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.generateGrouping(
+      { provider: 'gemini', credentials: { apiKey: 'key' } },
+      [{ id: 1, title: 'Tab', url: 'https://example.com' }], '', {}
+    );
+
+    expect(GeminiProvider).toHaveBeenCalledWith('key', 'gemini-3-pro-preview');
+  });
+
+  it('should save the chosen model with the configuration', async () => {
+    saveCredentials.mockResolvedValue(undefined);
+    updateConfig.mockResolvedValue({});
+
+    const response = await background.saveConfig({ provider: 'gemini', model: ' gemini-2.5-flash ', credentials: { apiKey: 'key' } });
+
+    expect(response.success).toBe(true);
+    expect(updateConfig).toHaveBeenCalledWith({ provider: 'gemini', configured: true, model: 'gemini-2.5-flash' });
+  });
+
+  it('should reject invalid model IDs', async () => {
+    const response = await background.saveConfig({ provider: 'gemini', model: 'gemini 2.5', credentials: { apiKey: 'key' } });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toBe('Model must not contain spaces');
+    expect(saveCredentials).not.toHaveBeenCalled();
+  });
+
+  describe('handleListModels', () => {
+    it('should return presets for Bedrock', async () => {
+      getConfig.mockResolvedValue({ provider: null, configured: false });
+
+      const response = await background.handleListModels({ provider: 'bedrock' });
+
+      expect(response.success).toBe(true);
+      expect(response.data.discovered).toBe(false);
+      expect(response.data.models.map(model => model.id)).toContain('anthropic.claude-3-5-sonnet-20240620-v1:0');
+    });
+
+    it('should discover models with the saved credentials', async () => {
+      getConfig.mockResolvedValue({
+        provider: 'local',
+        configured: true,
+        credentials: { endpoint: 'http://localhost:11434/v1/chat/completions' }
+      });
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ models: [{ name: 'llama3.1:8b' }] })
+      });
+
+      const response = await background.handleListModels({ provider: 'local' });
+
+      expect(global.fetch).toHaveBeenCalledWith('http://localhost:11434/api/tags', expect.any(Object));
+      expect(response.data.models).toEqual([{ id: 'llama3.1:8b', name: 'llama3.1:8b' }]);
+    });
+
+    it('should keep presets when discovery fails', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 401, json: async () => ({}) });
+
+      const response = await background.handleListModels({ provider: 'openai', credentials: { apiKey: 'bad' } });
+
+      expect(response.success).toBe(false);
+      expect(response.message).toContain('Failed to list models');
+      expect(response.data.models.length).toBeGreaterThan(0);
+    });
+
+    it('should require a provider', async () => {
+      const response = await background.handleListModels({});
+
+      expect(response.success).toBe(false);
+      expect(response.message).toBe('Provider is required');
+    });
+  });
+});
+
+describe('Local Endpoint Detection', () => {
+  let background;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    saveCredentials.mockResolvedValue(undefined);
+    updateConfig.mockResolvedValue({});
+    background = await import('./background.js');
+  });
+
+  it('should switch an Ollama server to its native chat API', async () => {
+    global.fetch = vi.fn(async (url) => url.endsWith('/api/version')
+      ? { ok: true, status: 200, json: async () => ({ version: '0.6.2' }) }
+      : { ok: false, status: 404, json: async () => ({ error: 'model "test" not found' }) });
+
+    const response = await background.saveConfig({
+      provider: 'local',
+      credentials: { endpoint: 'http://localhost:11434/v1/chat/completions' }
+    });
+
+    expect(response.success).toBe(true);
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:11434/api/version', expect.any(Object));
+    expect(global.fetch).toHaveBeenLastCalledWith('http://localhost:11434/api/chat', expect.any(Object));
+    expect(updateConfig).toHaveBeenCalledWith(expect.objectContaining({ localApiFormat: 'ollama-chat' }));
+  });
+
+  it('should keep the OpenAI-compatible API for other servers', async () => {
+    global.fetch = vi.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+
+    await background.saveConfig({
+      provider: 'local',
+      credentials: { endpoint: 'http://localhost:1234/v1/chat/completions' }
+    });
+
+    expect(global.fetch).toHaveBeenLastCalledWith('http://localhost:1234/v1/chat/completions', expect.any(Object));
+    expect(updateConfig).toHaveBeenCalledWith(expect.objectContaining({ localApiFormat: 'openai' }));
+  });
+
+  it('should pass the detected format to the provider', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    LocalLLMProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.generateGrouping(
+      { provider: 'local', localApiFormat: 'ollama-generate', credentials: { endpoint: 'http://localhost:11434/api/generate' } },
+      [{ id: 1, title: 'Tab', url: 'https://example.com' }], '', {}
+    );
+
+    expect(LocalLLMProvider).toHaveBeenCalledWith('http://localhost:11434/api/generate', undefined, 'llama2', 'ollama-generate');
+  });
+});
+
+describe('Privacy Filter', () => {
+  let background;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, title: 'Accounts', url: 'https://online.mybank.com/accounts' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Inbox - jane@example.com', url: 'https://mail.example.com/?tab=inbox' },
+    { id: 3, index: 2, windowId: 1, groupId: -1, title: 'Payroll', url: 'https://hr.corp.com/payroll' }
+  ];
+  const privacy = {
+    patterns: [
+      { id: 'p1', action: 'exclude', matchType: 'domain', pattern: 'mybank.com' },
+      { id: 'p2', action: 'redact', matchType: 'domain', pattern: 'hr.corp.com' }
+    ]
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+  });
+
+  it('should send filtered tabs to the LLM and map groups back to the right tabs', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Work', tabIndices: [0, 1] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const result = await background.generateGrouping(
+      { provider: 'gemini', credentials: { apiKey: 'key' }, privacy },
+      tabs, '', {}
+    );
+
+    expect(groupTabs.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ id: 2, title: 'Inbox - [email]', url: 'https://mail.example.com/' }),
+      expect.objectContaining({ id: 3, title: 'hr.corp.com', url: 'https://hr.corp.com' })
+    ]);
+    expect(result.groups[0].tabIds).toEqual([2, 3]);
+  });
+
+  it('should not call the LLM when every tab is excluded', async () => {
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const result = await background.generateGrouping(
+      { provider: 'gemini', credentials: { apiKey: 'key' }, privacy },
+      [tabs[0]], '', {}
+    );
+
+    expect(groupTabs).not.toHaveBeenCalled();
+    expect(result.groups).toEqual([]);
+  });
+
+  it('should not read excluded or redacted pages when page content is enabled', async () => {
+    chrome.scripting.executeScript.mockResolvedValue([{ result: { description: 'Mail' } }]);
+    GeminiProvider.mockImplementation(() => ({ groupTabs: vi.fn().mockResolvedValue({ groups: [] }) }));
+
+    await background.generateGrouping(
+      { provider: 'gemini', credentials: { apiKey: 'key' }, privacy },
+      tabs, '', {}, { enrichContent: true }
+    );
+
+    expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(1);
+    expect(chrome.scripting.executeScript.mock.calls[0][0].target).toEqual({ tabId: 2 });
+  });
+
+  it('should validate and store privacy settings', async () => {
+    updateConfig.mockResolvedValue({});
+
+    const invalid = await background.handleSavePrivacySettings({ patterns: [{ action: 'hide', matchType: 'domain', pattern: 'x.com' }] });
+    const saved = await background.handleSavePrivacySettings({ ...privacy, stripSensitive: false });
+
+    expect(invalid.success).toBe(false);
+    expect(invalid.message).toContain('Privacy pattern 1: Invalid action: hide');
+    expect(saved.success).toBe(true);
+    expect(updateConfig).toHaveBeenCalledTimes(1);
+    expect(updateConfig).toHaveBeenCalledWith({
+      privacy: { patterns: [expect.objectContaining({ id: 'p1' }), expect.objectContaining({ id: 'p2' })], stripSensitive: false }
+    });
+  });
+
+  it('should return defaults when no privacy settings are stored', async () => {
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true });
+
+    const response = await background.handleGetPrivacySettings();
+
+    expect(response.data).toEqual({ patterns: [], stripSensitive: true });
+  });
+
+  it('should show what would be sent without calling the LLM', async () => {
+    getAllTabs.mockResolvedValue(tabs);
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' }, privacy });
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({
+      groupTabs,
+      buildSystemPrompt: (prompt) => `System: ${prompt}`,
+      formatTabMetadata: (metadata) => metadata.map(tab => tab.title).join('\n')
+    }));
+
+    const response = await background.handlePreviewRequest(' by project ');
+
+    expect(response.success).toBe(true);
+    expect(response.data).toMatchObject({
+      provider: 'gemini',
+      systemPrompt: 'System: by project',
+      tabData: 'Inbox - [email]\nhr.corp.com',
+      tabCount: 2,
+      ruleTabCount: 0,
+      redactedCount: 1,
+      excludedTabs: [{ id: 1, title: 'Accounts', url: 'https://online.mybank.com/accounts' }]
+    });
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+});
+
+describe('Automation', () => {
+  let background;
+
+  const ungroupedTabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, title: 'Jira', url: 'https://jira.example.com' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Docs', url: 'https://docs.example.com' },
+    { id: 3, index: 2, windowId: 2, groupId: 50, title: 'Mail', url: 'https://mail.example.com' }
+  ];
+
+  const configWith = (automation) => ({
+    provider: 'gemini',
+    configured: true,
+    credentials: { apiKey: 'key' },
+    automation: { enabled: true, tabThreshold: 2, ...automation }
+  });
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    createGroup.mockReset();
+    background = await import('./background.js');
+    chrome.storage.local.get.mockResolvedValue({});
+    getTabGroups.mockResolvedValue([]);
+    chrome.tabGroups.query.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save settings and schedule the interval alarm', async () => {
+    chrome.alarms.get.mockResolvedValue(undefined);
+
+    const response = await background.handleSaveAutomationSettings({ enabled: true, tabThreshold: 0, intervalMinutes: 30 });
+
+    expect(response.success).toBe(true);
+    expect(updateConfig).toHaveBeenCalledWith({ automation: expect.objectContaining({ enabled: true, intervalMinutes: 30 }) });
+    expect(chrome.alarms.create).toHaveBeenCalledWith('automation-interval', { delayInMinutes: 30, periodInMinutes: 30 });
+  });
+
+  it('should clear alarms when automation is turned off', async () => {
+    const response = await background.handleSaveAutomationSettings({ enabled: false });
+
+    expect(response.success).toBe(true);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('automation-interval');
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('automation-threshold-check');
+    expect(chrome.alarms.create).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid settings without saving', async () => {
+    const response = await background.handleSaveAutomationSettings({ enabled: true, tabThreshold: 0, intervalMinutes: 0 });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toContain('Set a tab threshold, an interval or new tab placement');
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+
+  it('should debounce tab activity into one threshold check', async () => {
+    getConfig.mockResolvedValue(configWith({ debounceSeconds: 90 }));
+
+    await background.scheduleAutomationCheck();
+    await background.scheduleAutomationCheck();
+
+    expect(chrome.alarms.create).toHaveBeenCalledTimes(2);
+    expect(chrome.alarms.create).toHaveBeenLastCalledWith('automation-threshold-check', { delayInMinutes: 1.5 });
+  });
+
+  it('should group ungrouped tabs in all windows once the threshold is reached', async () => {
+    getConfig.mockResolvedValue(configWith());
+    getAllTabs.mockResolvedValue(ungroupedTabs);
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Work', tabIndices: [0, 1] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+    createGroup.mockResolvedValue(60);
+
+    const outcome = await background.runAutomation('threshold');
+
+    expect(outcome.ran).toBe(true);
+    expect(getAllTabs).toHaveBeenCalledWith({ allWindows: true });
+    expect(groupTabs.mock.calls[0][0].map(tab => tab.id)).toEqual([1, 2]);
+    expect(recordHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({ label: 'Automatic grouping' }));
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      automation_state: expect.objectContaining({ runsToday: 1, lastResult: expect.objectContaining({ trigger: 'threshold', success: true }) })
+    });
+  });
+
+  it('should not count privacy-excluded tabs towards the threshold', async () => {
+    getConfig.mockResolvedValue({
+      ...configWith(),
+      privacy: { patterns: [{ id: 'p1', action: 'exclude', matchType: 'domain', pattern: 'jira.example.com' }] }
+    });
+    getAllTabs.mockResolvedValue(ungroupedTabs);
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const outcome = await background.runAutomation('threshold');
+
+    expect(outcome.reason).toBe('below_threshold');
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+
+  it('should not count protected tabs towards the threshold', async () => {
+    getConfig.mockResolvedValue(configWith({ tabThreshold: 3 }));
+    getAllTabs.mockResolvedValue([1, 2, 3].map(id => (
+      { id, index: id - 1, windowId: 1, groupId: -1, pinned: true, title: `Pinned ${id}`, url: `https://site${id}.example.com` }
+    )));
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const outcome = await background.runAutomation('threshold');
+
+    expect(outcome.reason).toBe('below_threshold');
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+
+  it('should skip the run when the ungrouped tabs are the same as after the last run', async () => {
+    getConfig.mockResolvedValue(configWith());
+    getAllTabs.mockResolvedValue(ungroupedTabs);
+    chrome.storage.local.get.mockResolvedValue({ automation_state: { lastUngroupedTabIds: [1, 2] } });
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const outcome = await background.runAutomation('threshold');
+
+    expect(outcome.reason).toBe('unchanged');
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+
+  it('should remember the tabs left ungrouped after a run', async () => {
+    getConfig.mockResolvedValue(configWith());
+    getAllTabs.mockResolvedValue(ungroupedTabs);
+    GeminiProvider.mockImplementation(() => ({ groupTabs: vi.fn().mockResolvedValue({ groups: [] }) }));
+
+    await background.runAutomation('threshold');
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      automation_state: expect.objectContaining({ lastUngroupedTabIds: [1, 2] })
+    });
+  });
+
+  it('should not run below the threshold, in quiet hours or over budget', async () => {
+    const groupTabs = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+    getAllTabs.mockResolvedValue(ungroupedTabs);
+
+    getConfig.mockResolvedValue(configWith({ tabThreshold: 5 }));
+    expect((await background.runAutomation('threshold')).reason).toBe('below_threshold');
+
+    getConfig.mockResolvedValue(configWith({ quietHours: { enabled: true, start: '00:00', end: '23:59' } }));
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 0, 1, 12, 0));
+    expect((await background.runAutomation('interval')).reason).toBe('quiet_hours');
+
+    getConfig.mockResolvedValue(configWith({ dailyBudget: 3 }));
+    chrome.storage.local.get.mockResolvedValue({ automation_state: { day: '2024-01-01', runsToday: 3 } });
+    expect((await background.runAutomation('interval')).reason).toBe('budget_exhausted');
+
+    expect(groupTabs).not.toHaveBeenCalled();
+  });
+});
+
+describe('New Tab Placement', () => {
+  let background;
+
+  const newTab = { id: 5, windowId: 1, groupId: -1, title: 'PR #12', url: 'https://github.com/org/repo/pull/12' };
+  const config = {
+    provider: 'gemini',
+    configured: true,
+    credentials: { apiKey: 'key' },
+    automation: { enabled: true, tabThreshold: 0, classifyNewTabs: true }
+  };
+
+  const mockStorage = (items) => {
+    chrome.storage.local.get.mockImplementation(async (key) => (key in items ? { [key]: items[key] } : {}));
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    mockStorage({});
+    getConfig.mockResolvedValue(config);
+    getTabGroups.mockResolvedValue([{ id: 10, title: 'Work' }, { id: 20, title: 'News' }]);
+    addTabsToGroup.mockResolvedValue(10);
+  });
+
+  it('should place a tab from the domain map without asking the LLM', async () => {
+    mockStorage({ domain_group_map: { 'github.com': { name: 'Work', lastUsed: 1 } } });
+    const classifyTab = vi.fn();
+    GeminiProvider.mockImplementation(() => ({ classifyTab }));
+
+    const outcome = await background.classifyNewTab(newTab);
+
+    expect(outcome).toMatchObject({ placed: true, groupId: 10, source: 'domain' });
+    expect(addTabsToGroup).toHaveBeenCalledWith(10, [5]);
+    expect(classifyTab).not.toHaveBeenCalled();
+  });
+
+  it('should ask the LLM when rules and the domain map do not know the tab', async () => {
+    const classifyTab = vi.fn().mockResolvedValue('News');
+    GeminiProvider.mockImplementation(() => ({ classifyTab }));
+
+    const outcome = await background.classifyNewTab({ ...newTab, title: 'Election results', url: 'https://news.example.org/?id=1' });
+
+    expect(outcome).toMatchObject({ placed: true, groupId: 20, source: 'llm' });
+    expect(classifyTab).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'https://news.example.org/' }),
+      ['Work', 'News']
+    );
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      automation_state: expect.objectContaining({ runsToday: 1 })
+    });
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      domain_group_map: { 'news.example.org': expect.objectContaining({ name: 'News' }) }
+    });
+  });
+
+  it('should leave tabs alone when placement is off or the tab is not a web page', async () => {
+    getConfig.mockResolvedValue({ ...config, automation: { enabled: true, tabThreshold: 8 } });
+
+    expect((await background.classifyNewTab(newTab)).reason).toBe('disabled');
+    expect((await background.classifyNewTab({ ...newTab, url: 'chrome://newtab/' })).reason).toBe('not_web_page');
+    expect(addTabsToGroup).not.toHaveBeenCalled();
+  });
+
+  it('should place new tabs once loaded, but not tabs closed before loading', async () => {
+    mockStorage({ domain_group_map: { 'github.com': { name: 'Work', lastUsed: 1 } } });
+
+    tabListeners.onCreated({ id: 6 });
+    tabListeners.onRemoved(6);
+    tabListeners.onUpdated(6, { status: 'complete' }, { ...newTab, id: 6 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(addTabsToGroup).not.toHaveBeenCalled();
+
+    tabListeners.onCreated({ id: 7 });
+    tabListeners.onUpdated(7, { status: 'complete' }, { ...newTab, id: 7 });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(addTabsToGroup).toHaveBeenCalledWith(10, [7]);
+  });
+
+  it('should learn domains from grouping runs', async () => {
+    getAllTabs.mockResolvedValue([
+      { id: 1, index: 0, windowId: 1, groupId: -1, title: 'Jira', url: 'https://jira.example.com/browse/1' }
+    ]);
+    chrome.tabGroups.query.mockResolvedValue([]);
+    createGroup.mockResolvedValue(30);
+
+    await background.applyGrouping({ groups: [{ name: 'Tickets', tabIds: [1] }] });
+
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      domain_group_map: { 'jira.example.com': expect.objectContaining({ name: 'Tickets' }) }
+    });
+  });
+});
+
+describe('Keyboard Commands', () => {
+  let background;
+
+  const groupedTabs = [
+    { id: 1, index: 0, windowId: 1, groupId: 10, title: 'Jira', url: 'https://jira.example.com' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Docs', url: 'https://docs.example.com' },
+    { id: 3, index: 2, windowId: 1, groupId: 20, title: 'News', url: 'https://news.example.com' }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    chrome.tabGroups.query.mockResolvedValue([]);
+  });
+
+  it('should ungroup every grouped tab and record it for undo', async () => {
+    getAllTabs.mockResolvedValue(groupedTabs);
+
+    const response = await background.handleUngroupAll();
+
+    expect(response.success).toBe(true);
+    expect(ungroupTabs).toHaveBeenCalledWith([1, 3]);
+    expect(recordHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({ operation: 'ungroupAll', label: 'Ungroup all' }));
+  });
+
+  it('should collapse groups, or expand them when all are collapsed', async () => {
+    getAllTabs.mockResolvedValue(groupedTabs);
+    getTabGroups.mockResolvedValue([
+      { id: 10, windowId: 1, collapsed: false },
+      { id: 20, windowId: 1, collapsed: true },
+      { id: 30, windowId: 2, collapsed: false }
+    ]);
+
+    const collapse = await background.handleCollapseGroups();
+    expect(collapse.message).toBe('Collapsed 1 group(s)');
+    expect(setGroupsCollapsed).toHaveBeenCalledWith([10], true);
+
+    getTabGroups.mockResolvedValue([
+      { id: 10, windowId: 1, collapsed: true },
+      { id: 20, windowId: 1, collapsed: true }
+    ]);
+    const expand = await background.handleCollapseGroups();
+    expect(expand.message).toBe('Expanded 2 group(s)');
+    expect(setGroupsCollapsed).toHaveBeenLastCalledWith([10, 20], false);
+  });
+
+  it('should remember custom prompts and run the last one again', async () => {
+    getAllTabs.mockResolvedValue([]);
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true });
+
+    await background.handleCustomGroup('Group by project', { scope: 'window', windowId: 7, incremental: true });
+
+    const lastCustomGroup = {
+      prompt: 'Group by project',
+      scope: 'current',
+      incremental: true,
+      consolidate: false,
+      enrichContent: false
+    };
+    expect(updateConfig).toHaveBeenCalledWith({ lastCustomGroup });
+
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' }, lastCustomGroup });
+    getAllTabs.mockResolvedValue([{ id: 1, index: 0, windowId: 1, groupId: -1, title: 'Jira', url: 'https://jira.example.com' }]);
+    getTabGroups.mockResolvedValue([]);
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.handleRerunCustomPrompt();
+
+    expect(groupTabs).toHaveBeenCalledWith(expect.any(Array), 'Group by project', expect.any(Object));
+  });
+
+  it('should explain when there is no custom prompt to run again', async () => {
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true });
+
+    const response = await background.handleRerunCustomPrompt();
+
+    expect(response.success).toBe(false);
+    expect(response.message).toContain('No custom prompt to run again yet');
+  });
+
+  it('should route commands through handleMessage and show the result on the badge', async () => {
+    peekUndo.mockResolvedValue(null);
+
+    const response = await background.handleCommand('undo-grouping');
+
+    expect(response).toEqual({ success: false, message: 'Nothing to undo' });
+    expect(chrome.action.setBadgeText).toHaveBeenNthCalledWith(1, { text: '...' });
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ text: '!' });
+    expect(chrome.action.setTitle).toHaveBeenLastCalledWith({ title: 'Clutterless: Nothing to undo' });
+  });
+
+  it('should ignore unknown commands', async () => {
+    expect(await background.handleCommand('unknown')).toBeNull();
+    expect(chrome.action.setBadgeText).not.toHaveBeenCalled();
+  });
+});
+
+describe('Tab Protection', () => {
+  let background;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, pinned: true, title: 'Inbox', url: 'https://mail.example.com' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, active: true, title: 'Thread', url: 'https://chat.example.com' },
+    { id: 3, index: 2, windowId: 1, groupId: -1, audible: true, title: 'Call', url: 'https://meet.example.com' },
+    { id: 4, index: 3, windowId: 1, groupId: -1, title: 'Calendar', url: 'https://calendar.example.com' }
+  ];
+  const config = { provider: 'gemini', configured: true, credentials: { apiKey: 'key' } };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    getAllTabs.mockResolvedValue(tabs);
+    getTabGroups.mockResolvedValue([]);
+    chrome.tabGroups.query.mockResolvedValue([]);
+    createGroup.mockResolvedValue(50);
+  });
+
+  it('should leave protected tabs out of the prompt', async () => {
+    getConfig.mockResolvedValue({ ...config, protection: { active: true } });
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'Work', tabIndices: [0] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.handleAutoGroup();
+
+    expect(groupTabs.mock.calls[0][0].map(tab => tab.id)).toEqual([4]);
+  });
+
+  it('should enforce protection again when applying groups', async () => {
+    getConfig.mockResolvedValue(config);
+
+    await background.applyGrouping({ groups: [{ name: 'Communication', tabIds: [1, 2, 3, 4] }] });
+
+    expect(createGroup).toHaveBeenCalledWith('Communication', expect.any(String), [2, 4], 1);
+  });
+
+  it('should validate protection settings before saving them', async () => {
+    expect((await background.handleSaveProtectionSettings({ pinned: 'no' })).success).toBe(false);
+
+    const response = await background.handleSaveProtectionSettings({ pinned: false });
+    expect(response.data).toEqual({ pinned: false, active: false, audible: true, incognito: true });
+    expect(updateConfig).toHaveBeenCalledWith({ protection: response.data });
+  });
+});
+
+describe('Group Management', () => {
+  let background;
+
+  const groups = [
+    { id: 10, windowId: 1, title: 'Research', color: 'blue', collapsed: false },
+    { id: 20, windowId: 1, title: 'Docs', color: 'green', collapsed: true },
+    { id: 30, windowId: 2, title: 'News', color: 'red', collapsed: false }
+  ];
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: 20, title: 'API', url: 'https://docs.example.com/api' },
+    { id: 2, index: 1, windowId: 1, groupId: 10, title: 'Paper', url: 'https://arxiv.org/abs/1' },
+    { id: 3, index: 2, windowId: 1, groupId: 10, title: 'Notes', url: 'https://notes.example.com' },
+    { id: 4, index: 3, windowId: 1, groupId: 10, title: 'Survey', url: 'https://arxiv.org/abs/2' },
+    { id: 5, index: 0, windowId: 2, groupId: 30, title: 'Headlines', url: 'https://news.example.com' }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    getTabGroups.mockResolvedValue(groups);
+    getAllTabs.mockResolvedValue(tabs);
+    chrome.tabGroups.query.mockResolvedValue(groups);
+    getGroupTabs.mockImplementation(async (groupId) => tabs.filter(tab => tab.groupId === groupId));
+  });
+
+  it('should list groups with tab counts in window and tab order', async () => {
+    const response = await background.handleListGroups();
+
+    expect(response.data.map(group => [group.title, group.tabCount])).toEqual([['Docs', 1], ['Research', 3], ['News', 1]]);
+    expect(getAllTabs).toHaveBeenCalledWith({ allWindows: true });
+  });
+
+  it('should rename a group and record it for undo', async () => {
+    const response = await background.handleUpdateGroup({ groupId: 10, title: 'Papers', color: 'blue' });
+
+    expect(response.success).toBe(true);
+    expect(updateGroup).toHaveBeenCalledWith(10, { title: 'Papers' });
+    expect(recordHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({
+      operation: 'updateGroup',
+      label: 'Rename group: Research → Papers'
+    }));
+  });
+
+  it('should merge one group into another', async () => {
+    const response = await background.handleMergeGroups({ sourceGroupId: 20, targetGroupId: 10 });
+
+    expect(response.message).toBe('Moved 1 tab(s) from Docs into Research');
+    expect(addTabsToGroup).toHaveBeenCalledWith(10, [1]);
+    expect((await background.handleMergeGroups({ sourceGroupId: 10, targetGroupId: 10 })).success).toBe(false);
+  });
+
+  it('should split off the second half of a group, or the chosen tabs', async () => {
+    createGroup.mockResolvedValue(40);
+
+    const response = await background.handleSplitGroup({ groupId: 10 });
+
+    expect(response.message).toBe('Moved 1 tab(s) to Research (2)');
+    expect(createGroup).toHaveBeenCalledWith('Research (2)', 'blue', [4], 1);
+
+    await background.handleSplitGroup({ groupId: 10, tabIds: [2, 3], title: 'Papers' });
+    expect(createGroup).toHaveBeenLastCalledWith('Papers', 'blue', [2, 3], 1);
+
+    expect((await background.handleSplitGroup({ groupId: 20 })).message).toBe('A group needs at least two tabs to split');
+  });
+
+  it('should ungroup, close or move a single group', async () => {
+    await background.handleUngroupGroup({ groupId: 10 });
+    expect(ungroupTabs).toHaveBeenCalledWith([2, 3, 4]);
+
+    await background.handleCloseGroup({ groupId: 30 });
+    expect(closeTabs).toHaveBeenCalledWith([5]);
+
+    moveGroupToNewWindow.mockResolvedValue(3);
+    const moved = await background.handleMoveGroupToNewWindow({ groupId: 20 });
+    expect(moved).toMatchObject({ success: true, data: { windowId: 3 } });
+  });
+
+  it('should report groups that have been closed meanwhile', async () => {
+    const response = await background.handleUpdateGroup({ groupId: 99, title: 'Gone' });
+
+    expect(response).toEqual({ success: false, message: 'That group is no longer open' });
+  });
+});
+
+describe('Prompt Presets', () => {
+  let background;
+
+  const presets = [
+    { id: 'p1', name: 'By project', prompt: 'Group by project', shortcut: 2 },
+    { id: 'p2', name: 'By client', prompt: 'Group by client', shortcut: null }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true, credentials: { apiKey: 'key' }, promptPresets: presets });
+    getAllTabs.mockResolvedValue([{ id: 1, index: 0, windowId: 1, groupId: -1, title: 'Jira', url: 'https://jira.example.com' }]);
+    getTabGroups.mockResolvedValue([]);
+  });
+
+  it('should validate presets before saving them', async () => {
+    const invalid = await background.handleSavePresets({ presets: [...presets, { name: 'by project', prompt: 'Other' }] });
+    expect(invalid.success).toBe(false);
+    expect(invalid.message).toContain('already exists');
+    expect(updateConfig).not.toHaveBeenCalled();
+
+    const saved = await background.handleSavePresets({ presets });
+    expect(saved.success).toBe(true);
+    expect(updateConfig).toHaveBeenCalledWith({ promptPresets: presets });
+  });
+
+  it('should import exported presets, updating ones with the same name', async () => {
+    const exported = await background.handleExportPresets();
+    const text = exported.data.json.replace('Group by project', 'Group by repository');
+
+    const response = await background.handleImportPresets({ text });
+
+    expect(response.message).toBe('Imported 0 new and updated 1 existing preset(s)');
+    expect(updateConfig).toHaveBeenCalledWith({
+      promptPresets: [{ ...presets[0], prompt: 'Group by repository' }, presets[1]]
+    });
+  });
+
+  it('should run the preset bound to a keyboard shortcut', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    await background.handleCommand('run-preset-2');
+
+    expect(groupTabs).toHaveBeenCalledWith(expect.any(Array), 'Group by project', expect.any(Object));
+
+    const unassigned = await background.handleRunPreset({ shortcut: 3 });
+    expect(unassigned.success).toBe(false);
+    expect(unassigned.message).toContain('No preset is assigned to shortcut 3');
+  });
+});
+
+describe('Context Menus', () => {
+  let background;
+
+  const windowTabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, highlighted: true, title: 'React hooks guide', url: 'https://react.dev/learn' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, highlighted: true, title: 'useEffect explained', url: 'https://blog.example.com/effects' },
+    { id: 3, index: 2, windowId: 1, groupId: -1, highlighted: false, title: 'Weather', url: 'https://weather.example.com' }
+  ];
+  const config = { provider: 'gemini', configured: true, credentials: { apiKey: 'key' } };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.tabGroups.query.mockResolvedValue([]);
+    getConfig.mockResolvedValue(config);
+    getAllTabs.mockResolvedValue(windowTabs);
+    getHighlightedTabs.mockResolvedValue(windowTabs.filter(tab => tab.highlighted));
+    getTabGroups.mockResolvedValue([]);
+    createGroup.mockResolvedValue(40);
+  });
+
+  it('should list open groups under "Move this tab to group"', async () => {
+    getTabGroups.mockResolvedValue([{ id: 10, windowId: 1, title: 'Work', color: 'blue' }]);
+
+    await background.buildContextMenus();
+
+    expect(chrome.contextMenus.removeAll).toHaveBeenCalled();
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'move-to-group:10', parentId: 'move-to-group', title: 'Work' }),
+      expect.any(Function)
+    );
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'exclude-domain', contexts: ['page', 'action'] }),
+      expect.any(Function)
+    );
+  });
+
+  it('should group the tabs similar to the clicked one', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({
+      groups: [{ name: 'React', tabIndices: [0, 1] }, { name: 'Weather', tabIndices: [2] }]
+    });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const response = await background.handleGroupSimilarTabs({ tabId: 1, windowId: 1 });
+
+    expect(response.success).toBe(true);
+    expect(response.message).toBe('Grouped 2 similar tab(s) in React');
+    expect(groupTabs.mock.calls[0][1]).toContain('"React hooks guide"');
+    expect(createGroup).toHaveBeenCalledTimes(1);
+    expect(createGroup).toHaveBeenCalledWith('React', expect.any(String), [1, 2], 1);
+  });
+
+  it('should never send the title of an excluded or redacted clicked tab', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'React', tabIndices: [0, 1] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    getConfig.mockResolvedValue({ ...config, privacy: { patterns: [{ action: 'exclude', matchType: 'domain', pattern: 'react.dev' }] } });
+    const excluded = await background.handleGroupSimilarTabs({ tabId: 1, windowId: 1 });
+
+    expect(excluded.success).toBe(false);
+    expect(excluded.message).toContain('excluded by your privacy settings');
+    expect(groupTabs).not.toHaveBeenCalled();
+
+    getConfig.mockResolvedValue({ ...config, privacy: { patterns: [{ action: 'redact', matchType: 'domain', pattern: 'react.dev' }] } });
+    await background.handleGroupSimilarTabs({ tabId: 1, windowId: 1 });
+
+    expect(groupTabs.mock.calls[0][1]).toContain('"react.dev"');
+    expect(JSON.stringify(groupTabs.mock.calls[0])).not.toContain('React hooks guide');
+  });
+
+  it('should group only the selected tabs', async () => {
+    const groupTabs = vi.fn().mockResolvedValue({ groups: [{ name: 'React', tabIndices: [0, 1] }] });
+    GeminiProvider.mockImplementation(() => ({ groupTabs }));
+
+    const response = await background.handleMenuClick({ menuItemId: 'group-selected' }, windowTabs[0]);
+
+    expect(response.success).toBe(true);
+    expect(getHighlightedTabs).toHaveBeenCalledWith(1);
+    expect(groupTabs.mock.calls[0][0]).toHaveLength(2);
+    expect(recordHistoryEntry).toHaveBeenCalledWith(expect.objectContaining({ label: 'Group selected tabs' }));
+  });
+
+  it('should ask for a selection before grouping selected tabs', async () => {
+    getHighlightedTabs.mockResolvedValue([windowTabs[0]]);
+
+    const response = await background.handleGroupSelectedTabs({ windowId: 1 });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toContain('Select at least two tabs');
+  });
+
+  it('should move the selected tabs to the chosen group', async () => {
+    getTabGroups.mockResolvedValue([{ id: 10, windowId: 1, title: 'Work' }]);
+
+    const response = await background.handleMenuClick({ menuItemId: 'move-to-group:10' }, windowTabs[1]);
+
+    expect(response.message).toBe('Moved 2 tab(s) to Work');
+    expect(addTabsToGroup).toHaveBeenCalledWith(10, [1, 2]);
+
+    chrome.tabs.get.mockResolvedValue(windowTabs[2]);
+    await background.handleMoveTabsToGroup({ groupId: 10, tabId: 3, windowId: 1 });
+    expect(addTabsToGroup).toHaveBeenLastCalledWith(10, [3]);
+  });
+
+  it('should look up the URL of a moved tab so its domain is remembered', async () => {
+    getTabGroups.mockResolvedValue([{ id: 10, windowId: 1, title: 'Work' }]);
+    chrome.tabs.get.mockResolvedValue(windowTabs[2]);
+
+    await background.handleMoveTabsToGroup({ groupId: 10, tabId: 3, windowId: 1 });
+
+    expect(chrome.tabs.get).toHaveBeenCalledWith(3);
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      domain_group_map: { 'weather.example.com': expect.objectContaining({ name: 'Work' }) }
+    });
+  });
+
+  it('should not move protected tabs to a group', async () => {
+    getTabGroups.mockResolvedValue([{ id: 10, windowId: 1, title: 'Work' }]);
+    chrome.tabs.get.mockResolvedValue({ ...windowTabs[2], pinned: true });
+
+    const response = await background.handleMoveTabsToGroup({ groupId: 10, tabId: 3, windowId: 1 });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toContain('protected from grouping');
+    expect(addTabsToGroup).not.toHaveBeenCalled();
+  });
+
+  it('should add the page domain to the privacy exclusions once', async () => {
+    const response = await background.handleExcludeDomain({ url: 'https://www.mybank.com/accounts' });
+
+    expect(response.success).toBe(true);
+    expect(updateConfig).toHaveBeenCalledWith({
+      privacy: expect.objectContaining({
+        patterns: [expect.objectContaining({ action: 'exclude', matchType: 'domain', pattern: 'mybank.com' })]
+      })
+    });
+
+    getConfig.mockResolvedValue({ ...config, privacy: { patterns: [{ action: 'exclude', matchType: 'domain', pattern: 'mybank.com' }] } });
+    vi.clearAllMocks();
+    expect((await background.handleExcludeDomain({ url: 'https://mybank.com' })).message).toBe('mybank.com is already excluded');
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+});
+
+describe('Duplicate Tabs', () => {
+  let background;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, title: 'Guide', url: 'https://docs.example.com/guide?utm_source=mail' },
+    { id: 2, index: 1, windowId: 1, groupId: -1, active: true, title: 'Guide', url: 'https://docs.example.com/guide/' },
+    { id: 3, index: 2, windowId: 1, groupId: -1, title: 'Talk', url: 'https://video.example.com/watch?v=1' },
+    { id: 4, index: 3, windowId: 1, groupId: -1, audible: true, title: 'Talk', url: 'https://video.example.com/watch?v=1#t=30' },
+    { id: 5, index: 4, windowId: 1, groupId: -1, title: 'Launch news', url: 'https://news.example.com/launch' },
+    { id: 6, index: 5, windowId: 1, groupId: -1, title: 'Launch news (AMP)', url: 'https://amp.example.net/launch' }
+  ];
+  const config = { provider: 'gemini', configured: true, credentials: { apiKey: 'key' } };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    getConfig.mockResolvedValue(config);
+    getAllTabs.mockResolvedValue(tabs);
+  });
+
+  it('should keep the active or protected copy of each page', async () => {
+    const response = await background.handleFindDuplicates({});
+
+    expect(response.success).toBe(true);
+    expect(response.data.duplicateCount).toBe(2);
+    expect(response.data.sets.map(set => [set.keep.id, set.duplicates.map(tab => tab.id)])).toEqual([[2, [1]], [4, [3]]]);
+  });
+
+  it('should add near-duplicates found by the LLM for tabs not already matched', async () => {
+    const findNearDuplicates = vi.fn().mockResolvedValue([[2, 3]]);
+    GeminiProvider.mockImplementation(() => ({ findNearDuplicates }));
+
+    const response = await background.handleFindDuplicates({ nearDuplicates: true });
+
+    const sentIds = findNearDuplicates.mock.calls[0][0].map(tab => tab.id);
+    expect(sentIds).toEqual([2, 3, 5, 6]);
+    expect(response.data.sets[2]).toMatchObject({ kind: 'near', keep: { id: 5 }, duplicates: [{ id: 6 }] });
+  });
+
+  it('should close only requested tabs that are still open and unprotected', async () => {
+    expect((await background.handleCloseDuplicates({ tabIds: [] })).success).toBe(false);
+
+    const response = await background.handleCloseDuplicates({ tabIds: [1, 4, 99] });
+
+    expect(closeTabs).toHaveBeenCalledWith([1]);
+    expect(response.message).toBe('Closed 1 duplicate tab(s) (2 skipped: closed or protected)');
+  });
+
+  it('should validate duplicate settings before saving them', async () => {
+    expect((await background.handleSaveDuplicateSettings({ domainRules: [{ domain: 'example.com', mode: 'other' }] })).success).toBe(false);
+
+    const response = await background.handleSaveDuplicateSettings({ domainRules: [{ domain: 'Shop.example.com', mode: 'ignoreQuery' }] });
+    expect(response.data.domainRules).toEqual([{ domain: 'shop.example.com', mode: 'ignoreQuery' }]);
+    expect(updateConfig).toHaveBeenCalledWith({ duplicates: response.data });
+  });
+});
+
+describe('Stale Tabs and Archive', () => {
+  let background;
+  let store;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.now();
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: 10, title: 'Old paper', url: 'https://arxiv.org/abs/1', lastAccessed: now - 30 * DAY },
+    { id: 2, index: 1, windowId: 1, groupId: -1, title: 'Old recipe', url: 'https://food.example.com', lastAccessed: now - 10 * DAY },
+    { id: 3, index: 2, windowId: 1, groupId: -1, pinned: true, title: 'Mail', url: 'https://mail.example.com', lastAccessed: now - 60 * DAY },
+    { id: 4, index: 3, windowId: 1, groupId: -1, active: true, title: 'Editor', url: 'https://code.example.com', lastAccessed: now - 60 * DAY },
+    { id: 5, index: 4, windowId: 1, groupId: -1, title: 'Today', url: 'https://news.example.com', lastAccessed: now - DAY }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    store = {};
+    chrome.storage.local.get.mockImplementation(async (key) => (key in store ? { [key]: store[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(store, items);
+    });
+    getConfig.mockResolvedValue({ provider: 'gemini', configured: true });
+    getAllTabs.mockResolvedValue(tabs);
+    getTabGroups.mockResolvedValue([{ id: 10, windowId: 1, title: 'Research', color: 'blue' }]);
+  });
+
+  it('should list unused tabs oldest first, leaving out protected and active tabs', async () => {
+    const response = await background.handleFindStaleTabs({ days: 7 });
+
+    expect(response.success).toBe(true);
+    expect(response.data.tabs.map(tab => tab.id)).toEqual([1, 2]);
+    expect(response.data.tabs[0]).toMatchObject({ groupName: 'Research', lastActive: now - 30 * DAY });
+    expect((await background.handleFindStaleTabs({ days: 0 })).message).toContain('Days unused must be a whole number');
+  });
+
+  it('should archive tabs before closing them and skip protected ones', async () => {
+    const response = await background.handleArchiveStaleTabs({ tabIds: [1, 3] });
+
+    expect(response.message).toBe('Archived and closed 1 tab(s) (1 skipped: closed, active or protected)');
+    expect(closeTabs).toHaveBeenCalledWith([1]);
+    expect(store.tab_archive).toEqual([
+      expect.objectContaining({ url: 'https://arxiv.org/abs/1', title: 'Old paper', groupName: 'Research', groupColor: 'blue' })
+    ]);
+
+    const archive = await background.handleGetArchive({ query: 'research' });
+    expect(archive.data.entries).toHaveLength(1);
+    expect((await background.handleGetArchive({ query: 'recipe' })).data).toEqual({ entries: [], total: 1 });
+  });
+
+  it('should restore archived tabs into a group with their old name', async () => {
+    await background.handleArchiveStaleTabs({ tabIds: [1, 2] });
+    getTabGroups.mockResolvedValue([]);
+    openTabs
+      .mockResolvedValueOnce([{ id: 21, windowId: 1 }])
+      .mockResolvedValueOnce([{ id: 22, windowId: 1 }]);
+    const ids = store.tab_archive.map(entry => entry.id);
+
+    const response = await background.handleRestoreArchivedTabs({ ids });
+
+    expect(response.message).toBe('Restored 2 tab(s)');
+    expect(openTabs).toHaveBeenCalledWith(['https://arxiv.org/abs/1'], undefined);
+    expect(openTabs).toHaveBeenCalledWith(['https://food.example.com'], undefined);
+    expect(createGroup).toHaveBeenCalledWith('Research', 'blue', [21], 1);
+    expect(store.tab_archive).toEqual([]);
+    expect((await background.handleRestoreArchivedTabs({ ids })).success).toBe(false);
+  });
+
+  it('should keep tabs that fail to reopen in the archive and regroup the others', async () => {
+    await background.handleArchiveStaleTabs({ tabIds: [1, 2] });
+    getTabGroups.mockResolvedValue([]);
+    openTabs
+      .mockRejectedValueOnce(new Error('Failed to open tabs: blocked'))
+      .mockResolvedValueOnce([{ id: 22, windowId: 1 }]);
+    const ids = store.tab_archive.map(entry => entry.id);
+
+    const response = await background.handleRestoreArchivedTabs({ ids });
+
+    expect(response.message).toBe('Restored 1 tab(s) (1 could not be opened and stay archived)');
+    expect(response.data.tabIds).toEqual([22]);
+    expect(createGroup).not.toHaveBeenCalled();
+    expect(store.tab_archive).toEqual([expect.objectContaining({ url: 'https://arxiv.org/abs/1' })]);
+  });
+
+  it('should refuse to archive more tabs than the archive keeps', async () => {
+    const tabIds = Array.from({ length: 1001 }, (_, i) => i + 1);
+
+    const response = await background.handleArchiveStaleTabs({ tabIds });
+
+    expect(response.success).toBe(false);
+    expect(response.message).toBe('Archive at most 1000 tabs at a time');
+    expect(closeTabs).not.toHaveBeenCalled();
+  });
+
+  it('should delete archived tabs without reopening them', async () => {
+    await background.handleArchiveStaleTabs({ tabIds: [2] });
+
+    const response = await background.handleDeleteArchivedTabs({ ids: [store.tab_archive[0].id] });
+
+    expect(response.message).toBe('Deleted 1 archived tab(s)');
+    expect(openTabs).not.toHaveBeenCalled();
+    expect(store.tab_archive).toEqual([]);
+  });
+});
+
+describe('Named Sessions', () => {
+  let background;
+  let store;
+
+  const tabs = [
+    { id: 1, index: 0, windowId: 1, groupId: -1, pinned: true, title: 'Board', url: 'https://board.example.com' },
+    { id: 2, index: 1, windowId: 1, groupId: 10, title: 'Spec', url: 'https://docs.example.com/spec' },
+    { id: 3, index: 2, windowId: 1, groupId: 10, title: 'Notes', url: 'https://notes.example.com' }
+  ];
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    background = await import('./background.js');
+    store = {};
+    chrome.storage.local.get.mockImplementation(async (key) => (key in store ? { [key]: store[key] } : {}));
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(store, items);
+    });
+    getAllTabs.mockResolvedValue(tabs);
+    chrome.tabGroups.query.mockResolvedValue([{ id: 10, windowId: 1, title: 'Research', color: 'blue', collapsed: true }]);
+  });
+
+  it('should save the window with its groups under a unique name', async () => {
+    const response = await background.handleSaveSession({ name: 'Sprint 42 research' });
+
+    expect(response.message).toBe('Saved Sprint 42 research (3 tab(s), 1 group(s))');
+    expect(store.saved_sessions[0]).toMatchObject({
+      name: 'Sprint 42 research',
+      tabs: [
+        { url: 'https://board.example.com', pinned: true, group: null },
+        { url: 'https://docs.example.com/spec', group: 0 },
+        { url: 'https://notes.example.com', group: 0 }
+      ],
+      groups: [{ title: 'Research', color: 'blue', collapsed: true }]
+    });
+
+    const duplicate = await background.handleSaveSession({ name: 'sprint 42 research' });
+    expect(duplicate.success).toBe(false);
+    expect(duplicate.message).toBe('A session named "sprint 42 research" already exists');
+    expect((await background.handleListSessions()).data).toEqual([
+      expect.objectContaining({ name: 'Sprint 42 research', tabCount: 3, groupCount: 1 })
+    ]);
+  });
+
+  it('should restore a session into a new window with its groups', async () => {
+    const { data: { id } } = await background.handleSaveSession({ name: 'Sprint' });
+    openWindow.mockResolvedValue({ id: 7, tabs: [{ id: 71 }, { id: 72 }, { id: 73 }] });
+    createGroup.mockResolvedValue(70);
+
+    const response = await background.handleRestoreSession({ id });
+
+    expect(openWindow).toHaveBeenCalledWith(store.saved_sessions[0].tabs);
+    expect(createGroup).toHaveBeenCalledWith('Research', 'blue', [72, 73], 7);
+    expect(setGroupsCollapsed).toHaveBeenCalledWith([70], true);
+    expect(response.message).toBe('Opened Sprint in a new window (3 tab(s), 1 group(s))');
+  });
+
+  it('should rename and delete sessions', async () => {
+    const { data: { id } } = await background.handleSaveSession({ name: 'Sprint' });
+
+    expect((await background.handleRenameSession({ id, name: ' ' })).message).toBe('Session requires a name');
+    expect((await background.handleRenameSession({ id, name: 'Sprint 43' })).message).toBe('Renamed session to Sprint 43');
+    expect((await background.handleDeleteSession({ id })).success).toBe(true);
+    expect((await background.handleDeleteSession({ id })).message).toBe('That session no longer exists');
+    expect(store.saved_sessions).toEqual([]);
+  });
+
+  it('should export the current window or a saved session', async () => {
+    const markdown = await background.handleExportTabs({ format: 'markdown' });
+    expect(markdown.data.content).toContain('## Research\n\n- [Spec](https://docs.example.com/spec)\n- [Notes](https://notes.example.com)');
+    expect(markdown.data.mimeType).toBe('text/markdown');
+
+    const { data: { id } } = await background.handleSaveSession({ name: 'Sprint' });
+    const json = await background.handleExportTabs({ format: 'json', sessionId: id });
+    expect(json.data.fileName).toBe('clutterless-sprint.json');
+    expect(JSON.parse(json.data.content).tabs).toHaveLength(3);
+
+    expect((await background.handleExportTabs({ format: 'pdf' })).message).toContain('Invalid export format: pdf');
+  });
+
+  it('should open imported OneTab text in a new window with its groups', async () => {
+    openWindow.mockResolvedValue({ id: 8, tabs: [{ id: 81 }, { id: 82 }, { id: 83 }] });
+    createGroup.mockResolvedValueOnce(80).mockResolvedValueOnce(90);
+
+    const response = await background.handleImportTabs({
+      text: 'https://a.example.com | A\nhttps://b.example.com | B\nchrome://settings | Settings\n\nhttps://c.example.com | C'
+    });
+
+    expect(openWindow).toHaveBeenCalledWith([
+      expect.objectContaining({ url: 'https://a.example.com', group: 0 }),
+      expect.objectContaining({ url: 'https://b.example.com', group: 0 }),
+      expect.objectContaining({ url: 'https://c.example.com', group: 1 })
+    ]);
+    expect(createGroup).toHaveBeenCalledWith('', 'blue', [81, 82], 8);
+    expect(createGroup).toHaveBeenCalledWith('', 'red', [83], 8);
+    expect(response.message).toBe('Opened 3 tab(s) in a new window (2 group(s)); skipped 1 link(s) that are not web pages');
+
+    expect((await background.handleImportTabs({ text: '' })).message).toBe('Paste or choose something to import');
+  });
+});
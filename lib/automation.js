@@ -0,0 +1,278 @@
+/**
+ * Automation Module
+ * Settings and daily usage for automatic background grouping: when it may run
+ * (tab-count threshold, interval or each new tab), quiet hours and the per-day run budget
+ */
+
+const AUTOMATION_STATE_KEY = 'automation_state';
+
+// Settings used when none are stored (automation is opt-in)
+const DEFAULT_AUTOMATION_SETTINGS = {
+  enabled: false,
+  tabThreshold: 8,
+  intervalMinutes: 0,
+  classifyNewTabs: false,
+  debounceSeconds: 60,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  },
+  dailyBudget: 20
+};
+
+// Allowed ranges; a tab threshold or interval of 0 turns that trigger off
+// Chrome does not fire alarms sooner than 30 seconds, which bounds the debounce delay
+const AUTOMATION_LIMITS = {
+  tabThreshold: { min: 2, max: 100 },
+  intervalMinutes: { min: 5, max: 1440 },
+  debounceSeconds: { min: 30, max: 600 },
+  dailyBudget: { min: 1, max: 200 }
+};
+
+// Time of day as HH:MM (24-hour)
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validates a whole number within a range
+ * @param {*} value - Value to check
+ * @param {string} label - Setting name for the error message
+ * @param {Object} range - { min, max }
+ * @param {boolean} allowOff - Whether 0 (trigger off) is allowed
+ * @returns {number} The value
+ * @throws {Error} If the value is out of range
+ */
+function validateWholeNumber(value, label, { min, max }, allowOff = false) {
+  if (allowOff && value === 0) {
+    return 0;
+  }
+
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${label} must be a whole number from ${min} to ${max}${allowOff ? ' (or 0 to turn it off)' : ''}`);
+  }
+
+  return value;
+}
+
+/**
+ * Converts a time of day to minutes after midnight
+ * @param {string} time - Time as HH:MM
+ * @returns {number|null} Minutes after midnight, or null if the time is invalid
+ */
+function parseTimeOfDay(time) {
+  const match = typeof time === 'string' ? TIME_OF_DAY.exec(time.trim()) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Validates automation settings and returns a normalized copy
+ * @param {Object} settings - Settings to validate
+ * @param {boolean} settings.enabled - Whether automatic grouping runs at all
+ * @param {number} settings.tabThreshold - Ungrouped tabs that trigger a run (0 = off)
+ * @param {number} settings.intervalMinutes - Minutes between scheduled runs (0 = off)
+ * @param {boolean} settings.classifyNewTabs - Place each newly loaded tab into an existing group
+ * @param {number} settings.debounceSeconds - Quiet time after tab activity before checking the threshold
+ * @param {Object} settings.quietHours - { enabled, start, end } as HH:MM; may wrap past midnight
+ * @param {number} settings.dailyBudget - Most automatic runs per day
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateAutomationSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Automation settings must be an object');
+  }
+
+  const merged = {
+    ...DEFAULT_AUTOMATION_SETTINGS,
+    ...settings,
+    quietHours: { ...DEFAULT_AUTOMATION_SETTINGS.quietHours, ...(settings.quietHours || {}) }
+  };
+
+  const tabThreshold = validateWholeNumber(merged.tabThreshold, 'Tab threshold', AUTOMATION_LIMITS.tabThreshold, true);
+  const intervalMinutes = validateWholeNumber(merged.intervalMinutes, 'Interval', AUTOMATION_LIMITS.intervalMinutes, true);
+  const debounceSeconds = validateWholeNumber(merged.debounceSeconds, 'Debounce delay', AUTOMATION_LIMITS.debounceSeconds);
+  const dailyBudget = validateWholeNumber(merged.dailyBudget, 'Daily budget', AUTOMATION_LIMITS.dailyBudget);
+
+  const enabled = merged.enabled === true;
+  const classifyNewTabs = merged.classifyNewTabs === true;
+  if (enabled && tabThreshold === 0 && intervalMinutes === 0 && !classifyNewTabs) {
+    throw new Error('Set a tab threshold, an interval or new tab placement to turn on automatic grouping');
+  }
+
+  const quietStart = parseTimeOfDay(merged.quietHours.start);
+  const quietEnd = parseTimeOfDay(merged.quietHours.end);
+  if (quietStart === null || quietEnd === null) {
+    throw new Error('Quiet hours must be times of day as HH:MM');
+  }
+
+  return {
+    enabled,
+    tabThreshold,
+    intervalMinutes,
+    classifyNewTabs,
+    debounceSeconds,
+    quietHours: {
+      enabled: merged.quietHours.enabled === true,
+      start: merged.quietHours.start.trim(),
+      end: merged.quietHours.end.trim()
+    },
+    dailyBudget
+  };
+}
+
+/**
+ * Reads stored automation settings, filling in defaults
+ * Invalid stored settings turn automation off rather than running with guessed values
+ * @param {Object} settings - Settings from the configuration
+ * @returns {Object} Normalized settings
+ */
+function resolveAutomationSettings(settings) {
+  if (!settings) {
+    return validateAutomationSettings({});
+  }
+
+  try {
+    return validateAutomationSettings(settings);
+  } catch (error) {
+    console.warn('[Automation] Ignoring invalid automation settings:', error.message);
+    return validateAutomationSettings({});
+  }
+}
+
+/**
+ * Checks whether a time falls in the quiet hours
+ * @param {Object} quietHours - { enabled, start, end } as HH:MM
+ * @param {Date} now - Time to check
+ * @returns {boolean} True during quiet hours (start inclusive, end exclusive)
+ */
+function isQuietTime(quietHours, now = new Date()) {
+  if (!quietHours?.enabled) {
+    return false;
+  }
+
+  const start = parseTimeOfDay(quietHours.start);
+  const end = parseTimeOfDay(quietHours.end);
+  if (start === null || end === null || start === end) {
+    return false;
+  }
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Formats a date as a local calendar day, used to reset the daily budget
+ * @param {Date} date - Date to format
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getDayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Retrieves the automation usage, with the run count reset on a new day
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { day, runsToday, lastRunAt, lastResult, lastUngroupedTabIds }
+ */
+async function getAutomationState(now = new Date()) {
+  let state;
+  try {
+    const result = await chrome.storage.local.get(AUTOMATION_STATE_KEY);
+    state = result?.[AUTOMATION_STATE_KEY];
+  } catch (error) {
+    throw new Error(`Failed to retrieve automation state: ${error.message}`);
+  }
+
+  const today = getDayKey(now);
+  return {
+    day: today,
+    runsToday: state?.day === today ? state.runsToday || 0 : 0,
+    lastRunAt: state?.lastRunAt || null,
+    lastResult: state?.lastResult || null,
+    lastUngroupedTabIds: Array.isArray(state?.lastUngroupedTabIds) ? state.lastUngroupedTabIds : null
+  };
+}
+
+/**
+ * Counts an automatic run against today's budget and remembers its outcome
+ * @param {Object} result - { trigger, success, message, ungroupedTabIds } where ungroupedTabIds
+ *   are the tabs still waiting to be grouped after the run
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object>} Updated state
+ */
+async function recordAutomationRun(result, now = new Date()) {
+  const state = await getAutomationState(now);
+  const updated = {
+    ...state,
+    runsToday: state.runsToday + 1,
+    lastRunAt: now.getTime(),
+    lastResult: {
+      trigger: result?.trigger || null,
+      success: !!result?.success,
+      message: result?.message || ''
+    },
+    lastUngroupedTabIds: Array.isArray(result?.ungroupedTabIds) ? result.ungroupedTabIds : null
+  };
+
+  try {
+    await chrome.storage.local.set({ [AUTOMATION_STATE_KEY]: updated });
+  } catch (error) {
+    throw new Error(`Failed to save automation state: ${error.message}`);
+  }
+
+  return updated;
+}
+
+/**
+ * Decides whether an automatic run may start now
+ * @param {Object} settings - Automation settings (see validateAutomationSettings)
+ * @param {Object} state - Usage from getAutomationState
+ * @param {Date} now - Current time
+ * @returns {Object} { allowed, reason } where reason is 'disabled', 'quiet_hours' or 'budget_exhausted'
+ */
+function checkAutomationRun(settings, state, now = new Date()) {
+  if (!settings?.enabled) {
+    return { allowed: false, reason: 'disabled' };
+  }
+
+  if (isQuietTime(settings.quietHours, now)) {
+    return { allowed: false, reason: 'quiet_hours' };
+  }
+
+  if ((state?.runsToday || 0) >= settings.dailyBudget) {
+    return { allowed: false, reason: 'budget_exhausted' };
+  }
+
+  return { allowed: true, reason: null };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_AUTOMATION_SETTINGS,
+    AUTOMATION_LIMITS,
+    parseTimeOfDay,
+    validateAutomationSettings,
+    resolveAutomationSettings,
+    isQuietTime,
+    getAutomationState,
+    recordAutomationRun,
+    checkAutomationRun
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  DEFAULT_AUTOMATION_SETTINGS,
+  AUTOMATION_LIMITS,
+  parseTimeOfDay,
+  validateAutomationSettings,
+  resolveAutomationSettings,
+  isQuietTime,
+  getAutomationState,
+  recordAutomationRun,
+  checkAutomationRun
+};
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for automation.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  DEFAULT_AUTOMATION_SETTINGS,
+  parseTimeOfDay,
+  validateAutomationSettings,
+  resolveAutomationSettings,
+  isQuietTime,
+  getAutomationState,
+  recordAutomationRun,
+  checkAutomationRun
+} = await import('./automation.js');
+
+describe('Automation', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  describe('validateAutomationSettings', () => {
+    it('should fill in defaults', () => {
+      expect(validateAutomationSettings({})).toEqual(DEFAULT_AUTOMATION_SETTINGS);
+      expect(validateAutomationSettings({ enabled: true, quietHours: { enabled: true } }).quietHours).toEqual({
+        enabled: true,
+        start: '22:00',
+        end: '07:00'
+      });
+    });
+
+    it('should reject out-of-range values', () => {
+      expect(() => validateAutomationSettings({ tabThreshold: 1 })).toThrow('Tab threshold must be a whole number from 2 to 100');
+      expect(() => validateAutomationSettings({ debounceSeconds: 5 })).toThrow('Debounce delay');
+      expect(() => validateAutomationSettings({ dailyBudget: 0 })).toThrow('Daily budget');
+      expect(() => validateAutomationSettings({ quietHours: { start: '25:00' } })).toThrow('Quiet hours must be times of day');
+    });
+
+    it('should require a trigger when enabled', () => {
+      expect(() => validateAutomationSettings({ enabled: true, tabThreshold: 0, intervalMinutes: 0 }))
+        .toThrow('Set a tab threshold, an interval or new tab placement');
+      expect(validateAutomationSettings({ enabled: true, tabThreshold: 0, intervalMinutes: 30 }).intervalMinutes).toBe(30);
+      expect(validateAutomationSettings({ enabled: true, tabThreshold: 0, classifyNewTabs: true }).classifyNewTabs).toBe(true);
+    });
+  });
+
+  describe('resolveAutomationSettings', () => {
+    it('should turn automation off when stored settings are invalid', () => {
+      expect(resolveAutomationSettings({ enabled: true, tabThreshold: 'many' })).toEqual(DEFAULT_AUTOMATION_SETTINGS);
+      expect(resolveAutomationSettings(undefined).enabled).toBe(false);
+    });
+  });
+
+  describe('isQuietTime', () => {
+    it('should handle quiet hours that wrap past midnight', () => {
+      const quietHours = { enabled: true, start: '22:00', end: '07:00' };
+
+      expect(isQuietTime(quietHours, new Date(2024, 0, 1, 23, 30))).toBe(true);
+      expect(isQuietTime(quietHours, new Date(2024, 0, 1, 6, 59))).toBe(true);
+      expect(isQuietTime(quietHours, new Date(2024, 0, 1, 7, 0))).toBe(false);
+      expect(isQuietTime({ ...quietHours, enabled: false }, new Date(2024, 0, 1, 23, 30))).toBe(false);
+    });
+
+    it('should handle quiet hours within one day', () => {
+      const quietHours = { enabled: true, start: '12:00', end: '13:30' };
+
+      expect(isQuietTime(quietHours, new Date(2024, 0, 1, 12, 45))).toBe(true);
+      expect(isQuietTime(quietHours, new Date(2024, 0, 1, 14, 0))).toBe(false);
+      expect(parseTimeOfDay('13:30')).toBe(810);
+    });
+  });
+
+  describe('daily budget', () => {
+    it('should count runs and reset on a new day', async () => {
+      const morning = new Date(2024, 0, 1, 9, 0);
+      await recordAutomationRun({ trigger: 'threshold', success: true, message: 'Created 2 group(s)' }, morning);
+      await recordAutomationRun({ trigger: 'interval', success: false, message: 'Network error' }, morning);
+
+      const sameDay = await getAutomationState(new Date(2024, 0, 1, 18, 0));
+      expect(sameDay.runsToday).toBe(2);
+      expect(sameDay.lastResult).toEqual({ trigger: 'interval', success: false, message: 'Network error' });
+
+      const nextDay = await getAutomationState(new Date(2024, 0, 2, 9, 0));
+      expect(nextDay.runsToday).toBe(0);
+      expect(nextDay.lastRunAt).toBe(morning.getTime());
+    });
+
+    it('should remember the tabs left ungrouped by the last run', async () => {
+      expect((await getAutomationState()).lastUngroupedTabIds).toBeNull();
+
+      await recordAutomationRun({ trigger: 'threshold', success: true, message: 'Done', ungroupedTabIds: [4, 7] });
+
+      expect((await getAutomationState()).lastUngroupedTabIds).toEqual([4, 7]);
+    });
+  });
+
+  describe('checkAutomationRun', () => {
+    const settings = validateAutomationSettings({
+      enabled: true,
+      dailyBudget: 2,
+      quietHours: { enabled: true, start: '22:00', end: '07:00' }
+    });
+    const noon = new Date(2024, 0, 1, 12, 0);
+
+    it('should allow runs within the budget outside quiet hours', () => {
+      expect(checkAutomationRun(settings, { runsToday: 1 }, noon)).toEqual({ allowed: true, reason: null });
+    });
+
+    it('should explain why a run is not allowed', () => {
+      expect(checkAutomationRun({ ...settings, enabled: false }, { runsToday: 0 }, noon).reason).toBe('disabled');
+      expect(checkAutomationRun(settings, { runsToday: 0 }, new Date(2024, 0, 1, 23, 0)).reason).toBe('quiet_hours');
+      expect(checkAutomationRun(settings, { runsToday: 2 }, noon).reason).toBe('budget_exhausted');
+    });
+  });
+});
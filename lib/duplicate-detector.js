@@ -0,0 +1,202 @@
+/**
+ * Duplicate Detector Module
+ * Finds open tabs showing the same page by comparing normalized URLs: fragments,
+ * tracking parameters and trailing slashes are ignored, with per-domain exceptions
+ */
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_hsenc', '_hsmkt', 'ref_src', 'ref_url', 'si', 'spm'
+];
+const TRACKING_PARAM_PREFIXES = ['utm_'];
+
+// Settings used when none are stored
+const DEFAULT_DUPLICATE_SETTINGS = {
+  ignoreFragments: true,
+  ignoreTrackingParams: true,
+  ignoreTrailingSlash: true,
+  domainRules: []
+};
+
+// Per-domain exceptions: ignore the whole query string (e.g. session IDs), or keep the
+// fragment where it selects the page (e.g. apps routing with #/path)
+const DOMAIN_RULE_MODES = ['ignoreQuery', 'keepFragment'];
+
+/**
+ * Validates duplicate detection settings and returns a normalized copy
+ * @param {Object} settings - Settings to validate
+ * @param {boolean} settings.ignoreFragments - Treat page#a and page#b as the same page
+ * @param {boolean} settings.ignoreTrackingParams - Drop utm_* and similar parameters before comparing
+ * @param {boolean} settings.ignoreTrailingSlash - Treat /docs and /docs/ as the same page
+ * @param {Array<Object>} settings.domainRules - [{ domain, mode }] where mode is 'ignoreQuery' or 'keepFragment'
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a setting is invalid
+ */
+function validateDuplicateSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Duplicate settings must be an object');
+  }
+
+  const normalized = {};
+  for (const key of ['ignoreFragments', 'ignoreTrackingParams', 'ignoreTrailingSlash']) {
+    const value = settings[key] ?? DEFAULT_DUPLICATE_SETTINGS[key];
+    if (typeof value !== 'boolean') {
+      throw new Error(`Duplicate setting "${key}" must be true or false`);
+    }
+    normalized[key] = value;
+  }
+
+  const domainRules = settings.domainRules ?? [];
+  if (!Array.isArray(domainRules)) {
+    throw new Error('Domain rules must be an array');
+  }
+
+  normalized.domainRules = domainRules.map((rule, index) => {
+    const domain = typeof rule?.domain === 'string'
+      ? rule.domain.trim().toLowerCase().replace(/^\*\./, '').replace(/^www\./, '')
+      : '';
+    if (!domain || !/^[a-z0-9.-]+$/.test(domain)) {
+      throw new Error(`Domain rule ${index + 1}: Enter a domain such as example.com`);
+    }
+    if (!DOMAIN_RULE_MODES.includes(rule.mode)) {
+      throw new Error(`Domain rule ${index + 1}: Invalid mode: ${rule.mode}. Must be one of: ${DOMAIN_RULE_MODES.join(', ')}`);
+    }
+    return { domain, mode: rule.mode };
+  });
+
+  return normalized;
+}
+
+/**
+ * Reads stored duplicate settings, filling in defaults
+ * @param {Object} settings - Settings from the configuration
+ * @returns {Object} Normalized settings
+ */
+function resolveDuplicateSettings(settings) {
+  if (!settings) {
+    return validateDuplicateSettings({});
+  }
+
+  try {
+    return validateDuplicateSettings(settings);
+  } catch (error) {
+    console.warn('[DuplicateDetector] Ignoring invalid duplicate settings:', error.message);
+    return validateDuplicateSettings({});
+  }
+}
+
+/**
+ * Checks whether a query parameter only tracks the visit
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for tracking parameters
+ */
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.includes(key) || TRACKING_PARAM_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Normalizes a URL for duplicate comparison
+ * The host is lowercased without "www.", and the remaining query parameters are sorted
+ * @param {string} url - Tab URL
+ * @param {Object} settings - Settings from resolveDuplicateSettings
+ * @returns {string|null} Comparison key, or null for non-web URLs (new tab pages, settings)
+ */
+function normalizeUrl(url, settings = DEFAULT_DUPLICATE_SETTINGS) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const modes = new Set((settings.domainRules || [])
+    .filter(rule => host === rule.domain || host.endsWith(`.${rule.domain}`))
+    .map(rule => rule.mode));
+
+  let path = parsed.pathname;
+  if (settings.ignoreTrailingSlash && path.length > 1) {
+    path = path.replace(/\/+$/, '') || '/';
+  }
+
+  let query = '';
+  if (!modes.has('ignoreQuery')) {
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !settings.ignoreTrackingParams || !isTrackingParam(name))
+      .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+    query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+  }
+
+  const fragment = !settings.ignoreFragments || modes.has('keepFragment') ? parsed.hash : '';
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  return `${parsed.protocol}//${host}${port}${path}${query}${fragment}`;
+}
+
+/**
+ * Orders copies of a page so the one worth keeping comes first:
+ * the active tab, then pinned, then grouped, then the earliest in the tab strip
+ * @param {Object} a - Tab
+ * @param {Object} b - Tab
+ * @returns {number} Sort order
+ */
+function compareKeepPreference(a, b) {
+  const score = tab => (tab.active ? 4 : 0) + (tab.pinned ? 2 : 0) + (tab.groupId >= 0 ? 1 : 0);
+  return score(b) - score(a) || (a.windowId || 0) - (b.windowId || 0) || (a.index || 0) - (b.index || 0);
+}
+
+/**
+ * Finds sets of tabs showing the same page
+ * @param {Array<Object>} tabs - Chrome tabs
+ * @param {Object} settings - Settings from resolveDuplicateSettings
+ * @returns {Array<Object>} [{ key, keep, duplicates }] for every page open more than once
+ */
+function findDuplicates(tabs, settings = DEFAULT_DUPLICATE_SETTINGS) {
+  const byKey = new Map();
+  for (const tab of tabs || []) {
+    const key = normalizeUrl(tab.url, settings);
+    if (!key) {
+      continue;
+    }
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(tab);
+  }
+
+  return [...byKey.entries()]
+    .filter(([, copies]) => copies.length > 1)
+    .map(([key, copies]) => {
+      const [keep, ...duplicates] = [...copies].sort(compareKeepPreference);
+      return { key, keep, duplicates };
+    });
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_DUPLICATE_SETTINGS,
+    DOMAIN_RULE_MODES,
+    validateDuplicateSettings,
+    resolveDuplicateSettings,
+    normalizeUrl,
+    compareKeepPreference,
+    findDuplicates
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  DEFAULT_DUPLICATE_SETTINGS,
+  DOMAIN_RULE_MODES,
+  validateDuplicateSettings,
+  resolveDuplicateSettings,
+  normalizeUrl,
+  compareKeepPreference,
+  findDuplicates
+};
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for duplicate-detector.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  DEFAULT_DUPLICATE_SETTINGS,
+  validateDuplicateSettings,
+  resolveDuplicateSettings,
+  normalizeUrl,
+  findDuplicates
+} = await import('./duplicate-detector.js');
+
+describe('Duplicate Detector', () => {
+  describe('normalizeUrl', () => {
+    it('should ignore fragments, tracking parameters, trailing slashes and www', () => {
+      const key = normalizeUrl('https://docs.example.com/guide/');
+
+      expect(normalizeUrl('https://www.docs.example.com/guide#install')).toBe(key);
+      expect(normalizeUrl('https://docs.example.com/guide?utm_source=mail&fbclid=abc')).toBe(key);
+      expect(normalizeUrl('https://DOCS.example.com/guide')).toBe(key);
+    });
+
+    it('should keep meaningful query parameters in a stable order', () => {
+      expect(normalizeUrl('https://example.com/search?q=tabs&page=2'))
+        .toBe(normalizeUrl('https://example.com/search?page=2&q=tabs'));
+      expect(normalizeUrl('https://example.com/search?q=tabs'))
+        .not.toBe(normalizeUrl('https://example.com/search?q=groups'));
+    });
+
+    it('should apply per-domain rules and skip non-web URLs', () => {
+      const settings = validateDuplicateSettings({
+        domainRules: [
+          { domain: 'shop.example.com', mode: 'ignoreQuery' },
+          { domain: '*.app.example.com', mode: 'keepFragment' }
+        ]
+      });
+
+      expect(normalizeUrl('https://shop.example.com/item/1?session=a', settings))
+        .toBe(normalizeUrl('https://shop.example.com/item/1?session=b', settings));
+      expect(normalizeUrl('https://my.app.example.com/#/inbox', settings))
+        .not.toBe(normalizeUrl('https://my.app.example.com/#/sent', settings));
+      expect(normalizeUrl('chrome://newtab/')).toBeNull();
+    });
+
+    it('should respect turned-off options', () => {
+      const settings = { ...DEFAULT_DUPLICATE_SETTINGS, ignoreFragments: false, ignoreTrailingSlash: false };
+
+      expect(normalizeUrl('https://example.com/a#one', settings)).not.toBe(normalizeUrl('https://example.com/a#two', settings));
+      expect(normalizeUrl('https://example.com/a/', settings)).not.toBe(normalizeUrl('https://example.com/a', settings));
+    });
+  });
+
+  describe('validateDuplicateSettings', () => {
+    it('should reject invalid domain rules', () => {
+      expect(() => validateDuplicateSettings({ domainRules: [{ domain: 'not a domain', mode: 'ignoreQuery' }] }))
+        .toThrow('Domain rule 1: Enter a domain such as example.com');
+      expect(() => validateDuplicateSettings({ domainRules: [{ domain: 'example.com', mode: 'ignoreAll' }] }))
+        .toThrow('Invalid mode: ignoreAll');
+      expect(resolveDuplicateSettings({ ignoreFragments: 'yes' })).toEqual(DEFAULT_DUPLICATE_SETTINGS);
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should keep the active, pinned or grouped copy and list the rest', () => {
+      const tabs = [
+        { id: 1, index: 0, windowId: 1, groupId: -1, url: 'https://docs.example.com/guide' },
+        { id: 2, index: 1, windowId: 1, groupId: 7, url: 'https://docs.example.com/guide#faq' },
+        { id: 3, index: 2, windowId: 1, groupId: -1, url: 'https://docs.example.com/guide/?utm_medium=chat' },
+        { id: 4, index: 3, windowId: 1, groupId: -1, url: 'https://example.com/other' },
+        { id: 5, index: 4, windowId: 1, groupId: -1, active: true, url: 'https://example.com/other' }
+      ];
+
+      const sets = findDuplicates(tabs);
+
+      expect(sets).toHaveLength(2);
+      expect(sets[0].keep.id).toBe(2);
+      expect(sets[0].duplicates.map(tab => tab.id)).toEqual([1, 3]);
+      expect(sets[1].keep.id).toBe(5);
+      expect(sets[1].duplicates.map(tab => tab.id)).toEqual([4]);
+    });
+  });
+});
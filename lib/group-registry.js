@@ -0,0 +1,331 @@
+/**
+ * Group Registry Module
+ * Remembers group identities (canonical name and color) across runs so recurring
+ * groups keep the same name and color, and which group each domain last went to
+ */
+
+const REGISTRY_STORAGE_KEY = 'group_registry';
+const DOMAIN_MAP_STORAGE_KEY = 'domain_group_map';
+
+// Least recently used identities are dropped beyond this size
+const MAX_REGISTRY_ENTRIES = 100;
+
+// Least recently used domain mappings are dropped beyond this size
+const MAX_DOMAIN_ENTRIES = 300;
+
+// Chrome colors available for tab groups
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Normalizes a group name for identity lookups (case and whitespace insensitive)
+ * @param {string} name - Group name
+ * @returns {string} Normalized key
+ */
+function normalizeGroupName(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Retrieves the stored registry
+ * @returns {Promise<Object>} Map of normalized name to { name, color, useCount, lastUsed }
+ */
+async function getGroupRegistry() {
+  try {
+    const result = await chrome.storage.local.get(REGISTRY_STORAGE_KEY);
+    const registry = result?.[REGISTRY_STORAGE_KEY];
+    return registry && typeof registry === 'object' ? registry : {};
+  } catch (error) {
+    throw new Error(`Failed to retrieve group registry: ${error.message}`);
+  }
+}
+
+/**
+ * Persists the registry, keeping only the most recently used identities
+ * @param {Object} registry - Registry to store
+ * @returns {Promise<void>}
+ */
+async function saveGroupRegistry(registry) {
+  const entries = Object.entries(registry)
+    .sort(([, a], [, b]) => (b.lastUsed || 0) - (a.lastUsed || 0))
+    .slice(0, MAX_REGISTRY_ENTRIES);
+
+  try {
+    await chrome.storage.local.set({
+      [REGISTRY_STORAGE_KEY]: Object.fromEntries(entries)
+    });
+  } catch (error) {
+    throw new Error(`Failed to save group registry: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up the remembered identity for a group name
+ * @param {string} name - Group name (e.g. as returned by the LLM)
+ * @param {Object} registry - Registry from getGroupRegistry
+ * @returns {Object|null} { name, color } with the canonical name, or null if unknown
+ */
+function resolveGroupIdentity(name, registry) {
+  const entry = registry?.[normalizeGroupName(name)];
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    name: entry.name || name,
+    color: GROUP_COLORS.includes(entry.color) ? entry.color : null
+  };
+}
+
+/**
+ * Picks a color for a group without a remembered one
+ * The color is derived from the name so it is the same on every run, moving on to
+ * the next color when it is already used by another group in the same run
+ * @param {string} name - Group name
+ * @param {Set<string>} usedColors - Colors already taken in this run
+ * @returns {string} Chrome group color
+ */
+function pickGroupColor(name, usedColors = new Set()) {
+  const key = normalizeGroupName(name);
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  }
+
+  const start = hash % GROUP_COLORS.length;
+  for (let offset = 0; offset < GROUP_COLORS.length; offset++) {
+    const color = GROUP_COLORS[(start + offset) % GROUP_COLORS.length];
+    if (!usedColors.has(color)) {
+      return color;
+    }
+  }
+
+  return GROUP_COLORS[start];
+}
+
+/**
+ * Lists canonical group names, most used first, for reuse in prompts
+ * @param {Object} registry - Registry from getGroupRegistry
+ * @param {number} limit - Maximum number of names
+ * @returns {Array<string>} Canonical group names
+ */
+function getKnownGroupNames(registry, limit = 20) {
+  const names = Object.values(registry || {})
+    .sort((a, b) => (b.useCount || 0) - (a.useCount || 0) || (b.lastUsed || 0) - (a.lastUsed || 0))
+    .map(entry => entry.name)
+    .filter(Boolean);
+
+  return [...new Set(names)].slice(0, limit);
+}
+
+/**
+ * Records the groups created or extended by a grouping run
+ * Known names keep their color; new names are added with the color they were given
+ * @param {Array<Object>} groups - Groups with name and color
+ * @returns {Promise<void>}
+ */
+async function rememberGroups(groups) {
+  const registry = await getGroupRegistry();
+  const now = Date.now();
+
+  for (const group of groups || []) {
+    const key = normalizeGroupName(group.name);
+    if (!key) {
+      continue;
+    }
+
+    const entry = registry[key];
+    registry[key] = {
+      name: entry?.name || group.name.trim(),
+      color: entry?.color || (GROUP_COLORS.includes(group.color) ? group.color : null),
+      useCount: (entry?.useCount || 0) + 1,
+      lastUsed: now
+    };
+  }
+
+  await saveGroupRegistry(registry);
+}
+
+/**
+ * Sets the color and/or canonical name remembered for a group name
+ * @param {string} name - Group name to update
+ * @param {Object} identity - Fields to change
+ * @param {string} identity.color - Chrome group color
+ * @param {string} identity.canonicalName - Name to use whenever this name comes up
+ * @returns {Promise<Object>} The stored entry
+ * @throws {Error} If the name or color is invalid
+ */
+async function updateGroupIdentity(name, identity = {}) {
+  const key = normalizeGroupName(name);
+  if (!key) {
+    throw new Error('Group name is required');
+  }
+
+  if (identity.color !== undefined && !GROUP_COLORS.includes(identity.color)) {
+    throw new Error(`Invalid color: ${identity.color}. Must be one of: ${GROUP_COLORS.join(', ')}`);
+  }
+
+  const registry = await getGroupRegistry();
+  const entry = registry[key] || { name: name.trim(), color: null, useCount: 0 };
+  const updated = {
+    ...entry,
+    name: identity.canonicalName?.trim() || entry.name,
+    color: identity.color || entry.color,
+    lastUsed: Date.now()
+  };
+
+  registry[key] = updated;
+
+  // The canonical name shares the identity so either spelling resolves the same way
+  const canonicalKey = normalizeGroupName(updated.name);
+  if (canonicalKey !== key) {
+    registry[canonicalKey] = { ...(registry[canonicalKey] || {}), ...updated };
+  }
+
+  await saveGroupRegistry(registry);
+  return updated;
+}
+
+/**
+ * Forgets a remembered group name
+ * @param {string} name - Group name
+ * @returns {Promise<void>}
+ */
+async function removeGroupIdentity(name) {
+  const registry = await getGroupRegistry();
+  delete registry[normalizeGroupName(name)];
+  await saveGroupRegistry(registry);
+}
+
+/**
+ * Normalizes a URL to the domain key used by the domain map
+ * @param {string} url - Tab URL
+ * @returns {string|null} Hostname without "www.", or null for non-web URLs
+ */
+function getDomainKey(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.hostname.toLowerCase().replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Retrieves the stored domain map
+ * @returns {Promise<Object>} Map of domain to { name, lastUsed }
+ */
+async function getDomainGroupMap() {
+  try {
+    const result = await chrome.storage.local.get(DOMAIN_MAP_STORAGE_KEY);
+    const map = result?.[DOMAIN_MAP_STORAGE_KEY];
+    return map && typeof map === 'object' ? map : {};
+  } catch (error) {
+    throw new Error(`Failed to retrieve domain map: ${error.message}`);
+  }
+}
+
+/**
+ * Records which group each domain's tabs went to
+ * A domain whose tabs went to several groups in the same run says nothing about where
+ * the next tab belongs, so its mapping is dropped
+ * @param {Array<Object>} groups - Groups with name and the urls of their tabs
+ * @returns {Promise<void>}
+ */
+async function rememberDomainGroups(groups) {
+  const namesByDomain = new Map();
+  for (const group of groups || []) {
+    const name = (group.name || '').trim();
+    if (!name) {
+      continue;
+    }
+
+    for (const url of group.urls || []) {
+      const domain = getDomainKey(url);
+      if (!domain) {
+        continue;
+      }
+      if (!namesByDomain.has(domain)) {
+        namesByDomain.set(domain, new Set());
+      }
+      namesByDomain.get(domain).add(name);
+    }
+  }
+
+  if (namesByDomain.size === 0) {
+    return;
+  }
+
+  const map = await getDomainGroupMap();
+  const now = Date.now();
+  for (const [domain, names] of namesByDomain) {
+    if (names.size === 1) {
+      map[domain] = { name: [...names][0], lastUsed: now };
+    } else {
+      delete map[domain];
+    }
+  }
+
+  const entries = Object.entries(map)
+    .sort(([, a], [, b]) => (b.lastUsed || 0) - (a.lastUsed || 0))
+    .slice(0, MAX_DOMAIN_ENTRIES);
+
+  try {
+    await chrome.storage.local.set({
+      [DOMAIN_MAP_STORAGE_KEY]: Object.fromEntries(entries)
+    });
+  } catch (error) {
+    throw new Error(`Failed to save domain map: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up the group a URL's domain last went to
+ * @param {string} url - Tab URL
+ * @param {Object} map - Map from getDomainGroupMap
+ * @returns {string|null} Group name, or null if the domain is unknown
+ */
+function findDomainGroup(url, map) {
+  const domain = getDomainKey(url);
+  return (domain && map?.[domain]?.name) || null;
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_REGISTRY_ENTRIES,
+    GROUP_COLORS,
+    normalizeGroupName,
+    getGroupRegistry,
+    resolveGroupIdentity,
+    pickGroupColor,
+    getKnownGroupNames,
+    rememberGroups,
+    updateGroupIdentity,
+    removeGroupIdentity,
+    getDomainKey,
+    getDomainGroupMap,
+    rememberDomainGroups,
+    findDomainGroup
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  MAX_REGISTRY_ENTRIES,
+  GROUP_COLORS,
+  normalizeGroupName,
+  getGroupRegistry,
+  resolveGroupIdentity,
+  pickGroupColor,
+  getKnownGroupNames,
+  rememberGroups,
+  updateGroupIdentity,
+  removeGroupIdentity,
+  getDomainKey,
+  getDomainGroupMap,
+  rememberDomainGroups,
+  findDomainGroup
+};
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for group-registry.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  MAX_REGISTRY_ENTRIES,
+  normalizeGroupName,
+  getGroupRegistry,
+  resolveGroupIdentity,
+  pickGroupColor,
+  getKnownGroupNames,
+  rememberGroups,
+  updateGroupIdentity,
+  removeGroupIdentity,
+  getDomainKey,
+  getDomainGroupMap,
+  rememberDomainGroups,
+  findDomainGroup
+} = await import('./group-registry.js');
+
+describe('Group Registry', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  describe('normalizeGroupName', () => {
+    it('should ignore case and extra whitespace', () => {
+      expect(normalizeGroupName('  Research   Papers ')).toBe('research papers');
+      expect(normalizeGroupName(undefined)).toBe('');
+    });
+  });
+
+  describe('getGroupRegistry', () => {
+    it('should return an empty registry when nothing is stored', async () => {
+      expect(await getGroupRegistry()).toEqual({});
+    });
+
+    it('should throw error when storage fails', async () => {
+      chrome.storage.local.get.mockRejectedValueOnce(new Error('Storage error'));
+
+      await expect(getGroupRegistry()).rejects.toThrow('Failed to retrieve group registry: Storage error');
+    });
+  });
+
+  describe('rememberGroups', () => {
+    it('should store new names with their color', async () => {
+      await rememberGroups([{ name: 'Research', color: 'blue' }]);
+
+      const registry = await getGroupRegistry();
+      expect(registry.research).toMatchObject({ name: 'Research', color: 'blue', useCount: 1 });
+    });
+
+    it('should keep the remembered color and name for known groups', async () => {
+      await rememberGroups([{ name: 'Research', color: 'blue' }]);
+      await rememberGroups([{ name: 'research', color: 'red' }]);
+
+      const registry = await getGroupRegistry();
+      expect(registry.research).toMatchObject({ name: 'Research', color: 'blue', useCount: 2 });
+    });
+
+    it('should keep at most MAX_REGISTRY_ENTRIES identities', async () => {
+      const groups = Array.from({ length: MAX_REGISTRY_ENTRIES + 5 }, (_, i) => ({ name: `Group ${i}`, color: 'blue' }));
+
+      await rememberGroups(groups);
+
+      expect(Object.keys(await getGroupRegistry())).toHaveLength(MAX_REGISTRY_ENTRIES);
+    });
+  });
+
+  describe('resolveGroupIdentity', () => {
+    it('should return the canonical name and color', () => {
+      const registry = { 'dev docs': { name: 'Docs', color: 'green' } };
+
+      expect(resolveGroupIdentity('Dev  Docs', registry)).toEqual({ name: 'Docs', color: 'green' });
+      expect(resolveGroupIdentity('Unknown', registry)).toBeNull();
+    });
+  });
+
+  describe('pickGroupColor', () => {
+    it('should pick the same color for the same name', () => {
+      expect(pickGroupColor('Research')).toBe(pickGroupColor(' research '));
+    });
+
+    it('should avoid colors already used in the run', () => {
+      const first = pickGroupColor('Research');
+
+      expect(pickGroupColor('Research', new Set([first]))).not.toBe(first);
+    });
+  });
+
+  describe('getKnownGroupNames', () => {
+    it('should list canonical names, most used first', () => {
+      const registry = {
+        news: { name: 'News', useCount: 1, lastUsed: 5 },
+        research: { name: 'Research', useCount: 4, lastUsed: 1 },
+        'dev docs': { name: 'Docs', useCount: 2 },
+        docs: { name: 'Docs', useCount: 2 }
+      };
+
+      expect(getKnownGroupNames(registry)).toEqual(['Research', 'Docs', 'News']);
+      expect(getKnownGroupNames(registry, 1)).toEqual(['Research']);
+    });
+  });
+
+  describe('updateGroupIdentity', () => {
+    it('should set color and canonical name', async () => {
+      await updateGroupIdentity('dev docs', { color: 'cyan', canonicalName: 'Docs' });
+
+      const registry = await getGroupRegistry();
+      expect(resolveGroupIdentity('Dev Docs', registry)).toEqual({ name: 'Docs', color: 'cyan' });
+      expect(resolveGroupIdentity('docs', registry)).toEqual({ name: 'Docs', color: 'cyan' });
+    });
+
+    it('should reject invalid colors and names', async () => {
+      await expect(updateGroupIdentity('Docs', { color: 'black' })).rejects.toThrow('Invalid color: black');
+      await expect(updateGroupIdentity(' ', { color: 'blue' })).rejects.toThrow('Group name is required');
+    });
+  });
+
+  describe('removeGroupIdentity', () => {
+    it('should forget a group name', async () => {
+      await rememberGroups([{ name: 'Research', color: 'blue' }]);
+
+      await removeGroupIdentity('RESEARCH');
+
+      expect(await getGroupRegistry()).toEqual({});
+    });
+  });
+
+  describe('domain map', () => {
+    it('should normalize domains', () => {
+      expect(getDomainKey('https://www.GitHub.com/org/repo')).toBe('github.com');
+      expect(getDomainKey('chrome://extensions')).toBeNull();
+      expect(getDomainKey('not a url')).toBeNull();
+    });
+
+    it('should remember where each domain went', async () => {
+      await rememberDomainGroups([
+        { name: 'Work', urls: ['https://jira.example.com/browse/1', 'https://www.github.com/org'] },
+        { name: 'News', urls: ['https://news.example.org'] }
+      ]);
+
+      const map = await getDomainGroupMap();
+      expect(findDomainGroup('https://github.com/other', map)).toBe('Work');
+      expect(findDomainGroup('https://news.example.org/today', map)).toBe('News');
+      expect(findDomainGroup('https://unknown.example.net', map)).toBeNull();
+    });
+
+    it('should drop domains split across groups in one run', async () => {
+      await rememberDomainGroups([{ name: 'Work', urls: ['https://docs.google.com/a'] }]);
+      await rememberDomainGroups([
+        { name: 'Budget', urls: ['https://docs.google.com/b'] },
+        { name: 'Travel', urls: ['https://docs.google.com/c'] }
+      ]);
+
+      expect(findDomainGroup('https://docs.google.com/d', await getDomainGroupMap())).toBeNull();
+    });
+  });
+});
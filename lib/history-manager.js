@@ -0,0 +1,178 @@
+/**
+ * History Manager Module
+ * Persists grouping operations as before/after snapshots so they can be undone and redone
+ */
+
+const HISTORY_STORAGE_KEY = 'grouping_history';
+
+// Snapshots include every tab in the window, so keep the history bounded
+const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * Retrieves the stored history
+ * @returns {Promise<Object>} History object with entries array and cursor
+ *   (cursor is the number of entries currently applied)
+ */
+async function getHistory() {
+  try {
+    const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+    const history = result[HISTORY_STORAGE_KEY];
+
+    if (!history || !Array.isArray(history.entries)) {
+      return { entries: [], cursor: 0 };
+    }
+
+    const cursor = Math.min(Math.max(history.cursor || 0, 0), history.entries.length);
+    return { entries: history.entries, cursor };
+  } catch (error) {
+    throw new Error(`Failed to retrieve grouping history: ${error.message}`);
+  }
+}
+
+/**
+ * Persists the history object
+ * @param {Object} history - History object with entries and cursor
+ * @returns {Promise<void>}
+ */
+async function saveHistory(history) {
+  try {
+    await chrome.storage.local.set({
+      [HISTORY_STORAGE_KEY]: history
+    });
+  } catch (error) {
+    throw new Error(`Failed to save grouping history: ${error.message}`);
+  }
+}
+
+/**
+ * Records a grouping operation. Any undone entries after the cursor are discarded.
+ * @param {Object} entry - History entry
+ * @param {string} entry.operation - Operation name (e.g., 'autoGroup', 'customGroup')
+ * @param {string} entry.label - Human-readable description shown in the popup
+ * @param {Object} entry.before - Tab state captured before the operation
+ * @param {Object} entry.after - Tab state captured after the operation
+ * @returns {Promise<Object>} The stored entry
+ */
+async function recordHistoryEntry(entry) {
+  if (!entry || !entry.before || !entry.after) {
+    throw new Error('History entry requires before and after snapshots');
+  }
+
+  const history = await getHistory();
+  const storedEntry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    operation: entry.operation || 'unknown',
+    label: entry.label || entry.operation || 'Grouping',
+    timestamp: Date.now(),
+    before: entry.before,
+    after: entry.after
+  };
+
+  // Recording a new operation invalidates the redo branch
+  const entries = history.entries.slice(0, history.cursor);
+  entries.push(storedEntry);
+
+  const trimmed = entries.slice(-MAX_HISTORY_ENTRIES);
+  await saveHistory({ entries: trimmed, cursor: trimmed.length });
+
+  return storedEntry;
+}
+
+/**
+ * Returns the entry that would be reverted by an undo, without changing the history
+ * @returns {Promise<Object|null>} History entry or null if nothing to undo
+ */
+async function peekUndo() {
+  const history = await getHistory();
+  return history.cursor > 0 ? history.entries[history.cursor - 1] : null;
+}
+
+/**
+ * Returns the entry that would be reapplied by a redo, without changing the history
+ * @returns {Promise<Object|null>} History entry or null if nothing to redo
+ */
+async function peekRedo() {
+  const history = await getHistory();
+  return history.cursor < history.entries.length ? history.entries[history.cursor] : null;
+}
+
+/**
+ * Moves the cursor back one entry after a successful undo
+ * @returns {Promise<void>}
+ */
+async function commitUndo() {
+  const history = await getHistory();
+  if (history.cursor > 0) {
+    await saveHistory({ entries: history.entries, cursor: history.cursor - 1 });
+  }
+}
+
+/**
+ * Moves the cursor forward one entry after a successful redo
+ * @returns {Promise<void>}
+ */
+async function commitRedo() {
+  const history = await getHistory();
+  if (history.cursor < history.entries.length) {
+    await saveHistory({ entries: history.entries, cursor: history.cursor + 1 });
+  }
+}
+
+/**
+ * Summarizes the history for display (snapshots omitted)
+ * @returns {Promise<Object>} Summary with canUndo, canRedo and entry labels
+ */
+async function getHistorySummary() {
+  const history = await getHistory();
+  return {
+    canUndo: history.cursor > 0,
+    canRedo: history.cursor < history.entries.length,
+    cursor: history.cursor,
+    entries: history.entries.map(entry => ({
+      id: entry.id,
+      operation: entry.operation,
+      label: entry.label,
+      timestamp: entry.timestamp
+    }))
+  };
+}
+
+/**
+ * Removes all stored history
+ * @returns {Promise<void>}
+ */
+async function clearHistory() {
+  try {
+    await chrome.storage.local.remove(HISTORY_STORAGE_KEY);
+  } catch (error) {
+    throw new Error(`Failed to clear grouping history: ${error.message}`);
+  }
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_HISTORY_ENTRIES,
+    getHistory,
+    recordHistoryEntry,
+    peekUndo,
+    peekRedo,
+    commitUndo,
+    commitRedo,
+    getHistorySummary,
+    clearHistory
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  MAX_HISTORY_ENTRIES,
+  getHistory,
+  recordHistoryEntry,
+  peekUndo,
+  peekRedo,
+  commitUndo,
+  commitRedo,
+  getHistorySummary,
+  clearHistory
+};
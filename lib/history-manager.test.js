@@ -0,0 +1,153 @@
+/**
+ * Unit tests for history-manager.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      }),
+      remove: vi.fn(async (key) => {
+        delete store[key];
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  MAX_HISTORY_ENTRIES,
+  getHistory,
+  recordHistoryEntry,
+  peekUndo,
+  peekRedo,
+  commitUndo,
+  commitRedo,
+  getHistorySummary,
+  clearHistory
+} = await import('./history-manager.js');
+
+const snapshot = (label) => ({ timestamp: Date.now(), tabs: [{ id: 1, index: 0, groupId: null, url: label }], groups: [] });
+
+describe('History Manager', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  describe('getHistory', () => {
+    it('should return empty history when nothing is stored', async () => {
+      const history = await getHistory();
+
+      expect(history).toEqual({ entries: [], cursor: 0 });
+    });
+
+    it('should throw error when storage fails', async () => {
+      chrome.storage.local.get.mockRejectedValueOnce(new Error('Storage error'));
+
+      await expect(getHistory()).rejects.toThrow('Failed to retrieve grouping history: Storage error');
+    });
+  });
+
+  describe('recordHistoryEntry', () => {
+    it('should store entry and advance the cursor', async () => {
+      const entry = await recordHistoryEntry({
+        operation: 'autoGroup',
+        label: 'Auto group',
+        before: snapshot('a'),
+        after: snapshot('b')
+      });
+
+      const history = await getHistory();
+      expect(history.cursor).toBe(1);
+      expect(history.entries[0].id).toBe(entry.id);
+      expect(history.entries[0].label).toBe('Auto group');
+    });
+
+    it('should require before and after snapshots', async () => {
+      await expect(recordHistoryEntry({ operation: 'autoGroup' }))
+        .rejects.toThrow('History entry requires before and after snapshots');
+    });
+
+    it('should discard undone entries when a new entry is recorded', async () => {
+      await recordHistoryEntry({ operation: 'one', before: snapshot('a'), after: snapshot('b') });
+      await recordHistoryEntry({ operation: 'two', before: snapshot('b'), after: snapshot('c') });
+      await commitUndo();
+
+      await recordHistoryEntry({ operation: 'three', before: snapshot('b'), after: snapshot('d') });
+
+      const history = await getHistory();
+      expect(history.entries.map(e => e.operation)).toEqual(['one', 'three']);
+      expect(history.cursor).toBe(2);
+    });
+
+    it('should keep at most MAX_HISTORY_ENTRIES entries', async () => {
+      for (let i = 0; i < MAX_HISTORY_ENTRIES + 3; i++) {
+        await recordHistoryEntry({ operation: `op${i}`, before: snapshot('a'), after: snapshot('b') });
+      }
+
+      const history = await getHistory();
+      expect(history.entries).toHaveLength(MAX_HISTORY_ENTRIES);
+      expect(history.entries[0].operation).toBe('op3');
+      expect(history.cursor).toBe(MAX_HISTORY_ENTRIES);
+    });
+  });
+
+  describe('undo and redo', () => {
+    it('should return null when there is nothing to undo or redo', async () => {
+      expect(await peekUndo()).toBeNull();
+      expect(await peekRedo()).toBeNull();
+    });
+
+    it('should walk the cursor back and forward', async () => {
+      await recordHistoryEntry({ operation: 'one', before: snapshot('a'), after: snapshot('b') });
+      await recordHistoryEntry({ operation: 'two', before: snapshot('b'), after: snapshot('c') });
+
+      expect((await peekUndo()).operation).toBe('two');
+      await commitUndo();
+      expect((await peekUndo()).operation).toBe('one');
+      expect((await peekRedo()).operation).toBe('two');
+
+      await commitRedo();
+      expect(await peekRedo()).toBeNull();
+      expect((await getHistory()).cursor).toBe(2);
+    });
+
+    it('should not move the cursor past either end', async () => {
+      await commitUndo();
+      await commitRedo();
+
+      expect((await getHistory()).cursor).toBe(0);
+    });
+  });
+
+  describe('getHistorySummary', () => {
+    it('should report availability without snapshots', async () => {
+      await recordHistoryEntry({ operation: 'one', label: 'First', before: snapshot('a'), after: snapshot('b') });
+
+      const summary = await getHistorySummary();
+
+      expect(summary.canUndo).toBe(true);
+      expect(summary.canRedo).toBe(false);
+      expect(summary.entries[0]).not.toHaveProperty('before');
+      expect(summary.entries[0].label).toBe('First');
+    });
+  });
+
+  describe('clearHistory', () => {
+    it('should remove stored history', async () => {
+      await recordHistoryEntry({ operation: 'one', before: snapshot('a'), after: snapshot('b') });
+
+      await clearHistory();
+
+      expect(await getHistory()).toEqual({ entries: [], cursor: 0 });
+    });
+  });
+});
@@ -1,5 +1,119 @@
 // Import AWS SDK modules for Bedrock
 import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { LOCAL_API_FORMATS, inferLocalApiFormat, getLocalRequestUrl } from './local-endpoint.js';
+import { getModelTokenBudget } from './model-catalog.js';
+import { normalizeGroupName } from './group-registry.js';
+
+// JSON schema of the grouping response, for APIs that can constrain their output to it
+const GROUPING_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    groups: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          tabIndices: { type: 'array', items: { type: 'integer' } },
+          reasoning: { type: 'string' }
+        },
+        required: ['name', 'tabIndices']
+      }
+    }
+  },
+  required: ['groups']
+};
+
+// Longest group name accepted from the model (tab group titles are meant to be short)
+const MAX_GROUP_NAME_LENGTH = 40;
+
+// Errors from parseJSONText for replies that are not JSON at all, which a repair can fix
+const UNPARSEABLE_REPLY_PATTERN = /^INVALID_RESPONSE: (No JSON found|Failed to parse JSON)/;
+
+// Rough characters per token, for sizing prompts before they are sent
+const CHARS_PER_TOKEN = 4;
+
+// Reply tokens needed per tab (models often put each index on its own line)
+const OUTPUT_TOKENS_PER_TAB = 6;
+
+// Reply tokens kept free for group names, reasoning and JSON structure
+const OUTPUT_TOKENS_RESERVED = 512;
+
+// Tool Claude models are required to call, so the groups arrive as schema-checked tool input
+const GROUPING_TOOL = {
+  name: 'submit_tab_groups',
+  description: 'Submit the tab groups for the listed browser tabs.',
+  input_schema: GROUPING_RESPONSE_SCHEMA
+};
+
+/**
+ * Converts a JSON schema for OpenAI strict mode, where every property is required
+ * and no additional properties are allowed
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Strict schema
+ */
+function toStrictSchema(schema) {
+  if (schema.type === 'object') {
+    const properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toStrictSchema(value)])
+    );
+    return { ...schema, properties, required: Object.keys(properties), additionalProperties: false };
+  }
+
+  if (schema.type === 'array') {
+    return { ...schema, items: toStrictSchema(schema.items) };
+  }
+
+  return { ...schema };
+}
+
+/**
+ * Converts a JSON schema to the OpenAPI subset Gemini accepts as responseSchema
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.items) {
+    converted.items = toGeminiSchema(schema.items);
+  }
+  if (schema.required) {
+    converted.required = [...schema.required];
+  }
+
+  return converted;
+}
+
+/**
+ * Finds the grouping tool call in a Messages API content array
+ * @param {Array} content - Response content blocks
+ * @returns {Object|null} Tool input, or null when the model answered in text
+ */
+function findGroupingToolInput(content) {
+  const toolUse = (content || []).find(block => block.type === 'tool_use' && block.name === GROUPING_TOOL.name);
+  return toolUse && toolUse.input && typeof toolUse.input === 'object' ? toolUse.input : null;
+}
+
+/**
+ * Returns the hostname of a tab's URL, or the URL itself when it cannot be parsed
+ * @param {Object} tab - Tab metadata
+ * @returns {string} Domain
+ */
+function getTabDomain(tab) {
+  const url = tab.url || '';
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
 
 /**
  * Base LLM Provider class
@@ -10,9 +124,10 @@ class LLMProvider {
    * Abstract method to group tabs using LLM
    * @param {Array} tabMetadata - Array of tab metadata objects
    * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
    * @returns {Promise<Object>} Standard grouping result format
    */
-  async groupTabs(tabMetadata, customPrompt = '') {
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
     throw new Error('groupTabs() must be implemented by subclass');
   }
 
@@ -48,6 +163,389 @@ class LLMProvider {
     return response;
   }
 
+  /**
+   * Groups tabs, splitting them into batches when they do not fit the model's token budget
+   * Each batch is grouped on its own; the batch results are then merged by name and, if
+   * more than one batch was needed, a consolidation pass merges groups about the same topic
+   * @param {Array} tabMetadata - Array of tab metadata objects
+   * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {Promise<Object>} Validated grouping result with indices into tabMetadata
+   */
+  async groupInBatches(tabMetadata, customPrompt = '', options = {}) {
+    const systemPrompt = this.buildSystemPrompt(customPrompt, options);
+    const batches = this.planBatches(tabMetadata, systemPrompt);
+
+    if (batches.length === 1) {
+      return await this.groupWithRepair(systemPrompt, this.formatTabMetadata(tabMetadata), tabMetadata.length);
+    }
+
+    console.log(`[LLM Provider] Grouping ${tabMetadata.length} tabs in ${batches.length} batches`);
+
+    const batchGroups = [];
+    for (const batch of batches) {
+      const batchTabs = batch.map(index => tabMetadata[index]);
+      const result = await this.groupWithRepair(systemPrompt, this.formatTabMetadata(batchTabs), batchTabs.length);
+
+      for (const group of result.groups) {
+        batchGroups.push({ ...group, tabIndices: group.tabIndices.map(index => batch[index]) });
+      }
+    }
+
+    const mergedGroups = this.mergeGroupsByName(batchGroups);
+    if (mergedGroups.length <= 1) {
+      return this.validateResponse({ groups: mergedGroups });
+    }
+
+    try {
+      return await this.consolidateGroups(mergedGroups, tabMetadata, customPrompt, options);
+    } catch (error) {
+      // The batch results are still usable without the consolidation pass
+      console.warn('[LLM Provider] Consolidation pass failed, keeping batch groups:', error.message);
+      return this.validateResponse({ groups: mergedGroups });
+    }
+  }
+
+  /**
+   * Splits tabs into batches that fit the model's token budget
+   * Tabs are ordered by domain before splitting so related tabs tend to share a batch
+   * @param {Array} tabMetadata - Array of tab metadata objects
+   * @param {string} systemPrompt - System prompt sent with every batch
+   * @returns {Array<Array<number>>} Batches of indices into tabMetadata
+   */
+  planBatches(tabMetadata, systemPrompt) {
+    const budget = this.tokenBudget || getModelTokenBudget(null);
+    const maxTabs = Math.max(1, Math.floor((budget.outputTokens - OUTPUT_TOKENS_RESERVED) / OUTPUT_TOKENS_PER_TAB));
+    const inputRoom = Math.max(1, budget.inputTokens - this.estimateTokens(systemPrompt));
+
+    const lineTokens = tabMetadata.map((tab, index) => this.estimateTokens(this.formatTabLine(tab, index)));
+    const totalTokens = lineTokens.reduce((sum, tokens) => sum + tokens, 0);
+    const allIndices = tabMetadata.map((tab, index) => index);
+
+    if (tabMetadata.length <= maxTabs && totalTokens <= inputRoom) {
+      return [allIndices];
+    }
+
+    // Even batch sizes, so the last batch is not a handful of leftovers
+    const batchCount = Math.max(Math.ceil(tabMetadata.length / maxTabs), Math.ceil(totalTokens / inputRoom));
+    const targetSize = Math.min(maxTabs, Math.ceil(tabMetadata.length / batchCount));
+
+    const ordered = allIndices
+      .map(index => ({ index, domain: getTabDomain(tabMetadata[index]) }))
+      .sort((a, b) => a.domain.localeCompare(b.domain) || a.index - b.index)
+      .map(entry => entry.index);
+
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const index of ordered) {
+      if (current.length > 0 && (current.length >= targetSize || currentTokens + lineTokens[index] > inputRoom)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(index);
+      currentTokens += lineTokens[index];
+    }
+    batches.push(current);
+
+    return batches;
+  }
+
+  /**
+   * Estimates the token count of a text
+   * @param {string} text - Text to measure
+   * @returns {number} Approximate number of tokens
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Merges groups with the same name (ignoring case and whitespace)
+   * @param {Array<Object>} groups - Groups from separate batches
+   * @returns {Array<Object>} Groups with unique names
+   */
+  mergeGroupsByName(groups) {
+    const merged = new Map();
+
+    for (const group of groups) {
+      const key = normalizeGroupName(group.name);
+      const existing = merged.get(key);
+      if (existing) {
+        existing.tabIndices.push(...group.tabIndices);
+      } else {
+        merged.set(key, { ...group, tabIndices: [...group.tabIndices] });
+      }
+    }
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Asks the model to merge batch groups that cover the same topic
+   * The groups themselves are listed as the items to group, so the reply uses the
+   * normal grouping format with tabIndices referring to the listed groups
+   * @param {Array<Object>} groups - Groups from the batches (indices into tabMetadata)
+   * @param {Array} tabMetadata - Array of tab metadata objects
+   * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {Promise<Object>} Validated grouping result with indices into tabMetadata
+   */
+  async consolidateGroups(groups, tabMetadata, customPrompt = '', options = {}) {
+    const groupList = groups.map((group, index) => {
+      const titles = group.tabIndices.slice(0, 3)
+        .map(tabIndex => (tabMetadata[tabIndex].title || 'Untitled').substring(0, 40))
+        .join('; ');
+      return `${index}. ${group.name} (${group.tabIndices.length} tabs: ${titles})`;
+    }).join('\n');
+
+    const result = await this.groupWithRepair(
+      this.buildConsolidationPrompt(customPrompt, options),
+      `Groups (${groups.length} total):\n${groupList}`,
+      groups.length
+    );
+
+    const consolidated = result.groups.map(group => ({
+      name: group.name,
+      tabIndices: group.tabIndices.flatMap(index => groups[index].tabIndices),
+      reasoning: group.reasoning || ''
+    }));
+
+    // Groups the model left out keep their batch name
+    const included = new Set(result.groups.flatMap(group => group.tabIndices));
+    const untouched = groups.filter((group, index) => !included.has(index));
+
+    return this.validateResponse({ groups: this.mergeGroupsByName([...consolidated, ...untouched]) });
+  }
+
+  /**
+   * Requests one grouping from the model (implemented by each provider)
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Promise<Object>} Parsed, unvalidated grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    throw new Error('requestGrouping() must be implemented by subclass');
+  }
+
+  /**
+   * Checks a grouping against the tabs it was made for
+   * Unlike validateResponse, every problem is reported, so all of them can be sent
+   * back to the model at once
+   * @param {Object} response - Parsed grouping result
+   * @param {number} tabCount - Number of tabs sent to the model
+   * @returns {Array<Object>} Issues as { type, message }, where type is 'structure',
+   *   'out_of_range', 'duplicate', 'name_length' or 'unassigned'
+   */
+  findGroupingIssues(response, tabCount) {
+    if (!response || typeof response !== 'object' || !Array.isArray(response.groups)) {
+      return [{ type: 'structure', message: 'The response must be an object with a "groups" array' }];
+    }
+
+    const issues = [];
+    const assignedTo = new Map();
+
+    response.groups.forEach((group, index) => {
+      const hasName = group && typeof group.name === 'string' && group.name.trim();
+      const label = hasName ? `"${group.name}"` : `#${index + 1}`;
+
+      if (!hasName) {
+        issues.push({ type: 'structure', message: `Group #${index + 1} has no name` });
+      } else if (group.name.trim().length > MAX_GROUP_NAME_LENGTH) {
+        issues.push({
+          type: 'name_length',
+          message: `Group name ${label} is longer than ${MAX_GROUP_NAME_LENGTH} characters`
+        });
+      }
+
+      if (!group || !Array.isArray(group.tabIndices)) {
+        issues.push({ type: 'structure', message: `Group ${label} has no tabIndices array` });
+        return;
+      }
+
+      group.tabIndices.forEach(tabIndex => {
+        if (!Number.isInteger(tabIndex)) {
+          issues.push({ type: 'structure', message: `Group ${label} has a tab index that is not a whole number: ${JSON.stringify(tabIndex)}` });
+        } else if (tabIndex < 0 || tabIndex >= tabCount) {
+          issues.push({
+            type: 'out_of_range',
+            message: `Group ${label} uses tab index ${tabIndex}, but only indices 0-${tabCount - 1} exist`
+          });
+        } else if (assignedTo.has(tabIndex)) {
+          const other = assignedTo.get(tabIndex);
+          issues.push({
+            type: 'duplicate',
+            message: other === label
+              ? `Tab ${tabIndex} is listed more than once in ${label}`
+              : `Tab ${tabIndex} is in both ${other} and ${label}`
+          });
+        } else {
+          assignedTo.set(tabIndex, label);
+        }
+      });
+    });
+
+    const unassigned = [];
+    for (let tabIndex = 0; tabIndex < tabCount; tabIndex++) {
+      if (!assignedTo.has(tabIndex)) {
+        unassigned.push(tabIndex);
+      }
+    }
+    if (unassigned.length > 0) {
+      issues.push({ type: 'unassigned', message: `Tabs ${unassigned.join(', ')} are not in any group` });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Builds the prompt for the corrective round-trip
+   * @param {string} systemPrompt - Original system prompt
+   * @param {Object} response - The grouping that failed validation, or undefined when the
+   *   reply could not be parsed
+   * @param {Array<Object>} issues - Issues from findGroupingIssues, or the parse error
+   * @returns {string} System prompt asking for a corrected grouping
+   */
+  buildRepairPrompt(systemPrompt, response, issues) {
+    const previous = response === undefined
+      ? 'Your previous answer could not be read as JSON.'
+      : `Your previous answer was:\n${JSON.stringify(response)}`;
+
+    return `${systemPrompt}
+
+${previous}
+
+It has these problems:
+${issues.map(issue => `- ${issue.message}`).join('\n')}
+
+Return the corrected grouping in the same JSON format. Use each tab index at most once, only use indices from the list, and keep group names under ${MAX_GROUP_NAME_LENGTH} characters.`;
+  }
+
+  /**
+   * Requests a grouping and, if it has problems or is not valid JSON, asks the model once
+   * to correct them
+   * Tabs left out of every group are allowed (the prompt only asks for tabs that clearly
+   * belong together), so they are listed in a repair but never trigger one on their own
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @param {number} tabCount - Number of tabs in tabData
+   * @returns {Promise<Object>} Validated grouping result
+   * @throws {Error} INVALID_RESPONSE if problems remain after the repair
+   */
+  async groupWithRepair(systemPrompt, tabData, tabCount) {
+    let response;
+    let issues;
+    try {
+      response = await this.requestGrouping(systemPrompt, tabData);
+      issues = this.findGroupingIssues(response, tabCount);
+    } catch (error) {
+      if (!UNPARSEABLE_REPLY_PATTERN.test(error.message)) {
+        throw error;
+      }
+      issues = [{ type: 'unparseable', message: error.message.replace(/^INVALID_RESPONSE: /, '') }];
+    }
+
+    if (issues.some(issue => issue.type !== 'unassigned')) {
+      console.warn('[LLM Provider] Grouping has problems, requesting a repair:', issues.map(issue => issue.message));
+      response = await this.requestGrouping(this.buildRepairPrompt(systemPrompt, response, issues), tabData);
+      issues = this.findGroupingIssues(response, tabCount);
+    }
+
+    const blockingIssues = issues.filter(issue => issue.type !== 'unassigned');
+    if (blockingIssues.length > 0) {
+      throw new Error(`INVALID_RESPONSE: ${blockingIssues.map(issue => issue.message).join('; ')}`);
+    }
+
+    return this.validateResponse(response);
+  }
+
+  /**
+   * Picks the existing group a single tab belongs to, with a short prompt
+   * Used to place a newly opened tab without regrouping its window
+   * @param {Object} tab - Tab metadata
+   * @param {Array<string>} groupNames - Names of the existing groups
+   * @returns {Promise<string|null>} One of groupNames, or null when none fits
+   */
+  async classifyTab(tab, groupNames) {
+    const names = (groupNames || []).filter(name => name && name.trim());
+    if (names.length === 0) {
+      return null;
+    }
+
+    const response = await this.requestGrouping(this.buildClassificationPrompt(names), this.formatTabLine(tab, 0));
+    const chosen = (response?.groups || [])
+      .find(group => Array.isArray(group.tabIndices) && group.tabIndices.includes(0));
+    if (!chosen) {
+      return null;
+    }
+
+    // Only an exact existing name counts; anything else means no group fits
+    const key = normalizeGroupName(chosen.name);
+    return names.find(name => normalizeGroupName(name) === key) || null;
+  }
+
+  /**
+   * Finds tabs showing the same article or page under different URLs
+   * (e.g. AMP and canonical links, mirrors, or a story reached through a redirect)
+   * @param {Array<Object>} tabs - Tab metadata
+   * @returns {Promise<Array<Array<number>>>} Sets of tab indices, each with at least two tabs
+   */
+  async findNearDuplicates(tabs) {
+    if (!tabs || tabs.length < 2) {
+      return [];
+    }
+
+    const response = await this.requestGrouping(this.buildNearDuplicatePrompt(), this.formatTabMetadata(tabs));
+    const claimed = new Set();
+    const sets = [];
+
+    for (const group of response?.groups || []) {
+      // Drop out-of-range indices and tabs already placed in an earlier set
+      const indices = [...new Set(Array.isArray(group.tabIndices) ? group.tabIndices : [])]
+        .filter(index => Number.isInteger(index) && index >= 0 && index < tabs.length && !claimed.has(index));
+      if (indices.length < 2) {
+        continue;
+      }
+      indices.forEach(index => claimed.add(index));
+      sets.push(indices);
+    }
+
+    return sets;
+  }
+
+  /**
+   * Parses the grouping JSON from the model's reply text
+   * Schema-constrained replies are plain JSON; otherwise the JSON is extracted from
+   * any surrounding prose or code fences
+   * @param {string} textContent - Reply text
+   * @returns {Object} Parsed response
+   */
+  parseJSONText(textContent) {
+    try {
+      return JSON.parse(textContent.trim());
+    } catch (error) {
+      // Not plain JSON - fall back to extraction
+    }
+
+    // Extract JSON from response (may be wrapped in markdown code blocks)
+    const jsonMatch = textContent.match(/```json\s*([\s\S]*?)\s*```/) || 
+                     textContent.match(/\{[\s\S]*\}/);
+    
+    if (!jsonMatch) {
+      throw new Error('INVALID_RESPONSE: No JSON found in response');
+    }
+
+    const jsonText = jsonMatch[1] || jsonMatch[0];
+    
+    try {
+      return JSON.parse(jsonText);
+    } catch (error) {
+      throw new Error(`INVALID_RESPONSE: Failed to parse JSON - ${error.message}`);
+    }
+  }
+
   /**
    * Handles errors and converts them to user-friendly messages
    * @param {Error} error - The error to handle
@@ -83,11 +581,14 @@ class LLMProvider {
   /**
    * Builds the system prompt for tab grouping (optimized for speed)
    * @param {string} customPrompt - Optional custom user instructions
+   * @param {Object} options - Optional prompt context
+   * @param {Array<string>} options.existingGroups - Names of groups already open in the window
+   * @param {Array<string>} options.knownGroups - Group names remembered from earlier runs
    * @returns {string} Complete system prompt
    */
-  buildSystemPrompt(customPrompt = '') {
+  buildSystemPrompt(customPrompt = '', options = {}) {
     const basePrompt = `Group browser tabs by topic/purpose. Create 2-7 groups with clear names (2-4 words).
-${customPrompt ? `\nUser instructions: ${customPrompt}\n` : ''}
+${customPrompt ? `\nUser instructions: ${customPrompt}\n` : ''}${this.buildGroupNameContext(options)}
 Respond with JSON only:
 {
   "groups": [
@@ -103,11 +604,111 @@ Rules:
 - Group by topic, domain, or purpose
 - Short group names (2-4 words)
 - Only group tabs that clearly belong together
-- Use tab index numbers from the list`;
+- Use tab index numbers from the list, each in at most one group`;
 
     return basePrompt;
   }
 
+  /**
+   * Builds the system prompt for merging groups made from separate batches of tabs
+   * @param {string} customPrompt - Optional custom user instructions
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {string} Consolidation prompt
+   */
+  buildConsolidationPrompt(customPrompt = '', options = {}) {
+    return `These tab groups were made from separate batches of the same browser tabs, so some cover the same topic under different names. Merge groups that belong together and give each merged group a clear name (2-4 words).
+${customPrompt ? `\nUser instructions: ${customPrompt}\n` : ''}${this.buildGroupNameContext(options)}
+Respond with JSON only:
+{
+  "groups": [
+    {
+      "name": "Group Name",
+      "tabIndices": [0, 3],
+      "reasoning": "Why these groups belong together"
+    }
+  ]
+}
+
+Rules:
+- tabIndices are the numbers of the groups in the list
+- Put each listed group in exactly one merged group
+- A group that matches no other group stays on its own`;
+  }
+
+  /**
+   * Builds the system prompt for placing one tab into an existing group
+   * @param {Array<string>} groupNames - Names of the existing groups
+   * @returns {string} Classification prompt
+   */
+  buildClassificationPrompt(groupNames) {
+    return `Decide which existing tab group the tab below belongs to.
+
+Existing groups: ${groupNames.map(name => `"${name}"`).join(', ')}
+
+Respond with JSON only:
+{
+  "groups": [
+    {
+      "name": "Existing Group Name",
+      "tabIndices": [0],
+      "reasoning": "Why the tab fits"
+    }
+  ]
+}
+
+Rules:
+- Use one of the existing group names exactly
+- Respond with {"groups": []} when no group clearly fits`;
+  }
+
+  /**
+   * Builds the system prompt for finding tabs with the same content
+   * @returns {string} Near-duplicate prompt
+   */
+  buildNearDuplicatePrompt() {
+    return `Find tabs that show the same article or page under different URLs.
+
+Respond with JSON only:
+{
+  "groups": [
+    {
+      "name": "Short title of the shared article",
+      "tabIndices": [0, 3],
+      "reasoning": "Why these tabs show the same content"
+    }
+  ]
+}
+
+Rules:
+- Only list tabs whose content is the same, not tabs on a related topic
+- Each group must contain at least two tabs, and each tab may appear in one group only
+- Leave out tabs that have no duplicate
+- Respond with {"groups": []} when no tabs share content`;
+  }
+
+  /**
+   * Describes the group names the model should reuse
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {string} Prompt text, empty when there are no names to reuse
+   */
+  buildGroupNameContext(options = {}) {
+    const existingGroups = (options.existingGroups || []).filter(name => name && name.trim());
+    const existingGroupsText = existingGroups.length > 0
+      ? `\nExisting groups: ${existingGroups.map(name => `"${name}"`).join(', ')}
+To add tabs to an existing group, use its exact name. Create a new group only when no existing group fits.\n`
+      : '';
+
+    // Names used in earlier runs, so recurring groups keep the same name
+    const knownGroups = (options.knownGroups || [])
+      .filter(name => name && name.trim() && !existingGroups.includes(name));
+    const knownGroupsText = knownGroups.length > 0
+      ? `\nPreviously used group names: ${knownGroups.map(name => `"${name}"`).join(', ')}
+Reuse one of these names exactly when it fits a group.\n`
+      : '';
+
+    return `${existingGroupsText}${knownGroupsText}`;
+  }
+
   /**
    * Formats tab metadata for LLM consumption (optimized for speed and token efficiency)
    * @param {Array} tabMetadata - Array of tab metadata objects
@@ -115,33 +716,65 @@ Rules:
    */
   formatTabMetadata(tabMetadata) {
     // Compact format: one line per tab with just index, title, and domain
-    const formattedTabs = tabMetadata.map((tab, index) => {
-      const title = (tab.title || 'Untitled').substring(0, 100); // Limit title length
-      const url = tab.url || '';
-      
-      // Extract just the domain for brevity
-      let domain = url;
-      try {
-        const urlObj = new URL(url);
-        domain = urlObj.hostname;
-      } catch {
-        // Keep full URL if parsing fails
-      }
-      
-      return `${index}. ${title} [${domain}]`;
-    }).join('\n');
+    const formattedTabs = tabMetadata.map((tab, index) => this.formatTabLine(tab, index)).join('\n');
 
     return `Tabs (${tabMetadata.length} total):\n${formattedTabs}`;
   }
+
+  /**
+   * Formats one tab as a prompt line
+   * Tabs with page content (see page-content.js) get a second, indented line describing it
+   * @param {Object} tab - Tab metadata
+   * @param {number} index - Index the model refers to the tab by
+   * @returns {string} Line with index, title and domain
+   */
+  formatTabLine(tab, index) {
+    const title = (tab.title || 'Untitled').substring(0, 100); // Limit title length
+    const line = `${index}. ${title} [${getTabDomain(tab)}]`;
+    const details = this.formatTabContent(tab.content, title);
+
+    return details ? `${line}\n   ${details}` : line;
+  }
+
+  /**
+   * Summarizes page content for the prompt
+   * @param {Object} content - Page content (description, ogTitle, siteName, headings, snippet)
+   * @param {string} title - Tab title, so repeats of it are left out
+   * @returns {string} Summary, empty when there is no content
+   */
+  formatTabContent(content, title = '') {
+    if (!content) {
+      return '';
+    }
+
+    const parts = [];
+    if (content.siteName) {
+      parts.push(`Site: ${content.siteName}`);
+    }
+    if (content.ogTitle && content.ogTitle !== title) {
+      parts.push(`Title: ${content.ogTitle}`);
+    }
+    if (content.headings?.length) {
+      parts.push(`Headings: ${content.headings.filter(heading => heading !== title).join(' / ')}`);
+    }
+    if (content.description) {
+      parts.push(`About: ${content.description}`);
+    } else if (content.snippet) {
+      // The body text is only worth its tokens when the page has no description
+      parts.push(`Text: ${content.snippet}`);
+    }
+
+    return parts.filter(part => !part.endsWith(': ')).join(' | ');
+  }
 }
 
 // Export for use in other modules (CommonJS for tests)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { LLMProvider };
+  module.exports = { LLMProvider, GROUPING_RESPONSE_SCHEMA, GROUPING_TOOL, MAX_GROUP_NAME_LENGTH };
 }
 
 // ES6 export for browser extension
-export { LLMProvider };
+export { LLMProvider, GROUPING_RESPONSE_SCHEMA, GROUPING_TOOL, MAX_GROUP_NAME_LENGTH };
 
 
 /**
@@ -163,6 +796,7 @@ class BedrockProvider extends LLMProvider {
     this.region = region;
     this.sessionToken = sessionToken;
     this.modelId = modelId;
+    this.tokenBudget = getModelTokenBudget('bedrock', modelId);
     
     // Initialize AWS SDK client
     this.client = this.createBedrockClient();
@@ -193,35 +827,14 @@ class BedrockProvider extends LLMProvider {
    * Groups tabs using AWS Bedrock
    * @param {Array} tabMetadata - Array of tab metadata objects
    * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
    * @returns {Promise<Object>} Grouping result
    */
-  async groupTabs(tabMetadata, customPrompt = '') {
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
     try {
       console.log('[Bedrock] Starting groupTabs with', tabMetadata.length, 'tabs');
       
-      const systemPrompt = this.buildSystemPrompt(customPrompt);
-      const formattedTabs = this.formatTabMetadata(tabMetadata);
-      
-      const requestPayload = this.formatBedrockRequest(systemPrompt, formattedTabs);
-      console.log('[Bedrock] Invoking model:', this.modelId);
-      
-      // Use AWS SDK to invoke model
-      const command = new InvokeModelCommand({
-        modelId: this.modelId,
-        contentType: 'application/json',
-        accept: 'application/json',
-        body: JSON.stringify(requestPayload)
-      });
-      
-      const response = await this.client.send(command);
-      console.log('[Bedrock] Received response');
-      
-      // Parse response body using TextDecoder
-      const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-      const parsedResponse = this.parseBedrockResponse(responseBody);
-      console.log('[Bedrock] Parsed response, groups:', parsedResponse.groups?.length);
-      
-      return this.validateResponse(parsedResponse);
+      return await this.groupInBatches(tabMetadata, customPrompt, options);
     } catch (error) {
       console.error('[Bedrock] Error in groupTabs:', error.message, error);
       throw this.handleBedrockError(error);
@@ -229,15 +842,44 @@ class BedrockProvider extends LLMProvider {
   }
 
   /**
-   * Formats request payload for Bedrock API (optimized for speed)
+   * Requests a grouping from Bedrock
    * @param {string} systemPrompt - System instructions
    * @param {string} tabData - Formatted tab metadata
-   * @returns {Object} Bedrock request payload
+   * @returns {Promise<Object>} Parsed grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    const requestPayload = this.formatBedrockRequest(systemPrompt, tabData);
+    console.log('[Bedrock] Invoking model:', this.modelId);
+    
+    // Use AWS SDK to invoke model
+    const command = new InvokeModelCommand({
+      modelId: this.modelId,
+      contentType: 'application/json',
+      accept: 'application/json',
+      body: JSON.stringify(requestPayload)
+    });
+    
+    const response = await this.client.send(command);
+    console.log('[Bedrock] Received response');
+    
+    // Parse response body using TextDecoder
+    const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+    const parsedResponse = this.parseBedrockResponse(responseBody);
+    console.log('[Bedrock] Parsed response, groups:', parsedResponse.groups?.length);
+    
+    return parsedResponse;
+  }
+
+  /**
+   * Formats request payload for Bedrock API (optimized for speed)
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Object} Bedrock request payload
    */
   formatBedrockRequest(systemPrompt, tabData) {
     return {
       anthropic_version: 'bedrock-2023-05-31',
-      max_tokens: 2048, // Reduced for faster response
+      max_tokens: this.tokenBudget.outputTokens,
       temperature: 0.5, // Lower temperature for faster, more focused responses
       system: systemPrompt,
       messages: [
@@ -245,7 +887,9 @@ class BedrockProvider extends LLMProvider {
           role: 'user',
           content: `${tabData}\n\nGroup these tabs (JSON only):`
         }
-      ]
+      ],
+      tools: [GROUPING_TOOL],
+      tool_choice: { type: 'tool', name: GROUPING_TOOL.name }
     };
   }
 
@@ -310,6 +954,11 @@ class BedrockProvider extends LLMProvider {
       throw new Error('INVALID_RESPONSE: Missing content array');
     }
 
+    const toolInput = findGroupingToolInput(response.content);
+    if (toolInput) {
+      return toolInput;
+    }
+
     // Extract text from content blocks
     const textContent = response.content
       .filter(block => block.type === 'text')
@@ -320,21 +969,7 @@ class BedrockProvider extends LLMProvider {
       throw new Error('INVALID_RESPONSE: No text content in response');
     }
 
-    // Extract JSON from response (may be wrapped in markdown code blocks)
-    const jsonMatch = textContent.match(/```json\s*([\s\S]*?)\s*```/) || 
-                     textContent.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      throw new Error('INVALID_RESPONSE: No JSON found in response');
-    }
-
-    const jsonText = jsonMatch[1] || jsonMatch[0];
-    
-    try {
-      return JSON.parse(jsonText);
-    } catch (error) {
-      throw new Error(`INVALID_RESPONSE: Failed to parse JSON - ${error.message}`);
-    }
+    return this.parseJSONText(textContent);
   }
 
 
@@ -362,6 +997,7 @@ class GeminiProvider extends LLMProvider {
     super();
     this.apiKey = apiKey;
     this.model = model;
+    this.tokenBudget = getModelTokenBudget('gemini', model);
     this.endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
   }
 
@@ -369,23 +1005,29 @@ class GeminiProvider extends LLMProvider {
    * Groups tabs using Google Gemini
    * @param {Array} tabMetadata - Array of tab metadata objects
    * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
    * @returns {Promise<Object>} Grouping result
    */
-  async groupTabs(tabMetadata, customPrompt = '') {
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
     try {
-      const systemPrompt = this.buildSystemPrompt(customPrompt);
-      const formattedTabs = this.formatTabMetadata(tabMetadata);
-      
-      const requestPayload = this.formatGeminiRequest(systemPrompt, formattedTabs);
-      const response = await this.invokeGeminiAPI(requestPayload);
-      const parsedResponse = this.parseGeminiResponse(response);
-      
-      return this.validateResponse(parsedResponse);
+      return await this.groupInBatches(tabMetadata, customPrompt, options);
     } catch (error) {
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Requests a grouping from Gemini
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Promise<Object>} Parsed grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    const requestPayload = this.formatGeminiRequest(systemPrompt, tabData);
+    const response = await this.invokeGeminiAPI(requestPayload);
+    return this.parseGeminiResponse(response);
+  }
+
   /**
    * Formats request payload for Gemini API
    * @param {string} systemPrompt - System instructions
@@ -405,9 +1047,11 @@ class GeminiProvider extends LLMProvider {
       ],
       generationConfig: {
         temperature: 0.7,
-        maxOutputTokens: 4096,
+        maxOutputTokens: this.tokenBudget.outputTokens,
         topP: 0.95,
-        topK: 40
+        topK: 40,
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(GROUPING_RESPONSE_SCHEMA)
       }
     };
   }
@@ -472,21 +1116,7 @@ class GeminiProvider extends LLMProvider {
       throw new Error('INVALID_RESPONSE: No text content in response');
     }
 
-    // Extract JSON from response (may be wrapped in markdown code blocks)
-    const jsonMatch = textContent.match(/```json\s*([\s\S]*?)\s*```/) || 
-                     textContent.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      throw new Error('INVALID_RESPONSE: No JSON found in response');
-    }
-
-    const jsonText = jsonMatch[1] || jsonMatch[0];
-    
-    try {
-      return JSON.parse(jsonText);
-    } catch (error) {
-      throw new Error(`INVALID_RESPONSE: Failed to parse JSON - ${error.message}`);
-    }
+    return this.parseJSONText(textContent);
   }
 }
 
@@ -501,45 +1131,67 @@ export { GeminiProvider };
 
 /**
  * Local LLM Provider implementation
- * Uses OpenAI-compatible API format (Ollama, LM Studio, LocalAI, etc.)
+ * Uses OpenAI-compatible API format (Ollama, LM Studio, LocalAI, etc.), or Ollama's
+ * native /api/chat and /api/generate with schema-constrained JSON output
  */
 class LocalLLMProvider extends LLMProvider {
   /**
    * @param {string} endpoint - Local LLM endpoint URL
    * @param {string} apiKey - Optional API key for secured servers
    * @param {string} model - Model name (default: 'llama2')
+   * @param {string} apiFormat - 'openai', 'ollama-chat' or 'ollama-generate' (default: inferred from the endpoint path)
    */
-  constructor(endpoint, apiKey = '', model = 'llama2') {
+  constructor(endpoint, apiKey = '', model = 'llama2', apiFormat = null) {
     super();
     this.endpoint = endpoint;
     this.apiKey = apiKey;
     this.model = model;
+    this.tokenBudget = getModelTokenBudget('local', model);
+    this.apiFormat = LOCAL_API_FORMATS.includes(apiFormat) ? apiFormat : inferLocalApiFormat(endpoint);
   }
 
   /**
    * Groups tabs using Local LLM
    * @param {Array} tabMetadata - Array of tab metadata objects
    * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
    * @returns {Promise<Object>} Grouping result
    */
-  async groupTabs(tabMetadata, customPrompt = '') {
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
     try {
       // Validate endpoint connectivity first
       await this.validateEndpoint();
       
-      const systemPrompt = this.buildSystemPrompt(customPrompt);
-      const formattedTabs = this.formatTabMetadata(tabMetadata);
-      
-      const requestPayload = this.formatLocalLLMRequest(systemPrompt, formattedTabs);
-      const response = await this.invokeLocalLLM(requestPayload);
-      const parsedResponse = this.parseLocalLLMResponse(response);
-      
-      return this.validateResponse(parsedResponse);
+      return await this.groupInBatches(tabMetadata, customPrompt, options);
     } catch (error) {
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Requests a grouping from the local LLM
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Promise<Object>} Parsed grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    let response;
+    try {
+      response = await this.invokeLocalLLM(
+        this.formatLocalLLMRequest(systemPrompt, tabData, this.schemaFormatSupported === false ? 'json' : undefined)
+      );
+    } catch (error) {
+      // Ollama releases before 0.5 only accept format: "json", and some OpenAI-compatible
+      // servers only JSON mode
+      if (!error.message.includes('SCHEMA_FORMAT_UNSUPPORTED')) {
+        throw error;
+      }
+      this.schemaFormatSupported = false;
+      response = await this.invokeLocalLLM(this.formatLocalLLMRequest(systemPrompt, tabData, 'json'));
+    }
+    return this.parseLocalLLMResponse(response);
+  }
+
   /**
    * Validates that the endpoint is reachable and uses HTTPS
    * @returns {Promise<void>}
@@ -575,12 +1227,52 @@ class LocalLLMProvider extends LLMProvider {
   }
 
   /**
-   * Formats request payload for OpenAI-compatible API
+   * Formats request payload for the endpoint's API format
    * @param {string} systemPrompt - System instructions
    * @param {string} tabData - Formatted tab metadata
+   * @param {Object|string} outputFormat - Output format: JSON schema or 'json' (Ollama format,
+   *   or response_format json_schema / json_object for OpenAI-compatible servers)
    * @returns {Object} Request payload
    */
-  formatLocalLLMRequest(systemPrompt, tabData) {
+  formatLocalLLMRequest(systemPrompt, tabData, outputFormat = GROUPING_RESPONSE_SCHEMA) {
+    const userMessage = `Here are the tabs to analyze:\n\n${tabData}\n\nPlease group these tabs and respond with JSON only.`;
+
+    if (this.apiFormat === 'ollama-chat') {
+      return {
+        model: this.model,
+        messages: [
+          {
+            role: 'system',
+            content: systemPrompt
+          },
+          {
+            role: 'user',
+            content: userMessage
+          }
+        ],
+        format: outputFormat,
+        stream: false,
+        options: {
+          temperature: 0.7,
+          num_predict: this.tokenBudget.outputTokens
+        }
+      };
+    }
+
+    if (this.apiFormat === 'ollama-generate') {
+      return {
+        model: this.model,
+        system: systemPrompt,
+        prompt: userMessage,
+        format: outputFormat,
+        stream: false,
+        options: {
+          temperature: 0.7,
+          num_predict: this.tokenBudget.outputTokens
+        }
+      };
+    }
+
     return {
       model: this.model,
       messages: [
@@ -590,12 +1282,18 @@ class LocalLLMProvider extends LLMProvider {
         },
         {
           role: 'user',
-          content: `Here are the tabs to analyze:\n\n${tabData}\n\nPlease group these tabs and respond with JSON only.`
+          content: userMessage
         }
       ],
       temperature: 0.7,
-      max_tokens: 4096,
-      stream: false
+      max_tokens: this.tokenBudget.outputTokens,
+      stream: false,
+      response_format: outputFormat === 'json'
+        ? { type: 'json_object' }
+        : {
+          type: 'json_schema',
+          json_schema: { name: 'tab_groups', strict: true, schema: toStrictSchema(outputFormat) }
+        }
     };
   }
 
@@ -614,7 +1312,7 @@ class LocalLLMProvider extends LLMProvider {
       headers['Authorization'] = `Bearer ${this.apiKey}`;
     }
 
-    const response = await fetch(this.endpoint, {
+    const response = await fetch(getLocalRequestUrl(this.endpoint, this.apiFormat), {
       method: 'POST',
       headers: headers,
       body: JSON.stringify(payload)
@@ -622,16 +1320,27 @@ class LocalLLMProvider extends LLMProvider {
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
+      // Ollama reports errors as a plain string
+      const errorMessage = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
       
       if (response.status === 401 || response.status === 403) {
         throw new Error('UNAUTHORIZED');
       } else if (response.status === 429) {
         throw new Error('RATE_LIMIT');
       } else if (response.status === 404) {
+        if (this.apiFormat !== 'openai' && /model/i.test(errorMessage || '')) {
+          throw new Error(`Local LLM API error: ${errorMessage}`);
+        }
         throw new Error('Endpoint not found. Please check your Local LLM configuration.');
+      } else if (response.status === 400 && this.apiFormat !== 'openai' &&
+                 typeof payload.format === 'object' && /format/i.test(errorMessage || '')) {
+        throw new Error('SCHEMA_FORMAT_UNSUPPORTED');
+      } else if (response.status === 400 && payload.response_format?.type === 'json_schema' &&
+                 /response_format|json_schema/.test(errorMessage || '')) {
+        throw new Error('SCHEMA_FORMAT_UNSUPPORTED');
       }
       
-      throw new Error(`Local LLM API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+      throw new Error(`Local LLM API error: ${response.status} - ${errorMessage || 'Unknown error'}`);
     }
 
     return await response.json();
@@ -643,6 +1352,31 @@ class LocalLLMProvider extends LLMProvider {
    * @returns {Object} Parsed grouping result
    */
   parseLocalLLMResponse(response) {
+    const textContent = this.extractLocalLLMText(response);
+
+    return this.parseJSONText(textContent);
+  }
+
+  /**
+   * Extracts the generated text for the endpoint's API format
+   * @param {Object} response - Raw API response
+   * @returns {string} Generated text
+   */
+  extractLocalLLMText(response) {
+    if (this.apiFormat === 'ollama-chat') {
+      if (!response.message || !response.message.content) {
+        throw new Error('INVALID_RESPONSE: No message content in response');
+      }
+      return response.message.content;
+    }
+
+    if (this.apiFormat === 'ollama-generate') {
+      if (!response.response) {
+        throw new Error('INVALID_RESPONSE: No response text in response');
+      }
+      return response.response;
+    }
+
     // OpenAI-compatible format
     if (!response.choices || !Array.isArray(response.choices) || response.choices.length === 0) {
       throw new Error('INVALID_RESPONSE: No choices in response');
@@ -654,30 +1388,319 @@ class LocalLLMProvider extends LLMProvider {
       throw new Error('INVALID_RESPONSE: No message content in response');
     }
 
-    const textContent = choice.message.content;
+    return choice.message.content;
+  }
+}
 
-    // Extract JSON from response (may be wrapped in markdown code blocks)
-    const jsonMatch = textContent.match(/```json\s*([\s\S]*?)\s*```/) || 
-                     textContent.match(/\{[\s\S]*\}/);
-    
-    if (!jsonMatch) {
-      throw new Error('INVALID_RESPONSE: No JSON found in response');
+// Export LocalLLMProvider (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.LocalLLMProvider = LocalLLMProvider;
+}
+
+// ES6 export for browser extension
+export { LocalLLMProvider };
+
+
+/**
+ * OpenAI Provider implementation
+ * Uses the OpenAI Chat Completions API
+ */
+class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {string} apiKey - OpenAI API key
+   * @param {string} model - OpenAI model name (default: 'gpt-4o-mini')
+   */
+  constructor(apiKey, model = 'gpt-4o-mini') {
+    super();
+    this.apiKey = apiKey;
+    this.model = model;
+    this.tokenBudget = getModelTokenBudget('openai', model);
+    this.endpoint = 'https://api.openai.com/v1/chat/completions';
+  }
+
+  /**
+   * Groups tabs using OpenAI
+   * @param {Array} tabMetadata - Array of tab metadata objects
+   * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {Promise<Object>} Grouping result
+   */
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
+    try {
+      return await this.groupInBatches(tabMetadata, customPrompt, options);
+    } catch (error) {
+      throw this.handleError(error);
     }
+  }
 
-    const jsonText = jsonMatch[1] || jsonMatch[0];
+  /**
+   * Requests a grouping from OpenAI
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Promise<Object>} Parsed grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    let response;
+    try {
+      response = await this.invokeOpenAIAPI(
+        this.formatOpenAIRequest(systemPrompt, tabData, this.structuredOutputSupported !== false)
+      );
+    } catch (error) {
+      // Older models only support JSON mode
+      if (!error.message.includes('STRUCTURED_OUTPUT_UNSUPPORTED')) {
+        throw error;
+      }
+      this.structuredOutputSupported = false;
+      response = await this.invokeOpenAIAPI(this.formatOpenAIRequest(systemPrompt, tabData, false));
+    }
+    return this.parseOpenAIResponse(response);
+  }
+
+  /**
+   * Formats request payload for the Chat Completions API
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @param {boolean} structured - Constrain the reply to the grouping schema (otherwise JSON mode)
+   * @returns {Object} Request payload
+   */
+  formatOpenAIRequest(systemPrompt, tabData, structured = true) {
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: systemPrompt
+        },
+        {
+          role: 'user',
+          content: `Here are the tabs to analyze:\n\n${tabData}\n\nPlease group these tabs and respond with JSON only.`
+        }
+      ],
+      temperature: 0.7,
+      max_tokens: this.tokenBudget.outputTokens,
+      response_format: structured
+        ? {
+          type: 'json_schema',
+          json_schema: { name: 'tab_groups', strict: true, schema: toStrictSchema(GROUPING_RESPONSE_SCHEMA) }
+        }
+        // JSON mode guarantees the message content is a single JSON object
+        : { type: 'json_object' }
+    };
+  }
+
+  /**
+   * Invokes OpenAI API
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} API response
+   */
+  async invokeOpenAIAPI(payload) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      
+      if (response.status === 401 || response.status === 403) {
+        throw new Error('UNAUTHORIZED');
+      } else if (response.status === 429) {
+        // Exhausted credit is reported as 429 too, but waiting will not help
+        if (errorData.error?.code === 'insufficient_quota') {
+          throw new Error('OpenAI quota exceeded: Check your plan and billing details');
+        }
+        throw new Error('RATE_LIMIT');
+      } else if (response.status === 400 || response.status === 404) {
+        const errorMessage = errorData.error?.message || 'Bad request';
+        if (payload.response_format?.type === 'json_schema' && /response_format|json_schema/.test(errorMessage)) {
+          throw new Error('STRUCTURED_OUTPUT_UNSUPPORTED');
+        }
+        throw new Error(`OpenAI API error: ${errorMessage}`);
+      }
+      
+      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Parses OpenAI response into standard format
+   * @param {Object} response - Raw API response
+   * @returns {Object} Parsed grouping result
+   */
+  parseOpenAIResponse(response) {
+    if (!response.choices || !Array.isArray(response.choices) || response.choices.length === 0) {
+      throw new Error('INVALID_RESPONSE: No choices in response');
+    }
+
+    const choice = response.choices[0];
     
+    if (choice.message?.refusal) {
+      throw new Error(`INVALID_RESPONSE: Model refused the request - ${choice.message.refusal}`);
+    }
+
+    if (!choice.message || !choice.message.content) {
+      throw new Error('INVALID_RESPONSE: No message content in response');
+    }
+
+    const textContent = choice.message.content;
+
+    return this.parseJSONText(textContent);
+  }
+}
+
+// Export OpenAIProvider (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports.OpenAIProvider = OpenAIProvider;
+}
+
+// ES6 export for browser extension
+export { OpenAIProvider };
+
+
+/**
+ * Anthropic Provider implementation
+ * Uses the Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {string} apiKey - Anthropic API key
+   * @param {string} model - Claude model name (default: 'claude-3-5-haiku-latest')
+   */
+  constructor(apiKey, model = 'claude-3-5-haiku-latest') {
+    super();
+    this.apiKey = apiKey;
+    this.model = model;
+    this.tokenBudget = getModelTokenBudget('anthropic', model);
+    this.endpoint = 'https://api.anthropic.com/v1/messages';
+  }
+
+  /**
+   * Groups tabs using Anthropic
+   * @param {Array} tabMetadata - Array of tab metadata objects
+   * @param {string} customPrompt - Optional custom user prompt
+   * @param {Object} options - Optional prompt context (see buildSystemPrompt)
+   * @returns {Promise<Object>} Grouping result
+   */
+  async groupTabs(tabMetadata, customPrompt = '', options = {}) {
     try {
-      return JSON.parse(jsonText);
+      return await this.groupInBatches(tabMetadata, customPrompt, options);
     } catch (error) {
-      throw new Error(`INVALID_RESPONSE: Failed to parse JSON - ${error.message}`);
+      throw this.handleError(error);
     }
   }
+
+  /**
+   * Requests a grouping from Anthropic
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Promise<Object>} Parsed grouping result
+   */
+  async requestGrouping(systemPrompt, tabData) {
+    const requestPayload = this.formatAnthropicRequest(systemPrompt, tabData);
+    const response = await this.invokeAnthropicAPI(requestPayload);
+    return this.parseAnthropicResponse(response);
+  }
+
+  /**
+   * Formats request payload for the Messages API
+   * @param {string} systemPrompt - System instructions
+   * @param {string} tabData - Formatted tab metadata
+   * @returns {Object} Request payload
+   */
+  formatAnthropicRequest(systemPrompt, tabData) {
+    return {
+      model: this.model,
+      max_tokens: this.tokenBudget.outputTokens,
+      temperature: 0.7,
+      system: systemPrompt,
+      messages: [
+        {
+          role: 'user',
+          content: `Here are the tabs to analyze:\n\n${tabData}\n\nPlease group these tabs and respond with JSON only.`
+        }
+      ],
+      tools: [GROUPING_TOOL],
+      tool_choice: { type: 'tool', name: GROUPING_TOOL.name }
+    };
+  }
+
+  /**
+   * Invokes Anthropic API
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} API response
+   */
+  async invokeAnthropicAPI(payload) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        // Required for requests made from a browser context such as the extension
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      
+      if (response.status === 401 || response.status === 403) {
+        throw new Error('UNAUTHORIZED');
+      } else if (response.status === 429) {
+        throw new Error('RATE_LIMIT');
+      } else if (response.status === 529) {
+        throw new Error('Anthropic API is overloaded: Please try again shortly');
+      } else if (response.status === 400 || response.status === 404) {
+        const errorMessage = errorData.error?.message || 'Bad request';
+        throw new Error(`Anthropic API error: ${errorMessage}`);
+      }
+      
+      throw new Error(`Anthropic API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Parses Anthropic response into standard format
+   * @param {Object} response - Raw API response
+   * @returns {Object} Parsed grouping result
+   */
+  parseAnthropicResponse(response) {
+    if (!response.content || !Array.isArray(response.content) || response.content.length === 0) {
+      throw new Error('INVALID_RESPONSE: No content in response');
+    }
+
+    const toolInput = findGroupingToolInput(response.content);
+    if (toolInput) {
+      return toolInput;
+    }
+
+    // Extract text from content blocks
+    const textContent = response.content
+      .filter(block => block.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('');
+
+    if (!textContent) {
+      throw new Error('INVALID_RESPONSE: No text content in response');
+    }
+
+    return this.parseJSONText(textContent);
+  }
 }
 
-// Export LocalLLMProvider (CommonJS for tests)
+// Export AnthropicProvider (CommonJS for tests)
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports.LocalLLMProvider = LocalLLMProvider;
+  module.exports.AnthropicProvider = AnthropicProvider;
 }
 
 // ES6 export for browser extension
-export { LocalLLMProvider };
+export { AnthropicProvider };
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { LLMProvider, BedrockProvider, GeminiProvider, LocalLLMProvider } from './llm-provider.js';
+import { LLMProvider, GROUPING_RESPONSE_SCHEMA, GROUPING_TOOL, BedrockProvider, GeminiProvider, LocalLLMProvider, OpenAIProvider, AnthropicProvider } from './llm-provider.js';
 
 describe('LLMProvider Base Class', () => {
   let provider;
@@ -60,6 +60,171 @@ describe('LLMProvider Base Class', () => {
     });
   });
 
+  describe('parseJSONText', () => {
+    it('should parse plain JSON replies directly', () => {
+      const text = '{"groups": [{"name": "Code {snippets}", "tabIndices": [0], "reasoning": "Uses {braces}"}]}';
+
+      expect(provider.parseJSONText(text).groups[0].name).toBe('Code {snippets}');
+    });
+
+    it('should fall back to extracting JSON from prose', () => {
+      const text = 'Here you go:\n```json\n{"groups": []}\n```\nLet me know if you want changes.';
+
+      expect(provider.parseJSONText(text)).toEqual({ groups: [] });
+    });
+
+    it('should throw INVALID_RESPONSE when there is no JSON', () => {
+      expect(() => provider.parseJSONText('No groups today')).toThrow('INVALID_RESPONSE');
+    });
+  });
+
+  describe('findGroupingIssues', () => {
+    it('should report nothing for a clean grouping', () => {
+      const response = { groups: [{ name: 'Work', tabIndices: [0, 1] }, { name: 'News', tabIndices: [2] }] };
+
+      expect(provider.findGroupingIssues(response, 3)).toEqual([]);
+    });
+
+    it('should report out-of-range, duplicate and unassigned tabs', () => {
+      const response = {
+        groups: [
+          { name: 'Work', tabIndices: [0, 1, 1] },
+          { name: 'News', tabIndices: [1, 9] }
+        ]
+      };
+
+      const issues = provider.findGroupingIssues(response, 4);
+
+      expect(issues.map(issue => issue.type)).toEqual(['duplicate', 'duplicate', 'out_of_range', 'unassigned']);
+      expect(issues[0].message).toBe('Tab 1 is listed more than once in "Work"');
+      expect(issues[1].message).toBe('Tab 1 is in both "Work" and "News"');
+      expect(issues[2].message).toBe('Group "News" uses tab index 9, but only indices 0-3 exist');
+      expect(issues[3].message).toBe('Tabs 2, 3 are not in any group');
+    });
+
+    it('should report structural problems and long names', () => {
+      expect(provider.findGroupingIssues({}, 2)[0].type).toBe('structure');
+
+      const issues = provider.findGroupingIssues({
+        groups: [{ name: 'x'.repeat(41), tabIndices: [0] }, { tabIndices: ['1'] }]
+      }, 2);
+
+      expect(issues.map(issue => issue.type)).toEqual(['name_length', 'structure', 'structure', 'unassigned']);
+    });
+  });
+
+  describe('planBatches', () => {
+    const tabs = [
+      { title: 'Issue 1', url: 'https://github.com/a' },
+      { title: 'Docs', url: 'https://docs.example.com' },
+      { title: 'Issue 2', url: 'https://github.com/b' },
+      { title: 'Guide', url: 'https://docs.example.com/guide' }
+    ];
+
+    it('should keep tabs in one batch when they fit the budget', () => {
+      provider.tokenBudget = { inputTokens: 20000, outputTokens: 2048 };
+
+      expect(provider.planBatches(tabs, 'prompt')).toEqual([[0, 1, 2, 3]]);
+    });
+
+    it('should split by the reply budget, keeping tabs from the same domain together', () => {
+      // Room for two tab indices in the reply
+      provider.tokenBudget = { inputTokens: 20000, outputTokens: 524 };
+
+      expect(provider.planBatches(tabs, 'prompt')).toEqual([[1, 3], [0, 2]]);
+    });
+
+    it('should split by the prompt budget', () => {
+      provider.tokenBudget = { inputTokens: 20, outputTokens: 2048 };
+
+      const batches = provider.planBatches(tabs, 'prompt');
+
+      expect(batches.length).toBeGreaterThan(1);
+      expect(batches.flat().sort()).toEqual([0, 1, 2, 3]);
+    });
+  });
+
+  describe('mergeGroupsByName', () => {
+    it('should merge groups whose names differ only in case and spacing', () => {
+      const merged = provider.mergeGroupsByName([
+        { name: 'Dev Docs', tabIndices: [0] },
+        { name: 'News', tabIndices: [1] },
+        { name: 'dev  docs', tabIndices: [2] }
+      ]);
+
+      expect(merged).toEqual([
+        { name: 'Dev Docs', tabIndices: [0, 2] },
+        { name: 'News', tabIndices: [1] }
+      ]);
+    });
+  });
+
+  describe('classifyTab', () => {
+    it('should return the existing group the model picks', async () => {
+      provider.requestGrouping = vi.fn().mockResolvedValue({ groups: [{ name: 'work', tabIndices: [0] }] });
+
+      const name = await provider.classifyTab({ title: 'PR #12', url: 'https://github.com/org/repo' }, ['Work', 'News']);
+
+      expect(name).toBe('Work');
+      const [systemPrompt, tabData] = provider.requestGrouping.mock.calls[0];
+      expect(systemPrompt).toContain('Existing groups: "Work", "News"');
+      expect(tabData).toBe('0. PR #12 [github.com]');
+    });
+
+    it('should return null for new names, empty answers and no groups', async () => {
+      provider.requestGrouping = vi.fn()
+        .mockResolvedValueOnce({ groups: [{ name: 'Code Review', tabIndices: [0] }] })
+        .mockResolvedValueOnce({ groups: [] });
+      const tab = { title: 'Recipe', url: 'https://food.example.com' };
+
+      expect(await provider.classifyTab(tab, ['Work'])).toBeNull();
+      expect(await provider.classifyTab(tab, ['Work'])).toBeNull();
+      expect(await provider.classifyTab(tab, [])).toBeNull();
+      expect(provider.requestGrouping).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('findNearDuplicates', () => {
+    it('should return sets of at least two valid, unclaimed indices', async () => {
+      provider.requestGrouping = vi.fn().mockResolvedValue({
+        groups: [
+          { name: 'Launch story', tabIndices: [0, 2, 2] },
+          { name: 'Overlap', tabIndices: [2, 1] },
+          { name: 'Invalid', tabIndices: [1, 9] }
+        ]
+      });
+      const tabs = [
+        { title: 'Launch news', url: 'https://news.example.com/launch' },
+        { title: 'Weather', url: 'https://weather.example.com' },
+        { title: 'Launch news (AMP)', url: 'https://amp.example.net/launch' }
+      ];
+
+      const sets = await provider.findNearDuplicates(tabs);
+
+      expect(sets).toEqual([[0, 2]]);
+      const [systemPrompt, tabData] = provider.requestGrouping.mock.calls[0];
+      expect(systemPrompt).toContain('same article or page under different URLs');
+      expect(tabData).toContain('Tabs (3 total):');
+    });
+
+    it('should not call the model for fewer than two tabs', async () => {
+      provider.requestGrouping = vi.fn();
+
+      expect(await provider.findNearDuplicates([{ title: 'Only', url: 'https://example.com' }])).toEqual([]);
+      expect(provider.requestGrouping).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildRepairPrompt', () => {
+    it('should include the previous answer and the problems', () => {
+      const prompt = provider.buildRepairPrompt('Group these tabs', { groups: [] }, [{ type: 'structure', message: 'Group #1 has no name' }]);
+
+      expect(prompt).toContain('Group these tabs');
+      expect(prompt).toContain('{"groups":[]}');
+      expect(prompt).toContain('- Group #1 has no name');
+    });
+  });
+
   describe('handleError', () => {
     it('should map network errors to user-friendly messages', () => {
       const error = new Error('ENOTFOUND');
@@ -101,6 +266,23 @@ describe('LLMProvider Base Class', () => {
       expect(prompt).toContain('Group by project type');
     });
 
+    it('should list existing groups when provided', () => {
+      const prompt = provider.buildSystemPrompt('', { existingGroups: ['Work', 'News'] });
+      expect(prompt).toContain('Existing groups: "Work", "News"');
+      expect(prompt).toContain('use its exact name');
+    });
+
+    it('should omit existing groups section when none are provided', () => {
+      const prompt = provider.buildSystemPrompt('', { existingGroups: [] });
+      expect(prompt).not.toContain('Existing groups');
+    });
+
+    it('should list previously used group names', () => {
+      const prompt = provider.buildSystemPrompt('', { existingGroups: ['Work'], knownGroups: ['Work', 'Research'] });
+      expect(prompt).toContain('Previously used group names: "Research"');
+      expect(prompt).not.toContain('Previously used group names: "Work"');
+    });
+
     it('should specify JSON-only response requirement', () => {
       const prompt = provider.buildSystemPrompt();
       expect(prompt).toContain('JSON only');
@@ -181,6 +363,22 @@ describe('LLMProvider Base Class', () => {
       
       expect(formatted).toContain('Tabs (3 total)');
     });
+
+    it('should add page content on an indented line', () => {
+      const tabs = [
+        {
+          title: 'Dashboard',
+          url: 'https://grafana.example.com/d/abc',
+          content: { siteName: 'Grafana', headings: ['Dashboard', 'API latency'], description: 'Service health' }
+        },
+        { title: 'Untitled', url: 'https://example.com', content: { snippet: 'Quarterly planning notes' } }
+      ];
+
+      const formatted = provider.formatTabMetadata(tabs);
+
+      expect(formatted).toContain('0. Dashboard [grafana.example.com]\n   Site: Grafana | Headings: API latency | About: Service health');
+      expect(formatted).toContain('1. Untitled [example.com]\n   Text: Quarterly planning notes');
+    });
   });
 });
 
@@ -231,9 +429,26 @@ describe('BedrockProvider', () => {
       expect(request.messages[0].role).toBe('user');
       expect(request.messages[0].content).toContain('tab data');
     });
+
+    it('should require the grouping tool', () => {
+      const request = provider.formatBedrockRequest('system prompt', 'tab data');
+
+      expect(request.tools).toEqual([GROUPING_TOOL]);
+      expect(request.tool_choice).toEqual({ type: 'tool', name: 'submit_tab_groups' });
+    });
   });
 
   describe('parseBedrockResponse', () => {
+    it('should return the grouping tool input', () => {
+      const response = {
+        content: [
+          { type: 'tool_use', id: 'toolu_1', name: 'submit_tab_groups', input: { groups: [{ name: 'Work', tabIndices: [0] }] } }
+        ]
+      };
+
+      expect(provider.parseBedrockResponse(response)).toEqual({ groups: [{ name: 'Work', tabIndices: [0] }] });
+    });
+
     it('should parse valid JSON response', () => {
       const response = {
         content: [
@@ -364,6 +579,16 @@ describe('GeminiProvider', () => {
       expect(request.generationConfig).toHaveProperty('temperature', 0.7);
       expect(request.generationConfig).toHaveProperty('maxOutputTokens', 4096);
     });
+
+    it('should request JSON matching the grouping schema', () => {
+      const { generationConfig } = provider.formatGeminiRequest('system prompt', 'tab data');
+
+      expect(generationConfig.responseMimeType).toBe('application/json');
+      expect(generationConfig.responseSchema.type).toBe('OBJECT');
+      expect(generationConfig.responseSchema.required).toEqual(['groups']);
+      expect(generationConfig.responseSchema.properties.groups.items.properties.tabIndices)
+        .toEqual({ type: 'ARRAY', items: { type: 'INTEGER' } });
+    });
   });
 
   describe('parseGeminiResponse', () => {
@@ -617,6 +842,475 @@ describe('LocalLLMProvider', () => {
   });
 });
 
+describe('LocalLLMProvider with native Ollama API', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    global.fetch = fetchMock;
+    global.AbortSignal = {
+      timeout: vi.fn(() => ({}))
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should infer the API format from the endpoint path', () => {
+    expect(new LocalLLMProvider('http://localhost:11434/api/chat').apiFormat).toBe('ollama-chat');
+    expect(new LocalLLMProvider('http://localhost:11434/api/generate').apiFormat).toBe('ollama-generate');
+    expect(new LocalLLMProvider('http://localhost:11434/v1/chat/completions').apiFormat).toBe('openai');
+    expect(new LocalLLMProvider('http://localhost:11434/v1/chat/completions', '', 'llama3', 'ollama-chat').apiFormat).toBe('ollama-chat');
+  });
+
+  it('should request schema-constrained output from /api/chat', () => {
+    const provider = new LocalLLMProvider('http://localhost:11434/api/chat', '', 'llama3');
+
+    const request = provider.formatLocalLLMRequest('system prompt', 'tab data');
+
+    expect(request.messages[0]).toEqual({ role: 'system', content: 'system prompt' });
+    expect(request.format).toEqual(GROUPING_RESPONSE_SCHEMA);
+    expect(request.stream).toBe(false);
+    expect(request.options).toEqual({ temperature: 0.7, num_predict: 4096 });
+  });
+
+  it('should send the system prompt separately to /api/generate', () => {
+    const provider = new LocalLLMProvider('http://localhost:11434/api/generate', '', 'llama3');
+
+    const request = provider.formatLocalLLMRequest('system prompt', 'tab data', 'json');
+
+    expect(request.system).toBe('system prompt');
+    expect(request.prompt).toContain('tab data');
+    expect(request.format).toBe('json');
+    expect(request).not.toHaveProperty('messages');
+  });
+
+  it('should parse native chat and generate responses', () => {
+    const json = '{"groups": [{"name": "Work", "tabIndices": [0]}]}';
+
+    expect(new LocalLLMProvider('http://localhost:11434/api/chat')
+      .parseLocalLLMResponse({ message: { role: 'assistant', content: json } }).groups[0].name).toBe('Work');
+    expect(new LocalLLMProvider('http://localhost:11434/api/generate')
+      .parseLocalLLMResponse({ response: json }).groups[0].name).toBe('Work');
+    expect(() => new LocalLLMProvider('http://localhost:11434/api/generate').parseLocalLLMResponse({}))
+      .toThrow('INVALID_RESPONSE');
+  });
+
+  it('should call the native path of a server configured with its OpenAI URL', async () => {
+    const provider = new LocalLLMProvider('http://localhost:11434/v1/chat/completions', '', 'llama3', 'ollama-chat');
+    fetchMock.mockResolvedValue({ ok: true, status: 200, json: async () => ({ message: { content: '{}' } }) });
+
+    await provider.invokeLocalLLM({});
+
+    expect(fetchMock).toHaveBeenCalledWith('http://localhost:11434/api/chat', expect.any(Object));
+  });
+
+  it('should report missing models by name', async () => {
+    const provider = new LocalLLMProvider('http://localhost:11434/api/chat', '', 'llama9');
+    fetchMock.mockResolvedValue({ ok: false, status: 404, json: async () => ({ error: 'model "llama9" not found, try pulling it first' }) });
+
+    await expect(provider.invokeLocalLLM({})).rejects.toThrow('model "llama9" not found');
+  });
+
+  it('should retry with format "json" when the server does not support schemas', async () => {
+    const provider = new LocalLLMProvider('http://localhost:11434/api/chat', '', 'llama3');
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+      .mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: 'invalid format: expected \"json\"' }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ message: { content: '{"groups": [{"name": "Work", "tabIndices": [0]}]}' } })
+      });
+
+    const result = await provider.groupTabs([{ title: 'Jira', url: 'https://jira.example.com' }]);
+
+    expect(result.groups[0].name).toBe('Work');
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body).format).toBe('json');
+  });
+
+  it('should request the grouping schema from OpenAI-compatible servers', () => {
+    const provider = new LocalLLMProvider('http://localhost:1234/v1/chat/completions', '', 'qwen2.5');
+
+    const request = provider.formatLocalLLMRequest('system prompt', 'tab data');
+
+    expect(request.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'tab_groups', strict: true, schema: expect.objectContaining({ additionalProperties: false }) }
+    });
+    expect(request.response_format.json_schema.schema.properties.groups.items.required)
+      .toEqual(Object.keys(request.response_format.json_schema.schema.properties.groups.items.properties));
+  });
+
+  it('should fall back to JSON mode when an OpenAI-compatible server rejects the schema', async () => {
+    const provider = new LocalLLMProvider('http://localhost:1234/v1/chat/completions', '', 'qwen2.5');
+    fetchMock
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+      .mockResolvedValueOnce({ ok: false, status: 400, json: async () => ({ error: { message: "'response_format.type' json_schema is not supported" } }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        json: async () => ({ choices: [{ message: { content: '{"groups": [{"name": "Work", "tabIndices": [0]}]}' } }] })
+      });
+
+    const result = await provider.groupTabs([{ title: 'Jira', url: 'https://jira.example.com' }]);
+
+    expect(result.groups[0].name).toBe('Work');
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).response_format.type).toBe('json_schema');
+    expect(JSON.parse(fetchMock.mock.calls[2][1].body).response_format).toEqual({ type: 'json_object' });
+  });
+});
+
+describe('OpenAIProvider', () => {
+  let provider;
+  let fetchMock;
+
+  beforeEach(() => {
+    provider = new OpenAIProvider('sk-test');
+    fetchMock = vi.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('formatOpenAIRequest', () => {
+    it('should format request with system and user messages and a strict JSON schema', () => {
+      const request = provider.formatOpenAIRequest('system prompt', 'tab data');
+
+      expect(request.model).toBe('gpt-4o-mini');
+      expect(request.messages[0]).toEqual({ role: 'system', content: 'system prompt' });
+      expect(request.messages[1].content).toContain('tab data');
+      expect(request.response_format.type).toBe('json_schema');
+      expect(request.response_format.json_schema.strict).toBe(true);
+
+      const groupSchema = request.response_format.json_schema.schema.properties.groups.items;
+      expect(groupSchema.required).toEqual(['name', 'tabIndices', 'reasoning']);
+      expect(groupSchema.additionalProperties).toBe(false);
+    });
+
+    it('should use JSON mode when structured output is off', () => {
+      const request = provider.formatOpenAIRequest('system prompt', 'tab data', false);
+
+      expect(request.response_format).toEqual({ type: 'json_object' });
+    });
+  });
+
+  describe('structured output fallback', () => {
+    it('should retry in JSON mode when the model does not support json_schema', async () => {
+      fetchMock
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 400,
+          json: async () => ({ error: { message: "Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model." } })
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({ choices: [{ message: { content: '{"groups": [{"name": "Work", "tabIndices": [0]}]}' } }] })
+        });
+
+      const result = await provider.groupTabs([{ title: 'Jira', url: 'https://jira.example.com' }]);
+
+      expect(result.groups[0].name).toBe('Work');
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body).response_format).toEqual({ type: 'json_object' });
+    });
+  });
+
+  describe('grouping repair', () => {
+    const tabs = [
+      { title: 'Jira', url: 'https://jira.example.com' },
+      { title: 'News', url: 'https://news.example.com' }
+    ];
+    const reply = (content) => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+
+    it('should ask the model once to fix an invalid grouping', async () => {
+      fetchMock
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Work", "tabIndices": [0, 5]}]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Work", "tabIndices": [0]}]}'));
+
+      const result = await provider.groupTabs(tabs);
+
+      expect(result.groups[0].tabIndices).toEqual([0]);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      const repairPrompt = JSON.parse(fetchMock.mock.calls[1][1].body).messages[0].content;
+      expect(repairPrompt).toContain('Group "Work" uses tab index 5, but only indices 0-1 exist');
+      expect(repairPrompt).toContain('Tabs 1 are not in any group');
+    });
+
+    it('should ask for a repair when the first reply is not valid JSON', async () => {
+      fetchMock
+        .mockResolvedValueOnce(reply('Sure! {"groups": [{"name": "Work", "tabIndices": [0,]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Work", "tabIndices": [0]}]}'));
+
+      const result = await provider.groupTabs(tabs);
+
+      expect(result.groups[0].name).toBe('Work');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      const repairPrompt = JSON.parse(fetchMock.mock.calls[1][1].body).messages[0].content;
+      expect(repairPrompt).toContain('Your previous answer could not be read as JSON.');
+      expect(repairPrompt).toContain('- Failed to parse JSON - ');
+    });
+
+    it('should not repair when tabs are only left ungrouped', async () => {
+      fetchMock.mockResolvedValueOnce(reply('{"groups": [{"name": "Work", "tabIndices": [0]}]}'));
+
+      await provider.groupTabs(tabs);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw INVALID_RESPONSE when the repair is still invalid', async () => {
+      fetchMock.mockResolvedValue(reply('{"groups": [{"name": "Work", "tabIndices": [0]}, {"name": "Other", "tabIndices": [0]}]}'));
+
+      const error = await provider.groupTabs(tabs).catch(err => err);
+
+      expect(error.message).toBe('Invalid response from API: Unable to parse the result');
+      expect(error.originalError.message).toBe('INVALID_RESPONSE: Tab 0 is in both "Work" and "Other"');
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('batched grouping', () => {
+    const tabs = [
+      { title: 'Issue 1', url: 'https://github.com/a' },
+      { title: 'Docs', url: 'https://docs.example.com' },
+      { title: 'Issue 2', url: 'https://github.com/b' },
+      { title: 'Guide', url: 'https://docs.example.com/guide' }
+    ];
+    const reply = (content) => ({ ok: true, json: async () => ({ choices: [{ message: { content } }] }) });
+
+    beforeEach(() => {
+      // Room for two tab indices per reply, so the four tabs need two batches
+      provider.tokenBudget = { inputTokens: 20000, outputTokens: 524 };
+    });
+
+    it('should group each batch and consolidate the batch groups', async () => {
+      fetchMock
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Documentation", "tabIndices": [0, 1]}]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Code", "tabIndices": [0]}, {"name": "Docs", "tabIndices": [1]}]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Docs", "tabIndices": [0, 2]}, {"name": "Code", "tabIndices": [1]}]}'));
+
+      const result = await provider.groupTabs(tabs);
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(result.groups).toEqual([
+        { name: 'Docs', tabIndices: [1, 3, 2], reasoning: '' },
+        { name: 'Code', tabIndices: [0], reasoning: '' }
+      ]);
+
+      const consolidation = JSON.parse(fetchMock.mock.calls[2][1].body).messages;
+      expect(consolidation[0].content).toContain('separate batches');
+      expect(consolidation[1].content).toContain('0. Documentation (2 tabs: Docs; Guide)');
+    });
+
+    it('should keep the batch groups when consolidation fails', async () => {
+      fetchMock
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Docs", "tabIndices": [0, 1]}]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Code", "tabIndices": [0, 1]}]}'))
+        .mockResolvedValueOnce({ ok: false, status: 500, json: async () => ({}) });
+
+      const result = await provider.groupTabs(tabs);
+
+      expect(result.groups.map(group => group.name)).toEqual(['Docs', 'Code']);
+      expect(result.groups[1].tabIndices).toEqual([0, 2]);
+    });
+
+    it('should skip consolidation when batches produce the same names', async () => {
+      fetchMock
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "Work", "tabIndices": [0, 1]}]}'))
+        .mockResolvedValueOnce(reply('{"groups": [{"name": "work", "tabIndices": [0, 1]}]}'));
+
+      const result = await provider.groupTabs(tabs);
+
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(result.groups).toEqual([{ name: 'Work', tabIndices: [1, 3, 0, 2] }]);
+    });
+  });
+
+  describe('parseOpenAIResponse', () => {
+    it('should parse valid JSON response', () => {
+      const response = {
+        choices: [{ message: { content: '{"groups": [{"name": "Work", "tabIndices": [0, 1]}]}' } }]
+      };
+
+      const parsed = provider.parseOpenAIResponse(response);
+      expect(parsed.groups[0].name).toBe('Work');
+    });
+
+    it('should throw error for refusals and missing choices', () => {
+      expect(() => provider.parseOpenAIResponse({})).toThrow('INVALID_RESPONSE');
+      expect(() => provider.parseOpenAIResponse({
+        choices: [{ message: { content: null, refusal: 'I cannot help with that' } }]
+      })).toThrow('Model refused the request');
+    });
+  });
+
+  describe('invokeOpenAIAPI', () => {
+    it('should send the API key as a bearer token', async () => {
+      fetchMock.mockResolvedValue({ ok: true, json: async () => ({ choices: [] }) });
+
+      await provider.invokeOpenAIAPI({});
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://api.openai.com/v1/chat/completions',
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'Authorization': 'Bearer sk-test' })
+        })
+      );
+    });
+
+    it('should handle 401 unauthorized error', async () => {
+      fetchMock.mockResolvedValue({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: { message: 'Incorrect API key provided' } })
+      });
+
+      await expect(provider.invokeOpenAIAPI({})).rejects.toThrow('UNAUTHORIZED');
+    });
+
+    it('should distinguish exhausted quota from rate limits', async () => {
+      fetchMock.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        json: async () => ({ error: { code: 'rate_limit_exceeded' } })
+      });
+      fetchMock.mockResolvedValueOnce({
+        ok: false,
+        status: 429,
+        json: async () => ({ error: { code: 'insufficient_quota' } })
+      });
+
+      await expect(provider.invokeOpenAIAPI({})).rejects.toThrow('RATE_LIMIT');
+      await expect(provider.invokeOpenAIAPI({})).rejects.toThrow('OpenAI quota exceeded');
+    });
+  });
+
+  describe('groupTabs', () => {
+    it('should return validated groups', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          choices: [{ message: { content: '{"groups": [{"name": "Work", "tabIndices": [0]}]}' } }]
+        })
+      });
+
+      const result = await provider.groupTabs([{ title: 'Jira', url: 'https://jira.example.com' }]);
+
+      expect(result.groups).toEqual([{ name: 'Work', tabIndices: [0] }]);
+    });
+  });
+});
+
+describe('AnthropicProvider', () => {
+  let provider;
+  let fetchMock;
+
+  beforeEach(() => {
+    provider = new AnthropicProvider('sk-ant-test');
+    fetchMock = vi.fn();
+    global.fetch = fetchMock;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('formatAnthropicRequest', () => {
+    it('should pass the system prompt separately from the messages', () => {
+      const request = provider.formatAnthropicRequest('system prompt', 'tab data');
+
+      expect(request.model).toBe('claude-3-5-haiku-latest');
+      expect(request.system).toBe('system prompt');
+      expect(request.messages).toHaveLength(1);
+      expect(request.messages[0].content).toContain('tab data');
+      expect(request.max_tokens).toBe(4096);
+      expect(request.tools).toEqual([GROUPING_TOOL]);
+      expect(request.tool_choice).toEqual({ type: 'tool', name: 'submit_tab_groups' });
+    });
+  });
+
+  describe('parseAnthropicResponse', () => {
+    it('should prefer the grouping tool input over text', () => {
+      const response = {
+        content: [
+          { type: 'text', text: 'Grouping {the} tabs now.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'submit_tab_groups', input: { groups: [] } }
+        ]
+      };
+
+      expect(provider.parseAnthropicResponse(response)).toEqual({ groups: [] });
+    });
+
+    it('should parse JSON from text content blocks', () => {
+      const response = {
+        content: [{ type: 'text', text: '```json\n{"groups": [{"name": "Work", "tabIndices": [0, 1]}]}\n```' }]
+      };
+
+      const parsed = provider.parseAnthropicResponse(response);
+      expect(parsed.groups[0].name).toBe('Work');
+    });
+
+    it('should throw error for missing content', () => {
+      expect(() => provider.parseAnthropicResponse({})).toThrow('INVALID_RESPONSE');
+      expect(() => provider.parseAnthropicResponse({ content: [{ type: 'text', text: '' }] })).toThrow('INVALID_RESPONSE');
+    });
+  });
+
+  describe('invokeAnthropicAPI', () => {
+    it('should send the API key and version headers', async () => {
+      fetchMock.mockResolvedValue({ ok: true, json: async () => ({ content: [] }) });
+
+      await provider.invokeAnthropicAPI({});
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'x-api-key': 'sk-ant-test',
+            'anthropic-version': '2023-06-01'
+          })
+        })
+      );
+    });
+
+    it('should handle 401 unauthorized error', async () => {
+      fetchMock.mockResolvedValue({
+        ok: false,
+        status: 401,
+        json: async () => ({ error: { type: 'authentication_error', message: 'invalid x-api-key' } })
+      });
+
+      await expect(provider.invokeAnthropicAPI({})).rejects.toThrow('UNAUTHORIZED');
+    });
+
+    it('should handle 429 rate limit and 529 overloaded errors', async () => {
+      fetchMock.mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({}) });
+      fetchMock.mockResolvedValueOnce({ ok: false, status: 529, json: async () => ({}) });
+
+      await expect(provider.invokeAnthropicAPI({})).rejects.toThrow('RATE_LIMIT');
+      await expect(provider.invokeAnthropicAPI({})).rejects.toThrow('overloaded');
+    });
+  });
+
+  describe('groupTabs', () => {
+    it('should return validated groups', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          content: [{ type: 'text', text: '{"groups": [{"name": "Work", "tabIndices": [0]}]}' }]
+        })
+      });
+
+      const result = await provider.groupTabs([{ title: 'Jira', url: 'https://jira.example.com' }]);
+
+      expect(result.groups).toEqual([{ name: 'Work', tabIndices: [0] }]);
+    });
+  });
+});
+
 describe('Prompt Engineering Tests', () => {
   describe('Work tabs scenario', () => {
     it('should format work-related tabs appropriately', () => {
@@ -0,0 +1,81 @@
+/**
+ * Local Endpoint Module
+ * Helpers for the request formats a local LLM server can speak
+ * (OpenAI-compatible chat completions, Ollama's native /api/chat and /api/generate)
+ */
+
+// Request formats supported for local LLM endpoints
+const LOCAL_API_FORMATS = ['openai', 'ollama-chat', 'ollama-generate'];
+
+// Native Ollama path for each Ollama format
+const OLLAMA_PATHS = {
+  'ollama-chat': '/api/chat',
+  'ollama-generate': '/api/generate'
+};
+
+/**
+ * Returns the server base URL of an endpoint, keeping any path prefix in front of
+ * the API path (e.g. https://host/proxy/v1/chat/completions -> https://host/proxy)
+ * @param {string} endpoint - Configured endpoint URL
+ * @returns {string} Base URL without trailing slash
+ */
+function getLocalApiBase(endpoint) {
+  const url = new URL(endpoint);
+  const prefixMatch = url.pathname.match(/^(.*?)\/(?:v1|api)(?:\/|$)/);
+  const basePath = prefixMatch ? prefixMatch[1] : url.pathname.replace(/\/+$/, '');
+  return `${url.origin}${basePath}`;
+}
+
+/**
+ * Infers the request format from the endpoint path alone
+ * @param {string} endpoint - Configured endpoint URL
+ * @returns {string} 'ollama-chat', 'ollama-generate' or 'openai'
+ */
+function inferLocalApiFormat(endpoint) {
+  try {
+    const path = new URL(endpoint).pathname.replace(/\/+$/, '');
+    if (path.endsWith(OLLAMA_PATHS['ollama-chat'])) {
+      return 'ollama-chat';
+    }
+    if (path.endsWith(OLLAMA_PATHS['ollama-generate'])) {
+      return 'ollama-generate';
+    }
+  } catch (error) {
+    // Unparseable endpoints are reported by endpoint validation
+  }
+  return 'openai';
+}
+
+/**
+ * Returns the URL requests are sent to for a format
+ * Ollama formats use the native path on the same server, so an Ollama server configured
+ * with its OpenAI-compatible URL can still be called natively
+ * @param {string} endpoint - Configured endpoint URL
+ * @param {string} apiFormat - One of LOCAL_API_FORMATS
+ * @returns {string} Request URL
+ */
+function getLocalRequestUrl(endpoint, apiFormat) {
+  const nativePath = OLLAMA_PATHS[apiFormat];
+  if (!nativePath || inferLocalApiFormat(endpoint) === apiFormat) {
+    return endpoint;
+  }
+  return `${getLocalApiBase(endpoint)}${nativePath}`;
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LOCAL_API_FORMATS,
+    getLocalApiBase,
+    inferLocalApiFormat,
+    getLocalRequestUrl
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  LOCAL_API_FORMATS,
+  getLocalApiBase,
+  inferLocalApiFormat,
+  getLocalRequestUrl
+};
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for local-endpoint.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  getLocalApiBase,
+  inferLocalApiFormat,
+  getLocalRequestUrl
+} = await import('./local-endpoint.js');
+
+describe('Local Endpoint', () => {
+  describe('getLocalApiBase', () => {
+    it('should strip the API path', () => {
+      expect(getLocalApiBase('http://localhost:11434/v1/chat/completions')).toBe('http://localhost:11434');
+      expect(getLocalApiBase('http://localhost:11434/api/chat')).toBe('http://localhost:11434');
+    });
+
+    it('should keep a path prefix', () => {
+      expect(getLocalApiBase('https://llm.example.com/ollama/api/generate')).toBe('https://llm.example.com/ollama');
+      expect(getLocalApiBase('http://localhost:11434/')).toBe('http://localhost:11434');
+    });
+  });
+
+  describe('inferLocalApiFormat', () => {
+    it('should recognize native Ollama paths', () => {
+      expect(inferLocalApiFormat('http://localhost:11434/api/chat')).toBe('ollama-chat');
+      expect(inferLocalApiFormat('http://localhost:11434/api/generate/')).toBe('ollama-generate');
+    });
+
+    it('should default to the OpenAI-compatible format', () => {
+      expect(inferLocalApiFormat('http://localhost:1234/v1/chat/completions')).toBe('openai');
+      expect(inferLocalApiFormat('not a url')).toBe('openai');
+    });
+  });
+
+  describe('getLocalRequestUrl', () => {
+    it('should keep the endpoint when it already matches the format', () => {
+      expect(getLocalRequestUrl('http://localhost:11434/api/chat', 'ollama-chat')).toBe('http://localhost:11434/api/chat');
+      expect(getLocalRequestUrl('http://localhost:1234/v1/chat/completions', 'openai'))
+        .toBe('http://localhost:1234/v1/chat/completions');
+    });
+
+    it('should switch to the native Ollama path on the same server', () => {
+      expect(getLocalRequestUrl('http://localhost:11434/v1/chat/completions', 'ollama-chat'))
+        .toBe('http://localhost:11434/api/chat');
+      expect(getLocalRequestUrl('http://localhost:11434/api/chat', 'ollama-generate'))
+        .toBe('http://localhost:11434/api/generate');
+    });
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Model Catalog Module
+ * Default models, presets, token budgets and model discovery for each LLM provider
+ */
+
+import { getLocalApiBase } from './local-endpoint.js';
+
+// Model used when the configuration does not name one
+const DEFAULT_MODELS = {
+  bedrock: 'anthropic.claude-3-5-sonnet-20240620-v1:0',
+  gemini: 'gemini-3-pro-preview',
+  openai: 'gpt-4o-mini',
+  anthropic: 'claude-3-5-haiku-latest',
+  local: 'llama2'
+};
+
+// Suggested models for providers whose model list is not discovered
+const MODEL_PRESETS = {
+  bedrock: [
+    { id: 'anthropic.claude-3-5-sonnet-20240620-v1:0', name: 'Claude 3.5 Sonnet' },
+    { id: 'anthropic.claude-3-5-haiku-20241022-v1:0', name: 'Claude 3.5 Haiku' },
+    { id: 'anthropic.claude-3-haiku-20240307-v1:0', name: 'Claude 3 Haiku' },
+    { id: 'us.anthropic.claude-3-7-sonnet-20250219-v1:0', name: 'Claude 3.7 Sonnet (cross-region)' }
+  ],
+  gemini: [
+    { id: 'gemini-3-pro-preview', name: 'Gemini 3 Pro (preview)' },
+    { id: 'gemini-2.5-pro', name: 'Gemini 2.5 Pro' },
+    { id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' },
+    { id: 'gemini-2.5-flash-lite', name: 'Gemini 2.5 Flash-Lite' }
+  ],
+  openai: [
+    { id: 'gpt-4o-mini', name: 'GPT-4o mini' },
+    { id: 'gpt-4o', name: 'GPT-4o' },
+    { id: 'gpt-4.1-mini', name: 'GPT-4.1 mini' },
+    { id: 'gpt-4.1', name: 'GPT-4.1' }
+  ],
+  anthropic: [
+    { id: 'claude-3-5-haiku-latest', name: 'Claude 3.5 Haiku' },
+    { id: 'claude-3-5-sonnet-latest', name: 'Claude 3.5 Sonnet' },
+    { id: 'claude-3-7-sonnet-latest', name: 'Claude 3.7 Sonnet' }
+  ],
+  local: []
+};
+
+// Providers that can list their models over the network
+const DISCOVERABLE_PROVIDERS = ['openai', 'anthropic', 'local'];
+
+// Tokens one grouping request may use: inputTokens for the prompt, outputTokens for the reply
+const TOKEN_BUDGETS = {
+  bedrock: { inputTokens: 20000, outputTokens: 2048 },
+  gemini: { inputTokens: 20000, outputTokens: 4096 },
+  openai: { inputTokens: 20000, outputTokens: 4096 },
+  anthropic: { inputTokens: 20000, outputTokens: 4096 },
+  local: { inputTokens: 3000, outputTokens: 4096 }
+};
+
+// Budget for providers without an entry above
+const DEFAULT_TOKEN_BUDGET = { inputTokens: 8000, outputTokens: 2048 };
+
+// Models whose budget differs from their provider's, matched against the model ID
+const MODEL_TOKEN_BUDGETS = [
+  // Small local models lose track of long tab lists
+  { provider: 'local', pattern: /[:-](0\.5|1|1\.5|2|3)b\b|phi|tinyllama/i, budget: { inputTokens: 1500, outputTokens: 2048 } }
+];
+
+// Longest model ID accepted in the configuration
+const MAX_MODEL_ID_LENGTH = 200;
+
+/**
+ * Returns the model used for a provider when none is configured
+ * @param {string} provider - Provider type
+ * @returns {string|null} Model ID
+ */
+function getDefaultModel(provider) {
+  return DEFAULT_MODELS[provider] || null;
+}
+
+/**
+ * Returns the suggested models for a provider
+ * @param {string} provider - Provider type
+ * @returns {Array<Object>} Models with id and name
+ */
+function getModelPresets(provider) {
+  return (MODEL_PRESETS[provider] || []).map(model => ({ ...model }));
+}
+
+/**
+ * Returns the token budget for one grouping request
+ * @param {string} provider - Provider type
+ * @param {string} model - Model ID (defaults to the provider's default model)
+ * @returns {Object} { inputTokens, outputTokens }
+ */
+function getModelTokenBudget(provider, model = null) {
+  const modelId = model || getDefaultModel(provider) || '';
+  const override = MODEL_TOKEN_BUDGETS.find(entry => entry.provider === provider && entry.pattern.test(modelId));
+
+  return {
+    ...(TOKEN_BUDGETS[provider] || DEFAULT_TOKEN_BUDGET),
+    ...(override ? override.budget : {})
+  };
+}
+
+/**
+ * Validates a model ID from the configuration
+ * @param {*} model - Model ID (empty values mean the provider default)
+ * @returns {string|null} Trimmed model ID, or null for the default
+ * @throws {Error} If the model ID is not a usable string
+ */
+function normalizeModelId(model) {
+  if (model === undefined || model === null) {
+    return null;
+  }
+
+  if (typeof model !== 'string') {
+    throw new Error('Model must be a string');
+  }
+
+  const trimmed = model.trim();
+  if (trimmed.length > MAX_MODEL_ID_LENGTH) {
+    throw new Error(`Model must be at most ${MAX_MODEL_ID_LENGTH} characters`);
+  }
+
+  if (/\s/.test(trimmed)) {
+    throw new Error('Model must not contain spaces');
+  }
+
+  return trimmed || null;
+}
+
+/**
+ * Derives the model listing URLs for a local LLM server from its chat endpoint
+ * Ollama's native /api/tags is tried first, then the OpenAI-compatible /v1/models
+ * @param {string} endpoint - Configured chat endpoint (e.g. http://localhost:11434/v1/chat/completions)
+ * @returns {Array<Object>} Candidates with url and format ('ollama' or 'openai')
+ */
+function getLocalModelUrls(endpoint) {
+  const base = getLocalApiBase(endpoint);
+
+  return [
+    { url: `${base}/api/tags`, format: 'ollama' },
+    { url: `${base}/v1/models`, format: 'openai' }
+  ];
+}
+
+/**
+ * Fetches JSON from a model listing endpoint
+ * @param {string} url - Listing URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function fetchModelList(url, headers = {}) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers,
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Authentication failed: Invalid credentials');
+    }
+    throw new Error(`Model list request failed with status ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Lists the models available to an account or server
+ * @param {string} provider - 'openai', 'anthropic' or 'local'
+ * @param {Object} credentials - Provider credentials (apiKey, endpoint)
+ * @returns {Promise<Array<Object>>} Models with id and name, sorted by id
+ * @throws {Error} If the provider cannot be queried
+ */
+async function discoverModels(provider, credentials = {}) {
+  try {
+    let models = [];
+
+    switch (provider) {
+      case 'openai': {
+        const body = await fetchModelList('https://api.openai.com/v1/models', {
+          'Authorization': `Bearer ${credentials.apiKey}`
+        });
+        // The listing also contains embedding, audio and image models
+        models = (body.data || [])
+          .map(model => model.id)
+          .filter(id => /^(gpt-|o\d|chatgpt-)/.test(id) && !/(audio|realtime|transcribe|tts|image|search)/.test(id))
+          .map(id => ({ id, name: id }));
+        break;
+      }
+
+      case 'anthropic': {
+        const body = await fetchModelList('https://api.anthropic.com/v1/models?limit=100', {
+          'x-api-key': credentials.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        });
+        models = (body.data || []).map(model => ({ id: model.id, name: model.display_name || model.id }));
+        break;
+      }
+
+      case 'local': {
+        const headers = credentials.apiKey ? { 'Authorization': `Bearer ${credentials.apiKey}` } : {};
+        let lastError = null;
+
+        for (const candidate of getLocalModelUrls(credentials.endpoint)) {
+          try {
+            const body = await fetchModelList(candidate.url, headers);
+            models = candidate.format === 'ollama'
+              ? (body.models || []).map(model => ({ id: model.name || model.model, name: model.name || model.model }))
+              : (body.data || []).map(model => ({ id: model.id, name: model.id }));
+            lastError = null;
+            break;
+          } catch (error) {
+            lastError = error;
+          }
+        }
+
+        if (lastError) {
+          throw lastError;
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Model discovery is not supported for provider: ${provider}`);
+    }
+
+    return models
+      .filter(model => model.id)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  } catch (error) {
+    throw new Error(`Failed to list models: ${error.message}`);
+  }
+}
+
+/**
+ * Lists models for the model picker: presets, plus discovered models when the
+ * provider supports discovery and credentials are given
+ * @param {string} provider - Provider type
+ * @param {Object} credentials - Optional provider credentials
+ * @returns {Promise<Object>} { models, defaultModel, discovered }
+ * @throws {Error} If discovery fails
+ */
+async function listModels(provider, credentials = null) {
+  if (!DEFAULT_MODELS[provider]) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  const presets = getModelPresets(provider);
+  const canDiscover = DISCOVERABLE_PROVIDERS.includes(provider) &&
+    !!(provider === 'local' ? credentials?.endpoint : credentials?.apiKey);
+
+  if (!canDiscover) {
+    return { models: presets, defaultModel: getDefaultModel(provider), discovered: false };
+  }
+
+  const discovered = await discoverModels(provider, credentials);
+  const discoveredIds = new Set(discovered.map(model => model.id));
+
+  // Presets the account cannot use are dropped; discovered models follow the presets
+  const models = [
+    ...presets.filter(model => discoveredIds.has(model.id)),
+    ...discovered.filter(model => !presets.some(preset => preset.id === model.id))
+  ];
+
+  return { models, defaultModel: getDefaultModel(provider), discovered: true };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_MODELS,
+    getDefaultModel,
+    getModelPresets,
+    getModelTokenBudget,
+    normalizeModelId,
+    getLocalModelUrls,
+    discoverModels,
+    listModels
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  DEFAULT_MODELS,
+  getDefaultModel,
+  getModelPresets,
+  getModelTokenBudget,
+  normalizeModelId,
+  getLocalModelUrls,
+  discoverModels,
+  listModels
+};
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for model-catalog.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const {
+  DEFAULT_MODELS,
+  getDefaultModel,
+  getModelPresets,
+  getModelTokenBudget,
+  normalizeModelId,
+  getLocalModelUrls,
+  discoverModels,
+  listModels
+} = await import('./model-catalog.js');
+
+function jsonResponse(body, status = 200) {
+  return { ok: status < 400, status, json: async () => body };
+}
+
+describe('Model Catalog', () => {
+  beforeEach(() => {
+    global.fetch = vi.fn();
+  });
+
+  describe('getDefaultModel', () => {
+    it('should return a default for every provider', () => {
+      for (const provider of ['bedrock', 'gemini', 'openai', 'anthropic', 'local']) {
+        expect(getDefaultModel(provider)).toBe(DEFAULT_MODELS[provider]);
+      }
+      expect(getDefaultModel('unknown')).toBeNull();
+    });
+  });
+
+  describe('getModelTokenBudget', () => {
+    it('should return the provider budget, adjusted for small models', () => {
+      expect(getModelTokenBudget('bedrock')).toEqual({ inputTokens: 20000, outputTokens: 2048 });
+      expect(getModelTokenBudget('local', 'llama3.2:3b')).toEqual({ inputTokens: 1500, outputTokens: 2048 });
+      expect(getModelTokenBudget('local', 'llama3.1:8b').inputTokens).toBe(3000);
+      expect(getModelTokenBudget('unknown')).toEqual({ inputTokens: 8000, outputTokens: 2048 });
+    });
+  });
+
+  describe('getModelPresets', () => {
+    it('should include the default model in the presets', () => {
+      for (const provider of ['bedrock', 'gemini', 'openai', 'anthropic']) {
+        expect(getModelPresets(provider).map(model => model.id)).toContain(getDefaultModel(provider));
+      }
+    });
+
+    it('should return copies', () => {
+      getModelPresets('gemini')[0].id = 'changed';
+
+      expect(getModelPresets('gemini')[0].id).not.toBe('changed');
+    });
+  });
+
+  describe('normalizeModelId', () => {
+    it('should trim model IDs and treat empty values as the default', () => {
+      expect(normalizeModelId(' gpt-4o ')).toBe('gpt-4o');
+      expect(normalizeModelId('')).toBeNull();
+      expect(normalizeModelId(undefined)).toBeNull();
+    });
+
+    it('should reject non-strings, spaces and overly long IDs', () => {
+      expect(() => normalizeModelId(42)).toThrow('Model must be a string');
+      expect(() => normalizeModelId('gpt 4o')).toThrow('Model must not contain spaces');
+      expect(() => normalizeModelId('x'.repeat(201))).toThrow('at most 200 characters');
+    });
+  });
+
+  describe('getLocalModelUrls', () => {
+    it('should derive listing URLs from the chat endpoint', () => {
+      expect(getLocalModelUrls('http://localhost:11434/v1/chat/completions')).toEqual([
+        { url: 'http://localhost:11434/api/tags', format: 'ollama' },
+        { url: 'http://localhost:11434/v1/models', format: 'openai' }
+      ]);
+    });
+
+    it('should keep a path prefix in front of the API path', () => {
+      expect(getLocalModelUrls('https://llm.example.com/proxy/v1/chat/completions')[1].url)
+        .toBe('https://llm.example.com/proxy/v1/models');
+    });
+  });
+
+  describe('discoverModels', () => {
+    it('should list OpenAI chat models only', async () => {
+      fetch.mockResolvedValue(jsonResponse({
+        data: [{ id: 'gpt-4o' }, { id: 'text-embedding-3-small' }, { id: 'o3-mini' }, { id: 'gpt-4o-audio-preview' }]
+      }));
+
+      const models = await discoverModels('openai', { apiKey: 'sk-test' });
+
+      expect(models.map(model => model.id)).toEqual(['gpt-4o', 'o3-mini']);
+      expect(fetch).toHaveBeenCalledWith('https://api.openai.com/v1/models', expect.objectContaining({
+        headers: { 'Authorization': 'Bearer sk-test' }
+      }));
+    });
+
+    it('should use display names from Anthropic', async () => {
+      fetch.mockResolvedValue(jsonResponse({
+        data: [{ id: 'claude-3-5-haiku-20241022', display_name: 'Claude Haiku 3.5' }]
+      }));
+
+      const models = await discoverModels('anthropic', { apiKey: 'sk-ant' });
+
+      expect(models).toEqual([{ id: 'claude-3-5-haiku-20241022', name: 'Claude Haiku 3.5' }]);
+    });
+
+    it('should fall back to /v1/models when the server is not Ollama', async () => {
+      fetch
+        .mockResolvedValueOnce(jsonResponse({}, 404))
+        .mockResolvedValueOnce(jsonResponse({ data: [{ id: 'qwen2.5-7b-instruct' }] }));
+
+      const models = await discoverModels('local', { endpoint: 'http://localhost:1234/v1/chat/completions' });
+
+      expect(models).toEqual([{ id: 'qwen2.5-7b-instruct', name: 'qwen2.5-7b-instruct' }]);
+      expect(fetch).toHaveBeenLastCalledWith('http://localhost:1234/v1/models', expect.any(Object));
+    });
+
+    it('should report authentication failures', async () => {
+      fetch.mockResolvedValue(jsonResponse({}, 401));
+
+      await expect(discoverModels('openai', { apiKey: 'bad' }))
+        .rejects.toThrow('Failed to list models: Authentication failed');
+    });
+
+    it('should reject providers without discovery', async () => {
+      await expect(discoverModels('bedrock', {})).rejects.toThrow('not supported for provider: bedrock');
+    });
+  });
+
+  describe('listModels', () => {
+    it('should return presets without credentials', async () => {
+      const result = await listModels('openai');
+
+      expect(result.discovered).toBe(false);
+      expect(result.defaultModel).toBe('gpt-4o-mini');
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should list available presets first, then other discovered models', async () => {
+      fetch.mockResolvedValue(jsonResponse({ data: [{ id: 'gpt-5' }, { id: 'gpt-4o' }] }));
+
+      const result = await listModels('openai', { apiKey: 'sk-test' });
+
+      expect(result.discovered).toBe(true);
+      expect(result.models.map(model => model.id)).toEqual(['gpt-4o', 'gpt-5']);
+    });
+
+    it('should reject unknown providers', async () => {
+      await expect(listModels('unknown')).rejects.toThrow('Unknown provider: unknown');
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Page Content Module
+ * Optional enrichment of tab metadata with page content (meta description, OpenGraph
+ * tags, headings and a short text snippet) read with chrome.scripting, for tabs whose
+ * title alone says little ("Dashboard", "Untitled")
+ */
+
+// Longest text snippet taken from a page
+const MAX_SNIPPET_LENGTH = 300;
+
+// Longest description, title or heading kept
+const MAX_FIELD_LENGTH = 200;
+
+// Headings kept per page
+const MAX_HEADINGS = 3;
+
+// Time allowed for reading one page before falling back to title and URL
+const PAGE_CONTENT_TIMEOUT_MS = 2000;
+
+// Pages read at the same time
+const MAX_CONCURRENT_READS = 4;
+
+// Hosts where Chrome does not let extensions run scripts
+const RESTRICTED_HOSTS = ['chrome.google.com', 'chromewebstore.google.com', 'microsoftedge.microsoft.com'];
+
+/**
+ * Checks whether a page can be read with chrome.scripting
+ * @param {string} url - Tab URL
+ * @returns {boolean} True for http(s) pages outside the browser's stores
+ */
+function canReadPage(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'http:' || parsed.protocol === 'https:') &&
+      !RESTRICTED_HOSTS.includes(parsed.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads content from the current page
+ * Runs inside the tab via chrome.scripting.executeScript, so it must not use anything
+ * outside its own body
+ * @param {number} maxSnippetLength - Longest text snippet to return
+ * @returns {Object} Raw page content
+ */
+function extractPageContent(maxSnippetLength) {
+  const meta = (selector) => {
+    const element = document.querySelector(selector);
+    return element ? (element.getAttribute('content') || '') : '';
+  };
+  const clean = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const main = document.querySelector('main, article, [role="main"]') || document.body;
+
+  return {
+    description: meta('meta[name="description"]'),
+    ogTitle: meta('meta[property="og:title"]'),
+    ogDescription: meta('meta[property="og:description"]'),
+    siteName: meta('meta[property="og:site_name"]'),
+    headings: Array.from(document.querySelectorAll('h1')).map(heading => clean(heading.textContent)),
+    snippet: clean(main ? main.innerText : '').substring(0, maxSnippetLength)
+  };
+}
+
+/**
+ * Trims and caps the content returned by a page, dropping empty fields
+ * @param {Object} raw - Result of extractPageContent
+ * @returns {Object|null} Page content, or null when the page had nothing useful
+ */
+function normalizePageContent(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const field = (value, maxLength = MAX_FIELD_LENGTH) =>
+    (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '').substring(0, maxLength);
+
+  const content = {
+    description: field(raw.description) || field(raw.ogDescription),
+    ogTitle: field(raw.ogTitle),
+    siteName: field(raw.siteName),
+    headings: [...new Set((Array.isArray(raw.headings) ? raw.headings : []).map(heading => field(heading)).filter(Boolean))]
+      .slice(0, MAX_HEADINGS),
+    snippet: field(raw.snippet, MAX_SNIPPET_LENGTH)
+  };
+
+  for (const key of Object.keys(content)) {
+    if (!content[key] || content[key].length === 0) {
+      delete content[key];
+    }
+  }
+
+  return Object.keys(content).length > 0 ? content : null;
+}
+
+/**
+ * Reads the content of one tab
+ * @param {number} tabId - Tab ID
+ * @param {number} timeoutMs - Time limit for the read
+ * @returns {Promise<Object|null>} Page content, or null when the page had nothing useful
+ * @throws {Error} If the script cannot run or the read times out
+ */
+async function readPageContent(tabId, timeoutMs = PAGE_CONTENT_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const results = await Promise.race([
+      chrome.scripting.executeScript({
+        target: { tabId },
+        func: extractPageContent,
+        args: [MAX_SNIPPET_LENGTH]
+      }),
+      timeout
+    ]);
+    return normalizePageContent(results?.[0]?.result);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Adds page content to tab metadata
+ * Pages that cannot be read (restricted, discarded, slow) keep only their title and URL
+ * @param {Array<Object>} metadata - Tab metadata with id and url
+ * @param {Object} options - Read options
+ * @param {number} options.timeoutMs - Time limit per tab
+ * @param {number} options.concurrency - Pages read at the same time
+ * @param {Function} options.filter - Optional predicate; tabs it rejects are not read
+ * @returns {Promise<Array<Object>>} Copies of the metadata, with content where it was read
+ */
+async function enrichTabMetadata(metadata, options = {}) {
+  const timeoutMs = options.timeoutMs || PAGE_CONTENT_TIMEOUT_MS;
+  const concurrency = Math.max(1, options.concurrency || MAX_CONCURRENT_READS);
+  const enriched = (metadata || []).map(tab => ({ ...tab }));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < enriched.length) {
+      const tab = enriched[next++];
+      if (!canReadPage(tab.url) || (options.filter && !options.filter(tab))) {
+        continue;
+      }
+
+      try {
+        const content = await readPageContent(tab.id, timeoutMs);
+        if (content) {
+          tab.content = content;
+        }
+      } catch (error) {
+        console.warn(`[Page Content] Could not read tab ${tab.id}:`, error.message);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, enriched.length) }, worker));
+  return enriched;
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SNIPPET_LENGTH,
+    canReadPage,
+    extractPageContent,
+    normalizePageContent,
+    readPageContent,
+    enrichTabMetadata
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  MAX_SNIPPET_LENGTH,
+  canReadPage,
+  extractPageContent,
+  normalizePageContent,
+  readPageContent,
+  enrichTabMetadata
+};
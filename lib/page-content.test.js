@@ -0,0 +1,145 @@
+/**
+ * Unit tests for page-content.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+global.chrome = {
+  scripting: {
+    executeScript: vi.fn()
+  }
+};
+
+// Import the module after mocking
+const {
+  canReadPage,
+  extractPageContent,
+  normalizePageContent,
+  readPageContent,
+  enrichTabMetadata
+} = await import('./page-content.js');
+
+describe('Page Content', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('canReadPage', () => {
+    it('should allow web pages and skip browser and store pages', () => {
+      expect(canReadPage('https://example.com/dashboard')).toBe(true);
+      expect(canReadPage('http://localhost:3000')).toBe(true);
+      expect(canReadPage('chrome://settings')).toBe(false);
+      expect(canReadPage('https://chromewebstore.google.com/detail/x')).toBe(false);
+      expect(canReadPage('not a url')).toBe(false);
+    });
+  });
+
+  describe('extractPageContent', () => {
+    it('should read meta tags and headings from the document', () => {
+      document.head.innerHTML = `
+        <meta name="description" content="Service latency and error rates">
+        <meta property="og:title" content="Grafana - API Overview">
+        <meta property="og:site_name" content="Grafana">`;
+      document.body.innerHTML = '<main><h1> API   Overview </h1><p>Latency</p></main>';
+
+      const content = extractPageContent(300);
+
+      expect(content.description).toBe('Service latency and error rates');
+      expect(content.ogTitle).toBe('Grafana - API Overview');
+      expect(content.siteName).toBe('Grafana');
+      expect(content.headings).toEqual(['API Overview']);
+    });
+  });
+
+  describe('normalizePageContent', () => {
+    it('should cap fields and drop empty ones', () => {
+      const content = normalizePageContent({
+        description: '',
+        ogDescription: 'From OpenGraph',
+        headings: ['One', 'One', 'Two', 'Three', 'Four'],
+        snippet: 'x'.repeat(500)
+      });
+
+      expect(content).toEqual({
+        description: 'From OpenGraph',
+        headings: ['One', 'Two', 'Three'],
+        snippet: 'x'.repeat(300)
+      });
+    });
+
+    it('should return null when nothing useful was found', () => {
+      expect(normalizePageContent({ headings: [], snippet: '  ' })).toBeNull();
+      expect(normalizePageContent(undefined)).toBeNull();
+    });
+  });
+
+  describe('readPageContent', () => {
+    it('should run the extractor in the tab', async () => {
+      chrome.scripting.executeScript.mockResolvedValue([{ result: { description: 'Team dashboard' } }]);
+
+      const content = await readPageContent(7);
+
+      expect(content).toEqual({ description: 'Team dashboard' });
+      expect(chrome.scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 7 },
+        func: extractPageContent,
+        args: [300]
+      });
+    });
+
+    it('should time out on pages that do not answer', async () => {
+      chrome.scripting.executeScript.mockReturnValue(new Promise(() => {}));
+
+      await expect(readPageContent(7, 10)).rejects.toThrow('Timed out after 10ms');
+    });
+  });
+
+  describe('enrichTabMetadata', () => {
+    it('should add content where it can be read and keep the rest unchanged', async () => {
+      chrome.scripting.executeScript
+        .mockResolvedValueOnce([{ result: { description: 'Team dashboard' } }])
+        .mockRejectedValueOnce(new Error('Cannot access contents of the page'));
+
+      const metadata = [
+        { id: 1, title: 'Dashboard', url: 'https://grafana.example.com' },
+        { id: 2, title: 'Settings', url: 'chrome://settings' },
+        { id: 3, title: 'Untitled', url: 'https://example.com' }
+      ];
+
+      const enriched = await enrichTabMetadata(metadata, { concurrency: 1 });
+
+      expect(enriched[0].content).toEqual({ description: 'Team dashboard' });
+      expect(enriched[1]).toEqual(metadata[1]);
+      expect(enriched[2]).toEqual(metadata[2]);
+      expect(metadata[0].content).toBeUndefined();
+      expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not read tabs rejected by the filter', async () => {
+      const metadata = [{ id: 1, url: 'https://online.mybank.com' }];
+
+      const enriched = await enrichTabMetadata(metadata, { filter: tab => !tab.url.includes('mybank') });
+
+      expect(enriched).toEqual(metadata);
+      expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    it('should limit how many pages are read at once', async () => {
+      let active = 0;
+      let maxActive = 0;
+      chrome.scripting.executeScript.mockImplementation(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return [{ result: null }];
+      });
+
+      const metadata = Array.from({ length: 6 }, (_, i) => ({ id: i, url: `https://site${i}.example.com` }));
+      await enrichTabMetadata(metadata, { concurrency: 2 });
+
+      expect(maxActive).toBe(2);
+      expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(6);
+    });
+  });
+});
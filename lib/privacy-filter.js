@@ -0,0 +1,278 @@
+/**
+ * Privacy Filter Module
+ * Decides what tab data may leave the browser: tabs matching exclude patterns are never
+ * sent, tabs matching redact patterns are sent as their domain only, and emails, IDs and
+ * query strings are stripped from everything else
+ */
+
+import { matchesRule } from './rules-engine.js';
+
+// What a privacy pattern does to matching tabs
+const PRIVACY_ACTIONS = ['exclude', 'redact'];
+
+// How a privacy pattern is compared against a tab (same meaning as in grouping rules)
+const PRIVACY_MATCH_TYPES = ['domain', 'url'];
+
+// Settings used when none are stored
+const DEFAULT_PRIVACY_SETTINGS = {
+  patterns: [],
+  stripSensitive: true
+};
+
+// Sensitive fragments replaced in titles and page content, in order
+const SENSITIVE_TEXT_PATTERNS = [
+  { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, replacement: '[email]' },
+  { pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, replacement: '[id]' },
+  // Card-style numbers (1234 5678 9012 3456) and other long digit runs
+  { pattern: /\b(?:\d{4}[ -]){3}\d{1,4}\b/g, replacement: '[number]' },
+  { pattern: /\b\d{6,}\b/g, replacement: '[number]' },
+  // Hex tokens and hashes (at least one digit and one letter)
+  { pattern: /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{16,}\b/gi, replacement: '[id]' }
+];
+
+// URL path segments that identify a record rather than a page type
+const ID_SEGMENT = /^(?:\d{4,}|[0-9a-f-]{16,}|[^/]+@[^/]+)$/i;
+
+/**
+ * Validates a privacy pattern and returns a normalized copy
+ * @param {Object} entry - Pattern to validate
+ * @param {string} entry.action - 'exclude' (never sent) or 'redact' (sent as the domain only)
+ * @param {string} entry.matchType - 'domain' (e.g. bank.com, *.example.org) or 'url' (regular expression)
+ * @param {string} entry.pattern - Pattern to match
+ * @returns {Object} Normalized pattern
+ * @throws {Error} If the pattern is invalid
+ */
+function validatePrivacyPattern(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Pattern must be an object');
+  }
+
+  if (!PRIVACY_ACTIONS.includes(entry.action)) {
+    throw new Error(`Invalid action: ${entry.action}. Must be one of: ${PRIVACY_ACTIONS.join(', ')}`);
+  }
+
+  if (!PRIVACY_MATCH_TYPES.includes(entry.matchType)) {
+    throw new Error(`Invalid match type: ${entry.matchType}. Must be one of: ${PRIVACY_MATCH_TYPES.join(', ')}`);
+  }
+
+  const pattern = typeof entry.pattern === 'string' ? entry.pattern.trim() : '';
+  if (!pattern) {
+    throw new Error('Pattern is required');
+  }
+
+  if (entry.matchType === 'url') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid URL pattern: ${error.message}`);
+    }
+  }
+
+  return {
+    id: entry.id || `privacy-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    action: entry.action,
+    matchType: entry.matchType,
+    pattern
+  };
+}
+
+/**
+ * Validates privacy settings and returns a normalized copy
+ * @param {Object} settings - Settings to validate
+ * @param {Array<Object>} settings.patterns - Patterns (see validatePrivacyPattern)
+ * @param {boolean} settings.stripSensitive - Whether emails, IDs and query strings are stripped
+ * @returns {Object} Normalized settings
+ * @throws {Error} Naming the first invalid pattern
+ */
+function validatePrivacySettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Privacy settings must be an object');
+  }
+
+  if (settings.patterns !== undefined && !Array.isArray(settings.patterns)) {
+    throw new Error('Privacy patterns must be an array');
+  }
+
+  const patterns = (settings.patterns || []).map((entry, index) => {
+    try {
+      return validatePrivacyPattern(entry);
+    } catch (error) {
+      throw new Error(`Privacy pattern ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return {
+    patterns,
+    stripSensitive: settings.stripSensitive !== false
+  };
+}
+
+/**
+ * Reads stored privacy settings, filling in defaults
+ * Invalid stored patterns are skipped rather than blocking grouping
+ * @param {Object} settings - Settings from the configuration
+ * @returns {Object} Normalized settings
+ */
+function resolvePrivacySettings(settings) {
+  const patterns = [];
+  for (const entry of Array.isArray(settings?.patterns) ? settings.patterns : []) {
+    try {
+      patterns.push(validatePrivacyPattern(entry));
+    } catch (error) {
+      console.warn('[Privacy] Skipping invalid privacy pattern:', error.message);
+    }
+  }
+
+  return {
+    patterns,
+    stripSensitive: settings?.stripSensitive !== false
+  };
+}
+
+/**
+ * Replaces emails, IDs and long numbers in a text
+ * @param {string} text - Text to clean
+ * @returns {string} Text with sensitive fragments replaced by placeholders
+ */
+function stripSensitiveText(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  return SENSITIVE_TEXT_PATTERNS.reduce(
+    (result, { pattern, replacement }) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Decodes a URL path segment, keeping it as is when it is not valid percent-encoding
+ * @param {string} segment - Path segment
+ * @returns {string} Decoded segment
+ */
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Removes the query string, fragment and record IDs from a URL
+ * @param {string} url - URL to clean
+ * @returns {string} URL with origin and generic path only
+ */
+function stripSensitiveUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname
+      .split('/')
+      .map(segment => (ID_SEGMENT.test(safeDecode(segment)) ? ':id' : segment))
+      .join('/');
+    return `${parsed.origin}${path}`;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Applies stripSensitiveText to every text field of page content
+ * @param {Object} content - Page content from page-content.js
+ * @returns {Object} Cleaned copy
+ */
+function stripSensitiveContent(content) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(content)) {
+    cleaned[key] = Array.isArray(value) ? value.map(stripSensitiveText) : stripSensitiveText(value);
+  }
+  return cleaned;
+}
+
+/**
+ * Finds what the privacy patterns do to a tab
+ * @param {Object} tab - Tab metadata with title and url
+ * @param {Object} settings - Privacy settings (see validatePrivacySettings)
+ * @returns {string|null} 'exclude', 'redact', or null when no pattern matches
+ */
+function getPrivacyAction(tab, settings) {
+  const match = resolvePrivacySettings(settings).patterns.find(entry => matchesRule(tab, entry));
+  return match ? match.action : null;
+}
+
+/**
+ * Filters tab metadata before it is sent to an LLM
+ * @param {Array<Object>} tabs - Tab metadata with title, url and optional content
+ * @param {Object} settings - Privacy settings (see validatePrivacySettings)
+ * @returns {Object} { tabs: copies safe to send, excluded: tabs held back, redactedCount }
+ */
+function applyPrivacyFilter(tabs, settings) {
+  const { patterns, stripSensitive } = resolvePrivacySettings(settings);
+  const sent = [];
+  const excluded = [];
+  let redactedCount = 0;
+
+  for (const tab of tabs || []) {
+    const match = patterns.find(entry => matchesRule(tab, entry));
+
+    if (match?.action === 'exclude') {
+      excluded.push(tab);
+      continue;
+    }
+
+    const filtered = { ...tab };
+
+    if (match?.action === 'redact') {
+      let parsed = null;
+      try {
+        parsed = new URL(tab.url);
+      } catch (error) {
+        // Unparseable URLs are redacted completely
+      }
+      filtered.title = parsed?.hostname || 'Redacted';
+      filtered.url = parsed?.hostname ? parsed.origin : '';
+      delete filtered.content;
+      redactedCount++;
+    } else if (stripSensitive) {
+      filtered.title = stripSensitiveText(tab.title);
+      filtered.url = stripSensitiveUrl(tab.url);
+      if (tab.content) {
+        filtered.content = stripSensitiveContent(tab.content);
+      }
+    }
+
+    sent.push(filtered);
+  }
+
+  return { tabs: sent, excluded, redactedCount };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRIVACY_ACTIONS,
+    PRIVACY_MATCH_TYPES,
+    DEFAULT_PRIVACY_SETTINGS,
+    validatePrivacyPattern,
+    validatePrivacySettings,
+    resolvePrivacySettings,
+    getPrivacyAction,
+    stripSensitiveText,
+    stripSensitiveUrl,
+    applyPrivacyFilter
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  PRIVACY_ACTIONS,
+  PRIVACY_MATCH_TYPES,
+  DEFAULT_PRIVACY_SETTINGS,
+  validatePrivacyPattern,
+  validatePrivacySettings,
+  resolvePrivacySettings,
+  getPrivacyAction,
+  stripSensitiveText,
+  stripSensitiveUrl,
+  applyPrivacyFilter
+};
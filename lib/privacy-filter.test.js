@@ -0,0 +1,132 @@
+/**
+ * Unit tests for privacy-filter.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  validatePrivacySettings,
+  resolvePrivacySettings,
+  getPrivacyAction,
+  stripSensitiveText,
+  stripSensitiveUrl,
+  applyPrivacyFilter
+} = await import('./privacy-filter.js');
+
+describe('Privacy Filter', () => {
+  describe('validatePrivacySettings', () => {
+    it('should normalize patterns and default to stripping', () => {
+      const settings = validatePrivacySettings({
+        patterns: [{ action: 'exclude', matchType: 'domain', pattern: ' mybank.com ' }]
+      });
+
+      expect(settings.stripSensitive).toBe(true);
+      expect(settings.patterns[0]).toMatchObject({ action: 'exclude', matchType: 'domain', pattern: 'mybank.com' });
+      expect(settings.patterns[0].id).toMatch(/^privacy-/);
+    });
+
+    it('should name the first invalid pattern', () => {
+      expect(() => validatePrivacySettings({
+        patterns: [
+          { action: 'redact', matchType: 'domain', pattern: 'hr.example.com' },
+          { action: 'hide', matchType: 'domain', pattern: 'x.com' }
+        ]
+      })).toThrow('Privacy pattern 2: Invalid action: hide');
+      expect(() => validatePrivacySettings({
+        patterns: [{ action: 'exclude', matchType: 'url', pattern: '(' }]
+      })).toThrow('Privacy pattern 1: Invalid URL pattern');
+      expect(() => validatePrivacySettings({ patterns: 'bank' })).toThrow('Privacy patterns must be an array');
+    });
+  });
+
+  describe('resolvePrivacySettings', () => {
+    it('should skip invalid stored patterns and keep the rest', () => {
+      const settings = resolvePrivacySettings({
+        patterns: [
+          { action: 'exclude', matchType: 'url', pattern: '(' },
+          { action: 'exclude', matchType: 'domain', pattern: 'mybank.com' }
+        ],
+        stripSensitive: false
+      });
+
+      expect(settings.patterns.map(entry => entry.pattern)).toEqual(['mybank.com']);
+      expect(settings.stripSensitive).toBe(false);
+      expect(resolvePrivacySettings(undefined)).toEqual({ patterns: [], stripSensitive: true });
+    });
+  });
+
+  describe('getPrivacyAction', () => {
+    it('should return the action of the first matching pattern', () => {
+      const settings = {
+        patterns: [
+          { action: 'redact', matchType: 'url', pattern: '/payroll' },
+          { action: 'exclude', matchType: 'domain', pattern: 'corp.com' }
+        ]
+      };
+
+      expect(getPrivacyAction({ url: 'https://hr.corp.com/payroll' }, settings)).toBe('redact');
+      expect(getPrivacyAction({ url: 'https://wiki.corp.com' }, settings)).toBe('exclude');
+      expect(getPrivacyAction({ url: 'https://example.com' }, settings)).toBeNull();
+    });
+  });
+
+  describe('stripSensitiveText', () => {
+    it('should replace emails, IDs and long numbers', () => {
+      expect(stripSensitiveText('Inbox (3) - jane.doe@example.com - Gmail')).toBe('Inbox (3) - [email] - Gmail');
+      expect(stripSensitiveText('Order 12345678 shipped')).toBe('Order [number] shipped');
+      expect(stripSensitiveText('Card 4111 1111 1111 1111')).toBe('Card [number]');
+      expect(stripSensitiveText('Run 3f2b8c1e-0a4d-4e5f-9a7b-1c2d3e4f5a6b')).toBe('Run [id]');
+      expect(stripSensitiveText('Commit a94a8fe5ccb19ba61c4c0873d391e987982fbbd3')).toBe('Commit [id]');
+    });
+
+    it('should keep short numbers and dates', () => {
+      expect(stripSensitiveText('PR #4521 - Release 2024-10-19')).toBe('PR #4521 - Release 2024-10-19');
+    });
+  });
+
+  describe('stripSensitiveUrl', () => {
+    it('should drop query strings, fragments and record IDs', () => {
+      expect(stripSensitiveUrl('https://mail.example.com/u/0/inbox?token=abc#msg-1')).toBe('https://mail.example.com/u/0/inbox');
+      expect(stripSensitiveUrl('https://crm.example.com/customers/884213/edit')).toBe('https://crm.example.com/customers/:id/edit');
+      expect(stripSensitiveUrl('not a url')).toBe('');
+    });
+  });
+
+  describe('applyPrivacyFilter', () => {
+    const tabs = [
+      { id: 1, title: 'Accounts - My Bank', url: 'https://online.mybank.com/accounts' },
+      { id: 2, title: 'Leave request for jane@corp.com', url: 'https://hr.corp.com/leave/9912345', content: { description: 'HR' } },
+      { id: 3, title: 'Ticket 1234567', url: 'https://support.example.com/t?id=1', content: { headings: ['Contact bob@example.com'] } }
+    ];
+    const settings = {
+      patterns: [
+        { action: 'exclude', matchType: 'domain', pattern: 'mybank.com' },
+        { action: 'redact', matchType: 'url', pattern: 'hr\\.corp\\.com' }
+      ]
+    };
+
+    it('should exclude, redact and strip tabs', () => {
+      const result = applyPrivacyFilter(tabs, settings);
+
+      expect(result.excluded.map(tab => tab.id)).toEqual([1]);
+      expect(result.redactedCount).toBe(1);
+      expect(result.tabs).toEqual([
+        { id: 2, title: 'hr.corp.com', url: 'https://hr.corp.com' },
+        { id: 3, title: 'Ticket [number]', url: 'https://support.example.com/t', content: { headings: ['Contact [email]'] } }
+      ]);
+    });
+
+    it('should leave titles alone when stripping is off', () => {
+      const result = applyPrivacyFilter([tabs[2]], { stripSensitive: false });
+
+      expect(result.tabs[0]).toEqual(tabs[2]);
+    });
+
+    it('should not modify the input tabs', () => {
+      applyPrivacyFilter(tabs, settings);
+
+      expect(tabs[1].title).toBe('Leave request for jane@corp.com');
+      expect(tabs[1].content).toEqual({ description: 'HR' });
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Prompt Presets Module
+ * Named, reusable custom grouping prompts: validation, keyboard shortcut slots and
+ * the JSON format used to share presets between browsers
+ */
+
+// Identifies exported preset files
+const PRESET_EXPORT_FORMAT = 'clutterless-prompt-presets';
+const PRESET_EXPORT_VERSION = 1;
+
+// Presets can be bound to the run-preset-1 ... run-preset-3 keyboard commands
+const PRESET_SHORTCUT_SLOTS = [1, 2, 3];
+
+// Limits keep the popup list and the stored configuration small
+const MAX_PRESETS = 50;
+const MAX_PRESET_NAME_LENGTH = 60;
+const MAX_PRESET_PROMPT_LENGTH = 2000;
+
+/**
+ * Validates a preset and returns a normalized copy
+ * @param {Object} preset - Preset to validate
+ * @param {string} preset.name - Name shown in the popup (e.g. "By project")
+ * @param {string} preset.prompt - Custom grouping instructions
+ * @param {number|null} preset.shortcut - Keyboard command slot (1-3), or null
+ * @returns {Object} Normalized preset
+ * @throws {Error} If the preset is invalid
+ */
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset must be an object');
+  }
+
+  const name = typeof preset.name === 'string' ? preset.name.trim().replace(/\s+/g, ' ') : '';
+  if (!name) {
+    throw new Error('Preset requires a name');
+  }
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    throw new Error(`Preset name must be at most ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+
+  const prompt = typeof preset.prompt === 'string' ? preset.prompt.trim() : '';
+  if (!prompt) {
+    throw new Error('Preset requires a prompt');
+  }
+  if (prompt.length > MAX_PRESET_PROMPT_LENGTH) {
+    throw new Error(`Preset prompt must be at most ${MAX_PRESET_PROMPT_LENGTH} characters`);
+  }
+
+  const shortcut = preset.shortcut === undefined || preset.shortcut === null || preset.shortcut === ''
+    ? null
+    : Number(preset.shortcut);
+  if (shortcut !== null && !PRESET_SHORTCUT_SLOTS.includes(shortcut)) {
+    throw new Error(`Invalid shortcut: ${preset.shortcut}. Must be one of: ${PRESET_SHORTCUT_SLOTS.join(', ')}`);
+  }
+
+  return {
+    id: preset.id || `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    prompt,
+    shortcut
+  };
+}
+
+/**
+ * Validates a list of presets
+ * Names must be unique (ignoring case) and each shortcut slot may be used once
+ * @param {Array<Object>} presets - Presets to validate
+ * @returns {Array<Object>} Normalized presets
+ * @throws {Error} Naming the first invalid preset
+ */
+function validatePresets(presets) {
+  if (!Array.isArray(presets)) {
+    throw new Error('Presets must be an array');
+  }
+  if (presets.length > MAX_PRESETS) {
+    throw new Error(`At most ${MAX_PRESETS} presets can be saved`);
+  }
+
+  const names = new Set();
+  const shortcuts = new Set();
+
+  return presets.map((preset, index) => {
+    let normalized;
+    try {
+      normalized = validatePreset(preset);
+    } catch (error) {
+      throw new Error(`Preset ${index + 1}: ${error.message}`);
+    }
+
+    const key = normalized.name.toLowerCase();
+    if (names.has(key)) {
+      throw new Error(`Preset ${index + 1}: A preset named "${normalized.name}" already exists`);
+    }
+    names.add(key);
+
+    if (normalized.shortcut !== null) {
+      if (shortcuts.has(normalized.shortcut)) {
+        throw new Error(`Preset ${index + 1}: Shortcut ${normalized.shortcut} is already used by another preset`);
+      }
+      shortcuts.add(normalized.shortcut);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Finds the preset bound to a keyboard command slot
+ * @param {Array<Object>} presets - Presets from the configuration
+ * @param {number} slot - Shortcut slot (1-3)
+ * @returns {Object|null} The preset, or null if the slot is unused
+ */
+function findPresetForShortcut(presets, slot) {
+  return (Array.isArray(presets) ? presets : []).find(preset => preset.shortcut === slot) || null;
+}
+
+/**
+ * Serializes presets for sharing
+ * Shortcut slots and ids belong to one browser and are left out
+ * @param {Array<Object>} presets - Presets to export
+ * @param {Date} now - Export time
+ * @returns {string} Pretty-printed JSON
+ */
+function exportPresets(presets, now = new Date()) {
+  return JSON.stringify({
+    format: PRESET_EXPORT_FORMAT,
+    version: PRESET_EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    presets: (presets || []).map(preset => ({ name: preset.name, prompt: preset.prompt }))
+  }, null, 2);
+}
+
+/**
+ * Parses an exported preset file
+ * A bare array of { name, prompt } objects is accepted as well
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Validated presets without shortcuts
+ * @throws {Error} If the file is not a preset export or a preset is invalid
+ */
+function parsePresetImport(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Preset file is not valid JSON: ${error.message}`);
+  }
+
+  let presets = parsed;
+  if (!Array.isArray(parsed)) {
+    if (parsed?.format !== PRESET_EXPORT_FORMAT || !Array.isArray(parsed.presets)) {
+      throw new Error('File is not a prompt preset export');
+    }
+    if (parsed.version > PRESET_EXPORT_VERSION) {
+      throw new Error(`Preset file version ${parsed.version} is newer than this extension supports`);
+    }
+    presets = parsed.presets;
+  }
+
+  return validatePresets(presets.map(preset => ({ name: preset?.name, prompt: preset?.prompt })));
+}
+
+/**
+ * Merges imported presets into the saved ones
+ * An imported preset with the name of a saved one (ignoring case) replaces its prompt and
+ * keeps its shortcut; the others are appended
+ * @param {Array<Object>} existing - Saved presets
+ * @param {Array<Object>} imported - Presets from parsePresetImport
+ * @returns {Object} { presets, added, updated }
+ */
+function mergePresets(existing, imported) {
+  const presets = (existing || []).map(preset => ({ ...preset }));
+  let added = 0;
+  let updated = 0;
+
+  for (const preset of imported || []) {
+    const match = presets.find(candidate => candidate.name.toLowerCase() === preset.name.toLowerCase());
+    if (match) {
+      if (match.prompt !== preset.prompt) {
+        match.prompt = preset.prompt;
+        updated++;
+      }
+    } else {
+      presets.push({ ...preset, shortcut: null });
+      added++;
+    }
+  }
+
+  return { presets, added, updated };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PRESET_EXPORT_FORMAT,
+    PRESET_SHORTCUT_SLOTS,
+    MAX_PRESETS,
+    validatePreset,
+    validatePresets,
+    findPresetForShortcut,
+    exportPresets,
+    parsePresetImport,
+    mergePresets
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  PRESET_EXPORT_FORMAT,
+  PRESET_SHORTCUT_SLOTS,
+  MAX_PRESETS,
+  validatePreset,
+  validatePresets,
+  findPresetForShortcut,
+  exportPresets,
+  parsePresetImport,
+  mergePresets
+};
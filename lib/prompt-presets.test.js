@@ -0,0 +1,92 @@
+/**
+ * Unit tests for prompt-presets.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  PRESET_EXPORT_FORMAT,
+  validatePreset,
+  validatePresets,
+  findPresetForShortcut,
+  exportPresets,
+  parsePresetImport,
+  mergePresets
+} = await import('./prompt-presets.js');
+
+describe('Prompt Presets', () => {
+  const presets = [
+    { id: 'p1', name: 'By project', prompt: 'Group by project', shortcut: 1 },
+    { id: 'p2', name: 'By client', prompt: 'Group by client', shortcut: null }
+  ];
+
+  describe('validatePreset', () => {
+    it('should normalize name, prompt and shortcut', () => {
+      const preset = validatePreset({ name: '  Work  vs personal ', prompt: ' Split work and personal tabs ', shortcut: '2' });
+
+      expect(preset).toMatchObject({ name: 'Work vs personal', prompt: 'Split work and personal tabs', shortcut: 2 });
+      expect(preset.id).toMatch(/^preset-/);
+    });
+
+    it('should reject missing fields and unknown shortcuts', () => {
+      expect(() => validatePreset({ prompt: 'x' })).toThrow('Preset requires a name');
+      expect(() => validatePreset({ name: 'x', prompt: ' ' })).toThrow('Preset requires a prompt');
+      expect(() => validatePreset({ name: 'x', prompt: 'y', shortcut: 4 })).toThrow('Invalid shortcut: 4');
+    });
+  });
+
+  describe('validatePresets', () => {
+    it('should reject duplicate names and shortcuts', () => {
+      expect(() => validatePresets([...presets, { name: 'by PROJECT', prompt: 'Other' }]))
+        .toThrow('Preset 3: A preset named "by PROJECT" already exists');
+      expect(() => validatePresets([...presets, { name: 'Other', prompt: 'Other', shortcut: 1 }]))
+        .toThrow('Preset 3: Shortcut 1 is already used by another preset');
+    });
+  });
+
+  describe('findPresetForShortcut', () => {
+    it('should find the preset bound to a slot', () => {
+      expect(findPresetForShortcut(presets, 1)).toBe(presets[0]);
+      expect(findPresetForShortcut(presets, 2)).toBeNull();
+      expect(findPresetForShortcut(undefined, 1)).toBeNull();
+    });
+  });
+
+  describe('export and import', () => {
+    it('should round-trip names and prompts without shortcuts or ids', () => {
+      const text = exportPresets(presets, new Date('2024-01-01T00:00:00Z'));
+      const parsed = JSON.parse(text);
+
+      expect(parsed.format).toBe(PRESET_EXPORT_FORMAT);
+      expect(parsed.presets).toEqual([
+        { name: 'By project', prompt: 'Group by project' },
+        { name: 'By client', prompt: 'Group by client' }
+      ]);
+      expect(parsePresetImport(text).map(({ name, prompt, shortcut }) => ({ name, prompt, shortcut }))).toEqual([
+        { name: 'By project', prompt: 'Group by project', shortcut: null },
+        { name: 'By client', prompt: 'Group by client', shortcut: null }
+      ]);
+    });
+
+    it('should accept a bare array and reject other files', () => {
+      expect(parsePresetImport('[{"name":"A","prompt":"B"}]')).toHaveLength(1);
+      expect(() => parsePresetImport('not json')).toThrow('Preset file is not valid JSON');
+      expect(() => parsePresetImport('{"rules":[]}')).toThrow('File is not a prompt preset export');
+      expect(() => parsePresetImport(JSON.stringify({ format: PRESET_EXPORT_FORMAT, version: 2, presets: [] })))
+        .toThrow('newer than this extension supports');
+    });
+
+    it('should update presets with the same name and append new ones', () => {
+      const result = mergePresets(presets, [
+        { id: 'x', name: 'by project', prompt: 'Group by repository' },
+        { id: 'y', name: 'By team', prompt: 'Group by team', shortcut: 3 }
+      ]);
+
+      expect(result.added).toBe(1);
+      expect(result.updated).toBe(1);
+      expect(result.presets[0]).toEqual({ id: 'p1', name: 'By project', prompt: 'Group by repository', shortcut: 1 });
+      expect(result.presets[2]).toMatchObject({ name: 'By team', shortcut: null });
+      expect(presets[0].prompt).toBe('Group by project');
+    });
+  });
+});
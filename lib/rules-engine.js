@@ -0,0 +1,217 @@
+/**
+ * Rules Engine Module
+ * Deterministic tab grouping from user-defined rules, applied before any LLM call
+ */
+
+// How a rule's pattern is compared against a tab
+const RULE_MATCH_TYPES = ['domain', 'url', 'keyword'];
+
+// Chrome colors available for tab groups
+const RULE_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+/**
+ * Validates a rule and returns a normalized copy
+ * @param {Object} rule - Rule to validate
+ * @param {string} rule.groupName - Group the matching tabs are placed in
+ * @param {string} rule.matchType - 'domain' (e.g. github.com, *.atlassian.net), 'url' (regular expression)
+ *   or 'keyword' (case-insensitive text in the tab title)
+ * @param {string} rule.pattern - Pattern to match
+ * @param {string} rule.color - Optional group color (assigned automatically when omitted)
+ * @param {boolean} rule.enabled - Whether the rule is applied (defaults to true)
+ * @returns {Object} Normalized rule
+ * @throws {Error} If the rule is invalid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Rule must be an object');
+  }
+
+  const groupName = typeof rule.groupName === 'string' ? rule.groupName.trim() : '';
+  if (!groupName) {
+    throw new Error('Rule requires a group name');
+  }
+
+  if (!RULE_MATCH_TYPES.includes(rule.matchType)) {
+    throw new Error(`Invalid match type: ${rule.matchType}. Must be one of: ${RULE_MATCH_TYPES.join(', ')}`);
+  }
+
+  const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+  if (!pattern) {
+    throw new Error('Rule requires a pattern');
+  }
+
+  if (rule.matchType === 'url') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid URL pattern: ${error.message}`);
+    }
+  }
+
+  if (rule.color && !RULE_COLORS.includes(rule.color)) {
+    throw new Error(`Invalid color: ${rule.color}. Must be one of: ${RULE_COLORS.join(', ')}`);
+  }
+
+  return {
+    id: rule.id || `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    groupName,
+    matchType: rule.matchType,
+    pattern,
+    color: rule.color || null,
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Validates a list of rules
+ * @param {Array<Object>} rules - Rules to validate
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} Naming the first invalid rule
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Rules must be an array');
+  }
+
+  return rules.map((rule, index) => {
+    try {
+      return validateRule(rule);
+    } catch (error) {
+      throw new Error(`Rule ${index + 1}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Extracts the lowercase hostname of a URL
+ * @param {string} url - URL to parse
+ * @returns {string} Hostname, or empty string for unparseable URLs
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Checks a hostname against a domain pattern
+ * A plain domain also matches its subdomains; a leading "*." is accepted for clarity
+ * @param {string} hostname - Tab hostname
+ * @param {string} pattern - Domain pattern
+ * @returns {boolean} True if the hostname matches
+ */
+function matchesDomain(hostname, pattern) {
+  const domain = pattern.toLowerCase().replace(/^\*\./, '');
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+/**
+ * Checks whether a tab matches a rule
+ * @param {Object} tab - Tab metadata with title and url
+ * @param {Object} rule - Normalized rule
+ * @returns {boolean} True if the rule applies to the tab
+ */
+function matchesRule(tab, rule) {
+  switch (rule.matchType) {
+    case 'domain': {
+      const hostname = getHostname(tab.url);
+      return !!hostname && matchesDomain(hostname, rule.pattern);
+    }
+    case 'url':
+      try {
+        return new RegExp(rule.pattern, 'i').test(tab.url || '');
+      } catch (error) {
+        return false;
+      }
+    case 'keyword':
+      return (tab.title || '').toLowerCase().includes(rule.pattern.toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * Assigns tabs to groups using the rules, in rule order (first matching rule wins)
+ * Rules sharing a group name (case-insensitive) fill the same group
+ * @param {Array<Object>} tabs - Tab metadata with id, title and url
+ * @param {Array<Object>} rules - Rules from the configuration
+ * @returns {Object} { groups: [{ name, color, tabIds, reasoning }], remainingTabs }
+ */
+function applyRules(tabs, rules) {
+  const activeRules = [];
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    try {
+      const normalized = validateRule(rule);
+      if (normalized.enabled) {
+        activeRules.push(normalized);
+      }
+    } catch (error) {
+      // Invalid stored rules are skipped rather than blocking grouping
+    }
+  }
+
+  if (activeRules.length === 0) {
+    return { groups: [], remainingTabs: [...(tabs || [])] };
+  }
+
+  const groupsByName = new Map();
+  const remainingTabs = [];
+
+  for (const tab of tabs || []) {
+    const rule = activeRules.find(candidate => matchesRule(tab, candidate));
+    if (!rule) {
+      remainingTabs.push(tab);
+      continue;
+    }
+
+    const key = rule.groupName.toLowerCase();
+    if (!groupsByName.has(key)) {
+      groupsByName.set(key, {
+        name: rule.groupName,
+        color: rule.color,
+        tabIds: [],
+        patterns: []
+      });
+    }
+
+    const group = groupsByName.get(key);
+    group.tabIds.push(tab.id);
+    group.color = group.color || rule.color;
+    const description = `${rule.matchType} "${rule.pattern}"`;
+    if (!group.patterns.includes(description)) {
+      group.patterns.push(description);
+    }
+  }
+
+  const groups = [...groupsByName.values()].map(group => ({
+    name: group.name,
+    color: group.color,
+    tabIds: group.tabIds,
+    reasoning: `Matched rule: ${group.patterns.join(', ')}`,
+    source: 'rule'
+  }));
+
+  return { groups, remainingTabs };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RULE_MATCH_TYPES,
+    validateRule,
+    validateRules,
+    matchesRule,
+    applyRules
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  RULE_MATCH_TYPES,
+  validateRule,
+  validateRules,
+  matchesRule,
+  applyRules
+};
@@ -0,0 +1,144 @@
+/**
+ * Unit tests for rules-engine.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  validateRule,
+  validateRules,
+  matchesRule,
+  applyRules
+} = await import('./rules-engine.js');
+
+const tabs = [
+  { id: 1, title: 'PROJ-12 Fix login', url: 'https://acme.atlassian.net/browse/PROJ-12' },
+  { id: 2, title: 'Add caching by dev · Pull Request #42', url: 'https://github.com/acme/app/pull/42' },
+  { id: 3, title: 'acme/app: Main repository', url: 'https://github.com/acme/app' },
+  { id: 4, title: 'Array.prototype.map() - JavaScript Docs', url: 'https://developer.mozilla.org/en-US/docs/Web' },
+  { id: 5, title: 'Weather', url: 'https://weather.example.com' }
+];
+
+describe('Rules Engine', () => {
+  describe('validateRule', () => {
+    it('should normalize a valid rule', () => {
+      const rule = validateRule({ groupName: ' Jira ', matchType: 'domain', pattern: 'atlassian.net', color: 'blue' });
+
+      expect(rule.groupName).toBe('Jira');
+      expect(rule.color).toBe('blue');
+      expect(rule.enabled).toBe(true);
+      expect(rule.id).toBeTruthy();
+    });
+
+    it('should reject missing group names and patterns', () => {
+      expect(() => validateRule({ groupName: '', matchType: 'domain', pattern: 'a.com' }))
+        .toThrow('Rule requires a group name');
+      expect(() => validateRule({ groupName: 'A', matchType: 'domain', pattern: ' ' }))
+        .toThrow('Rule requires a pattern');
+    });
+
+    it('should reject unknown match types and colors', () => {
+      expect(() => validateRule({ groupName: 'A', matchType: 'title', pattern: 'x' }))
+        .toThrow('Invalid match type: title');
+      expect(() => validateRule({ groupName: 'A', matchType: 'keyword', pattern: 'x', color: 'black' }))
+        .toThrow('Invalid color: black');
+    });
+
+    it('should reject invalid regular expressions', () => {
+      expect(() => validateRule({ groupName: 'A', matchType: 'url', pattern: '([' }))
+        .toThrow('Invalid URL pattern');
+    });
+  });
+
+  describe('validateRules', () => {
+    it('should name the invalid rule', () => {
+      expect(() => validateRules([
+        { groupName: 'A', matchType: 'keyword', pattern: 'x' },
+        { groupName: 'B', matchType: 'url', pattern: '(' }
+      ])).toThrow('Rule 2: Invalid URL pattern');
+    });
+
+    it('should require an array', () => {
+      expect(() => validateRules(null)).toThrow('Rules must be an array');
+    });
+  });
+
+  describe('matchesRule', () => {
+    it('should match domains and their subdomains', () => {
+      const rule = validateRule({ groupName: 'Jira', matchType: 'domain', pattern: '*.atlassian.net' });
+
+      expect(matchesRule(tabs[0], rule)).toBe(true);
+      expect(matchesRule({ url: 'https://notatlassian.net' }, rule)).toBe(false);
+    });
+
+    it('should match URL regular expressions case-insensitively', () => {
+      const rule = validateRule({ groupName: 'GitHub PRs', matchType: 'url', pattern: 'github\\.com/.+/PULL/\\d+' });
+
+      expect(matchesRule(tabs[1], rule)).toBe(true);
+      expect(matchesRule(tabs[2], rule)).toBe(false);
+    });
+
+    it('should match title keywords', () => {
+      const rule = validateRule({ groupName: 'Docs', matchType: 'keyword', pattern: 'docs' });
+
+      expect(matchesRule(tabs[3], rule)).toBe(true);
+      expect(matchesRule(tabs[4], rule)).toBe(false);
+    });
+
+    it('should not match unparseable URLs by domain', () => {
+      const rule = validateRule({ groupName: 'A', matchType: 'domain', pattern: 'example.com' });
+
+      expect(matchesRule({ url: 'not a url' }, rule)).toBe(false);
+    });
+  });
+
+  describe('applyRules', () => {
+    const rules = [
+      { id: 'r1', groupName: 'GitHub PRs', matchType: 'url', pattern: 'github\\.com/.+/pull/', color: 'purple' },
+      { id: 'r2', groupName: 'Jira', matchType: 'domain', pattern: 'atlassian.net', color: 'blue' },
+      { id: 'r3', groupName: 'Code', matchType: 'domain', pattern: 'github.com' },
+      { id: 'r4', groupName: 'Docs', matchType: 'keyword', pattern: 'docs', enabled: false }
+    ];
+
+    it('should assign matching tabs and return the leftovers', () => {
+      const result = applyRules(tabs, rules);
+
+      expect(result.groups.map(group => [group.name, group.tabIds, group.color])).toEqual([
+        ['Jira', [1], 'blue'],
+        ['GitHub PRs', [2], 'purple'],
+        ['Code', [3], null]
+      ]);
+      expect(result.remainingTabs.map(tab => tab.id)).toEqual([4, 5]);
+    });
+
+    it('should let the first matching rule win', () => {
+      const result = applyRules([tabs[1]], rules);
+
+      expect(result.groups).toHaveLength(1);
+      expect(result.groups[0].name).toBe('GitHub PRs');
+    });
+
+    it('should merge rules that share a group name', () => {
+      const result = applyRules(tabs, [
+        { groupName: 'Work', matchType: 'domain', pattern: 'atlassian.net' },
+        { groupName: 'work', matchType: 'domain', pattern: 'github.com', color: 'green' }
+      ]);
+
+      expect(result.groups).toHaveLength(1);
+      expect(result.groups[0].tabIds).toEqual([1, 2, 3]);
+      expect(result.groups[0].color).toBe('green');
+      expect(result.groups[0].reasoning).toContain('domain "github.com"');
+    });
+
+    it('should skip invalid stored rules', () => {
+      const result = applyRules(tabs, [{ groupName: 'Broken', matchType: 'url', pattern: '(' }]);
+
+      expect(result.groups).toEqual([]);
+      expect(result.remainingTabs).toHaveLength(tabs.length);
+    });
+
+    it('should return all tabs when there are no rules', () => {
+      expect(applyRules(tabs, undefined).remainingTabs).toHaveLength(tabs.length);
+    });
+  });
+});
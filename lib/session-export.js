@@ -0,0 +1,349 @@
+/**
+ * Session Export Module
+ * Converts a window or saved session ({ name, tabs, groups } as stored by session-manager.js)
+ * to shareable formats: our own versioned JSON, Markdown link lists, Netscape bookmark HTML
+ * and OneTab text. JSON and OneTab text can be read back to recreate the groups
+ */
+
+import { GROUP_COLORS } from './group-registry.js';
+
+// Identifies exported files
+const SESSION_EXPORT_FORMAT = 'clutterless-tab-groups';
+const SESSION_EXPORT_VERSION = 1;
+
+// File details for each export format
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  onetab: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Imports open every tab at once, so keep them to a size a window can take
+const MAX_IMPORT_TABS = 500;
+
+/**
+ * Lists each group with its tabs, followed by the ungrouped tabs
+ * @param {Object} snapshot - { tabs, groups }
+ * @returns {Object} { groups: [{ title, color, collapsed, tabs }], ungrouped }
+ */
+function splitByGroup(snapshot) {
+  const groups = (snapshot?.groups || []).map(group => ({ ...group, tabs: [] }));
+  const ungrouped = [];
+  for (const tab of snapshot?.tabs || []) {
+    (groups[tab.group]?.tabs || ungrouped).push(tab);
+  }
+  return { groups: groups.filter(group => group.tabs.length > 0), ungrouped };
+}
+
+/**
+ * Serializes a snapshot in our own JSON format
+ * @param {Object} snapshot - { name, tabs, groups }
+ * @param {Date} now - Export time
+ * @returns {string} Pretty-printed JSON
+ */
+function toJson(snapshot, now = new Date()) {
+  return JSON.stringify({
+    format: SESSION_EXPORT_FORMAT,
+    version: SESSION_EXPORT_VERSION,
+    name: snapshot?.name || '',
+    exportedAt: now.toISOString(),
+    groups: (snapshot?.groups || []).map(group => ({
+      title: group.title,
+      color: group.color,
+      collapsed: !!group.collapsed
+    })),
+    tabs: (snapshot?.tabs || []).map(tab => ({
+      url: tab.url,
+      title: tab.title,
+      pinned: !!tab.pinned,
+      group: tab.group ?? null
+    }))
+  }, null, 2);
+}
+
+/**
+ * Formats a snapshot as Markdown: a heading per group with a list of links
+ * @param {Object} snapshot - { name, tabs, groups }
+ * @returns {string} Markdown
+ */
+function toMarkdown(snapshot) {
+  const escapeText = text => String(text).replace(/([\\[\]*_`])/g, '\\$1');
+  const escapeUrl = url => String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+  const links = tabs => tabs.map(tab => `- [${escapeText(tab.title || tab.url)}](${escapeUrl(tab.url)})`);
+
+  const { groups, ungrouped } = splitByGroup(snapshot);
+  const lines = snapshot?.name ? [`# ${escapeText(snapshot.name)}`, ''] : [];
+  for (const group of groups) {
+    lines.push(`## ${escapeText(group.title || 'Unnamed group')}`, '', ...links(group.tabs), '');
+  }
+  if (ungrouped.length > 0) {
+    if (groups.length > 0) {
+      lines.push('## Other tabs', '');
+    }
+    lines.push(...links(ungrouped), '');
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a snapshot as a Netscape bookmark file, which every browser can import:
+ * one folder named after the snapshot, with a subfolder per group
+ * @param {Object} snapshot - { name, tabs, groups }
+ * @param {Date} now - Export time
+ * @returns {string} Bookmark HTML
+ */
+function toBookmarksHtml(snapshot, now = new Date()) {
+  const addDate = Math.floor(now.getTime() / 1000);
+  const indent = depth => '    '.repeat(depth);
+  const link = (tab, depth) => `${indent(depth)}<DT><A HREF="${escapeHtml(tab.url)}" ADD_DATE="${addDate}">${escapeHtml(tab.title || tab.url)}</A>`;
+  const folder = (title, lines, depth) => [
+    `${indent(depth)}<DT><H3 ADD_DATE="${addDate}">${escapeHtml(title)}</H3>`,
+    `${indent(depth)}<DL><p>`,
+    ...lines,
+    `${indent(depth)}</DL><p>`
+  ];
+
+  const { groups, ungrouped } = splitByGroup(snapshot);
+  const contents = [
+    ...groups.flatMap(group => folder(group.title || 'Unnamed group', group.tabs.map(tab => link(tab, 3)), 2)),
+    ...ungrouped.map(tab => link(tab, 2))
+  ];
+
+  return [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    ...folder(snapshot?.name || 'Tabs', contents, 1),
+    '</DL><p>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Formats a snapshot as OneTab text: "url | title" lines, with a blank line between groups
+ * OneTab has no group names or colors, so only the grouping itself survives
+ * @param {Object} snapshot - { tabs, groups }
+ * @returns {string} OneTab text
+ */
+function toOneTab(snapshot) {
+  const { groups, ungrouped } = splitByGroup(snapshot);
+  return [...groups.map(group => group.tabs), ungrouped]
+    .filter(tabs => tabs.length > 0)
+    .map(tabs => tabs.map(tab => `${tab.url} | ${(tab.title || tab.url).replace(/\s+/g, ' ')}`).join('\n'))
+    .join('\n\n') + '\n';
+}
+
+/**
+ * Exports a snapshot in one of EXPORT_FORMATS
+ * @param {Object} snapshot - { name, tabs, groups }
+ * @param {string} format - 'json', 'markdown', 'html' or 'onetab'
+ * @param {Date} now - Export time
+ * @returns {Object} { content, fileName, mimeType }
+ * @throws {Error} If the format is unknown
+ */
+function exportSnapshot(snapshot, format, now = new Date()) {
+  const details = EXPORT_FORMATS[format];
+  if (!details) {
+    throw new Error(`Invalid export format: ${format}. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const content = {
+    json: () => toJson(snapshot, now),
+    markdown: () => toMarkdown(snapshot),
+    html: () => toBookmarksHtml(snapshot, now),
+    onetab: () => toOneTab(snapshot)
+  }[format]();
+
+  const slug = String(snapshot?.name || 'tabs').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tabs';
+  return { content, fileName: `clutterless-${slug}.${details.extension}`, mimeType: details.mimeType };
+}
+
+/**
+ * Checks whether an imported URL may be opened
+ * Only web pages are reopened; javascript: and file: links from a shared file are not
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http(s) URLs
+ */
+function isImportableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Reads a file in our JSON format
+ * @param {Object} parsed - Parsed JSON
+ * @returns {Object} { name, tabs, groups, skipped }
+ * @throws {Error} If the file is not one of our exports
+ */
+function parseJsonImport(parsed) {
+  if (parsed?.format !== SESSION_EXPORT_FORMAT || !Array.isArray(parsed.tabs)) {
+    throw new Error('File is not a tab group export');
+  }
+  if (parsed.version > SESSION_EXPORT_VERSION) {
+    throw new Error(`Tab group file version ${parsed.version} is newer than this extension supports`);
+  }
+
+  const groups = (Array.isArray(parsed.groups) ? parsed.groups : []).map(group => ({
+    title: typeof group?.title === 'string' ? group.title : '',
+    color: GROUP_COLORS.includes(group?.color) ? group.color : 'grey',
+    collapsed: group?.collapsed === true
+  }));
+
+  const tabs = parsed.tabs
+    .filter(tab => isImportableUrl(tab?.url))
+    .map(tab => ({
+      url: tab.url,
+      title: typeof tab.title === 'string' && tab.title ? tab.title : tab.url,
+      pinned: tab.pinned === true,
+      group: Number.isInteger(tab.group) && groups[tab.group] ? tab.group : null
+    }));
+
+  return {
+    name: typeof parsed.name === 'string' ? parsed.name : '',
+    tabs,
+    groups,
+    skipped: parsed.tabs.length - tabs.length
+  };
+}
+
+/**
+ * Reads OneTab text: each block of "url | title" lines becomes a group, unless there is
+ * only one block, whose tabs stay ungrouped
+ * @param {string} text - OneTab text
+ * @returns {Object} { name, tabs, groups, skipped }
+ */
+function parseOneTabImport(text) {
+  const blocks = [];
+  let skipped = 0;
+
+  for (const block of text.split(/\r?\n\s*\r?\n/)) {
+    const tabs = [];
+    for (const line of block.split(/\r?\n/).map(value => value.trim()).filter(Boolean)) {
+      const separator = line.indexOf(' | ');
+      const url = separator === -1 ? line : line.slice(0, separator).trim();
+      const title = separator === -1 ? '' : line.slice(separator + 3).trim();
+      if (isImportableUrl(url)) {
+        tabs.push({ url, title: title || url, pinned: false });
+      } else {
+        skipped++;
+      }
+    }
+    if (tabs.length > 0) {
+      blocks.push(tabs);
+    }
+  }
+
+  const grouped = blocks.length > 1;
+  return {
+    name: '',
+    tabs: blocks.flatMap((tabs, position) => tabs.map(tab => ({ ...tab, group: grouped ? position : null }))),
+    groups: grouped
+      ? blocks.map((tabs, position) => ({
+        title: '',
+        color: GROUP_COLORS[(position % (GROUP_COLORS.length - 1)) + 1],
+        collapsed: false
+      }))
+      : [],
+    skipped
+  };
+}
+
+/**
+ * Parses pasted or uploaded text in our JSON format or OneTab format
+ * @param {string} text - File contents or pasted text
+ * @returns {Object} { name, tabs, groups, skipped }, where skipped counts entries that were
+ *   not web pages
+ * @throws {Error} If nothing can be imported, or there are too many tabs to open at once
+ */
+function parseSessionImport(text) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    throw new Error('Paste or choose something to import');
+  }
+
+  let imported;
+  if (trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Tab group file is not valid JSON: ${error.message}`);
+    }
+    imported = parseJsonImport(parsed);
+  } else {
+    imported = parseOneTabImport(trimmed);
+  }
+
+  if (imported.tabs.length === 0) {
+    throw new Error('No web page links were found to import');
+  }
+  if (imported.tabs.length > MAX_IMPORT_TABS) {
+    throw new Error(`Import has ${imported.tabs.length} tabs; at most ${MAX_IMPORT_TABS} can be opened at once`);
+  }
+
+  // Drop groups left without tabs and renumber the rest
+  const positions = new Map();
+  const groups = [];
+  imported.groups.forEach((group, position) => {
+    if (imported.tabs.some(tab => tab.group === position)) {
+      positions.set(position, groups.length);
+      groups.push(group);
+    }
+  });
+
+  return {
+    ...imported,
+    tabs: imported.tabs.map(tab => ({ ...tab, group: positions.has(tab.group) ? positions.get(tab.group) : null })),
+    groups
+  };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EXPORT_FORMATS,
+    MAX_IMPORT_TABS,
+    toJson,
+    toMarkdown,
+    toBookmarksHtml,
+    toOneTab,
+    exportSnapshot,
+    parseSessionImport
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  EXPORT_FORMATS,
+  MAX_IMPORT_TABS,
+  toJson,
+  toMarkdown,
+  toBookmarksHtml,
+  toOneTab,
+  exportSnapshot,
+  parseSessionImport
+};
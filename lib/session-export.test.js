@@ -0,0 +1,153 @@
+/**
+ * Unit tests for session-export.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  MAX_IMPORT_TABS,
+  toMarkdown,
+  toBookmarksHtml,
+  toOneTab,
+  exportSnapshot,
+  parseSessionImport
+} = await import('./session-export.js');
+
+const snapshot = {
+  name: 'Sprint 42 research',
+  tabs: [
+    { url: 'https://board.example.com', title: 'Board', pinned: true, group: null },
+    { url: 'https://docs.example.com/spec', title: 'Spec [draft]', pinned: false, group: 0 },
+    { url: 'https://notes.example.com/a (b)', title: 'Notes', pinned: false, group: 0 },
+    { url: 'https://news.example.com', title: 'Q&A <live>', pinned: false, group: 1 }
+  ],
+  groups: [
+    { title: 'Research', color: 'blue', collapsed: true },
+    { title: 'Reading', color: 'green', collapsed: false }
+  ]
+};
+
+describe('Session Export', () => {
+  describe('exportSnapshot', () => {
+    it('should round-trip our JSON format', () => {
+      const exported = exportSnapshot(snapshot, 'json', new Date('2026-01-02T03:04:05Z'));
+
+      expect(exported.fileName).toBe('clutterless-sprint-42-research.json');
+      expect(exported.mimeType).toBe('application/json');
+      expect(JSON.parse(exported.content)).toMatchObject({
+        format: 'clutterless-tab-groups',
+        version: 1,
+        exportedAt: '2026-01-02T03:04:05.000Z'
+      });
+      expect(parseSessionImport(exported.content)).toEqual({ ...snapshot, skipped: 0 });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => exportSnapshot(snapshot, 'csv')).toThrow('Invalid export format: csv');
+    });
+  });
+
+  describe('toMarkdown', () => {
+    it('should list links under a heading per group', () => {
+      expect(toMarkdown(snapshot)).toBe([
+        '# Sprint 42 research',
+        '',
+        '## Research',
+        '',
+        '- [Spec \\[draft\\]](https://docs.example.com/spec)',
+        '- [Notes](https://notes.example.com/a%20%28b%29)',
+        '',
+        '## Reading',
+        '',
+        '- [Q&A <live>](https://news.example.com)',
+        '',
+        '## Other tabs',
+        '',
+        '- [Board](https://board.example.com)',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('toBookmarksHtml', () => {
+    it('should write a Netscape bookmark file with a folder per group', () => {
+      const html = toBookmarksHtml(snapshot, new Date(1700000000000));
+
+      expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>')).toBe(true);
+      expect(html).toContain('<DT><H3 ADD_DATE="1700000000">Sprint 42 research</H3>');
+      expect(html).toContain('<DT><H3 ADD_DATE="1700000000">Research</H3>');
+      expect(html).toContain('<DT><A HREF="https://news.example.com" ADD_DATE="1700000000">Q&amp;A &lt;live&gt;</A>');
+      expect(html.match(/<DL><p>/g)).toHaveLength(html.match(/<\/DL><p>/g).length);
+    });
+  });
+
+  describe('toOneTab', () => {
+    it('should separate groups with blank lines', () => {
+      expect(toOneTab(snapshot)).toBe([
+        'https://docs.example.com/spec | Spec [draft]',
+        'https://notes.example.com/a (b) | Notes',
+        '',
+        'https://news.example.com | Q&A <live>',
+        '',
+        'https://board.example.com | Board',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('parseSessionImport', () => {
+    it('should turn OneTab blocks into groups and skip non-web links', () => {
+      const imported = parseSessionImport([
+        'https://a.example.com | A',
+        'javascript:alert(1) | Bad',
+        'https://b.example.com',
+        '',
+        'https://c.example.com | C | with a pipe'
+      ].join('\r\n'));
+
+      expect(imported.skipped).toBe(1);
+      expect(imported.tabs).toEqual([
+        { url: 'https://a.example.com', title: 'A', pinned: false, group: 0 },
+        { url: 'https://b.example.com', title: 'https://b.example.com', pinned: false, group: 0 },
+        { url: 'https://c.example.com', title: 'C | with a pipe', pinned: false, group: 1 }
+      ]);
+      expect(imported.groups.map(group => group.title)).toEqual(['', '']);
+    });
+
+    it('should leave a single OneTab block ungrouped', () => {
+      const imported = parseSessionImport('https://a.example.com | A\nhttps://b.example.com | B');
+
+      expect(imported.groups).toEqual([]);
+      expect(imported.tabs.every(tab => tab.group === null)).toBe(true);
+    });
+
+    it('should drop empty groups and sanitize JSON entries', () => {
+      const imported = parseSessionImport(JSON.stringify({
+        format: 'clutterless-tab-groups',
+        version: 1,
+        groups: [{ title: 'Gone', color: 'blue' }, { title: 'Kept', color: 'magenta' }],
+        tabs: [
+          { url: 'file:///etc/passwd', group: 0 },
+          { url: 'https://kept.example.com', group: 1 },
+          { url: 'https://loose.example.com', group: 5 }
+        ]
+      }));
+
+      expect(imported.skipped).toBe(1);
+      expect(imported.groups).toEqual([{ title: 'Kept', color: 'grey', collapsed: false }]);
+      expect(imported.tabs.map(tab => tab.group)).toEqual([0, null]);
+    });
+
+    it('should reject empty, foreign, newer and oversized imports', () => {
+      expect(() => parseSessionImport('  ')).toThrow('Paste or choose something to import');
+      expect(() => parseSessionImport('just some notes')).toThrow('No web page links were found to import');
+      expect(() => parseSessionImport('{"presets": []}')).toThrow('File is not a tab group export');
+      expect(() => parseSessionImport('{"format": "clutterless-tab-groups", "version": 2, "tabs": []}'))
+        .toThrow('Tab group file version 2 is newer than this extension supports');
+      expect(() => parseSessionImport('{ not json')).toThrow('Tab group file is not valid JSON');
+
+      const lines = Array.from({ length: MAX_IMPORT_TABS + 1 }, (_, index) => `https://example.com/${index}`);
+      expect(() => parseSessionImport(lines.join('\n'))).toThrow(`Import has ${MAX_IMPORT_TABS + 1} tabs`);
+    });
+  });
+});
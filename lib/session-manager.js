@@ -0,0 +1,210 @@
+/**
+ * Session Manager Module
+ * Named snapshots of a grouped window (tab URLs, pins, group names, colors and collapsed
+ * state) that can be reopened later in a new window
+ */
+
+const SESSIONS_STORAGE_KEY = 'saved_sessions';
+
+// Every session stores all of its tab URLs, so keep the list bounded
+const MAX_SESSIONS = 50;
+const MAX_SESSION_NAME_LENGTH = 80;
+
+/**
+ * Retrieves the saved sessions, newest first
+ * @returns {Promise<Array<Object>>} Sessions: { id, name, createdAt, tabs, groups }
+ */
+async function getSessions() {
+  try {
+    const result = await chrome.storage.local.get(SESSIONS_STORAGE_KEY);
+    const sessions = result[SESSIONS_STORAGE_KEY];
+    return Array.isArray(sessions) ? sessions : [];
+  } catch (error) {
+    throw new Error(`Failed to retrieve saved sessions: ${error.message}`);
+  }
+}
+
+/**
+ * Persists the sessions
+ * @param {Array<Object>} sessions - Sessions to store
+ * @returns {Promise<void>}
+ */
+async function saveSessions(sessions) {
+  try {
+    await chrome.storage.local.set({ [SESSIONS_STORAGE_KEY]: sessions });
+  } catch (error) {
+    throw new Error(`Failed to save sessions: ${error.message}`);
+  }
+}
+
+/**
+ * Validates a session name, which must be unique (ignoring case)
+ * @param {string} name - Session name
+ * @param {Array<Object>} sessions - Existing sessions
+ * @param {string} exceptId - Session being renamed, which may keep its own name
+ * @returns {string} Trimmed name
+ * @throws {Error} If the name is empty, too long or already used
+ */
+function validateSessionName(name, sessions = [], exceptId = null) {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!trimmed) {
+    throw new Error('Session requires a name');
+  }
+  if (trimmed.length > MAX_SESSION_NAME_LENGTH) {
+    throw new Error(`Session name must be at most ${MAX_SESSION_NAME_LENGTH} characters`);
+  }
+  if (sessions.some(session => session.id !== exceptId && session.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A session named "${trimmed}" already exists`);
+  }
+  return trimmed;
+}
+
+/**
+ * Checks whether a tab can be reopened from a session
+ * Chrome refuses or blanks chrome://, file:// and extension pages opened by an extension,
+ * which would shift every later tab into the wrong group on restore
+ * @param {string} url - Tab URL
+ * @returns {boolean} True for http(s) URLs
+ */
+function isRestorableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turns a captured tab state into what a session stores
+ * Tabs are kept in window and tab strip order; each refers to its group by position.
+ * Only web pages are kept, and groups left without tabs are dropped
+ * @param {Object} state - State from captureTabState ({ tabs, groups })
+ * @returns {Object} { tabs: [{ url, title, pinned, group }], groups: [{ title, color, collapsed }] }
+ */
+function buildSessionSnapshot(state) {
+  const sortedTabs = [...(state?.tabs || [])]
+    .filter(tab => isRestorableUrl(tab.url))
+    .sort((a, b) => (a.windowId || 0) - (b.windowId || 0) || a.index - b.index);
+
+  const groups = (state?.groups || []).filter(group => sortedTabs.some(tab => tab.groupId === group.id));
+  const groupPositions = new Map(groups.map((group, position) => [group.id, position]));
+
+  const tabs = sortedTabs.map(tab => ({
+    url: tab.url,
+    title: tab.title || tab.url,
+    pinned: !!tab.pinned,
+    group: groupPositions.has(tab.groupId) ? groupPositions.get(tab.groupId) : null
+  }));
+
+  return {
+    tabs,
+    groups: groups.map(group => ({
+      title: group.title || '',
+      color: group.color || 'grey',
+      collapsed: !!group.collapsed
+    }))
+  };
+}
+
+/**
+ * Saves a new named session
+ * @param {string} name - Session name
+ * @param {Object} snapshot - From buildSessionSnapshot
+ * @param {number} time - Save time in milliseconds
+ * @returns {Promise<Object>} The stored session
+ * @throws {Error} If the name is invalid or the snapshot has no tabs
+ */
+async function addSession(name, snapshot, time = Date.now()) {
+  if (!snapshot?.tabs?.length) {
+    throw new Error('There are no tabs to save');
+  }
+
+  const sessions = await getSessions();
+  const session = {
+    id: `session-${time}-${Math.random().toString(36).slice(2, 8)}`,
+    name: validateSessionName(name, sessions),
+    createdAt: time,
+    tabs: snapshot.tabs,
+    groups: snapshot.groups || []
+  };
+
+  await saveSessions([session, ...sessions].slice(0, MAX_SESSIONS));
+  return session;
+}
+
+/**
+ * Renames a session
+ * @param {string} id - Session ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} The renamed session
+ * @throws {Error} If the session does not exist or the name is invalid
+ */
+async function renameSession(id, name) {
+  const sessions = await getSessions();
+  const session = sessions.find(existing => existing.id === id);
+  if (!session) {
+    throw new Error('That session no longer exists');
+  }
+
+  const renamed = { ...session, name: validateSessionName(name, sessions, id) };
+  await saveSessions(sessions.map(existing => (existing.id === id ? renamed : existing)));
+  return renamed;
+}
+
+/**
+ * Deletes a session
+ * @param {string} id - Session ID
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+async function deleteSession(id) {
+  const sessions = await getSessions();
+  const remaining = sessions.filter(session => session.id !== id);
+  if (remaining.length === sessions.length) {
+    return false;
+  }
+
+  await saveSessions(remaining);
+  return true;
+}
+
+/**
+ * Describes a session for listing, without its tabs
+ * @param {Object} session - Stored session
+ * @returns {Object} { id, name, createdAt, tabCount, groupCount }
+ */
+function summarizeSession(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    createdAt: session.createdAt,
+    tabCount: session.tabs.length,
+    groupCount: session.groups.length
+  };
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SESSIONS,
+    getSessions,
+    validateSessionName,
+    buildSessionSnapshot,
+    addSession,
+    renameSession,
+    deleteSession,
+    summarizeSession
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  MAX_SESSIONS,
+  getSessions,
+  validateSessionName,
+  buildSessionSnapshot,
+  addSession,
+  renameSession,
+  deleteSession,
+  summarizeSession
+};
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for session-manager.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  getSessions,
+  validateSessionName,
+  buildSessionSnapshot,
+  addSession,
+  renameSession,
+  deleteSession,
+  summarizeSession
+} = await import('./session-manager.js');
+
+const snapshot = {
+  tabs: [{ url: 'https://example.com', title: 'Example', pinned: false, group: null }],
+  groups: []
+};
+
+describe('Session Manager', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  describe('buildSessionSnapshot', () => {
+    it('should keep tab order, pins and group positions', () => {
+      const state = {
+        tabs: [
+          { id: 3, index: 2, windowId: 1, groupId: 20, url: 'https://c.example.com', title: 'C' },
+          { id: 1, index: 0, windowId: 1, groupId: null, pinned: true, url: 'https://a.example.com', title: 'A' },
+          { id: 2, index: 1, windowId: 1, groupId: 10, url: 'https://b.example.com', title: 'B' },
+          { id: 4, index: 3, windowId: 1, groupId: null, url: '', title: 'Loading' }
+        ],
+        groups: [
+          { id: 10, title: 'Research', color: 'blue', collapsed: true },
+          { id: 20, title: 'Docs', color: 'green', collapsed: false }
+        ]
+      };
+
+      expect(buildSessionSnapshot(state)).toEqual({
+        tabs: [
+          { url: 'https://a.example.com', title: 'A', pinned: true, group: null },
+          { url: 'https://b.example.com', title: 'B', pinned: false, group: 0 },
+          { url: 'https://c.example.com', title: 'C', pinned: false, group: 1 }
+        ],
+        groups: [
+          { title: 'Research', color: 'blue', collapsed: true },
+          { title: 'Docs', color: 'green', collapsed: false }
+        ]
+      });
+    });
+
+    it('should keep only web pages and drop groups left empty', () => {
+      const state = {
+        tabs: [
+          { id: 1, index: 0, windowId: 1, groupId: 10, url: 'chrome://settings/', title: 'Settings' },
+          { id: 2, index: 1, windowId: 1, groupId: 10, url: 'chrome-extension://abc/options.html', title: 'Options' },
+          { id: 3, index: 2, windowId: 1, groupId: 20, url: 'file:///home/me/notes.txt', title: 'Notes' },
+          { id: 4, index: 3, windowId: 1, groupId: 20, url: 'http://intranet.example.com', title: 'Intranet' },
+          { id: 5, index: 4, windowId: 1, groupId: null, url: 'devtools://devtools/bundled/inspector.html', title: 'DevTools' },
+          { id: 6, index: 5, windowId: 1, groupId: null, url: 'https://a.example.com', title: 'A' }
+        ],
+        groups: [
+          { id: 10, title: 'Browser', color: 'grey', collapsed: false },
+          { id: 20, title: 'Work', color: 'blue', collapsed: false }
+        ]
+      };
+
+      expect(buildSessionSnapshot(state)).toEqual({
+        tabs: [
+          { url: 'http://intranet.example.com', title: 'Intranet', pinned: false, group: 0 },
+          { url: 'https://a.example.com', title: 'A', pinned: false, group: null }
+        ],
+        groups: [{ title: 'Work', color: 'blue', collapsed: false }]
+      });
+    });
+  });
+
+  describe('validateSessionName', () => {
+    it('should require a unique, reasonably short name', () => {
+      const sessions = [{ id: 's1', name: 'Sprint 42 research' }];
+
+      expect(validateSessionName('  Trip   planning ', sessions)).toBe('Trip planning');
+      expect(() => validateSessionName(' ', sessions)).toThrow('Session requires a name');
+      expect(() => validateSessionName('x'.repeat(81), sessions)).toThrow('at most 80 characters');
+      expect(() => validateSessionName('sprint 42 RESEARCH', sessions)).toThrow('A session named "sprint 42 RESEARCH" already exists');
+      expect(validateSessionName('Sprint 42 Research', sessions, 's1')).toBe('Sprint 42 Research');
+    });
+  });
+
+  describe('stored sessions', () => {
+    it('should add sessions newest first and summarize them', async () => {
+      await addSession('First', snapshot, 1000);
+      const session = await addSession('Second', snapshot, 2000);
+
+      const sessions = await getSessions();
+      expect(sessions.map(item => item.name)).toEqual(['Second', 'First']);
+      expect(summarizeSession(session)).toEqual({ id: session.id, name: 'Second', createdAt: 2000, tabCount: 1, groupCount: 0 });
+      await expect(addSession('Empty', { tabs: [], groups: [] })).rejects.toThrow('There are no tabs to save');
+    });
+
+    it('should rename and delete sessions', async () => {
+      const first = await addSession('First', snapshot);
+      await addSession('Second', snapshot);
+
+      expect((await renameSession(first.id, 'Renamed')).name).toBe('Renamed');
+      await expect(renameSession(first.id, 'second')).rejects.toThrow('already exists');
+      await expect(renameSession('missing', 'Any')).rejects.toThrow('That session no longer exists');
+
+      expect(await deleteSession(first.id)).toBe(true);
+      expect(await deleteSession(first.id)).toBe(false);
+      expect((await getSessions()).map(item => item.name)).toEqual(['Second']);
+    });
+  });
+});
@@ -118,7 +118,7 @@ async function decryptData(encryptedObj) {
 
 /**
  * Saves LLM provider credentials securely with encryption
- * @param {string} provider - The provider type ('bedrock', 'gemini', 'local')
+ * @param {string} provider - The provider type ('bedrock', 'gemini', 'local', 'openai', 'anthropic')
  * @param {object} credentials - The credentials object
  * @returns {Promise<void>}
  */
@@ -127,7 +127,7 @@ async function saveCredentials(provider, credentials) {
     throw new Error('Provider and credentials are required');
   }
 
-  const validProviders = ['bedrock', 'gemini', 'local'];
+  const validProviders = ['bedrock', 'gemini', 'local', 'openai', 'anthropic'];
   if (!validProviders.includes(provider)) {
     throw new Error(`Invalid provider: ${provider}. Must be one of: ${validProviders.join(', ')}`);
   }
@@ -240,6 +240,34 @@ async function saveConfig(config) {
   }
 }
 
+/**
+ * Merges settings into the stored configuration, keeping any settings not included
+ * (credentials are stored separately and never written to the configuration)
+ * @param {object} updates - Configuration fields to change
+ * @returns {Promise<object>} The updated configuration
+ */
+async function updateConfig(updates) {
+  if (!updates) {
+    throw new Error('Configuration is required');
+  }
+
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.CONFIG);
+    const config = {
+      ...(result[STORAGE_KEYS.CONFIG] || {}),
+      ...updates
+    };
+    delete config.credentials;
+
+    await chrome.storage.local.set({
+      [STORAGE_KEYS.CONFIG]: config
+    });
+    return config;
+  } catch (error) {
+    throw new Error(`Failed to update configuration: ${error.message}`);
+  }
+}
+
 /**
  * Validates that a URL uses HTTPS protocol
  * @param {string} url - URL to validate
@@ -293,6 +321,18 @@ function validateCredentials(provider, credentials) {
       }
       // Gemini always uses HTTPS, no additional validation needed
       break;
+    case 'openai':
+      if (!credentials.apiKey) {
+        throw new Error('OpenAI requires apiKey');
+      }
+      // OpenAI always uses HTTPS, no additional validation needed
+      break;
+    case 'anthropic':
+      if (!credentials.apiKey) {
+        throw new Error('Anthropic requires apiKey');
+      }
+      // Anthropic always uses HTTPS, no additional validation needed
+      break;
     case 'local':
       if (!credentials.endpoint) {
         throw new Error('Local LLM requires endpoint');
@@ -315,7 +355,8 @@ if (typeof module !== 'undefined' && module.exports) {
     getCredentials,
     clearCredentials,
     getConfig,
-    saveConfig
+    saveConfig,
+    updateConfig
   };
 }
 
@@ -325,5 +366,6 @@ export {
   getCredentials,
   clearCredentials,
   getConfig,
-  saveConfig
+  saveConfig,
+  updateConfig
 };
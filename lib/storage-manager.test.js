@@ -62,7 +62,8 @@ const {
   getCredentials,
   clearCredentials,
   getConfig,
-  saveConfig
+  saveConfig,
+  updateConfig
 } = await import('./storage-manager.js');
 
 describe('Storage Manager', () => {
@@ -182,6 +183,11 @@ describe('Storage Manager', () => {
       await expect(saveCredentials('gemini', {})).rejects.toThrow('Gemini requires apiKey');
     });
 
+    it('should throw error for missing OpenAI and Anthropic API keys', async () => {
+      await expect(saveCredentials('openai', {})).rejects.toThrow('OpenAI requires apiKey');
+      await expect(saveCredentials('anthropic', {})).rejects.toThrow('Anthropic requires apiKey');
+    });
+
     it('should throw error for missing Local LLM endpoint', async () => {
       await expect(saveCredentials('local', {})).rejects.toThrow('Local LLM requires endpoint');
     });
@@ -363,6 +369,35 @@ describe('Storage Manager', () => {
     });
   });
 
+  describe('updateConfig', () => {
+    it('should merge updates into the stored configuration', async () => {
+      mockStorage.local.get.mockResolvedValue({
+        llm_config: { provider: 'gemini', configured: true, rules: [] }
+      });
+      mockStorage.local.set.mockResolvedValue(undefined);
+
+      const result = await updateConfig({ provider: 'bedrock' });
+
+      expect(result).toEqual({ provider: 'bedrock', configured: true, rules: [] });
+      expect(mockStorage.local.set).toHaveBeenCalledWith({ llm_config: result });
+    });
+
+    it('should never store credentials in the configuration', async () => {
+      mockStorage.local.get.mockResolvedValue({});
+      mockStorage.local.set.mockResolvedValue(undefined);
+
+      const result = await updateConfig({ configured: true, credentials: { apiKey: 'secret' } });
+
+      expect(result).not.toHaveProperty('credentials');
+    });
+
+    it('should handle storage API errors', async () => {
+      mockStorage.local.get.mockRejectedValue(new Error('Storage access denied'));
+
+      await expect(updateConfig({ configured: false })).rejects.toThrow('Failed to update configuration');
+    });
+  });
+
   describe('credential save/retrieve cycle', () => {
     it('should successfully save and retrieve credentials', async () => {
       const credentials = {
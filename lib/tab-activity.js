@@ -0,0 +1,166 @@
+/**
+ * Tab Activity Module
+ * Remembers when each tab was last activated so tabs left unused for days can be found.
+ * Tab IDs change when the browser restarts, so entries also keep the URL and are matched
+ * back to the reopened tabs by URL
+ */
+
+const ACTIVITY_STORAGE_KEY = 'tab_activity';
+
+// Days without use after which a tab counts as stale, unless the user picks another number
+const DEFAULT_STALE_DAYS = 7;
+const MAX_STALE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Activations arrive in bursts; writes run one at a time so none is lost
+let activityWrite = Promise.resolve();
+
+/**
+ * Retrieves the stored activity map
+ * @returns {Promise<Object>} Map of tab ID to { lastActive, url }
+ */
+async function getTabActivity() {
+  try {
+    const result = await chrome.storage.local.get(ACTIVITY_STORAGE_KEY);
+    const activity = result[ACTIVITY_STORAGE_KEY];
+    return activity && typeof activity === 'object' ? activity : {};
+  } catch (error) {
+    throw new Error(`Failed to retrieve tab activity: ${error.message}`);
+  }
+}
+
+/**
+ * Applies a change to the stored activity map after any pending change
+ * @param {Function} change - Receives the current map and returns the new one
+ * @returns {Promise<Object>} The stored map
+ */
+function updateTabActivity(change) {
+  const write = activityWrite.then(async () => {
+    const activity = change(await getTabActivity());
+    try {
+      await chrome.storage.local.set({ [ACTIVITY_STORAGE_KEY]: activity });
+    } catch (error) {
+      throw new Error(`Failed to save tab activity: ${error.message}`);
+    }
+    return activity;
+  });
+
+  // A failed write must not block the ones queued after it
+  activityWrite = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Records that a tab was activated
+ * @param {Object} tab - Chrome tab (id and url)
+ * @param {number} time - Activation time in milliseconds
+ * @returns {Promise<void>}
+ */
+async function recordTabActivity(tab, time = Date.now()) {
+  if (!Number.isInteger(tab?.id)) {
+    return;
+  }
+
+  await updateTabActivity(activity => ({
+    ...activity,
+    [tab.id]: { lastActive: time, url: tab.url || activity[tab.id]?.url || '' }
+  }));
+}
+
+/**
+ * Drops entries for closed tabs and carries entries over to tabs reopened under new IDs
+ * (matched by URL, as after a browser restart)
+ * @param {Array<Object>} openTabs - Every open tab
+ * @returns {Promise<Object>} The stored map
+ */
+async function reconcileTabActivity(openTabs) {
+  return updateTabActivity(activity => {
+    const openIds = new Set((openTabs || []).map(tab => String(tab.id)));
+    const orphansByUrl = new Map();
+    for (const [tabId, entry] of Object.entries(activity)) {
+      if (!openIds.has(tabId) && entry?.url && !orphansByUrl.has(entry.url)) {
+        orphansByUrl.set(entry.url, entry);
+      }
+    }
+
+    const reconciled = {};
+    for (const tab of openTabs || []) {
+      const entry = activity[tab.id] || orphansByUrl.get(tab.url);
+      if (entry) {
+        orphansByUrl.delete(tab.url);
+        reconciled[tab.id] = { lastActive: entry.lastActive, url: tab.url || entry.url };
+      }
+    }
+    return reconciled;
+  });
+}
+
+/**
+ * Works out when a tab was last used
+ * Chrome's own tab.lastAccessed is used when it is newer, or when the tab was never tracked
+ * @param {Object} tab - Chrome tab
+ * @param {Object} activity - Map from getTabActivity
+ * @returns {number|null} Time in milliseconds, or null when unknown
+ */
+function getLastActiveTime(tab, activity) {
+  const times = [activity?.[tab.id]?.lastActive, tab.lastAccessed].filter(Number.isFinite);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Validates the number of days after which tabs count as stale
+ * @param {*} days - Number of days
+ * @returns {number} Whole number of days
+ * @throws {Error} If days is not between 1 and MAX_STALE_DAYS
+ */
+function validateStaleDays(days) {
+  const value = Number(days ?? DEFAULT_STALE_DAYS);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_STALE_DAYS) {
+    throw new Error(`Days unused must be a whole number from 1 to ${MAX_STALE_DAYS}`);
+  }
+  return value;
+}
+
+/**
+ * Finds tabs not used for the given number of days, least recently used first
+ * Active tabs and tabs with no known activity are never stale
+ * @param {Array<Object>} tabs - Chrome tabs
+ * @param {Object} activity - Map from getTabActivity
+ * @param {number} days - Days without use
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<Object>} [{ tab, lastActive }]
+ */
+function findStaleTabs(tabs, activity, days, now = Date.now()) {
+  const cutoff = now - days * DAY_MS;
+
+  return (tabs || [])
+    .filter(tab => !tab.active)
+    .map(tab => ({ tab, lastActive: getLastActiveTime(tab, activity) }))
+    .filter(({ lastActive }) => lastActive !== null && lastActive < cutoff)
+    .sort((a, b) => a.lastActive - b.lastActive);
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_STALE_DAYS,
+    getTabActivity,
+    recordTabActivity,
+    reconcileTabActivity,
+    getLastActiveTime,
+    validateStaleDays,
+    findStaleTabs
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  DEFAULT_STALE_DAYS,
+  getTabActivity,
+  recordTabActivity,
+  reconcileTabActivity,
+  getLastActiveTime,
+  validateStaleDays,
+  findStaleTabs
+};
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for tab-activity.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  getTabActivity,
+  recordTabActivity,
+  reconcileTabActivity,
+  getLastActiveTime,
+  validateStaleDays,
+  findStaleTabs
+} = await import('./tab-activity.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Tab Activity', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  describe('recordTabActivity', () => {
+    it('should keep every activation from a burst', async () => {
+      await Promise.all([
+        recordTabActivity({ id: 1, url: 'https://a.example.com' }, 100),
+        recordTabActivity({ id: 2, url: 'https://b.example.com' }, 200),
+        recordTabActivity({ id: 1 }, 300)
+      ]);
+
+      expect(await getTabActivity()).toEqual({
+        1: { lastActive: 300, url: 'https://a.example.com' },
+        2: { lastActive: 200, url: 'https://b.example.com' }
+      });
+    });
+  });
+
+  describe('reconcileTabActivity', () => {
+    it('should drop closed tabs and carry entries over to reopened tabs by URL', async () => {
+      await recordTabActivity({ id: 1, url: 'https://a.example.com' }, 100);
+      await recordTabActivity({ id: 2, url: 'https://b.example.com' }, 200);
+      await recordTabActivity({ id: 3, url: 'https://c.example.com' }, 300);
+
+      const activity = await reconcileTabActivity([
+        { id: 1, url: 'https://a.example.com' },
+        { id: 40, url: 'https://b.example.com' },
+        { id: 41, url: 'https://new.example.com' }
+      ]);
+
+      expect(activity).toEqual({
+        1: { lastActive: 100, url: 'https://a.example.com' },
+        40: { lastActive: 200, url: 'https://b.example.com' }
+      });
+    });
+  });
+
+  describe('findStaleTabs', () => {
+    const now = 100 * DAY;
+
+    it('should list tabs unused for the given days, oldest first', () => {
+      const tabs = [
+        { id: 1, title: 'Recent' },
+        { id: 2, title: 'Old', lastAccessed: now - 30 * DAY },
+        { id: 3, title: 'Older' },
+        { id: 4, title: 'Untracked' },
+        { id: 5, title: 'Active', active: true }
+      ];
+      const activity = {
+        1: { lastActive: now - DAY },
+        3: { lastActive: now - 40 * DAY },
+        5: { lastActive: now - 50 * DAY }
+      };
+
+      const stale = findStaleTabs(tabs, activity, 7, now);
+
+      expect(stale.map(({ tab }) => tab.id)).toEqual([3, 2]);
+      expect(stale[0].lastActive).toBe(now - 40 * DAY);
+    });
+
+    it('should prefer the newer of tracked and Chrome access times', () => {
+      expect(getLastActiveTime({ id: 1, lastAccessed: 500 }, { 1: { lastActive: 300 } })).toBe(500);
+      expect(getLastActiveTime({ id: 1 }, {})).toBeNull();
+    });
+  });
+
+  describe('validateStaleDays', () => {
+    it('should accept whole days in range', () => {
+      expect(validateStaleDays('14')).toBe(14);
+      expect(validateStaleDays(undefined)).toBe(7);
+      expect(() => validateStaleDays(0)).toThrow('Days unused must be a whole number from 1 to 365');
+      expect(() => validateStaleDays(2.5)).toThrow('Days unused');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tab Archive Module
+ * Keeps closed stale tabs (URL, title, group and dates) so they can be searched and reopened
+ */
+
+const ARCHIVE_STORAGE_KEY = 'tab_archive';
+
+// Oldest entries are dropped beyond this many
+const MAX_ARCHIVE_ENTRIES = 1000;
+
+/**
+ * Retrieves the archive, newest entries first
+ * @returns {Promise<Array<Object>>} Entries: { id, url, title, groupName, groupColor, lastActive, archivedAt }
+ */
+async function getArchive() {
+  try {
+    const result = await chrome.storage.local.get(ARCHIVE_STORAGE_KEY);
+    const archive = result[ARCHIVE_STORAGE_KEY];
+    return Array.isArray(archive) ? archive : [];
+  } catch (error) {
+    throw new Error(`Failed to retrieve tab archive: ${error.message}`);
+  }
+}
+
+/**
+ * Persists the archive
+ * @param {Array<Object>} archive - Archive entries
+ * @returns {Promise<void>}
+ */
+async function saveArchive(archive) {
+  try {
+    await chrome.storage.local.set({ [ARCHIVE_STORAGE_KEY]: archive });
+  } catch (error) {
+    throw new Error(`Failed to save tab archive: ${error.message}`);
+  }
+}
+
+/**
+ * Adds tabs to the archive
+ * @param {Array<Object>} tabs - { url, title, groupName, groupColor, lastActive } for each tab
+ * @param {number} time - Archive time in milliseconds
+ * @returns {Promise<Array<Object>>} The stored entries
+ * @throws {Error} If there are more tabs than the archive holds, since the oldest would be dropped
+ */
+async function archiveTabs(tabs, time = Date.now()) {
+  if ((tabs || []).length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`At most ${MAX_ARCHIVE_ENTRIES} tabs can be archived at once`);
+  }
+
+  const entries = (tabs || []).map(tab => ({
+    id: `${time}-${Math.random().toString(36).slice(2, 8)}`,
+    url: tab.url || '',
+    title: tab.title || tab.url || 'Untitled',
+    groupName: tab.groupName || null,
+    groupColor: tab.groupColor || null,
+    lastActive: tab.lastActive ?? null,
+    archivedAt: time
+  }));
+
+  if (entries.length > 0) {
+    const archive = await getArchive();
+    await saveArchive([...entries, ...archive].slice(0, MAX_ARCHIVE_ENTRIES));
+  }
+
+  return entries;
+}
+
+/**
+ * Removes entries from the archive (after restoring or deleting them)
+ * @param {Array<string>} ids - Entry IDs
+ * @returns {Promise<Array<Object>>} The removed entries
+ */
+async function removeArchiveEntries(ids) {
+  const wanted = new Set(ids || []);
+  const archive = await getArchive();
+  const removed = archive.filter(entry => wanted.has(entry.id));
+
+  if (removed.length > 0) {
+    await saveArchive(archive.filter(entry => !wanted.has(entry.id)));
+  }
+
+  return removed;
+}
+
+/**
+ * Filters archive entries by words in the title, URL or group name
+ * @param {Array<Object>} archive - Archive entries
+ * @param {string} query - Search text; every word must match
+ * @returns {Array<Object>} Matching entries
+ */
+function searchArchive(archive, query = '') {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return archive || [];
+  }
+
+  return (archive || []).filter(entry => {
+    const text = `${entry.title} ${entry.url} ${entry.groupName || ''}`.toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_ARCHIVE_ENTRIES,
+    getArchive,
+    archiveTabs,
+    removeArchiveEntries,
+    searchArchive
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  MAX_ARCHIVE_ENTRIES,
+  getArchive,
+  archiveTabs,
+  removeArchiveEntries,
+  searchArchive
+};
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for tab-archive.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// In-memory Chrome storage mock
+let store = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (items) => {
+        Object.assign(store, items);
+      })
+    }
+  }
+};
+
+// Import the module after mocking
+const {
+  MAX_ARCHIVE_ENTRIES,
+  getArchive,
+  archiveTabs,
+  removeArchiveEntries,
+  searchArchive
+} = await import('./tab-archive.js');
+
+describe('Tab Archive', () => {
+  beforeEach(() => {
+    store = {};
+    vi.clearAllMocks();
+  });
+
+  it('should store archived tabs newest first', async () => {
+    await archiveTabs([{ url: 'https://a.example.com', title: 'A', lastActive: 10 }], 1000);
+    const [entry] = await archiveTabs([{ url: 'https://b.example.com', title: 'B', groupName: 'Research', groupColor: 'blue' }], 2000);
+
+    const archive = await getArchive();
+    expect(archive.map(item => item.title)).toEqual(['B', 'A']);
+    expect(entry).toMatchObject({ groupName: 'Research', groupColor: 'blue', archivedAt: 2000, lastActive: null });
+    expect(archive[1]).toMatchObject({ groupName: null, lastActive: 10 });
+  });
+
+  it('should keep the archive bounded, dropping the oldest entries', async () => {
+    const tabs = Array.from({ length: MAX_ARCHIVE_ENTRIES }, (_, i) => ({ url: `https://example.com/${i}`, title: `Tab ${i}` }));
+
+    await archiveTabs(tabs, 1000);
+    await archiveTabs([{ url: 'https://new.example.com', title: 'New' }], 2000);
+
+    const archive = await getArchive();
+    expect(archive).toHaveLength(MAX_ARCHIVE_ENTRIES);
+    expect(archive[0].title).toBe('New');
+  });
+
+  it('should refuse a batch larger than the archive without storing anything', async () => {
+    const tabs = Array.from({ length: MAX_ARCHIVE_ENTRIES + 1 }, (_, i) => ({ url: `https://example.com/${i}` }));
+
+    await expect(archiveTabs(tabs)).rejects.toThrow(`At most ${MAX_ARCHIVE_ENTRIES} tabs can be archived at once`);
+    expect(await getArchive()).toEqual([]);
+  });
+
+  it('should remove entries by ID and return them', async () => {
+    const entries = await archiveTabs([{ url: 'https://a.example.com' }, { url: 'https://b.example.com' }]);
+
+    const removed = await removeArchiveEntries([entries[0].id, 'missing']);
+
+    expect(removed).toEqual([entries[0]]);
+    expect(await getArchive()).toEqual([entries[1]]);
+  });
+
+  it('should match every search word against title, URL and group', () => {
+    const archive = [
+      { title: 'Rust book', url: 'https://doc.rust-lang.org/book', groupName: 'Learning' },
+      { title: 'Flight deals', url: 'https://travel.example.com', groupName: null }
+    ];
+
+    expect(searchArchive(archive, 'rust learning')).toEqual([archive[0]]);
+    expect(searchArchive(archive, 'TRAVEL')).toEqual([archive[1]]);
+    expect(searchArchive(archive, '  ')).toBe(archive);
+  });
+});
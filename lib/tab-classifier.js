@@ -0,0 +1,62 @@
+/**
+ * Tab Classifier Module
+ * Places a single newly loaded tab into one of the window's existing groups without a
+ * model call when possible: grouping rules first, then the domain map
+ */
+
+import { applyRules } from './rules-engine.js';
+import { normalizeGroupName, findDomainGroup } from './group-registry.js';
+
+/**
+ * Finds the existing group with a given name
+ * @param {string} name - Group name
+ * @param {Array<Object>} groups - Existing tab groups with id and title
+ * @returns {Object|null} The group, or null if none has that name
+ */
+function findGroupByName(name, groups) {
+  const key = normalizeGroupName(name);
+  if (!key) {
+    return null;
+  }
+  return (groups || []).find(group => normalizeGroupName(group.title) === key) || null;
+}
+
+/**
+ * Picks an existing group for a tab from the rules and the domain map
+ * A rule or mapping naming a group that does not exist in the window is ignored, so a
+ * single tab never creates a group of its own
+ * @param {Object} tab - Tab metadata with id, title and url
+ * @param {Object} context - Classification context
+ * @param {Array<Object>} context.groups - Existing tab groups in the tab's window (id, title)
+ * @param {Array<Object>} context.rules - Grouping rules from the configuration
+ * @param {Object} context.domainMap - Map from getDomainGroupMap
+ * @returns {Object|null} { group, source } where source is 'rule' or 'domain', or null
+ */
+function findGroupForTab(tab, { groups = [], rules = [], domainMap = {} } = {}) {
+  const ruleName = applyRules([tab], rules).groups[0]?.name;
+  const ruleGroup = findGroupByName(ruleName, groups);
+  if (ruleGroup) {
+    return { group: ruleGroup, source: 'rule' };
+  }
+
+  const domainGroup = findGroupByName(findDomainGroup(tab.url, domainMap), groups);
+  if (domainGroup) {
+    return { group: domainGroup, source: 'domain' };
+  }
+
+  return null;
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findGroupByName,
+    findGroupForTab
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  findGroupByName,
+  findGroupForTab
+};
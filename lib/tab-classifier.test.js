@@ -0,0 +1,49 @@
+/**
+ * Unit tests for tab-classifier.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const { findGroupByName, findGroupForTab } = await import('./tab-classifier.js');
+
+describe('Tab Classifier', () => {
+  const groups = [
+    { id: 10, title: 'Work' },
+    { id: 20, title: 'Reading List' }
+  ];
+  const rules = [{ id: 'r1', groupName: 'Reading list', matchType: 'domain', pattern: 'medium.com', enabled: true }];
+  const domainMap = {
+    'github.com': { name: 'Work', lastUsed: 1 },
+    'news.example.org': { name: 'News', lastUsed: 1 }
+  };
+
+  describe('findGroupByName', () => {
+    it('should match group titles ignoring case and spacing', () => {
+      expect(findGroupByName(' reading  list', groups)).toBe(groups[1]);
+      expect(findGroupByName('Travel', groups)).toBeNull();
+      expect(findGroupByName('', groups)).toBeNull();
+    });
+  });
+
+  describe('findGroupForTab', () => {
+    it('should prefer a matching rule over the domain map', () => {
+      const match = findGroupForTab(
+        { id: 1, title: 'Essay', url: 'https://medium.com/@someone/essay' },
+        { groups, rules, domainMap: { 'medium.com': { name: 'Work' } } }
+      );
+
+      expect(match).toEqual({ group: groups[1], source: 'rule' });
+    });
+
+    it('should fall back to the domain map', () => {
+      const match = findGroupForTab({ id: 2, title: 'PR #12', url: 'https://github.com/org/repo/pull/12' }, { groups, rules, domainMap });
+
+      expect(match).toEqual({ group: groups[0], source: 'domain' });
+    });
+
+    it('should ignore mappings to groups that are not open', () => {
+      expect(findGroupForTab({ id: 3, title: 'Today', url: 'https://news.example.org' }, { groups, rules, domainMap })).toBeNull();
+      expect(findGroupForTab({ id: 4, title: 'Other', url: 'https://example.com' }, { groups, rules, domainMap })).toBeNull();
+    });
+  });
+});
@@ -4,28 +4,54 @@
  */
 
 /**
- * Query all open tabs in the current window
+ * Query open tabs in the requested scope (the current window by default)
+ * @param {Object} scope - Optional scope
+ * @param {number} scope.windowId - Query a specific window
+ * @param {boolean} scope.allWindows - Query every normal browser window
  * @returns {Promise<Array>} Array of tab objects
  * @throws {Error} If Chrome API fails
  */
-async function getAllTabs() {
+async function getAllTabs(scope = {}) {
   try {
-    const tabs = await chrome.tabs.query({ currentWindow: true });
+    let queryInfo = { currentWindow: true };
+    if (scope.allWindows) {
+      queryInfo = { windowType: 'normal' };
+    } else if (scope.windowId !== undefined && scope.windowId !== null) {
+      queryInfo = { windowId: scope.windowId };
+    }
+
+    const tabs = await chrome.tabs.query(queryInfo);
     return tabs;
   } catch (error) {
     throw new Error(`Failed to query tabs: ${error.message}`);
   }
 }
 
+/**
+ * Query the highlighted (selected) tabs of a window
+ * @param {number} windowId - Window ID
+ * @returns {Promise<Array>} Array of tab objects; just the active tab when nothing else is selected
+ * @throws {Error} If Chrome API fails
+ */
+async function getHighlightedTabs(windowId) {
+  try {
+    const tabs = await chrome.tabs.query({ windowId, highlighted: true });
+    return tabs || [];
+  } catch (error) {
+    throw new Error(`Failed to query selected tabs: ${error.message}`);
+  }
+}
+
 /**
  * Create a tab group with specified name, color, and tabs
  * @param {string} name - Group name
  * @param {string} color - Chrome tab group color (grey, blue, red, yellow, green, pink, purple, cyan, orange)
  * @param {Array<number>} tabIds - Array of tab IDs to add to the group
+ * @param {number} windowId - Optional window for the group; tabs in other windows are moved into it
  * @returns {Promise<number>} The created group ID
  * @throws {Error} If group creation fails
  */
-async function createGroup(name, color, tabIds) {
+async function createGroup(name, color, tabIds, windowId) {
   try {
     if (!tabIds || tabIds.length === 0) {
       throw new Error('No tab IDs provided for grouping');
@@ -36,7 +62,12 @@ async function createGroup(name, color, tabIds) {
     const groupColor = validColors.includes(color) ? color : 'grey';
 
     // Create the group by grouping the tabs
-    const groupId = await chrome.tabs.group({ tabIds });
+    // Chrome defaults new groups to the current window, so pass the target window explicitly
+    const groupOptions = { tabIds };
+    if (windowId !== undefined && windowId !== null) {
+      groupOptions.createProperties = { windowId };
+    }
+    const groupId = await chrome.tabs.group(groupOptions);
 
     // Update the group with name and color
     await chrome.tabGroups.update(groupId, {
@@ -50,6 +81,55 @@ async function createGroup(name, color, tabIds) {
   }
 }
 
+/**
+ * Add tabs to an existing tab group
+ * @param {number} groupId - ID of the existing group
+ * @param {Array<number>} tabIds - Array of tab IDs to add to the group
+ * @returns {Promise<number>} The group ID
+ * @throws {Error} If adding tabs fails
+ */
+async function addTabsToGroup(groupId, tabIds) {
+  try {
+    if (!tabIds || tabIds.length === 0) {
+      throw new Error('No tab IDs provided for grouping');
+    }
+
+    return await chrome.tabs.group({ groupId, tabIds });
+  } catch (error) {
+    throw new Error(`Failed to add tabs to group: ${error.message}`);
+  }
+}
+
+/**
+ * Query tab groups, optionally limited to one window
+ * @param {number} windowId - Optional window ID
+ * @returns {Promise<Array>} Array of tab group objects
+ * @throws {Error} If Chrome API fails
+ */
+async function getTabGroups(windowId) {
+  try {
+    const queryInfo = windowId !== undefined && windowId !== null ? { windowId } : {};
+    const groups = await chrome.tabGroups.query(queryInfo);
+    return groups || [];
+  } catch (error) {
+    throw new Error(`Failed to query tab groups: ${error.message}`);
+  }
+}
+
+/**
+ * List open normal browser windows with their tabs
+ * @returns {Promise<Array>} Array of window objects (tabs populated)
+ * @throws {Error} If Chrome API fails
+ */
+async function getWindows() {
+  try {
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    return windows || [];
+  } catch (error) {
+    throw new Error(`Failed to query windows: ${error.message}`);
+  }
+}
+
 /**
  * Remove tabs from their groups (ungroup them)
  * @param {Array<number>} tabIds - Array of tab IDs to ungroup
@@ -68,18 +148,189 @@ async function ungroupTabs(tabIds) {
   }
 }
 
+/**
+ * Collapse or expand tab groups
+ * @param {Array<number>} groupIds - Array of group IDs
+ * @param {boolean} collapsed - True to collapse, false to expand
+ * @returns {Promise<void>}
+ * @throws {Error} If a group cannot be updated
+ */
+async function setGroupsCollapsed(groupIds, collapsed = true) {
+  try {
+    for (const groupId of groupIds || []) {
+      await chrome.tabGroups.update(groupId, { collapsed });
+    }
+  } catch (error) {
+    throw new Error(`Failed to ${collapsed ? 'collapse' : 'expand'} tab groups: ${error.message}`);
+  }
+}
+
+/**
+ * Query the tabs of one tab group, in tab strip order
+ * @param {number} groupId - Tab group ID
+ * @returns {Promise<Array>} Array of tab objects
+ * @throws {Error} If Chrome API fails
+ */
+async function getGroupTabs(groupId) {
+  try {
+    const tabs = await chrome.tabs.query({ groupId });
+    return (tabs || []).sort((a, b) => a.index - b.index);
+  } catch (error) {
+    throw new Error(`Failed to query group tabs: ${error.message}`);
+  }
+}
+
+/**
+ * Rename, recolor, collapse or expand a tab group
+ * @param {number} groupId - Tab group ID
+ * @param {Object} changes - Properties to change
+ * @param {string} changes.title - New group name
+ * @param {string} changes.color - New Chrome tab group color
+ * @param {boolean} changes.collapsed - Collapsed state
+ * @returns {Promise<Object>} The updated group
+ * @throws {Error} If the color is invalid or the group cannot be updated
+ */
+async function updateGroup(groupId, changes = {}) {
+  try {
+    const validColors = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+    const updateProperties = {};
+
+    if (typeof changes.title === 'string') {
+      updateProperties.title = changes.title.trim();
+    }
+    if (changes.color !== undefined) {
+      if (!validColors.includes(changes.color)) {
+        throw new Error(`Invalid color: ${changes.color}`);
+      }
+      updateProperties.color = changes.color;
+    }
+    if (typeof changes.collapsed === 'boolean') {
+      updateProperties.collapsed = changes.collapsed;
+    }
+
+    return await chrome.tabGroups.update(groupId, updateProperties);
+  } catch (error) {
+    throw new Error(`Failed to update tab group: ${error.message}`);
+  }
+}
+
+/**
+ * Close tabs
+ * @param {Array<number>} tabIds - Array of tab IDs to close
+ * @returns {Promise<void>}
+ * @throws {Error} If closing fails
+ */
+async function closeTabs(tabIds) {
+  try {
+    if (!tabIds || tabIds.length === 0) {
+      return; // Nothing to close
+    }
+
+    await chrome.tabs.remove(tabIds);
+  } catch (error) {
+    throw new Error(`Failed to close tabs: ${error.message}`);
+  }
+}
+
+/**
+ * Open tabs in the background, in the order given
+ * @param {Array<string>} urls - URLs to open
+ * @param {number} windowId - Optional window; the current window by default
+ * @returns {Promise<Array>} The created tabs
+ * @throws {Error} If a tab cannot be opened
+ */
+async function openTabs(urls, windowId) {
+  try {
+    const tabs = [];
+    for (const url of urls || []) {
+      tabs.push(await chrome.tabs.create({ url, active: false, ...(windowId !== undefined ? { windowId } : {}) }));
+    }
+    return tabs;
+  } catch (error) {
+    throw new Error(`Failed to open tabs: ${error.message}`);
+  }
+}
+
+/**
+ * Open tabs in a new window, pinning those marked pinned
+ * @param {Array<Object>} tabs - { url, pinned } in tab strip order
+ * @returns {Promise<Object>} The new window, with its tabs in the same order
+ * @throws {Error} If the window cannot be created
+ */
+async function openWindow(tabs) {
+  try {
+    const window = await chrome.windows.create({ url: (tabs || []).map(tab => tab.url), focused: true });
+    const created = window.tabs || [];
+
+    for (const [position, tab] of (tabs || []).entries()) {
+      if (tab.pinned && created[position]) {
+        await chrome.tabs.update(created[position].id, { pinned: true });
+      }
+    }
+
+    return window;
+  } catch (error) {
+    throw new Error(`Failed to open window: ${error.message}`);
+  }
+}
+
+/**
+ * Move a whole tab group (name, color and tabs) into a new window
+ * The window opens with a blank tab, which is closed once the group has moved in
+ * @param {number} groupId - Tab group ID
+ * @returns {Promise<number>} The new window ID
+ * @throws {Error} If the window cannot be created or the group cannot be moved
+ */
+async function moveGroupToNewWindow(groupId) {
+  try {
+    const window = await chrome.windows.create({ focused: true });
+    const placeholderTabIds = (window.tabs || []).map(tab => tab.id);
+
+    await chrome.tabGroups.move(groupId, { windowId: window.id, index: -1 });
+    if (placeholderTabIds.length > 0) {
+      await chrome.tabs.remove(placeholderTabIds);
+    }
+
+    return window.id;
+  } catch (error) {
+    throw new Error(`Failed to move tab group to a new window: ${error.message}`);
+  }
+}
+
 // Export functions for use in other modules (CommonJS for tests)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     getAllTabs,
+    getHighlightedTabs,
     createGroup,
-    ungroupTabs
+    addTabsToGroup,
+    getTabGroups,
+    getWindows,
+    ungroupTabs,
+    setGroupsCollapsed,
+    getGroupTabs,
+    updateGroup,
+    closeTabs,
+    openTabs,
+    openWindow,
+    moveGroupToNewWindow
   };
 }
 
 // ES6 exports for browser extension
 export {
   getAllTabs,
+  getHighlightedTabs,
   createGroup,
-  ungroupTabs
+  addTabsToGroup,
+  getTabGroups,
+  getWindows,
+  ungroupTabs,
+  setGroupsCollapsed,
+  getGroupTabs,
+  updateGroup,
+  closeTabs,
+  openTabs,
+  openWindow,
+  moveGroupToNewWindow
 };
@@ -9,15 +9,39 @@ global.chrome = {
   tabs: {
     query: vi.fn(),
     group: vi.fn(),
-    ungroup: vi.fn()
+    ungroup: vi.fn(),
+    remove: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn()
   },
   tabGroups: {
-    update: vi.fn()
+    update: vi.fn(),
+    query: vi.fn(),
+    move: vi.fn()
+  },
+  windows: {
+    getAll: vi.fn(),
+    create: vi.fn()
   }
 };
 
 // Import the module after mocking
-const { getAllTabs, createGroup, ungroupTabs } = await import('./tab-manager.js');
+const {
+  getAllTabs,
+  getHighlightedTabs,
+  createGroup,
+  addTabsToGroup,
+  getTabGroups,
+  getWindows,
+  ungroupTabs,
+  setGroupsCollapsed,
+  getGroupTabs,
+  updateGroup,
+  closeTabs,
+  openTabs,
+  openWindow,
+  moveGroupToNewWindow
+} = await import('./tab-manager.js');
 
 describe('Tab Manager', () => {
   beforeEach(() => {
@@ -40,6 +64,22 @@ describe('Tab Manager', () => {
       expect(result).toEqual(mockTabs);
     });
 
+    it('should query a specific window', async () => {
+      chrome.tabs.query.mockResolvedValue([]);
+
+      await getAllTabs({ windowId: 7 });
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ windowId: 7 });
+    });
+
+    it('should query every normal window', async () => {
+      chrome.tabs.query.mockResolvedValue([]);
+
+      await getAllTabs({ allWindows: true });
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ windowType: 'normal' });
+    });
+
     it('should throw error when Chrome API fails', async () => {
       chrome.tabs.query.mockRejectedValue(new Error('API Error'));
 
@@ -47,6 +87,17 @@ describe('Tab Manager', () => {
     });
   });
 
+  describe('getHighlightedTabs', () => {
+    it('should query the selected tabs of a window', async () => {
+      chrome.tabs.query.mockResolvedValue([{ id: 1 }, { id: 3 }]);
+
+      const tabs = await getHighlightedTabs(2);
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ windowId: 2, highlighted: true });
+      expect(tabs).toEqual([{ id: 1 }, { id: 3 }]);
+    });
+  });
+
   describe('createGroup', () => {
     it('should create a tab group with name and color', async () => {
       const mockGroupId = 123;
@@ -91,6 +142,15 @@ describe('Tab Manager', () => {
       }
     });
 
+    it('should create the group in the given window', async () => {
+      chrome.tabs.group.mockResolvedValue(5);
+      chrome.tabGroups.update.mockResolvedValue({});
+
+      await createGroup('Work', 'blue', [1, 2], 9);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 2], createProperties: { windowId: 9 } });
+    });
+
     it('should throw error when no tab IDs provided', async () => {
       await expect(createGroup('Test', 'blue', [])).rejects.toThrow('No tab IDs provided for grouping');
       await expect(createGroup('Test', 'blue', null)).rejects.toThrow('No tab IDs provided for grouping');
@@ -110,6 +170,65 @@ describe('Tab Manager', () => {
     });
   });
 
+  describe('addTabsToGroup', () => {
+    it('should add tabs to the existing group', async () => {
+      chrome.tabs.group.mockResolvedValue(42);
+
+      const result = await addTabsToGroup(42, [5, 6]);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ groupId: 42, tabIds: [5, 6] });
+      expect(result).toBe(42);
+    });
+
+    it('should throw error when no tab IDs provided', async () => {
+      await expect(addTabsToGroup(42, [])).rejects.toThrow('Failed to add tabs to group: No tab IDs provided for grouping');
+    });
+  });
+
+  describe('getTabGroups', () => {
+    it('should query groups in the given window', async () => {
+      const mockGroups = [{ id: 1, title: 'Work', color: 'blue' }];
+      chrome.tabGroups.query.mockResolvedValue(mockGroups);
+
+      const result = await getTabGroups(3);
+
+      expect(chrome.tabGroups.query).toHaveBeenCalledWith({ windowId: 3 });
+      expect(result).toEqual(mockGroups);
+    });
+
+    it('should query all groups when no window is given', async () => {
+      chrome.tabGroups.query.mockResolvedValue([]);
+
+      await getTabGroups();
+
+      expect(chrome.tabGroups.query).toHaveBeenCalledWith({});
+    });
+
+    it('should throw error when Chrome API fails', async () => {
+      chrome.tabGroups.query.mockRejectedValue(new Error('API Error'));
+
+      await expect(getTabGroups(1)).rejects.toThrow('Failed to query tab groups: API Error');
+    });
+  });
+
+  describe('getWindows', () => {
+    it('should list normal windows with their tabs', async () => {
+      const mockWindows = [{ id: 1, focused: true, tabs: [] }];
+      chrome.windows.getAll.mockResolvedValue(mockWindows);
+
+      const result = await getWindows();
+
+      expect(chrome.windows.getAll).toHaveBeenCalledWith({ populate: true, windowTypes: ['normal'] });
+      expect(result).toEqual(mockWindows);
+    });
+
+    it('should throw error when Chrome API fails', async () => {
+      chrome.windows.getAll.mockRejectedValue(new Error('API Error'));
+
+      await expect(getWindows()).rejects.toThrow('Failed to query windows: API Error');
+    });
+  });
+
   describe('ungroupTabs', () => {
     it('should ungroup specified tabs', async () => {
       chrome.tabs.ungroup.mockResolvedValue(undefined);
@@ -137,4 +256,113 @@ describe('Tab Manager', () => {
       await expect(ungroupTabs([1, 2])).rejects.toThrow('Failed to ungroup tabs: Ungroup failed');
     });
   });
+
+  describe('setGroupsCollapsed', () => {
+    it('should collapse or expand each group', async () => {
+      chrome.tabGroups.update.mockResolvedValue({});
+
+      await setGroupsCollapsed([4, 5]);
+      await setGroupsCollapsed([4], false);
+
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(4, { collapsed: true });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(5, { collapsed: true });
+      expect(chrome.tabGroups.update).toHaveBeenLastCalledWith(4, { collapsed: false });
+    });
+
+    it('should throw error when a group cannot be updated', async () => {
+      chrome.tabGroups.update.mockRejectedValue(new Error('No group with id: 4'));
+
+      await expect(setGroupsCollapsed([4])).rejects.toThrow('Failed to collapse tab groups: No group with id: 4');
+    });
+  });
+
+  describe('getGroupTabs', () => {
+    it('should return the tabs of a group in tab strip order', async () => {
+      chrome.tabs.query.mockResolvedValue([{ id: 2, index: 5 }, { id: 1, index: 3 }]);
+
+      const result = await getGroupTabs(9);
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ groupId: 9 });
+      expect(result.map(tab => tab.id)).toEqual([1, 2]);
+    });
+  });
+
+  describe('updateGroup', () => {
+    it('should pass only the given changes', async () => {
+      chrome.tabGroups.update.mockResolvedValue({ id: 4 });
+
+      await updateGroup(4, { title: ' Research ', color: 'blue' });
+      await updateGroup(4, { collapsed: false });
+
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(4, { title: 'Research', color: 'blue' });
+      expect(chrome.tabGroups.update).toHaveBeenLastCalledWith(4, { collapsed: false });
+    });
+
+    it('should reject unknown colors', async () => {
+      await expect(updateGroup(4, { color: 'magenta' })).rejects.toThrow('Failed to update tab group: Invalid color: magenta');
+      expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('closeTabs', () => {
+    it('should close the given tabs and skip empty lists', async () => {
+      await closeTabs([1, 2]);
+      await closeTabs([]);
+
+      expect(chrome.tabs.remove).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.remove).toHaveBeenCalledWith([1, 2]);
+    });
+  });
+
+  describe('openTabs', () => {
+    it('should open each URL in the background, in order', async () => {
+      chrome.tabs.create.mockImplementation(async ({ url }) => ({ id: url.length, url }));
+
+      const tabs = await openTabs(['https://a.example.com', 'https://bb.example.com'], 3);
+
+      expect(tabs.map(tab => tab.url)).toEqual(['https://a.example.com', 'https://bb.example.com']);
+      expect(chrome.tabs.create).toHaveBeenNthCalledWith(1, { url: 'https://a.example.com', active: false, windowId: 3 });
+      await openTabs(['https://c.example.com']);
+      expect(chrome.tabs.create).toHaveBeenLastCalledWith({ url: 'https://c.example.com', active: false });
+    });
+
+    it('should throw error when a tab cannot be opened', async () => {
+      chrome.tabs.create.mockRejectedValue(new Error('Invalid URL'));
+
+      await expect(openTabs(['nope'])).rejects.toThrow('Failed to open tabs: Invalid URL');
+    });
+  });
+
+  describe('openWindow', () => {
+    it('should open all URLs in one new window and pin marked tabs', async () => {
+      chrome.windows.create.mockResolvedValue({ id: 9, tabs: [{ id: 91 }, { id: 92 }] });
+
+      const window = await openWindow([{ url: 'https://a.example.com', pinned: true }, { url: 'https://b.example.com' }]);
+
+      expect(window.id).toBe(9);
+      expect(chrome.windows.create).toHaveBeenCalledWith({ url: ['https://a.example.com', 'https://b.example.com'], focused: true });
+      expect(chrome.tabs.update).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.update).toHaveBeenCalledWith(91, { pinned: true });
+    });
+  });
+
+  describe('moveGroupToNewWindow', () => {
+    it('should move the group and close the blank tab of the new window', async () => {
+      chrome.windows.create.mockResolvedValue({ id: 8, tabs: [{ id: 99 }] });
+      chrome.tabGroups.move.mockResolvedValue({ id: 4, windowId: 8 });
+
+      const windowId = await moveGroupToNewWindow(4);
+
+      expect(windowId).toBe(8);
+      expect(chrome.tabGroups.move).toHaveBeenCalledWith(4, { windowId: 8, index: -1 });
+      expect(chrome.tabs.remove).toHaveBeenCalledWith([99]);
+    });
+
+    it('should throw error when the group cannot be moved', async () => {
+      chrome.windows.create.mockResolvedValue({ id: 8, tabs: [] });
+      chrome.tabGroups.move.mockRejectedValue(new Error('No group with id: 4'));
+
+      await expect(moveGroupToNewWindow(4)).rejects.toThrow('Failed to move tab group to a new window: No group with id: 4');
+    });
+  });
 });
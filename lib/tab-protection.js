@@ -0,0 +1,142 @@
+/**
+ * Tab Protection Module
+ * Policies that keep some tabs out of grouping entirely: pinned tabs, the active tab,
+ * tabs playing audio and incognito tabs. Protected tabs are never sent to the LLM and
+ * are never moved into a group
+ */
+
+// Policies used when none are stored; each one protects the tabs it names
+const DEFAULT_PROTECTION_SETTINGS = {
+  pinned: true,
+  active: false,
+  audible: true,
+  incognito: true
+};
+
+// Policy names in the order they are checked, with the reason shown to the user
+const PROTECTION_REASONS = {
+  pinned: 'pinned',
+  active: 'active tab',
+  audible: 'playing audio',
+  incognito: 'incognito'
+};
+
+/**
+ * Validates protection settings and returns a normalized copy
+ * @param {Object} settings - Settings to validate
+ * @param {boolean} settings.pinned - Never group pinned tabs (grouping would unpin them)
+ * @param {boolean} settings.active - Never move the active tab of a window
+ * @param {boolean} settings.audible - Skip tabs playing audio or video
+ * @param {boolean} settings.incognito - Skip incognito tabs
+ * @returns {Object} Normalized settings
+ * @throws {Error} If a setting is not true or false
+ */
+function validateProtectionSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Protection settings must be an object');
+  }
+
+  const normalized = {};
+  for (const policy of Object.keys(DEFAULT_PROTECTION_SETTINGS)) {
+    const value = settings[policy] ?? DEFAULT_PROTECTION_SETTINGS[policy];
+    if (typeof value !== 'boolean') {
+      throw new Error(`Protection setting "${policy}" must be true or false`);
+    }
+    normalized[policy] = value;
+  }
+
+  return normalized;
+}
+
+/**
+ * Reads stored protection settings, filling in defaults
+ * Invalid stored settings fall back to the defaults, which protect more rather than less
+ * @param {Object} settings - Settings from the configuration
+ * @returns {Object} Normalized settings
+ */
+function resolveProtectionSettings(settings) {
+  if (!settings) {
+    return { ...DEFAULT_PROTECTION_SETTINGS };
+  }
+
+  try {
+    return validateProtectionSettings(settings);
+  } catch (error) {
+    console.warn('[TabProtection] Ignoring invalid protection settings:', error.message);
+    return { ...DEFAULT_PROTECTION_SETTINGS };
+  }
+}
+
+/**
+ * Finds the first policy that protects a tab
+ * @param {Object} tab - Chrome tab (pinned, active, audible and incognito flags)
+ * @param {Object} settings - Settings from resolveProtectionSettings
+ * @returns {string|null} The policy name ('pinned', 'active', 'audible' or 'incognito'), or null
+ */
+function getProtectionReason(tab, settings) {
+  if (!tab) {
+    return null;
+  }
+
+  return Object.keys(PROTECTION_REASONS).find(policy => settings?.[policy] && tab[policy] === true) || null;
+}
+
+/**
+ * Splits tabs into those that may be grouped and those the policies protect
+ * @param {Array<Object>} tabs - Chrome tabs
+ * @param {Object} settings - Settings from resolveProtectionSettings
+ * @returns {Object} { allowed, protectedTabs: [{ tab, reason }] }
+ */
+function splitProtectedTabs(tabs, settings) {
+  const allowed = [];
+  const protectedTabs = [];
+
+  for (const tab of tabs || []) {
+    const reason = getProtectionReason(tab, settings);
+    if (reason) {
+      protectedTabs.push({ tab, reason });
+    } else {
+      allowed.push(tab);
+    }
+  }
+
+  return { allowed, protectedTabs };
+}
+
+/**
+ * Describes protected tabs for a summary message, e.g. "2 pinned, 1 playing audio"
+ * @param {Array<Object>} protectedTabs - From splitProtectedTabs
+ * @returns {string} Summary, or empty string when nothing was protected
+ */
+function describeProtectedTabs(protectedTabs) {
+  const counts = new Map();
+  for (const { reason } of protectedTabs || []) {
+    counts.set(reason, (counts.get(reason) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([reason, count]) => `${count} ${PROTECTION_REASONS[reason]}`)
+    .join(', ');
+}
+
+// Export functions for use in other modules (CommonJS for tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_PROTECTION_SETTINGS,
+    validateProtectionSettings,
+    resolveProtectionSettings,
+    getProtectionReason,
+    splitProtectedTabs,
+    describeProtectedTabs
+  };
+}
+
+// ES6 exports for browser extension
+export {
+  DEFAULT_PROTECTION_SETTINGS,
+  validateProtectionSettings,
+  resolveProtectionSettings,
+  getProtectionReason,
+  splitProtectedTabs,
+  describeProtectedTabs
+};
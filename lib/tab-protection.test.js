@@ -0,0 +1,59 @@
+/**
+ * Unit tests for tab-protection.js
+ */
+
+import { describe, it, expect } from 'vitest';
+
+const {
+  DEFAULT_PROTECTION_SETTINGS,
+  validateProtectionSettings,
+  resolveProtectionSettings,
+  getProtectionReason,
+  splitProtectedTabs,
+  describeProtectedTabs
+} = await import('./tab-protection.js');
+
+describe('Tab Protection', () => {
+  const tabs = [
+    { id: 1, title: 'Mail', pinned: true, active: false, audible: false },
+    { id: 2, title: 'Editor', pinned: false, active: true, audible: false },
+    { id: 3, title: 'Music', pinned: false, active: false, audible: true },
+    { id: 4, title: 'Docs', pinned: false, active: false, audible: false },
+    { id: 5, title: 'Private', incognito: true }
+  ];
+
+  describe('validateProtectionSettings', () => {
+    it('should fill in defaults and reject non-boolean values', () => {
+      expect(validateProtectionSettings({})).toEqual(DEFAULT_PROTECTION_SETTINGS);
+      expect(validateProtectionSettings({ active: true }).active).toBe(true);
+      expect(() => validateProtectionSettings({ pinned: 'yes' })).toThrow('Protection setting "pinned" must be true or false');
+    });
+  });
+
+  describe('resolveProtectionSettings', () => {
+    it('should fall back to the defaults for invalid stored settings', () => {
+      expect(resolveProtectionSettings({ audible: 1 })).toEqual(DEFAULT_PROTECTION_SETTINGS);
+      expect(resolveProtectionSettings(undefined)).toEqual(DEFAULT_PROTECTION_SETTINGS);
+    });
+  });
+
+  describe('getProtectionReason', () => {
+    it('should name the first policy that applies', () => {
+      expect(getProtectionReason({ pinned: true, audible: true }, DEFAULT_PROTECTION_SETTINGS)).toBe('pinned');
+      expect(getProtectionReason(tabs[1], DEFAULT_PROTECTION_SETTINGS)).toBeNull();
+      expect(getProtectionReason(tabs[1], { ...DEFAULT_PROTECTION_SETTINGS, active: true })).toBe('active');
+      expect(getProtectionReason(tabs[0], { ...DEFAULT_PROTECTION_SETTINGS, pinned: false })).toBeNull();
+    });
+  });
+
+  describe('splitProtectedTabs', () => {
+    it('should keep protected tabs apart with their reasons', () => {
+      const { allowed, protectedTabs } = splitProtectedTabs(tabs, DEFAULT_PROTECTION_SETTINGS);
+
+      expect(allowed.map(tab => tab.id)).toEqual([2, 4]);
+      expect(protectedTabs.map(entry => [entry.tab.id, entry.reason])).toEqual([[1, 'pinned'], [3, 'audible'], [5, 'incognito']]);
+      expect(describeProtectedTabs(protectedTabs)).toBe('1 pinned, 1 playing audio, 1 incognito');
+      expect(describeProtectedTabs([])).toBe('');
+    });
+  });
+});
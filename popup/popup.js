@@ -10,22 +10,151 @@ const statusText = document.getElementById('status-text');
 
 const bedrockFields = document.getElementById('bedrock-fields');
 const geminiFields = document.getElementById('gemini-fields');
+const openaiFields = document.getElementById('openai-fields');
+const anthropicFields = document.getElementById('anthropic-fields');
 const localFields = document.getElementById('local-fields');
+const modelFields = document.getElementById('model-fields');
+const modelInput = document.getElementById('model-input');
+const modelOptions = document.getElementById('model-options');
+const loadModelsBtn = document.getElementById('load-models-btn');
+const modelStatus = document.getElementById('model-status');
 
 const actionSection = document.getElementById('action-section');
 const autoGroupBtn = document.getElementById('auto-group-btn');
 const customGroupBtn = document.getElementById('custom-group-btn');
 const customPrompt = document.getElementById('custom-prompt');
+const presetSelect = document.getElementById('preset-select');
+const incrementalToggle = document.getElementById('incremental-toggle');
+const enrichToggle = document.getElementById('enrich-toggle');
+const scopeSelect = document.getElementById('scope-select');
+const consolidateOption = document.getElementById('consolidate-option');
+const consolidateToggle = document.getElementById('consolidate-toggle');
+const undoBtn = document.getElementById('undo-btn');
+const previewGroupBtn = document.getElementById('preview-group-btn');
+const previewSection = document.getElementById('preview-section');
+const previewGroups = document.getElementById('preview-groups');
+const previewUngrouped = document.getElementById('preview-ungrouped');
+const applyPreviewBtn = document.getElementById('apply-preview-btn');
+const cancelPreviewBtn = document.getElementById('cancel-preview-btn');
+const redoBtn = document.getElementById('redo-btn');
+const rulesBtn = document.getElementById('rules-btn');
+const rulesSection = document.getElementById('rules-section');
+const rulesList = document.getElementById('rules-list');
+const ruleMatchType = document.getElementById('rule-match-type');
+const rulePattern = document.getElementById('rule-pattern');
+const ruleGroupName = document.getElementById('rule-group-name');
+const ruleColor = document.getElementById('rule-color');
+const addRuleBtn = document.getElementById('add-rule-btn');
+const closeRulesBtn = document.getElementById('close-rules-btn');
+const groupsBtn = document.getElementById('groups-btn');
+const groupsSection = document.getElementById('groups-section');
+const groupsList = document.getElementById('groups-list');
+const groupsEmpty = document.getElementById('groups-empty');
+const collapseAllBtn = document.getElementById('collapse-all-btn');
+const expandAllBtn = document.getElementById('expand-all-btn');
+const ungroupAllBtn = document.getElementById('ungroup-all-btn');
+const closeGroupsBtn = document.getElementById('close-groups-btn');
+const duplicatesNotice = document.getElementById('duplicates-notice');
+const duplicatesBtn = document.getElementById('duplicates-btn');
+const duplicatesSection = document.getElementById('duplicates-section');
+const nearDuplicatesToggle = document.getElementById('near-duplicates-toggle');
+const scanDuplicatesBtn = document.getElementById('scan-duplicates-btn');
+const duplicatesList = document.getElementById('duplicates-list');
+const duplicatesEmpty = document.getElementById('duplicates-empty');
+const closeSelectedDuplicatesBtn = document.getElementById('close-selected-duplicates-btn');
+const duplicateToggles = document.querySelectorAll('#duplicate-toggles input[data-setting]');
+const duplicateRulesList = document.getElementById('duplicate-rules-list');
+const duplicateRuleDomain = document.getElementById('duplicate-rule-domain');
+const duplicateRuleMode = document.getElementById('duplicate-rule-mode');
+const addDuplicateRuleBtn = document.getElementById('add-duplicate-rule-btn');
+const closeDuplicatesBtn = document.getElementById('close-duplicates-btn');
+const archiveBtn = document.getElementById('archive-btn');
+const archiveSection = document.getElementById('archive-section');
+const staleDaysInput = document.getElementById('stale-days');
+const findStaleBtn = document.getElementById('find-stale-btn');
+const staleList = document.getElementById('stale-list');
+const staleEmpty = document.getElementById('stale-empty');
+const archiveStaleBtn = document.getElementById('archive-stale-btn');
+const archiveSearch = document.getElementById('archive-search');
+const archiveList = document.getElementById('archive-list');
+const archiveEmpty = document.getElementById('archive-empty');
+const closeArchiveBtn = document.getElementById('close-archive-btn');
+const sessionsBtn = document.getElementById('sessions-btn');
+const sessionsSection = document.getElementById('sessions-section');
+const sessionNameInput = document.getElementById('session-name');
+const saveSessionBtn = document.getElementById('save-session-btn');
+const sessionsList = document.getElementById('sessions-list');
+const sessionsEmpty = document.getElementById('sessions-empty');
+const exportSource = document.getElementById('export-source');
+const exportFormat = document.getElementById('export-format');
+const downloadExportBtn = document.getElementById('download-export-btn');
+const copyExportBtn = document.getElementById('copy-export-btn');
+const importText = document.getElementById('import-text');
+const importTextBtn = document.getElementById('import-text-btn');
+const importFileBtn = document.getElementById('import-file-btn');
+const importTabsFile = document.getElementById('import-tabs-file');
+const closeSessionsBtn = document.getElementById('close-sessions-btn');
+const presetsBtn = document.getElementById('presets-btn');
+const presetsSection = document.getElementById('presets-section');
+const presetsList = document.getElementById('presets-list');
+const presetName = document.getElementById('preset-name');
+const presetPrompt = document.getElementById('preset-prompt');
+const addPresetBtn = document.getElementById('add-preset-btn');
+const exportPresetsBtn = document.getElementById('export-presets-btn');
+const importPresetsBtn = document.getElementById('import-presets-btn');
+const importPresetsFile = document.getElementById('import-presets-file');
+const closePresetsBtn = document.getElementById('close-presets-btn');
+const registryBtn = document.getElementById('registry-btn');
+const registrySection = document.getElementById('registry-section');
+const registryList = document.getElementById('registry-list');
+const registryEmpty = document.getElementById('registry-empty');
+const closeRegistryBtn = document.getElementById('close-registry-btn');
+const privacyBtn = document.getElementById('privacy-btn');
+const privacySection = document.getElementById('privacy-section');
+const privacyStripToggle = document.getElementById('privacy-strip-toggle');
+const privacyList = document.getElementById('privacy-list');
+const protectionToggles = document.querySelectorAll('#protection-toggles input[data-policy]');
+const privacyAction = document.getElementById('privacy-action');
+const privacyMatchType = document.getElementById('privacy-match-type');
+const privacyPattern = document.getElementById('privacy-pattern');
+const addPrivacyBtn = document.getElementById('add-privacy-btn');
+const showRequestBtn = document.getElementById('show-request-btn');
+const requestPreview = document.getElementById('request-preview');
+const requestSummary = document.getElementById('request-summary');
+const requestText = document.getElementById('request-text');
+const closePrivacyBtn = document.getElementById('close-privacy-btn');
+const automationBtn = document.getElementById('automation-btn');
+const automationSection = document.getElementById('automation-section');
+const automationToggle = document.getElementById('automation-toggle');
+const classifyNewTabsToggle = document.getElementById('classify-new-tabs-toggle');
+const automationThreshold = document.getElementById('automation-threshold');
+const automationInterval = document.getElementById('automation-interval');
+const automationDebounce = document.getElementById('automation-debounce');
+const automationBudget = document.getElementById('automation-budget');
+const quietHoursToggle = document.getElementById('quiet-hours-toggle');
+const quietHoursStart = document.getElementById('quiet-hours-start');
+const quietHoursEnd = document.getElementById('quiet-hours-end');
+const automationStatus = document.getElementById('automation-status');
+const saveAutomationBtn = document.getElementById('save-automation-btn');
+const closeAutomationBtn = document.getElementById('close-automation-btn');
 
 const loadingIndicator = document.getElementById('loading-indicator');
 const loadingText = document.getElementById('loading-text');
 const messageArea = document.getElementById('message-area');
 const messageContent = document.getElementById('message-content');
 
+// Saved configuration, used to pre-fill the model when reconfiguring the same provider
+let currentConfig = null;
+
+// Proposal currently under review: { prompt, grouping options, groups: [{ name, reasoning, tabs }], ungroupedTabs }
+let previewState = null;
+
 // Initialize popup on load
 document.addEventListener('DOMContentLoaded', async () => {
   await loadConfiguration();
   setupEventListeners();
+  await loadPreferences();
+  await refreshDuplicatesNotice();
   
   // Restore popup state if available
   const { popupState } = await chrome.storage.local.get('popupState');
@@ -41,10 +170,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       document.getElementById('bedrock-region').value = popupState.region || '';
     } else if (popupState.provider === 'gemini') {
       document.getElementById('gemini-api-key').value = popupState.geminiApiKey || '';
+    } else if (popupState.provider === 'openai') {
+      document.getElementById('openai-api-key').value = popupState.openaiApiKey || '';
+    } else if (popupState.provider === 'anthropic') {
+      document.getElementById('anthropic-api-key').value = popupState.anthropicApiKey || '';
     } else if (popupState.provider === 'local') {
       document.getElementById('local-endpoint').value = popupState.localEndpoint || '';
       document.getElementById('local-api-key').value = popupState.localApiKey || '';
     }
+    modelInput.value = popupState.model || '';
   }
 });
 
@@ -57,8 +191,11 @@ window.addEventListener('blur', () => {
     sessionToken: document.getElementById('bedrock-session-token').value,
     region: document.getElementById('bedrock-region').value,
     geminiApiKey: document.getElementById('gemini-api-key').value,
+    openaiApiKey: document.getElementById('openai-api-key').value,
+    anthropicApiKey: document.getElementById('anthropic-api-key').value,
     localEndpoint: document.getElementById('local-endpoint').value,
     localApiKey: document.getElementById('local-api-key').value,
+    model: modelInput.value,
     timestamp: Date.now()
   };
   
@@ -69,6 +206,7 @@ window.addEventListener('blur', () => {
 async function loadConfiguration() {
   try {
     const response = await sendMessage({ action: 'getConfig' });
+    currentConfig = response.success ? response.data : null;
     
     if (response.success && response.data && response.data.configured) {
       // Show configured state
@@ -81,6 +219,10 @@ async function loadConfiguration() {
       actionSection.classList.remove('hidden');
       
       console.log('Configuration loaded - showing action section');
+      
+      await refreshHistoryControls();
+      await refreshWindowOptions();
+      await refreshPresetOptions();
     } else {
       // Show not configured state
       statusIndicator.classList.remove('configured');
@@ -102,8 +244,76 @@ function setupEventListeners() {
   saveConfigBtn.addEventListener('click', saveConfiguration);
   cancelConfigBtn.addEventListener('click', hideConfigForm);
   providerSelect.addEventListener('change', handleProviderChange);
+  loadModelsBtn.addEventListener('click', () => loadModelOptions(true));
   autoGroupBtn.addEventListener('click', handleAutoGroup);
   customGroupBtn.addEventListener('click', handleCustomGroup);
+  undoBtn.addEventListener('click', handleUndo);
+  redoBtn.addEventListener('click', handleRedo);
+  previewGroupBtn.addEventListener('click', handlePreviewGroup);
+  incrementalToggle.addEventListener('change', savePreferences);
+  enrichToggle.addEventListener('change', savePreferences);
+  scopeSelect.addEventListener('change', handleScopeChange);
+  consolidateToggle.addEventListener('change', savePreferences);
+  applyPreviewBtn.addEventListener('click', handleApplyPreview);
+  cancelPreviewBtn.addEventListener('click', hidePreview);
+  rulesBtn.addEventListener('click', showRules);
+  addRuleBtn.addEventListener('click', handleAddRule);
+  closeRulesBtn.addEventListener('click', hideRules);
+  ruleMatchType.addEventListener('change', updateRulePlaceholder);
+  presetSelect.addEventListener('change', handlePresetSelect);
+  groupsBtn.addEventListener('click', showGroups);
+  collapseAllBtn.addEventListener('click', () => runGroupAction('collapseGroups', { scope: 'all', collapsed: true }));
+  expandAllBtn.addEventListener('click', () => runGroupAction('collapseGroups', { scope: 'all', collapsed: false }));
+  ungroupAllBtn.addEventListener('click', () => runGroupAction('ungroupAll', { scope: 'all' }));
+  closeGroupsBtn.addEventListener('click', hideGroups);
+  duplicatesNotice.addEventListener('click', showDuplicates);
+  duplicatesBtn.addEventListener('click', showDuplicates);
+  scanDuplicatesBtn.addEventListener('click', () => findDuplicates(nearDuplicatesToggle.checked));
+  closeSelectedDuplicatesBtn.addEventListener('click', handleCloseDuplicates);
+  duplicateToggles.forEach(toggle => toggle.addEventListener('change', () => {
+    saveDuplicateSettings({ ...duplicateSettingsState, [toggle.dataset.setting]: toggle.checked });
+  }));
+  addDuplicateRuleBtn.addEventListener('click', handleAddDuplicateRule);
+  closeDuplicatesBtn.addEventListener('click', hideDuplicates);
+  archiveBtn.addEventListener('click', showArchive);
+  findStaleBtn.addEventListener('click', findStaleTabs);
+  staleDaysInput.addEventListener('change', savePreferences);
+  archiveStaleBtn.addEventListener('click', handleArchiveStaleTabs);
+  archiveSearch.addEventListener('input', loadArchive);
+  closeArchiveBtn.addEventListener('click', hideArchive);
+  sessionsBtn.addEventListener('click', showSessions);
+  saveSessionBtn.addEventListener('click', handleSaveSession);
+  sessionNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      handleSaveSession();
+    }
+  });
+  downloadExportBtn.addEventListener('click', () => handleExportTabs(false));
+  copyExportBtn.addEventListener('click', () => handleExportTabs(true));
+  importTextBtn.addEventListener('click', () => importTabs(importText.value));
+  importFileBtn.addEventListener('click', () => importTabsFile.click());
+  importTabsFile.addEventListener('change', handleImportTabsFile);
+  closeSessionsBtn.addEventListener('click', hideSessions);
+  presetsBtn.addEventListener('click', showPresets);
+  addPresetBtn.addEventListener('click', handleAddPreset);
+  exportPresetsBtn.addEventListener('click', handleExportPresets);
+  importPresetsBtn.addEventListener('click', () => importPresetsFile.click());
+  importPresetsFile.addEventListener('change', handleImportPresets);
+  closePresetsBtn.addEventListener('click', hidePresets);
+  registryBtn.addEventListener('click', showRegistry);
+  closeRegistryBtn.addEventListener('click', hideRegistry);
+  privacyBtn.addEventListener('click', showPrivacy);
+  closePrivacyBtn.addEventListener('click', hidePrivacy);
+  addPrivacyBtn.addEventListener('click', handleAddPrivacyPattern);
+  privacyMatchType.addEventListener('change', updatePrivacyPlaceholder);
+  privacyStripToggle.addEventListener('change', () => {
+    savePrivacySettings({ ...privacyState, stripSensitive: privacyStripToggle.checked });
+  });
+  protectionToggles.forEach(toggle => toggle.addEventListener('change', saveProtectionSettings));
+  showRequestBtn.addEventListener('click', handleShowRequest);
+  automationBtn.addEventListener('click', showAutomation);
+  closeAutomationBtn.addEventListener('click', hideAutomation);
+  saveAutomationBtn.addEventListener('click', handleSaveAutomation);
 }
 
 // Show configuration form
@@ -134,16 +344,86 @@ function handleProviderChange() {
     bedrockFields.classList.remove('hidden');
   } else if (provider === 'gemini') {
     geminiFields.classList.remove('hidden');
+  } else if (provider === 'openai') {
+    openaiFields.classList.remove('hidden');
+  } else if (provider === 'anthropic') {
+    anthropicFields.classList.remove('hidden');
   } else if (provider === 'local') {
     localFields.classList.remove('hidden');
   }
+  
+  if (provider) {
+    modelFields.classList.remove('hidden');
+    modelInput.value = provider === currentConfig?.provider ? (currentConfig.model || '') : '';
+    loadModelOptions(false);
+  }
+}
+
+// Fill the model picker for the selected provider
+// Presets are listed straight away; discovery uses the credentials typed in the form
+// when asked, otherwise the saved credentials for the same provider
+async function loadModelOptions(useFormCredentials) {
+  const provider = providerSelect.value;
+  if (!provider) {
+    return;
+  }
+  
+  const data = { provider };
+  if (useFormCredentials) {
+    const credentials = getCredentialInputs(provider);
+    if (credentials.apiKey || credentials.endpoint) {
+      data.credentials = credentials;
+    }
+    modelStatus.textContent = 'Loading models...';
+  }
+  
+  try {
+    const response = await sendMessage({ action: 'listModels', data });
+    
+    // Ignore answers for a provider that is no longer selected
+    if (!response || providerSelect.value !== provider) {
+      return;
+    }
+    
+    renderModelOptions(response.data?.models || []);
+    modelInput.placeholder = response.data?.defaultModel
+      ? `Default: ${response.data.defaultModel}`
+      : 'Provider default';
+    
+    if (!response.success) {
+      modelStatus.textContent = response.message || 'Could not load models';
+    } else if (response.data?.discovered) {
+      modelStatus.textContent = `${response.data.models.length} models available`;
+    } else {
+      modelStatus.textContent = '';
+    }
+  } catch (error) {
+    console.error('Failed to load models:', error);
+    modelStatus.textContent = 'Could not load models';
+  }
+}
+
+// Render model suggestions
+function renderModelOptions(models) {
+  modelOptions.innerHTML = '';
+  models.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model.id;
+    if (model.name && model.name !== model.id) {
+      option.label = model.name;
+    }
+    modelOptions.appendChild(option);
+  });
 }
 
 // Hide all credential fields
 function hideAllCredentialFields() {
   bedrockFields.classList.add('hidden');
   geminiFields.classList.add('hidden');
+  openaiFields.classList.add('hidden');
+  anthropicFields.classList.add('hidden');
   localFields.classList.add('hidden');
+  modelFields.classList.add('hidden');
 }
 
 // Clear credential inputs
@@ -153,8 +433,13 @@ function clearCredentialInputs() {
   document.getElementById('bedrock-session-token').value = '';
   document.getElementById('bedrock-region').value = '';
   document.getElementById('gemini-api-key').value = '';
+  document.getElementById('openai-api-key').value = '';
+  document.getElementById('anthropic-api-key').value = '';
   document.getElementById('local-endpoint').value = '';
   document.getElementById('local-api-key').value = '';
+  modelInput.value = '';
+  modelOptions.innerHTML = '';
+  modelStatus.textContent = '';
 }
 
 // Validate Bedrock credentials format
@@ -247,6 +532,16 @@ function validateConfiguration(provider, credentials) {
       showMessage('Please enter your Gemini API key', 'error');
       return false;
     }
+  } else if (provider === 'openai') {
+    if (!credentials.apiKey) {
+      showMessage('Please enter your OpenAI API key', 'error');
+      return false;
+    }
+  } else if (provider === 'anthropic') {
+    if (!credentials.apiKey) {
+      showMessage('Please enter your Anthropic API key', 'error');
+      return false;
+    }
   } else if (provider === 'local') {
     if (!credentials.endpoint) {
       showMessage('Please enter the Local LLM endpoint URL', 'error');
@@ -264,9 +559,8 @@ function validateConfiguration(provider, credentials) {
   return true;
 }
 
-// Save configuration
-async function saveConfiguration() {
-  const provider = providerSelect.value;
+// Read the credentials typed in the form for a provider
+function getCredentialInputs(provider) {
   let credentials = {};
   
   if (provider === 'bedrock') {
@@ -287,6 +581,14 @@ async function saveConfiguration() {
     credentials = {
       apiKey: document.getElementById('gemini-api-key').value.trim()
     };
+  } else if (provider === 'openai') {
+    credentials = {
+      apiKey: document.getElementById('openai-api-key').value.trim()
+    };
+  } else if (provider === 'anthropic') {
+    credentials = {
+      apiKey: document.getElementById('anthropic-api-key').value.trim()
+    };
   } else if (provider === 'local') {
     credentials = {
       endpoint: document.getElementById('local-endpoint').value.trim(),
@@ -294,6 +596,15 @@ async function saveConfiguration() {
     };
   }
   
+  return credentials;
+}
+
+// Save configuration
+async function saveConfiguration() {
+  const provider = providerSelect.value;
+  const credentials = getCredentialInputs(provider);
+  const model = modelInput.value.trim();
+  
   if (!validateConfiguration(provider, credentials)) {
     return;
   }
@@ -303,7 +614,8 @@ async function saveConfiguration() {
   try {
     const response = await sendMessage({
       action: 'saveConfig',
-      data: { provider, credentials }
+      // An empty model means the provider default
+      data: model ? { provider, credentials, model } : { provider, credentials }
     });
     
     hideLoading();
@@ -335,7 +647,7 @@ async function handleAutoGroup() {
   hideMessage();
   
   try {
-    const response = await sendMessage({ action: 'autoGroup' });
+    const response = await sendMessage(withGroupingOptions({ action: 'autoGroup' }));
     
     hideLoading();
     
@@ -348,8 +660,9 @@ async function handleAutoGroup() {
         showMessage(response.message, 'warning');
       } else {
         // Complete success
-        showMessage(`Successfully created ${groupCount} tab group${groupCount !== 1 ? 's' : ''}`, 'success');
+        showMessage(`Successfully created ${groupCount} tab group${groupCount !== 1 ? 's' : ''}${describeExtendedGroups(response.data)}`, 'success');
       }
+      await refreshHistoryControls();
     } else {
       // Check if error is retryable
       if (response.retryable) {
@@ -377,10 +690,10 @@ async function handleCustomGroup() {
   hideMessage();
   
   try {
-    const response = await sendMessage({
+    const response = await sendMessage(withGroupingOptions({
       action: 'customGroup',
       data: { prompt }
-    });
+    }));
     
     hideLoading();
     
@@ -393,9 +706,10 @@ async function handleCustomGroup() {
         showMessage(response.message, 'warning');
       } else {
         // Complete success
-        showMessage(`Successfully created ${groupCount} tab group${groupCount !== 1 ? 's' : ''} based on your instructions`, 'success');
+        showMessage(`Successfully created ${groupCount} tab group${groupCount !== 1 ? 's' : ''}${describeExtendedGroups(response.data)} based on your instructions`, 'success');
       }
       customPrompt.value = '';
+      await refreshHistoryControls();
     } else {
       // Check if error is retryable
       if (response.retryable) {
@@ -410,93 +724,2028 @@ async function handleCustomGroup() {
   }
 }
 
-// Show loading state
-function showLoading(text = 'Processing...') {
-  loadingText.textContent = text;
-  loadingIndicator.classList.remove('hidden');
+// Add the selected grouping options to a message (omitted when using defaults)
+function withGroupingOptions(message) {
+  const options = {};
+  
+  if (incrementalToggle.checked) {
+    options.incremental = true;
+  }
+  
+  if (enrichToggle.checked) {
+    options.enrichContent = true;
+  }
+  
+  Object.assign(options, getScopeOptions());
+  if (options.scope === 'all' && consolidateToggle.checked) {
+    options.consolidate = true;
+  }
+  
+  if (Object.keys(options).length > 0) {
+    message.data = { ...(message.data || {}), ...options };
+  }
+  return message;
+}
+
+// Add only the selected tab scope to a message
+function withScope(message) {
+  const options = getScopeOptions();
+  if (Object.keys(options).length > 0) {
+    message.data = { ...(message.data || {}), ...options };
+  }
+  return message;
+}
+
+// The selected tab scope as message options (empty for the current window)
+function getScopeOptions() {
+  const scope = scopeSelect.value;
+  if (scope === 'all') {
+    return { scope: 'all' };
+  }
+  if (scope.startsWith('window:')) {
+    return { scope: 'window', windowId: Number(scope.slice('window:'.length)) };
+  }
+  return {};
+}
+
+// List other open windows in the scope selector
+async function refreshWindowOptions() {
+  try {
+    const response = await sendMessage({ action: 'getWindows' });
+    if (!response.success || !Array.isArray(response.data)) {
+      return;
+    }
+    
+    const selected = scopeSelect.value;
+    scopeSelect.querySelectorAll('option[data-window]').forEach(option => option.remove());
+    
+    // A single window is already covered by "Current window"
+    if (response.data.length < 2) {
+      return;
+    }
+    
+    response.data.forEach(window => {
+      const option = document.createElement('option');
+      option.value = `window:${window.id}`;
+      option.dataset.window = 'true';
+      option.textContent = `${window.focused ? 'This window' : 'Window'}: ${window.title} (${window.tabCount} tab${window.tabCount !== 1 ? 's' : ''})`;
+      scopeSelect.appendChild(option);
+    });
+    
+    if ([...scopeSelect.options].some(option => option.value === selected)) {
+      scopeSelect.value = selected;
+    }
+  } catch (error) {
+    console.error('Failed to load windows:', error);
+  }
+}
+
+// Consolidation only applies when grouping across windows
+function handleScopeChange() {
+  consolidateOption.classList.toggle('hidden', scopeSelect.value !== 'all');
+  savePreferences();
+  refreshDuplicatesNotice();
+}
+
+// Summary suffix for tabs added to existing groups
+function describeExtendedGroups(data) {
+  const extended = data?.groupsExtended || 0;
+  return extended > 0 ? ` and added tabs to ${extended} existing group${extended !== 1 ? 's' : ''}` : '';
+}
+
+// Restore grouping preferences saved from previous popup sessions
+async function loadPreferences() {
+  const { popupPreferences } = await chrome.storage.local.get('popupPreferences');
+  incrementalToggle.checked = !!popupPreferences?.incremental;
+  enrichToggle.checked = !!popupPreferences?.enrichContent;
+  consolidateToggle.checked = !!popupPreferences?.consolidate;
+  staleDaysInput.value = popupPreferences?.staleDays || 7;
+  
+  // Window IDs change between sessions, so only the all-windows scope is remembered
+  scopeSelect.value = popupPreferences?.scope === 'all' ? 'all' : 'current';
+  consolidateOption.classList.toggle('hidden', scopeSelect.value !== 'all');
+}
+
+// Persist grouping preferences
+function savePreferences() {
+  chrome.storage.local.set({
+    popupPreferences: {
+      incremental: incrementalToggle.checked,
+      enrichContent: enrichToggle.checked,
+      scope: scopeSelect.value === 'all' ? 'all' : 'current',
+      consolidate: consolidateToggle.checked,
+      staleDays: Number(staleDaysInput.value) || 7
+    }
+  });
+}
+
+// Handle Preview button click: fetch proposed groups without applying them
+async function handlePreviewGroup() {
+  const prompt = customPrompt.value.trim();
+  
+  showLoading(prompt ? 'Preparing preview with your instructions...' : 'Preparing grouping preview...');
+  hideMessage();
+  
+  try {
+    const response = await sendMessage(withGroupingOptions({
+      action: 'previewGroup',
+      data: { prompt }
+    }));
+    
+    hideLoading();
+    
+    if (response.success) {
+      previewState = {
+        prompt: response.data.prompt,
+        incremental: !!response.data.incremental,
+        scope: response.data.scope,
+        windowId: response.data.windowId,
+        consolidate: !!response.data.consolidate,
+        groups: response.data.groups.map(group => ({
+          name: group.name,
+          reasoning: group.reasoning,
+          color: group.color,
+          tabs: [...group.tabs]
+        })),
+        ungroupedTabs: [...(response.data.ungroupedTabs || [])]
+      };
+      showPreview();
+    } else if (response.retryable) {
+      showMessageWithRetry(response.message, 'previewGroup');
+    } else {
+      showMessage(response.message || 'Failed to preview groups', 'error');
+    }
+  } catch (error) {
+    hideLoading();
+    showMessage('Error during preview: ' + error.message, 'error');
+  }
+}
+
+// Handle Apply button click: apply the reviewed proposal
+async function handleApplyPreview() {
+  if (!previewState || previewState.groups.length === 0) {
+    showMessage('There are no groups to apply', 'error');
+    return;
+  }
+  
+  if (previewState.groups.some(group => !group.name.trim())) {
+    showMessage('Every group needs a name', 'error');
+    return;
+  }
+  
+  const groups = previewState.groups.map(group => ({
+    name: group.name.trim(),
+    color: group.color,
+    tabIds: group.tabs.map(tab => tab.id)
+  }));
+  
+  hidePreview();
+  showLoading('Applying groups...');
+  
+  try {
+    const response = await sendMessage({
+      action: 'applyPreview',
+      data: {
+        groups,
+        prompt: previewState?.prompt || '',
+        incremental: !!previewState?.incremental,
+        scope: previewState?.scope,
+        windowId: previewState?.windowId,
+        consolidate: !!previewState?.consolidate
+      }
+    });
+    
+    hideLoading();
+    
+    if (response.success) {
+      previewState = null;
+      showMessage(response.message, response.data?.partialSuccess ? 'warning' : 'success');
+      await refreshHistoryControls();
+    } else {
+      showMessage(response.message || 'Failed to apply groups', 'error');
+      showPreview();
+    }
+  } catch (error) {
+    hideLoading();
+    showMessage('Error applying groups: ' + error.message, 'error');
+  }
+}
+
+// Show the preview panel in place of the action section
+function showPreview() {
+  renderPreview();
+  previewSection.classList.remove('hidden');
   actionSection.classList.add('hidden');
-  configSection.classList.add('hidden');
 }
 
-// Hide loading state
-function hideLoading() {
-  loadingIndicator.classList.add('hidden');
-  configSection.classList.remove('hidden');
+// Hide the preview panel and return to the action section
+function hidePreview() {
+  previewSection.classList.add('hidden');
   
   if (statusIndicator.classList.contains('configured')) {
     actionSection.classList.remove('hidden');
   }
 }
 
-// Show message
-function showMessage(text, type = 'error') {
-  // Clear existing content
-  messageArea.innerHTML = '';
-  
-  // Create icon element
-  const icon = document.createElement('span');
-  icon.className = 'message-icon';
-  messageArea.appendChild(icon);
+// Render the editable proposal
+function renderPreview() {
+  previewGroups.innerHTML = '';
+  previewUngrouped.innerHTML = '';
   
-  // Create content element
-  const content = document.createElement('div');
-  content.id = 'message-content';
-  content.textContent = text;
-  messageArea.appendChild(content);
+  if (!previewState) {
+    return;
+  }
   
-  // Set message type class
-  messageArea.className = type;
-  messageArea.classList.remove('hidden');
+  previewState.groups.forEach((group, groupIndex) => {
+    const card = document.createElement('div');
+    card.className = 'preview-group';
+    
+    // Editable group name with tab count
+    const header = document.createElement('div');
+    header.className = 'preview-group-header';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'form-input form-text-input preview-group-name';
+    nameInput.value = group.name;
+    nameInput.setAttribute('aria-label', 'Group name');
+    nameInput.addEventListener('input', () => {
+      group.name = nameInput.value;
+    });
+    header.appendChild(nameInput);
+    
+    const count = document.createElement('span');
+    count.className = 'preview-count';
+    count.textContent = `${group.tabs.length} tab${group.tabs.length !== 1 ? 's' : ''}`;
+    header.appendChild(count);
+    card.appendChild(header);
+    
+    if (group.reasoning) {
+      const reasoning = document.createElement('p');
+      reasoning.className = 'preview-reasoning';
+      reasoning.textContent = group.reasoning;
+      card.appendChild(reasoning);
+    }
+    
+    card.appendChild(renderPreviewTabList(group.tabs, groupIndex));
+    
+    // Merge / drop controls
+    const footer = document.createElement('div');
+    footer.className = 'preview-group-footer';
+    
+    if (previewState.groups.length > 1) {
+      const mergeSelect = createPreviewSelect('Merge into...', groupIndex, false);
+      mergeSelect.setAttribute('aria-label', 'Merge group into another group');
+      mergeSelect.addEventListener('change', () => {
+        mergePreviewGroups(groupIndex, Number(mergeSelect.value));
+      });
+      footer.appendChild(mergeSelect);
+    }
+    
+    const dropBtn = document.createElement('button');
+    dropBtn.className = 'btn btn-secondary preview-drop-btn';
+    dropBtn.textContent = 'Drop group';
+    dropBtn.addEventListener('click', () => dropPreviewGroup(groupIndex));
+    footer.appendChild(dropBtn);
+    
+    card.appendChild(footer);
+    previewGroups.appendChild(card);
+  });
   
-  // Auto-hide success and warning messages after 5 seconds
-  if (type === 'success' || type === 'warning') {
-    setTimeout(() => {
-      hideMessage();
-    }, 5000);
+  // Tabs left out of every group can still be moved into one
+  if (previewState.ungroupedTabs.length > 0) {
+    const heading = document.createElement('p');
+    heading.className = 'preview-count';
+    heading.textContent = `Not grouped (${previewState.ungroupedTabs.length})`;
+    previewUngrouped.appendChild(heading);
+    previewUngrouped.appendChild(renderPreviewTabList(previewState.ungroupedTabs, null));
   }
+  
+  applyPreviewBtn.disabled = previewState.groups.length === 0;
 }
 
-// Show message with retry option for transient failures
-function showMessageWithRetry(text, action, data = null) {
-  // Clear existing content
-  messageArea.innerHTML = '';
+// Render a list of tabs, each with a "move to" selector
+// groupIndex is null for the "Not grouped" list
+function renderPreviewTabList(tabs, groupIndex) {
+  const list = document.createElement('ul');
+  list.className = 'preview-tab-list';
   
-  // Create icon element
-  const icon = document.createElement('span');
-  icon.className = 'message-icon';
-  messageArea.appendChild(icon);
+  tabs.forEach(tab => {
+    const item = document.createElement('li');
+    item.className = 'preview-tab';
+    
+    const title = document.createElement('span');
+    title.className = 'preview-tab-title';
+    title.textContent = tab.title;
+    title.title = tab.url;
+    item.appendChild(title);
+    
+    const moveSelect = createPreviewSelect('Move to...', groupIndex, groupIndex !== null);
+    moveSelect.setAttribute('aria-label', `Move ${tab.title}`);
+    moveSelect.addEventListener('change', () => {
+      const target = moveSelect.value === 'ungrouped' ? null : Number(moveSelect.value);
+      movePreviewTab(tab.id, groupIndex, target);
+    });
+    item.appendChild(moveSelect);
+    
+    list.appendChild(item);
+  });
   
-  // Create content element
-  const content = document.createElement('div');
-  content.id = 'message-content';
-  content.textContent = text + ' ';
-  messageArea.appendChild(content);
+  return list;
+}
+
+// Build a select listing the other proposed groups (and optionally "Not grouped")
+function createPreviewSelect(placeholder, excludeIndex, includeUngrouped) {
+  const select = document.createElement('select');
+  select.className = 'form-select preview-select';
   
-  // Set message type class
-  messageArea.className = 'error';
-  messageArea.classList.remove('hidden');
+  const placeholderOption = document.createElement('option');
+  placeholderOption.value = '';
+  placeholderOption.textContent = placeholder;
+  select.appendChild(placeholderOption);
   
-  // Create retry button
-  const retryBtn = document.createElement('button');
-  retryBtn.textContent = 'Retry';
-  retryBtn.className = 'retry-btn';
-  retryBtn.style.marginLeft = '10px';
-  retryBtn.style.padding = '4px 12px';
-  retryBtn.style.fontSize = '12px';
-  retryBtn.style.cursor = 'pointer';
-  retryBtn.style.backgroundColor = '#4CAF50';
-  retryBtn.style.color = 'white';
-  retryBtn.style.border = 'none';
-  retryBtn.style.borderRadius = '4px';
+  previewState.groups.forEach((group, index) => {
+    if (index === excludeIndex) {
+      return;
+    }
+    const option = document.createElement('option');
+    option.value = String(index);
+    option.textContent = group.name || `Group ${index + 1}`;
+    select.appendChild(option);
+  });
   
-  retryBtn.addEventListener('click', async () => {
+  if (includeUngrouped) {
+    const option = document.createElement('option');
+    option.value = 'ungrouped';
+    option.textContent = 'Not grouped';
+    select.appendChild(option);
+  }
+  
+  return select;
+}
+
+// Move a tab between proposed groups (null = "Not grouped")
+function movePreviewTab(tabId, fromIndex, toIndex) {
+  const source = fromIndex === null ? previewState.ungroupedTabs : previewState.groups[fromIndex].tabs;
+  const position = source.findIndex(tab => tab.id === tabId);
+  if (position === -1) {
+    return;
+  }
+  
+  const [tab] = source.splice(position, 1);
+  const target = toIndex === null ? previewState.ungroupedTabs : previewState.groups[toIndex].tabs;
+  target.push(tab);
+  
+  // Groups emptied by moves disappear from the proposal
+  previewState.groups = previewState.groups.filter(group => group.tabs.length > 0);
+  renderPreview();
+}
+
+// Merge one proposed group into another
+function mergePreviewGroups(sourceIndex, targetIndex) {
+  const source = previewState.groups[sourceIndex];
+  const target = previewState.groups[targetIndex];
+  if (!source || !target) {
+    return;
+  }
+  
+  target.tabs.push(...source.tabs);
+  previewState.groups.splice(sourceIndex, 1);
+  renderPreview();
+}
+
+// Drop a proposed group, leaving its tabs ungrouped
+function dropPreviewGroup(groupIndex) {
+  const [group] = previewState.groups.splice(groupIndex, 1);
+  if (group) {
+    previewState.ungroupedTabs.push(...group.tabs);
+  }
+  renderPreview();
+}
+
+// Grouping rules being edited (as last saved by the service worker)
+let rulesState = [];
+
+const RULE_MATCH_LABELS = {
+  domain: 'Domain',
+  url: 'URL',
+  keyword: 'Title'
+};
+
+const RULE_PLACEHOLDERS = {
+  domain: 'e.g. github.com',
+  url: 'e.g. github\\.com/.+/pull/',
+  keyword: 'e.g. docs'
+};
+
+// Open the rules editor
+async function showRules() {
+  try {
+    const response = await sendMessage({ action: 'getRules' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load rules', 'error');
+      return;
+    }
+    
+    rulesState = Array.isArray(response.data) ? response.data : [];
+    renderRules();
     hideMessage();
+    rulesSection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  } catch (error) {
+    showMessage('Error loading rules: ' + error.message, 'error');
+  }
+}
+
+// Close the rules editor
+function hideRules() {
+  rulesSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Match the pattern hint to the selected match type
+function updateRulePlaceholder() {
+  rulePattern.placeholder = RULE_PLACEHOLDERS[ruleMatchType.value] || '';
+}
+
+// Render the saved rules with enable and delete controls
+function renderRules() {
+  rulesList.innerHTML = '';
+  
+  rulesState.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = rule.enabled === false ? 'rule-item disabled' : 'rule-item';
     
-    if (action === 'autoGroup') {
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled !== false;
+    enabled.setAttribute('aria-label', 'Rule enabled');
+    enabled.addEventListener('change', () => {
+      saveRules(rulesState.map((existing, i) => (i === index ? { ...existing, enabled: enabled.checked } : existing)));
+    });
+    item.appendChild(enabled);
+    
+    const summary = document.createElement('span');
+    summary.className = 'rule-summary';
+    summary.textContent = `${RULE_MATCH_LABELS[rule.matchType] || rule.matchType}: ${rule.pattern} → ${rule.groupName}${rule.color ? ` (${rule.color})` : ''}`;
+    summary.title = summary.textContent;
+    item.appendChild(summary);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      saveRules(rulesState.filter((existing, i) => i !== index));
+    });
+    item.appendChild(deleteBtn);
+    
+    rulesList.appendChild(item);
+  });
+}
+
+// Add a rule from the form
+async function handleAddRule() {
+  const pattern = rulePattern.value.trim();
+  const groupName = ruleGroupName.value.trim();
+  
+  if (!pattern || !groupName) {
+    showMessage('Enter a pattern and a group name', 'error');
+    return;
+  }
+  
+  const saved = await saveRules([
+    ...rulesState,
+    {
+      matchType: ruleMatchType.value,
+      pattern,
+      groupName,
+      color: ruleColor.value || null,
+      enabled: true
+    }
+  ]);
+  
+  if (saved) {
+    rulePattern.value = '';
+    ruleGroupName.value = '';
+    ruleColor.value = '';
+  }
+}
+
+// Save the full rule list; the service worker validates it
+async function saveRules(rules) {
+  try {
+    const response = await sendMessage({
+      action: 'saveRules',
+      data: { rules }
+    });
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save rules', 'error');
+      renderRules();
+      return false;
+    }
+    
+    rulesState = response.data;
+    renderRules();
+    hideMessage();
+    return true;
+  } catch (error) {
+    showMessage('Error saving rules: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Prompt presets (as last saved by the service worker)
+let presetsState = [];
+
+// Fill the saved prompt selector next to the custom prompt input
+async function refreshPresetOptions() {
+  try {
+    const response = await sendMessage({ action: 'getPresets' });
+    presetsState = response.success && Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    console.error('Failed to load prompt presets:', error);
+    presetsState = [];
+  }
+  renderPresetOptions();
+}
+
+// Rebuild the saved prompt selector from presetsState
+function renderPresetOptions() {
+  presetSelect.innerHTML = '';
+  
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = presetsState.length > 0 ? 'Saved prompts...' : 'No saved prompts yet';
+  presetSelect.appendChild(placeholder);
+  
+  presetsState.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+}
+
+// Put the chosen preset's prompt in the custom prompt input
+function handlePresetSelect() {
+  const preset = presetsState.find(candidate => candidate.id === presetSelect.value);
+  if (preset) {
+    customPrompt.value = preset.prompt;
+  }
+}
+
+// Open the presets editor; the current custom prompt is offered as the new preset's prompt
+async function showPresets() {
+  try {
+    const response = await sendMessage({ action: 'getPresets' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load presets', 'error');
+      return;
+    }
+    
+    presetsState = Array.isArray(response.data) ? response.data : [];
+    renderPresets();
+    if (!presetPrompt.value) {
+      presetPrompt.value = customPrompt.value.trim();
+    }
+    hideMessage();
+    presetsSection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  } catch (error) {
+    showMessage('Error loading presets: ' + error.message, 'error');
+  }
+}
+
+// Close the presets editor
+function hidePresets() {
+  presetsSection.classList.add('hidden');
+  renderPresetOptions();
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Render the saved presets with shortcut, run and delete controls
+function renderPresets() {
+  presetsList.innerHTML = '';
+  
+  presetsState.forEach((preset, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const summary = document.createElement('span');
+    summary.className = 'rule-summary';
+    summary.textContent = `${preset.name}: ${preset.prompt}`;
+    summary.title = summary.textContent;
+    item.appendChild(summary);
+    
+    const shortcutSelect = document.createElement('select');
+    shortcutSelect.className = 'form-select form-input preview-select';
+    shortcutSelect.setAttribute('aria-label', 'Keyboard shortcut slot');
+    [['', 'No shortcut'], ['1', 'Shortcut 1'], ['2', 'Shortcut 2'], ['3', 'Shortcut 3']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      shortcutSelect.appendChild(option);
+    });
+    shortcutSelect.value = preset.shortcut ? String(preset.shortcut) : '';
+    shortcutSelect.addEventListener('change', () => {
+      const shortcut = shortcutSelect.value ? Number(shortcutSelect.value) : null;
+      // A slot moves to this preset from whichever preset had it
+      savePresets(presetsState.map((existing, i) => {
+        if (i === index) {
+          return { ...existing, shortcut };
+        }
+        return shortcut !== null && existing.shortcut === shortcut ? { ...existing, shortcut: null } : existing;
+      }));
+    });
+    item.appendChild(shortcutSelect);
+    
+    const runBtn = document.createElement('button');
+    runBtn.className = 'btn btn-primary preview-drop-btn';
+    runBtn.textContent = 'Run';
+    runBtn.addEventListener('click', () => handleRunPreset(preset));
+    item.appendChild(runBtn);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      savePresets(presetsState.filter((existing, i) => i !== index));
+    });
+    item.appendChild(deleteBtn);
+    
+    presetsList.appendChild(item);
+  });
+}
+
+// Add a preset from the form
+async function handleAddPreset() {
+  const name = presetName.value.trim();
+  const prompt = presetPrompt.value.trim();
+  
+  if (!name || !prompt) {
+    showMessage('Enter a preset name and grouping instructions', 'error');
+    return;
+  }
+  
+  const saved = await savePresets([...presetsState, { name, prompt, shortcut: null }]);
+  
+  if (saved) {
+    presetName.value = '';
+    presetPrompt.value = '';
+  }
+}
+
+// Save the full preset list; the service worker validates it
+async function savePresets(presets) {
+  try {
+    const response = await sendMessage({
+      action: 'savePresets',
+      data: { presets }
+    });
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save presets', 'error');
+      renderPresets();
+      return false;
+    }
+    
+    presetsState = response.data;
+    renderPresets();
+    hideMessage();
+    return true;
+  } catch (error) {
+    showMessage('Error saving presets: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Run a preset with the grouping options selected in the popup
+async function handleRunPreset(preset) {
+  hidePresets();
+  showLoading(`Grouping tabs with "${preset.name}"...`);
+  hideMessage();
+  
+  try {
+    const response = await sendMessage(withGroupingOptions({
+      action: 'runPreset',
+      data: { id: preset.id }
+    }));
+    
+    hideLoading();
+    
+    if (response.success) {
+      if (response.data?.partialSuccess) {
+        showMessage(response.message, 'warning');
+      } else {
+        const groupCount = response.data?.groupsCreated || 0;
+        showMessage(`Successfully created ${groupCount} tab group${groupCount !== 1 ? 's' : ''}${describeExtendedGroups(response.data)} with "${preset.name}"`, 'success');
+      }
+      await refreshHistoryControls();
+    } else if (response.retryable) {
+      showMessageWithRetry(response.message, 'runPreset', { id: preset.id });
+    } else {
+      showMessage(response.message || 'Failed to group tabs', 'error');
+    }
+  } catch (error) {
+    hideLoading();
+    showMessage('Error running preset: ' + error.message, 'error');
+  }
+}
+
+// Download the presets as a JSON file to share
+async function handleExportPresets() {
+  try {
+    const response = await sendMessage({ action: 'exportPresets' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to export presets', 'error');
+      return;
+    }
+    
+    const url = URL.createObjectURL(new Blob([response.data.json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'clutterless-prompt-presets.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error exporting presets: ' + error.message, 'error');
+  }
+}
+
+// Merge presets from a chosen JSON file into the saved ones
+async function handleImportPresets() {
+  const file = importPresetsFile.files?.[0];
+  if (!file) {
+    return;
+  }
+  
+  try {
+    const response = await sendMessage({
+      action: 'importPresets',
+      data: { text: await file.text() }
+    });
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to import presets', 'error');
+      return;
+    }
+    
+    presetsState = response.data;
+    renderPresets();
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error importing presets: ' + error.message, 'error');
+  } finally {
+    importPresetsFile.value = '';
+  }
+}
+
+// Privacy settings being edited (as last saved by the service worker)
+let privacyState = { patterns: [], stripSensitive: true };
+
+const PRIVACY_ACTION_LABELS = {
+  exclude: 'Exclude',
+  redact: 'Redact'
+};
+
+const PRIVACY_PLACEHOLDERS = {
+  domain: 'e.g. mybank.com',
+  url: 'e.g. /payroll/'
+};
+
+// Open the privacy settings
+async function showPrivacy() {
+  try {
+    const response = await sendMessage({ action: 'getPrivacySettings' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load privacy settings', 'error');
+      return;
+    }
+    
+    privacyState = response.data;
+    renderPrivacySettings();
+    await loadProtectionSettings();
+    requestPreview.classList.add('hidden');
+    hideMessage();
+    privacySection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  } catch (error) {
+    showMessage('Error loading privacy settings: ' + error.message, 'error');
+  }
+}
+
+// Show the tab protection policies as toggles
+async function loadProtectionSettings() {
+  const response = await sendMessage({ action: 'getProtectionSettings' });
+  if (!response.success) {
+    showMessage(response.message || 'Failed to load tab protection', 'error');
+    return;
+  }
+  
+  protectionToggles.forEach(toggle => {
+    toggle.checked = response.data?.[toggle.dataset.policy] === true;
+  });
+}
+
+// Save all protection toggles; the service worker validates them
+async function saveProtectionSettings() {
+  const protection = {};
+  protectionToggles.forEach(toggle => {
+    protection[toggle.dataset.policy] = toggle.checked;
+  });
+  
+  try {
+    const response = await sendMessage({ action: 'saveProtectionSettings', data: protection });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save tab protection', 'error');
+      await loadProtectionSettings();
+    }
+  } catch (error) {
+    showMessage('Error saving tab protection: ' + error.message, 'error');
+  }
+}
+
+// Close the privacy settings
+function hidePrivacy() {
+  privacySection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Match the pattern hint to the selected match type
+function updatePrivacyPlaceholder() {
+  privacyPattern.placeholder = PRIVACY_PLACEHOLDERS[privacyMatchType.value] || '';
+}
+
+// Render the saved patterns with delete controls
+function renderPrivacySettings() {
+  privacyStripToggle.checked = privacyState.stripSensitive !== false;
+  privacyList.innerHTML = '';
+  
+  privacyState.patterns.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const summary = document.createElement('span');
+    summary.className = 'rule-summary';
+    summary.textContent = `${PRIVACY_ACTION_LABELS[entry.action] || entry.action}: ${RULE_MATCH_LABELS[entry.matchType] || entry.matchType} ${entry.pattern}`;
+    summary.title = summary.textContent;
+    item.appendChild(summary);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      savePrivacySettings({ ...privacyState, patterns: privacyState.patterns.filter((existing, i) => i !== index) });
+    });
+    item.appendChild(deleteBtn);
+    
+    privacyList.appendChild(item);
+  });
+}
+
+// Add a pattern from the form
+async function handleAddPrivacyPattern() {
+  const pattern = privacyPattern.value.trim();
+  if (!pattern) {
+    showMessage('Enter a domain or URL pattern', 'error');
+    return;
+  }
+  
+  const saved = await savePrivacySettings({
+    ...privacyState,
+    patterns: [
+      ...privacyState.patterns,
+      { action: privacyAction.value, matchType: privacyMatchType.value, pattern }
+    ]
+  });
+  
+  if (saved) {
+    privacyPattern.value = '';
+  }
+}
+
+// Save the privacy settings; the service worker validates them
+async function savePrivacySettings(settings) {
+  try {
+    const response = await sendMessage({
+      action: 'savePrivacySettings',
+      data: settings
+    });
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save privacy settings', 'error');
+      renderPrivacySettings();
+      return false;
+    }
+    
+    privacyState = response.data;
+    renderPrivacySettings();
+    requestPreview.classList.add('hidden');
+    hideMessage();
+    return true;
+  } catch (error) {
+    showMessage('Error saving privacy settings: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Show the prompt and tab list a grouping run would send, using the current options
+async function handleShowRequest() {
+  try {
+    const response = await sendMessage(withGroupingOptions({
+      action: 'previewRequest',
+      data: { prompt: customPrompt.value.trim() }
+    }));
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to prepare the request', 'error');
+      return;
+    }
+    
+    const data = response.data;
+    const parts = [`${data.tabCount} tab${data.tabCount !== 1 ? 's' : ''} sent to ${getProviderDisplayName(data.provider)} (${data.model})`];
+    if (data.redactedCount > 0) {
+      parts.push(`${data.redactedCount} redacted`);
+    }
+    if (data.excludedTabs.length > 0) {
+      parts.push(`${data.excludedTabs.length} excluded: ${data.excludedTabs.map(tab => tab.title).join(', ')}`);
+    }
+    if (data.ruleTabCount > 0) {
+      parts.push(`${data.ruleTabCount} grouped by rules without the AI`);
+    }
+    
+    requestSummary.textContent = parts.join('; ');
+    requestText.textContent = data.tabData ? `${data.systemPrompt}\n\n${data.tabData}` : 'Nothing will be sent.';
+    requestPreview.classList.remove('hidden');
+    hideMessage();
+  } catch (error) {
+    showMessage('Error preparing the request: ' + error.message, 'error');
+  }
+}
+
+// Open the automatic grouping settings
+async function showAutomation() {
+  try {
+    const response = await sendMessage({ action: 'getAutomationSettings' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load automation settings', 'error');
+      return;
+    }
+    
+    renderAutomationSettings(response.data.settings);
+    renderAutomationStatus(response.data.settings, response.data.status);
+    hideMessage();
+    automationSection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  } catch (error) {
+    showMessage('Error loading automation settings: ' + error.message, 'error');
+  }
+}
+
+// Close the automatic grouping settings
+function hideAutomation() {
+  automationSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Fill the form from saved settings
+function renderAutomationSettings(settings) {
+  automationToggle.checked = settings.enabled;
+  classifyNewTabsToggle.checked = settings.classifyNewTabs;
+  automationThreshold.value = settings.tabThreshold;
+  automationDebounce.value = settings.debounceSeconds;
+  automationBudget.value = settings.dailyBudget;
+  quietHoursToggle.checked = settings.quietHours.enabled;
+  quietHoursStart.value = settings.quietHours.start;
+  quietHoursEnd.value = settings.quietHours.end;
+  
+  // Keep intervals saved outside the preset list selectable
+  const interval = String(settings.intervalMinutes);
+  if (!Array.from(automationInterval.options).some(option => option.value === interval)) {
+    const option = document.createElement('option');
+    option.value = interval;
+    option.textContent = `Every ${interval} minutes`;
+    automationInterval.appendChild(option);
+  }
+  automationInterval.value = interval;
+}
+
+// Summarize today's usage and the last automatic run
+function renderAutomationStatus(settings, status) {
+  const parts = [`Ran ${status.runsToday} of ${settings.dailyBudget} time${settings.dailyBudget !== 1 ? 's' : ''} today.`];
+  
+  if (status.lastRunAt) {
+    const time = new Date(status.lastRunAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    parts.push(`Last run at ${time}: ${status.lastResult?.message || 'no result'}`);
+  }
+  
+  automationStatus.textContent = parts.join(' ');
+}
+
+// Save the form; the service worker validates the values and updates its alarms
+async function handleSaveAutomation() {
+  try {
+    const response = await sendMessage({
+      action: 'saveAutomationSettings',
+      data: {
+        enabled: automationToggle.checked,
+        classifyNewTabs: classifyNewTabsToggle.checked,
+        tabThreshold: Number(automationThreshold.value),
+        intervalMinutes: Number(automationInterval.value),
+        debounceSeconds: Number(automationDebounce.value),
+        dailyBudget: Number(automationBudget.value),
+        quietHours: {
+          enabled: quietHoursToggle.checked,
+          start: quietHoursStart.value,
+          end: quietHoursEnd.value
+        }
+      }
+    });
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save automation settings', 'error');
+      return;
+    }
+    
+    renderAutomationSettings(response.data);
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error saving automation settings: ' + error.message, 'error');
+  }
+}
+
+// Chrome tab group colors, for color pickers
+const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// Open the remembered groups editor
+async function showRegistry() {
+  const loaded = await loadRegistry();
+  if (loaded) {
+    hideMessage();
+    registrySection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  }
+}
+
+// Close the remembered groups editor
+function hideRegistry() {
+  registrySection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Fetch and render remembered groups
+async function loadRegistry() {
+  try {
+    const response = await sendMessage({ action: 'getGroupRegistry' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load remembered groups', 'error');
+      return false;
+    }
+    
+    renderRegistry(Array.isArray(response.data) ? response.data : []);
+    return true;
+  } catch (error) {
+    showMessage('Error loading remembered groups: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Render one row per remembered name: canonical name, color and forget button
+function renderRegistry(entries) {
+  registryList.innerHTML = '';
+  registryEmpty.classList.toggle('hidden', entries.length > 0);
+  
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'form-input form-text-input registry-name';
+    nameInput.value = entry.name;
+    nameInput.title = entry.key !== entry.name.toLowerCase() ? `Used for "${entry.key}"` : '';
+    nameInput.setAttribute('aria-label', 'Group name');
+    nameInput.addEventListener('change', () => {
+      updateIdentity({ name: entry.key, canonicalName: nameInput.value });
+    });
+    item.appendChild(nameInput);
+    
+    const colorSelect = document.createElement('select');
+    colorSelect.className = 'form-select form-input preview-select registry-color';
+    colorSelect.setAttribute('aria-label', 'Group color');
+    GROUP_COLORS.forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color;
+      colorSelect.appendChild(option);
+    });
+    colorSelect.value = entry.color || 'grey';
+    colorSelect.addEventListener('change', () => {
+      updateIdentity({ name: entry.key, color: colorSelect.value });
+    });
+    item.appendChild(colorSelect);
+    
+    const forgetBtn = document.createElement('button');
+    forgetBtn.className = 'btn btn-secondary preview-drop-btn registry-forget-btn';
+    forgetBtn.textContent = 'Forget';
+    forgetBtn.addEventListener('click', async () => {
+      const response = await sendMessage({ action: 'forgetGroupIdentity', data: { name: entry.key } });
+      if (!response.success) {
+        showMessage(response.message || 'Failed to forget group', 'error');
+      }
+      await loadRegistry();
+    });
+    item.appendChild(forgetBtn);
+    
+    registryList.appendChild(item);
+  });
+}
+
+// Save a changed name or color, then refresh the list
+async function updateIdentity(data) {
+  try {
+    const response = await sendMessage({ action: 'updateGroupIdentity', data });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to update group', 'error');
+    }
+    await loadRegistry();
+  } catch (error) {
+    showMessage('Error updating group: ' + error.message, 'error');
+  }
+}
+
+// Open the group management view
+async function showGroups() {
+  const loaded = await loadGroups();
+  if (loaded) {
+    hideMessage();
+    groupsSection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+  }
+}
+
+// Close the group management view
+function hideGroups() {
+  groupsSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Fetch and render the open groups
+async function loadGroups() {
+  try {
+    const response = await sendMessage({ action: 'listGroups' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load groups', 'error');
+      return false;
+    }
+    
+    renderGroups(Array.isArray(response.data) ? response.data : []);
+    return true;
+  } catch (error) {
+    showMessage('Error loading groups: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Render one row per open group: name, color, tab count and an actions menu
+function renderGroups(groups) {
+  groupsList.innerHTML = '';
+  groupsEmpty.classList.toggle('hidden', groups.length > 0);
+  
+  const windowIds = [...new Set(groups.map(group => group.windowId))];
+  
+  groups.forEach(group => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'form-input form-text-input registry-name';
+    nameInput.value = group.title;
+    nameInput.placeholder = 'Unnamed group';
+    nameInput.setAttribute('aria-label', 'Group name');
+    nameInput.addEventListener('change', () => {
+      runGroupAction('updateGroup', { groupId: group.id, title: nameInput.value });
+    });
+    item.appendChild(nameInput);
+    
+    const colorSelect = document.createElement('select');
+    colorSelect.className = 'form-select form-input preview-select registry-color';
+    colorSelect.setAttribute('aria-label', 'Group color');
+    GROUP_COLORS.forEach(color => {
+      const option = document.createElement('option');
+      option.value = color;
+      option.textContent = color;
+      colorSelect.appendChild(option);
+    });
+    colorSelect.value = group.color || 'grey';
+    colorSelect.addEventListener('change', () => {
+      runGroupAction('updateGroup', { groupId: group.id, color: colorSelect.value });
+    });
+    item.appendChild(colorSelect);
+    
+    const count = document.createElement('span');
+    count.className = 'group-tab-count';
+    count.textContent = `${group.tabCount} tab${group.tabCount !== 1 ? 's' : ''}` +
+      (windowIds.length > 1 ? ` · window ${windowIds.indexOf(group.windowId) + 1}` : '');
+    item.appendChild(count);
+    
+    const actionSelect = document.createElement('select');
+    actionSelect.className = 'form-select form-input preview-select';
+    actionSelect.setAttribute('aria-label', 'Group actions');
+    const actions = [
+      ['', 'More...'],
+      ...groups
+        .filter(other => other.id !== group.id)
+        .map(other => [`merge:${other.id}`, `Merge into ${other.title || 'unnamed group'}`]),
+      ['split', 'Split in two'],
+      ['ungroup', 'Ungroup'],
+      ['window', 'Move to new window'],
+      ['close', 'Close tabs']
+    ];
+    actions.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      actionSelect.appendChild(option);
+    });
+    actionSelect.addEventListener('change', () => handleGroupMenuAction(group, actionSelect.value));
+    item.appendChild(actionSelect);
+    
+    groupsList.appendChild(item);
+  });
+}
+
+// Run the action chosen in a group's actions menu
+async function handleGroupMenuAction(group, value) {
+  if (value.startsWith('merge:')) {
+    await runGroupAction('mergeGroups', { sourceGroupId: group.id, targetGroupId: Number(value.slice('merge:'.length)) });
+  } else if (value === 'split') {
+    await runGroupAction('splitGroup', { groupId: group.id });
+  } else if (value === 'ungroup') {
+    await runGroupAction('ungroupGroup', { groupId: group.id });
+  } else if (value === 'window') {
+    await runGroupAction('moveGroupToNewWindow', { groupId: group.id });
+  } else if (value === 'close') {
+    if (window.confirm(`Close all ${group.tabCount} tab(s) in ${group.title || 'this group'}? This cannot be undone.`)) {
+      await runGroupAction('closeGroup', { groupId: group.id });
+    } else {
+      await loadGroups();
+    }
+  }
+}
+
+// Send a group management request, then refresh the group list and undo buttons
+async function runGroupAction(action, data) {
+  try {
+    const response = await sendMessage({ action, data });
+    if (response.success) {
+      showMessage(response.message, 'success');
+    } else {
+      showMessage(response.message || 'Failed to update groups', 'error');
+    }
+    
+    await loadGroups();
+    await refreshHistoryControls();
+  } catch (error) {
+    showMessage('Error updating groups: ' + error.message, 'error');
+  }
+}
+
+// Duplicate detection settings as last loaded or saved: { ignoreFragments, ignoreTrackingParams, ignoreTrailingSlash, domainRules }
+let duplicateSettingsState = null;
+
+// Labels for per-domain duplicate rules
+const DUPLICATE_RULE_LABELS = {
+  ignoreQuery: 'ignore query string',
+  keepFragment: 'compare the part after #'
+};
+
+// Offer to close exact duplicates in the selected scope before grouping
+async function refreshDuplicatesNotice() {
+  try {
+    const response = await sendMessage(withScope({ action: 'findDuplicates' }));
+    const count = response.success ? response.data?.duplicateCount || 0 : 0;
+    duplicatesNotice.textContent = `Close ${count} Duplicate Tab${count !== 1 ? 's' : ''}...`;
+    duplicatesNotice.classList.toggle('hidden', count === 0);
+  } catch (error) {
+    console.error('Failed to check for duplicate tabs:', error);
+  }
+}
+
+// Open the duplicate tabs view and list the exact duplicates
+async function showDuplicates() {
+  try {
+    const response = await sendMessage({ action: 'getDuplicateSettings' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load duplicate settings', 'error');
+      return;
+    }
+    
+    duplicateSettingsState = response.data;
+    renderDuplicateSettings();
+    hideMessage();
+    duplicatesSection.classList.remove('hidden');
+    actionSection.classList.add('hidden');
+    await findDuplicates(nearDuplicatesToggle.checked);
+  } catch (error) {
+    showMessage('Error loading duplicate settings: ' + error.message, 'error');
+  }
+}
+
+// Close the duplicate tabs view
+function hideDuplicates() {
+  duplicatesSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+  refreshDuplicatesNotice();
+}
+
+// Search the selected scope for duplicates; the near-duplicate pass asks the AI
+async function findDuplicates(nearDuplicates) {
+  if (nearDuplicates) {
+    showLoading('Looking for the same pages at different URLs...');
+  }
+  
+  try {
+    const message = withScope({ action: 'findDuplicates' });
+    if (nearDuplicates) {
+      message.data = { ...(message.data || {}), nearDuplicates: true };
+    }
+    const response = await sendMessage(message);
+    hideLoading();
+    
+    if (!response.success) {
+      showMessage(response.message || 'Failed to find duplicate tabs', 'error');
+      return;
+    }
+    
+    renderDuplicates(Array.isArray(response.data?.sets) ? response.data.sets : []);
+  } catch (error) {
+    hideLoading();
+    showMessage('Error finding duplicate tabs: ' + error.message, 'error');
+  }
+}
+
+// Render each duplicated page: the copy kept, then a checkbox per extra copy (checked to close)
+function renderDuplicates(sets) {
+  duplicatesList.innerHTML = '';
+  duplicatesEmpty.classList.toggle('hidden', sets.length > 0);
+  closeSelectedDuplicatesBtn.classList.toggle('hidden', sets.length === 0);
+  
+  sets.forEach(set => {
+    const item = document.createElement('li');
+    item.className = 'rule-item duplicate-set';
+    
+    const keep = document.createElement('span');
+    keep.className = 'rule-summary';
+    keep.textContent = `Keep: ${set.keep.title}${set.kind === 'near' ? ' (same content)' : ''}`;
+    keep.title = set.keep.url;
+    item.appendChild(keep);
+    
+    set.duplicates.forEach(tab => {
+      const label = document.createElement('label');
+      label.className = 'option-toggle';
+      label.title = tab.url;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.dataset.tabId = tab.id;
+      label.appendChild(checkbox);
+      
+      const title = document.createElement('span');
+      title.className = 'rule-summary';
+      title.textContent = tab.title;
+      label.appendChild(title);
+      
+      item.appendChild(label);
+    });
+    
+    duplicatesList.appendChild(item);
+  });
+}
+
+// Close the checked copies, then search again
+async function handleCloseDuplicates() {
+  const tabIds = [...duplicatesList.querySelectorAll('input[data-tab-id]:checked')]
+    .map(checkbox => Number(checkbox.dataset.tabId));
+  if (tabIds.length === 0) {
+    showMessage('Check the duplicate tabs to close', 'error');
+    return;
+  }
+  
+  try {
+    const response = await sendMessage({ action: 'closeDuplicates', data: { tabIds } });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to close duplicate tabs', 'error');
+      return;
+    }
+    
+    await findDuplicates(false);
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error closing duplicate tabs: ' + error.message, 'error');
+  }
+}
+
+// Render the comparison toggles and per-domain rules
+function renderDuplicateSettings() {
+  duplicateToggles.forEach(toggle => {
+    toggle.checked = duplicateSettingsState[toggle.dataset.setting] === true;
+  });
+  duplicateRulesList.innerHTML = '';
+  
+  duplicateSettingsState.domainRules.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const summary = document.createElement('span');
+    summary.className = 'rule-summary';
+    summary.textContent = `${rule.domain}: ${DUPLICATE_RULE_LABELS[rule.mode] || rule.mode}`;
+    summary.title = summary.textContent;
+    item.appendChild(summary);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => {
+      saveDuplicateSettings({
+        ...duplicateSettingsState,
+        domainRules: duplicateSettingsState.domainRules.filter((existing, i) => i !== index)
+      });
+    });
+    item.appendChild(deleteBtn);
+    
+    duplicateRulesList.appendChild(item);
+  });
+}
+
+// Add a per-domain rule from the form
+async function handleAddDuplicateRule() {
+  const domain = duplicateRuleDomain.value.trim();
+  if (!domain) {
+    showMessage('Enter a domain such as example.com', 'error');
+    return;
+  }
+  
+  const saved = await saveDuplicateSettings({
+    ...duplicateSettingsState,
+    domainRules: [...duplicateSettingsState.domainRules, { domain, mode: duplicateRuleMode.value }]
+  });
+  
+  if (saved) {
+    duplicateRuleDomain.value = '';
+  }
+}
+
+// Save the duplicate settings (the service worker validates them), then search again
+async function saveDuplicateSettings(settings) {
+  try {
+    const response = await sendMessage({ action: 'saveDuplicateSettings', data: settings });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save duplicate settings', 'error');
+      renderDuplicateSettings();
+      return false;
+    }
+    
+    duplicateSettingsState = response.data;
+    renderDuplicateSettings();
+    hideMessage();
+    await findDuplicates(false);
+    return true;
+  } catch (error) {
+    showMessage('Error saving duplicate settings: ' + error.message, 'error');
+    return false;
+  }
+}
+
+// Open the stale tabs and archive view
+async function showArchive() {
+  hideMessage();
+  archiveSection.classList.remove('hidden');
+  actionSection.classList.add('hidden');
+  await findStaleTabs();
+  await loadArchive();
+}
+
+// Close the stale tabs and archive view
+function hideArchive() {
+  archiveSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+  refreshDuplicatesNotice();
+}
+
+// Describe how long ago a time was, in whole days
+function formatDaysAgo(time) {
+  const days = Math.floor((Date.now() - time) / (24 * 60 * 60 * 1000));
+  return days < 1 ? 'today' : `${days} day${days !== 1 ? 's' : ''} ago`;
+}
+
+// List tabs in the selected scope unused for the chosen number of days
+async function findStaleTabs() {
+  try {
+    const response = await sendMessage(withScope({
+      action: 'findStaleTabs',
+      data: { days: Number(staleDaysInput.value) }
+    }));
+    if (!response.success) {
+      showMessage(response.message || 'Failed to find stale tabs', 'error');
+      return;
+    }
+    
+    renderStaleTabs(Array.isArray(response.data?.tabs) ? response.data.tabs : []);
+  } catch (error) {
+    showMessage('Error finding stale tabs: ' + error.message, 'error');
+  }
+}
+
+// Render a checkbox per stale tab (checked to archive) with when it was last used
+function renderStaleTabs(tabs) {
+  staleList.innerHTML = '';
+  staleEmpty.classList.toggle('hidden', tabs.length > 0);
+  archiveStaleBtn.classList.toggle('hidden', tabs.length === 0);
+  
+  tabs.forEach(tab => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    item.title = tab.url;
+    
+    const label = document.createElement('label');
+    label.className = 'option-toggle rule-summary';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.tabId = tab.id;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(tab.groupName ? `${tab.title} (${tab.groupName})` : tab.title));
+    item.appendChild(label);
+    
+    const lastUsed = document.createElement('span');
+    lastUsed.className = 'group-tab-count';
+    lastUsed.textContent = formatDaysAgo(tab.lastActive);
+    item.appendChild(lastUsed);
+    
+    staleList.appendChild(item);
+  });
+}
+
+// Archive and close the checked stale tabs
+async function handleArchiveStaleTabs() {
+  const tabIds = [...staleList.querySelectorAll('input[data-tab-id]:checked')]
+    .map(checkbox => Number(checkbox.dataset.tabId));
+  if (tabIds.length === 0) {
+    showMessage('Check the tabs to archive', 'error');
+    return;
+  }
+  
+  try {
+    const response = await sendMessage({ action: 'archiveStaleTabs', data: { tabIds } });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to archive tabs', 'error');
+      return;
+    }
+    
+    await findStaleTabs();
+    await loadArchive();
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error archiving tabs: ' + error.message, 'error');
+  }
+}
+
+// Fetch and render archived tabs matching the search box
+async function loadArchive() {
+  try {
+    const response = await sendMessage({ action: 'getArchive', data: { query: archiveSearch.value } });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load the archive', 'error');
+      return;
+    }
+    
+    renderArchive(Array.isArray(response.data?.entries) ? response.data.entries : [], response.data?.total || 0);
+  } catch (error) {
+    showMessage('Error loading the archive: ' + error.message, 'error');
+  }
+}
+
+// Render archived tabs with their group and archive date, and restore/delete controls
+function renderArchive(entries, total) {
+  archiveList.innerHTML = '';
+  archiveEmpty.textContent = total > 0 ? 'No archived tabs match your search.' : 'No archived tabs.';
+  archiveEmpty.classList.toggle('hidden', entries.length > 0);
+  
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const summary = document.createElement('span');
+    summary.className = 'rule-summary';
+    summary.textContent = entry.title;
+    summary.title = entry.url;
+    item.appendChild(summary);
+    
+    const details = document.createElement('span');
+    details.className = 'group-tab-count';
+    details.textContent = `${entry.groupName ? `${entry.groupName} · ` : ''}${new Date(entry.archivedAt).toLocaleDateString()}`;
+    item.appendChild(details);
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-secondary preview-drop-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => runArchiveAction('restoreArchivedTabs', [entry.id]));
+    item.appendChild(restoreBtn);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => runArchiveAction('deleteArchivedTabs', [entry.id]));
+    item.appendChild(deleteBtn);
+    
+    archiveList.appendChild(item);
+  });
+}
+
+// Restore or delete archived tabs, then refresh the archive
+async function runArchiveAction(action, ids) {
+  try {
+    const response = await sendMessage({ action, data: { ids } });
+    if (response.success) {
+      showMessage(response.message, 'success');
+    } else {
+      showMessage(response.message || 'Failed to update the archive', 'error');
+    }
+    
+    await loadArchive();
+  } catch (error) {
+    showMessage('Error updating the archive: ' + error.message, 'error');
+  }
+}
+
+// Open the named sessions view
+async function showSessions() {
+  hideMessage();
+  sessionsSection.classList.remove('hidden');
+  actionSection.classList.add('hidden');
+  await loadSessions();
+}
+
+// Close the named sessions view
+function hideSessions() {
+  sessionsSection.classList.add('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Fetch and render the saved sessions
+async function loadSessions() {
+  try {
+    const response = await sendMessage({ action: 'listSessions' });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to load sessions', 'error');
+      return;
+    }
+    
+    renderSessions(Array.isArray(response.data) ? response.data : []);
+  } catch (error) {
+    showMessage('Error loading sessions: ' + error.message, 'error');
+  }
+}
+
+// Render each session with an editable name, its size and date, and restore/delete controls
+function renderSessions(sessions) {
+  sessionsList.innerHTML = '';
+  sessionsEmpty.classList.toggle('hidden', sessions.length > 0);
+  renderExportSources(sessions);
+  
+  sessions.forEach(session => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'form-input form-text-input registry-name';
+    nameInput.value = session.name;
+    nameInput.maxLength = 80;
+    nameInput.setAttribute('aria-label', 'Session name');
+    nameInput.addEventListener('change', () => {
+      runSessionAction('renameSession', { id: session.id, name: nameInput.value });
+    });
+    item.appendChild(nameInput);
+    
+    const details = document.createElement('span');
+    details.className = 'group-tab-count';
+    details.textContent = `${session.tabCount} tab${session.tabCount !== 1 ? 's' : ''} · ` +
+      `${session.groupCount} group${session.groupCount !== 1 ? 's' : ''} · ${new Date(session.createdAt).toLocaleDateString()}`;
+    item.appendChild(details);
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-secondary preview-drop-btn';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => runSessionAction('restoreSession', { id: session.id }));
+    item.appendChild(restoreBtn);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-secondary preview-drop-btn rule-delete-btn';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => runSessionAction('deleteSession', { id: session.id }));
+    item.appendChild(deleteBtn);
+    
+    sessionsList.appendChild(item);
+  });
+}
+
+// Offer this window and every saved session as export sources, keeping the current choice
+function renderExportSources(sessions) {
+  const selected = exportSource.value;
+  exportSource.innerHTML = '';
+  
+  const windowOption = document.createElement('option');
+  windowOption.value = '';
+  windowOption.textContent = 'This window';
+  exportSource.appendChild(windowOption);
+  
+  sessions.forEach(session => {
+    const option = document.createElement('option');
+    option.value = session.id;
+    option.textContent = `Session: ${session.name}`;
+    exportSource.appendChild(option);
+  });
+  
+  exportSource.value = sessions.some(session => session.id === selected) ? selected : '';
+}
+
+// Export the chosen window or session in the chosen format, as a download or to the clipboard
+async function handleExportTabs(toClipboard) {
+  try {
+    const response = await sendMessage({
+      action: 'exportTabs',
+      data: { format: exportFormat.value, sessionId: exportSource.value || undefined }
+    });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to export tabs', 'error');
+      return;
+    }
+    
+    const { content, fileName, mimeType } = response.data;
+    if (toClipboard) {
+      await navigator.clipboard.writeText(content);
+      showMessage(`${response.message} to the clipboard`, 'success');
+      return;
+    }
+    
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error exporting tabs: ' + error.message, 'error');
+  }
+}
+
+// Open tabs from exported JSON or OneTab text in a new window
+async function importTabs(text) {
+  try {
+    const response = await sendMessage({ action: 'importTabs', data: { text } });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to import tabs', 'error');
+      return;
+    }
+    
+    importText.value = '';
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error importing tabs: ' + error.message, 'error');
+  }
+}
+
+// Import tabs from a chosen JSON or OneTab text file
+async function handleImportTabsFile() {
+  const file = importTabsFile.files?.[0];
+  if (!file) {
+    return;
+  }
+  
+  try {
+    await importTabs(await file.text());
+  } finally {
+    importTabsFile.value = '';
+  }
+}
+
+// Save the current window under the name typed in
+async function handleSaveSession() {
+  try {
+    const response = await sendMessage({ action: 'saveSession', data: { name: sessionNameInput.value } });
+    if (!response.success) {
+      showMessage(response.message || 'Failed to save the session', 'error');
+      return;
+    }
+    
+    sessionNameInput.value = '';
+    await loadSessions();
+    showMessage(response.message, 'success');
+  } catch (error) {
+    showMessage('Error saving the session: ' + error.message, 'error');
+  }
+}
+
+// Restore, rename or delete a session, then refresh the list
+async function runSessionAction(action, data) {
+  try {
+    const response = await sendMessage({ action, data });
+    if (response.success) {
+      showMessage(response.message, 'success');
+    } else {
+      showMessage(response.message || 'Failed to update the session', 'error');
+    }
+    
+    await loadSessions();
+  } catch (error) {
+    showMessage('Error updating the session: ' + error.message, 'error');
+  }
+}
+
+// Handle Undo button click
+async function handleUndo() {
+  await runHistoryAction('undo', 'Restoring previous arrangement...');
+}
+
+// Handle Redo button click
+async function handleRedo() {
+  await runHistoryAction('redo', 'Reapplying grouping...');
+}
+
+// Send an undo/redo request and update the buttons from the returned history
+async function runHistoryAction(action, loadingMessage) {
+  showLoading(loadingMessage);
+  hideMessage();
+  
+  try {
+    const response = await sendMessage({ action });
+    
+    hideLoading();
+    
+    if (response.success) {
+      showMessage(response.message, 'success');
+      updateHistoryControls(response.data);
+    } else {
+      showMessage(response.message || `Failed to ${action}`, 'error');
+      await refreshHistoryControls();
+    }
+  } catch (error) {
+    hideLoading();
+    showMessage(`Error during ${action}: ` + error.message, 'error');
+  }
+}
+
+// Fetch undo/redo availability from the service worker
+async function refreshHistoryControls() {
+  try {
+    const response = await sendMessage({ action: 'getHistory' });
+    updateHistoryControls(response?.success ? response.data : null);
+  } catch (error) {
+    console.error('Failed to load grouping history:', error);
+    updateHistoryControls(null);
+  }
+}
+
+// Enable or disable undo/redo buttons based on history summary
+function updateHistoryControls(history) {
+  const entries = history?.entries || [];
+  const cursor = history?.cursor || 0;
+  
+  undoBtn.disabled = !history?.canUndo;
+  redoBtn.disabled = !history?.canRedo;
+  undoBtn.title = history?.canUndo ? `Undo: ${entries[cursor - 1]?.label || 'last grouping'}` : 'Nothing to undo';
+  redoBtn.title = history?.canRedo ? `Redo: ${entries[cursor]?.label || 'grouping'}` : 'Nothing to redo';
+}
+
+// Show loading state
+function showLoading(text = 'Processing...') {
+  loadingText.textContent = text;
+  loadingIndicator.classList.remove('hidden');
+  actionSection.classList.add('hidden');
+  configSection.classList.add('hidden');
+}
+
+// Hide loading state
+function hideLoading() {
+  loadingIndicator.classList.add('hidden');
+  configSection.classList.remove('hidden');
+  
+  if (statusIndicator.classList.contains('configured')) {
+    actionSection.classList.remove('hidden');
+  }
+}
+
+// Show message
+function showMessage(text, type = 'error') {
+  // Clear existing content
+  messageArea.innerHTML = '';
+  
+  // Create icon element
+  const icon = document.createElement('span');
+  icon.className = 'message-icon';
+  messageArea.appendChild(icon);
+  
+  // Create content element
+  const content = document.createElement('div');
+  content.id = 'message-content';
+  content.textContent = text;
+  messageArea.appendChild(content);
+  
+  // Set message type class
+  messageArea.className = type;
+  messageArea.classList.remove('hidden');
+  
+  // Auto-hide success and warning messages after 5 seconds
+  if (type === 'success' || type === 'warning') {
+    setTimeout(() => {
+      hideMessage();
+    }, 5000);
+  }
+}
+
+// Show message with retry option for transient failures
+function showMessageWithRetry(text, action, data = null) {
+  // Clear existing content
+  messageArea.innerHTML = '';
+  
+  // Create icon element
+  const icon = document.createElement('span');
+  icon.className = 'message-icon';
+  messageArea.appendChild(icon);
+  
+  // Create content element
+  const content = document.createElement('div');
+  content.id = 'message-content';
+  content.textContent = text + ' ';
+  messageArea.appendChild(content);
+  
+  // Set message type class
+  messageArea.className = 'error';
+  messageArea.classList.remove('hidden');
+  
+  // Create retry button
+  const retryBtn = document.createElement('button');
+  retryBtn.textContent = 'Retry';
+  retryBtn.className = 'retry-btn';
+  retryBtn.style.marginLeft = '10px';
+  retryBtn.style.padding = '4px 12px';
+  retryBtn.style.fontSize = '12px';
+  retryBtn.style.cursor = 'pointer';
+  retryBtn.style.backgroundColor = '#4CAF50';
+  retryBtn.style.color = 'white';
+  retryBtn.style.border = 'none';
+  retryBtn.style.borderRadius = '4px';
+  
+  retryBtn.addEventListener('click', async () => {
+    hideMessage();
+    
+    if (action === 'autoGroup') {
       await handleAutoGroup();
     } else if (action === 'customGroup' && data?.prompt) {
       customPrompt.value = data.prompt;
       await handleCustomGroup();
+    } else if (action === 'previewGroup') {
+      await handlePreviewGroup();
+    } else if (action === 'runPreset' && data?.id) {
+      const preset = presetsState.find(candidate => candidate.id === data.id);
+      if (preset) {
+        await handleRunPreset(preset);
+      }
     }
   });
   
@@ -528,6 +2777,8 @@ function getProviderDisplayName(provider) {
   const names = {
     bedrock: 'AWS Bedrock',
     gemini: 'Google Gemini',
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
     local: 'Local LLM'
   };
   return names[provider] || provider;
@@ -172,6 +172,175 @@ describe('Popup UI Integration Tests', () => {
       expect(localFields.classList.contains('hidden')).toBe(false);
     });
 
+    it('should show OpenAI and Anthropic credential fields when selected', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        callback({ success: true, data: { configured: false } });
+      });
+
+      const event = new window.Event('DOMContentLoaded');
+      document.dispatchEvent(event);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      const openaiFields = document.getElementById('openai-fields');
+      const anthropicFields = document.getElementById('anthropic-fields');
+
+      providerSelect.value = 'openai';
+      providerSelect.dispatchEvent(new window.Event('change'));
+
+      expect(openaiFields.classList.contains('hidden')).toBe(false);
+      expect(anthropicFields.classList.contains('hidden')).toBe(true);
+
+      providerSelect.value = 'anthropic';
+      providerSelect.dispatchEvent(new window.Event('change'));
+
+      expect(openaiFields.classList.contains('hidden')).toBe(true);
+      expect(anthropicFields.classList.contains('hidden')).toBe(false);
+    });
+
+    it('should send the Anthropic API key when saving', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        callback({ success: true, data: { configured: false } });
+      });
+
+      const event = new window.Event('DOMContentLoaded');
+      document.dispatchEvent(event);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      providerSelect.value = 'anthropic';
+      providerSelect.dispatchEvent(new window.Event('change'));
+
+      document.getElementById('anthropic-api-key').value = ' sk-ant-test ';
+      document.getElementById('save-config-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'saveConfig', data: { provider: 'anthropic', credentials: { apiKey: 'sk-ant-test' } } },
+        expect.any(Function)
+      );
+    });
+
+    it('should require an OpenAI API key before saving', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        callback({ success: true, data: { configured: false } });
+      });
+
+      const event = new window.Event('DOMContentLoaded');
+      document.dispatchEvent(event);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      providerSelect.value = 'openai';
+      providerSelect.dispatchEvent(new window.Event('change'));
+
+      document.getElementById('save-config-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const messageArea = document.getElementById('message-area');
+      expect(messageArea.textContent).toContain('Please enter your OpenAI API key');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'saveConfig' }),
+        expect.any(Function)
+      );
+    });
+
+    it('should list model presets when a provider is selected', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'listModels') {
+          callback({
+            success: true,
+            data: {
+              models: [{ id: 'gemini-2.5-flash', name: 'Gemini 2.5 Flash' }],
+              defaultModel: 'gemini-3-pro-preview',
+              discovered: false
+            }
+          });
+        } else {
+          callback({ success: true, data: { configured: false } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      providerSelect.value = 'gemini';
+      providerSelect.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'listModels', data: { provider: 'gemini' } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('model-fields').classList.contains('hidden')).toBe(false);
+      expect(document.querySelector('#model-options option').value).toBe('gemini-2.5-flash');
+      expect(document.getElementById('model-input').placeholder).toBe('Default: gemini-3-pro-preview');
+    });
+
+    it('should discover models with the credentials in the form', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'listModels') {
+          callback({ success: false, message: 'Failed to list models: Authentication failed', data: { models: [] } });
+        } else {
+          callback({ success: true, data: { configured: false } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      providerSelect.value = 'openai';
+      providerSelect.dispatchEvent(new window.Event('change'));
+      document.getElementById('openai-api-key').value = 'sk-test';
+      document.getElementById('load-models-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'listModels', data: { provider: 'openai', credentials: { apiKey: 'sk-test' } } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('model-status').textContent).toContain('Authentication failed');
+    });
+
+    it('should save the chosen model and pre-fill it when reconfiguring', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getConfig') {
+          callback({ success: true, data: { configured: true, provider: 'local', model: 'llama3.1:8b' } });
+        } else {
+          callback({ success: true, data: { models: [] } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const providerSelect = document.getElementById('provider-select');
+      const modelInput = document.getElementById('model-input');
+      providerSelect.value = 'local';
+      providerSelect.dispatchEvent(new window.Event('change'));
+
+      expect(modelInput.value).toBe('llama3.1:8b');
+
+      document.getElementById('local-endpoint').value = 'http://localhost:11434/v1/chat/completions';
+      modelInput.value = 'qwen2.5:7b';
+      document.getElementById('save-config-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          action: 'saveConfig',
+          data: {
+            provider: 'local',
+            credentials: { endpoint: 'http://localhost:11434/v1/chat/completions', apiKey: undefined },
+            model: 'qwen2.5:7b'
+          }
+        },
+        expect.any(Function)
+      );
+    });
+
     it('should validate Bedrock credentials before saving', async () => {
       chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
         callback({ success: true, data: { configured: false } });
@@ -539,4 +708,951 @@ describe('Popup UI Integration Tests', () => {
       expect(actionSection.classList.contains('hidden')).toBe(false);
     });
   });
+
+  describe('Preview Grouping', () => {
+    const proposal = {
+      prompt: '',
+      groups: [
+        { name: 'Docs', reasoning: 'Documentation pages', tabs: [{ id: 1, title: 'MDN', url: 'https://developer.mozilla.org' }] },
+        { name: 'Code', reasoning: 'Repositories', tabs: [{ id: 2, title: 'GitHub', url: 'https://github.com' }] }
+      ],
+      ungroupedTabs: [{ id: 3, title: 'News', url: 'https://news.example.com' }]
+    };
+
+    const setupPreview = async (onApply) => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'previewGroup') {
+          callback({ success: true, data: proposal });
+        } else if (msg.action === 'applyPreview') {
+          onApply?.(msg);
+          callback({ success: true, message: 'Created 1 group(s): Reference', data: { groupsCreated: 1 } });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('preview-group-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+    };
+
+    it('should render proposed groups with reasoning without applying them', async () => {
+      await setupPreview();
+
+      const previewSection = document.getElementById('preview-section');
+      const names = [...document.querySelectorAll('.preview-group-name')].map(input => input.value);
+
+      expect(previewSection.classList.contains('hidden')).toBe(false);
+      expect(names).toEqual(['Docs', 'Code']);
+      expect(document.querySelector('.preview-reasoning').textContent).toBe('Documentation pages');
+      expect(document.getElementById('preview-ungrouped').textContent).toContain('News');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'applyPreview' }),
+        expect.any(Function)
+      );
+    });
+
+    it('should apply edited groups by tab ID', async () => {
+      let applied;
+      await setupPreview((msg) => { applied = msg; });
+
+      // Rename the first group and merge the second into it
+      const nameInput = document.querySelector('.preview-group-name');
+      nameInput.value = 'Reference';
+      nameInput.dispatchEvent(new window.Event('input'));
+
+      const mergeSelect = document.querySelectorAll('.preview-group')[1].querySelector('.preview-group-footer select');
+      mergeSelect.value = '0';
+      mergeSelect.dispatchEvent(new window.Event('change'));
+
+      document.getElementById('apply-preview-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(applied.data.groups).toEqual([{ name: 'Reference', tabIds: [1, 2] }]);
+      expect(document.getElementById('message-content').textContent).toContain('Reference');
+    });
+
+    it('should leave tabs of a dropped group ungrouped', async () => {
+      await setupPreview();
+
+      document.querySelector('.preview-drop-btn').click();
+
+      expect(document.querySelectorAll('.preview-group')).toHaveLength(1);
+      expect(document.getElementById('preview-ungrouped').textContent).toContain('MDN');
+    });
+  });
+
+  describe('Incremental Grouping', () => {
+    it('should send incremental option when toggle is checked', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'autoGroup') {
+          callback({ success: true, data: { groupsCreated: 1, groupsExtended: 2 } });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('incremental-toggle').checked = true;
+      document.getElementById('auto-group-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'autoGroup', data: { incremental: true } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('message-content').textContent)
+        .toContain('added tabs to 2 existing groups');
+    });
+  });
+
+  describe('Page Content Option', () => {
+    it('should send enrichContent when the toggle is checked', async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'autoGroup') {
+          callback({ success: true, data: { groupsCreated: 1 } });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('enrich-toggle').checked = true;
+      document.getElementById('auto-group-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'autoGroup', data: { enrichContent: true } },
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('Window Scope', () => {
+    const setupWindows = async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getWindows') {
+          callback({
+            success: true,
+            data: [
+              { id: 10, focused: true, tabCount: 3, title: 'Inbox' },
+              { id: 20, focused: false, tabCount: 5, title: 'Docs' }
+            ]
+          });
+        } else if (msg.action === 'autoGroup') {
+          callback({ success: true, data: { groupsCreated: 2 } });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list open windows in the scope selector', async () => {
+      await setupWindows();
+
+      const labels = [...document.getElementById('scope-select').options].map(option => option.textContent);
+
+      expect(labels).toContain('Window: Docs (5 tabs)');
+      expect(labels).toContain('This window: Inbox (3 tabs)');
+    });
+
+    it('should send the chosen window with grouping requests', async () => {
+      await setupWindows();
+
+      document.getElementById('scope-select').value = 'window:20';
+      document.getElementById('auto-group-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'autoGroup', data: { scope: 'window', windowId: 20 } },
+        expect.any(Function)
+      );
+    });
+
+    it('should send consolidation option for all windows', async () => {
+      await setupWindows();
+
+      const scopeSelect = document.getElementById('scope-select');
+      scopeSelect.value = 'all';
+      scopeSelect.dispatchEvent(new window.Event('change'));
+      document.getElementById('consolidate-toggle').checked = true;
+      document.getElementById('auto-group-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(document.getElementById('consolidate-option').classList.contains('hidden')).toBe(false);
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'autoGroup', data: { scope: 'all', consolidate: true } },
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('Grouping Rules', () => {
+    let savedRules;
+
+    const setupRules = async () => {
+      savedRules = [{ id: 'r1', groupName: 'Jira', matchType: 'domain', pattern: 'atlassian.net', color: 'blue', enabled: true }];
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getRules') {
+          callback({ success: true, data: savedRules });
+        } else if (msg.action === 'saveRules') {
+          if (msg.data.rules.some(rule => rule.pattern === '(')) {
+            callback({ success: false, message: 'Rule 2: Invalid URL pattern: Unterminated group' });
+            return;
+          }
+          savedRules = msg.data.rules.map((rule, index) => ({ id: `r${index + 1}`, ...rule }));
+          callback({ success: true, data: savedRules });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('rules-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list saved rules', async () => {
+      await setupRules();
+
+      expect(document.getElementById('rules-section').classList.contains('hidden')).toBe(false);
+      expect(document.querySelector('.rule-summary').textContent).toBe('Domain: atlassian.net → Jira (blue)');
+    });
+
+    it('should add a rule and save the full list', async () => {
+      await setupRules();
+
+      document.getElementById('rule-match-type').value = 'keyword';
+      document.getElementById('rule-pattern').value = 'docs';
+      document.getElementById('rule-group-name').value = 'Docs';
+      document.getElementById('add-rule-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          action: 'saveRules',
+          data: {
+            rules: [
+              savedRules[0],
+              { matchType: 'keyword', pattern: 'docs', groupName: 'Docs', color: null, enabled: true }
+            ]
+          }
+        },
+        expect.any(Function)
+      );
+      expect(document.querySelectorAll('.rule-item')).toHaveLength(2);
+      expect(document.getElementById('rule-pattern').value).toBe('');
+    });
+
+    it('should show validation errors and keep the form', async () => {
+      await setupRules();
+
+      document.getElementById('rule-match-type').value = 'url';
+      document.getElementById('rule-pattern').value = '(';
+      document.getElementById('rule-group-name').value = 'Broken';
+      document.getElementById('add-rule-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.getElementById('message-content').textContent).toContain('Invalid URL pattern');
+      expect(document.getElementById('rule-pattern').value).toBe('(');
+      expect(document.querySelectorAll('.rule-item')).toHaveLength(1);
+    });
+
+    it('should delete a rule', async () => {
+      await setupRules();
+
+      document.querySelector('.rule-delete-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.querySelectorAll('.rule-item')).toHaveLength(0);
+    });
+  });
+
+  describe('Group Management', () => {
+    const setupGroups = async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'listGroups') {
+          callback({
+            success: true,
+            data: [
+              { id: 10, title: 'Research', color: 'blue', collapsed: false, windowId: 1, tabCount: 3 },
+              { id: 20, title: 'Docs', color: 'green', collapsed: true, windowId: 2, tabCount: 1 }
+            ]
+          });
+        } else if (['updateGroup', 'mergeGroups', 'collapseGroups', 'closeGroup'].includes(msg.action)) {
+          callback({ success: true, message: 'Done' });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('groups-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list groups with tab counts and windows', async () => {
+      await setupGroups();
+
+      const counts = [...document.querySelectorAll('#groups-list .group-tab-count')].map(count => count.textContent);
+      expect(counts).toEqual(['3 tabs · window 1', '1 tab · window 2']);
+      expect(document.querySelector('#groups-list .registry-name').value).toBe('Research');
+    });
+
+    it('should rename groups and merge one into another', async () => {
+      await setupGroups();
+
+      const nameInput = document.querySelector('#groups-list .registry-name');
+      nameInput.value = 'Papers';
+      nameInput.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'updateGroup', data: { groupId: 10, title: 'Papers' } },
+        expect.any(Function)
+      );
+
+      const actionSelect = document.querySelectorAll('#groups-list select[aria-label="Group actions"]')[1];
+      actionSelect.value = 'merge:10';
+      actionSelect.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'mergeGroups', data: { sourceGroupId: 20, targetGroupId: 10 } },
+        expect.any(Function)
+      );
+    });
+
+    it('should ask before closing a group', async () => {
+      await setupGroups();
+      window.confirm = vi.fn().mockReturnValue(false);
+
+      const actionSelect = document.querySelector('#groups-list select[aria-label="Group actions"]');
+      actionSelect.value = 'close';
+      actionSelect.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(window.confirm).toHaveBeenCalledWith('Close all 3 tab(s) in Research? This cannot be undone.');
+      expect(chrome.runtime.sendMessage).not.toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'closeGroup' }),
+        expect.any(Function)
+      );
+
+      document.getElementById('collapse-all-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'collapseGroups', data: { scope: 'all', collapsed: true } },
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('Duplicate Tabs', () => {
+    const sets = [
+      {
+        kind: 'exact',
+        keep: { id: 2, title: 'Guide', url: 'https://docs.example.com/guide' },
+        duplicates: [{ id: 1, title: 'Guide', url: 'https://docs.example.com/guide#faq' }, { id: 3, title: 'Guide (copy)', url: 'https://docs.example.com/guide/' }]
+      }
+    ];
+
+    const setupDuplicates = async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'findDuplicates') {
+          callback({ success: true, data: { sets, duplicateCount: 2 } });
+        } else if (msg.action === 'getDuplicateSettings' || msg.action === 'saveDuplicateSettings') {
+          callback({ success: true, data: { ignoreFragments: true, ignoreTrackingParams: true, ignoreTrailingSlash: true, domainRules: [], ...msg.data } });
+        } else if (msg.action === 'closeDuplicates') {
+          callback({ success: true, message: 'Closed 1 duplicate tab(s)' });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should offer to close duplicates before grouping', async () => {
+      await setupDuplicates();
+
+      const notice = document.getElementById('duplicates-notice');
+      expect(notice.classList.contains('hidden')).toBe(false);
+      expect(notice.textContent).toBe('Close 2 Duplicate Tabs...');
+
+      notice.click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.getElementById('duplicates-section').classList.contains('hidden')).toBe(false);
+      expect(document.querySelector('#duplicates-list .rule-summary').textContent).toBe('Keep: Guide');
+      expect(document.querySelectorAll('#duplicates-list input[data-tab-id]:checked')).toHaveLength(2);
+    });
+
+    it('should close only the checked copies', async () => {
+      await setupDuplicates();
+      document.getElementById('duplicates-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.querySelector('#duplicates-list input[data-tab-id="3"]').checked = false;
+      document.getElementById('close-selected-duplicates-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'closeDuplicates', data: { tabIds: [1] } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('message-area').textContent).toContain('Closed 1 duplicate tab(s)');
+    });
+
+    it('should ask the AI for near-duplicates and save domain rules', async () => {
+      await setupDuplicates();
+      document.getElementById('duplicates-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('near-duplicates-toggle').checked = true;
+      document.getElementById('scan-duplicates-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'findDuplicates', data: { nearDuplicates: true } },
+        expect.any(Function)
+      );
+
+      document.getElementById('duplicate-rule-domain').value = 'shop.example.com';
+      document.getElementById('add-duplicate-rule-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          action: 'saveDuplicateSettings',
+          data: expect.objectContaining({ domainRules: [{ domain: 'shop.example.com', mode: 'ignoreQuery' }] })
+        },
+        expect.any(Function)
+      );
+      expect(document.querySelector('#duplicate-rules-list .rule-summary').textContent).toBe('shop.example.com: ignore query string');
+    });
+  });
+
+  describe('Stale Tabs and Archive', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let archive;
+
+    const setupArchive = async () => {
+      archive = [
+        { id: 'a1', title: 'Rust book', url: 'https://doc.rust-lang.org/book', groupName: 'Learning', archivedAt: Date.now() },
+        { id: 'a2', title: 'Flights', url: 'https://travel.example.com', groupName: null, archivedAt: Date.now() }
+      ];
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'findStaleTabs') {
+          callback({
+            success: true,
+            data: {
+              days: msg.data.days,
+              tabs: [
+                { id: 1, title: 'Old paper', url: 'https://arxiv.org/abs/1', lastActive: Date.now() - 30 * DAY, groupName: 'Research' },
+                { id: 2, title: 'Old recipe', url: 'https://food.example.com', lastActive: Date.now() - 10 * DAY, groupName: null }
+              ]
+            }
+          });
+        } else if (msg.action === 'getArchive') {
+          const query = (msg.data.query || '').toLowerCase();
+          callback({ success: true, data: { entries: archive.filter(entry => entry.title.toLowerCase().includes(query)), total: archive.length } });
+        } else if (['archiveStaleTabs', 'restoreArchivedTabs', 'deleteArchivedTabs'].includes(msg.action)) {
+          callback({ success: true, message: 'Done' });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('archive-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list stale tabs with when they were last used', async () => {
+      await setupArchive();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'findStaleTabs', data: { days: 7 } },
+        expect.any(Function)
+      );
+      const items = [...document.querySelectorAll('#stale-list .rule-item')];
+      expect(items.map(item => item.querySelector('.rule-summary').textContent)).toEqual(['Old paper (Research)', 'Old recipe']);
+      expect(items[0].querySelector('.group-tab-count').textContent).toBe('30 days ago');
+    });
+
+    it('should archive only the checked tabs', async () => {
+      await setupArchive();
+
+      document.querySelector('#stale-list input[data-tab-id="2"]').checked = false;
+      document.getElementById('archive-stale-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'archiveStaleTabs', data: { tabIds: [1] } },
+        expect.any(Function)
+      );
+    });
+
+    it('should search and restore archived tabs', async () => {
+      await setupArchive();
+      expect(document.querySelectorAll('#archive-list .rule-item')).toHaveLength(2);
+
+      const search = document.getElementById('archive-search');
+      search.value = 'rust';
+      search.dispatchEvent(new window.Event('input'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const items = document.querySelectorAll('#archive-list .rule-item');
+      expect(items).toHaveLength(1);
+      expect(items[0].querySelector('.group-tab-count').textContent).toContain('Learning · ');
+
+      items[0].querySelector('button').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'restoreArchivedTabs', data: { ids: ['a1'] } },
+        expect.any(Function)
+      );
+
+      search.value = 'nothing';
+      search.dispatchEvent(new window.Event('input'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(document.getElementById('archive-empty').textContent).toBe('No archived tabs match your search.');
+    });
+  });
+
+  describe('Named Sessions', () => {
+    let sessions;
+
+    const setupSessions = async () => {
+      sessions = [
+        { id: 's1', name: 'Sprint 42 research', createdAt: Date.now(), tabCount: 12, groupCount: 3 }
+      ];
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'listSessions') {
+          callback({ success: true, data: sessions });
+        } else if (msg.action === 'saveSession') {
+          if (!msg.data.name.trim()) {
+            callback({ success: false, message: 'Session requires a name' });
+            return;
+          }
+          sessions = [{ id: 's2', name: msg.data.name, createdAt: Date.now(), tabCount: 1, groupCount: 0 }, ...sessions];
+          callback({ success: true, message: `Saved ${msg.data.name}` });
+        } else if (['restoreSession', 'renameSession', 'deleteSession'].includes(msg.action)) {
+          callback({ success: true, message: 'Done' });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('sessions-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list saved sessions with their size', async () => {
+      await setupSessions();
+
+      const items = document.querySelectorAll('#sessions-list .rule-item');
+      expect(items).toHaveLength(1);
+      expect(items[0].querySelector('.registry-name').value).toBe('Sprint 42 research');
+      expect(items[0].querySelector('.group-tab-count').textContent).toContain('12 tabs · 3 groups · ');
+    });
+
+    it('should save the window under the typed name', async () => {
+      await setupSessions();
+
+      document.getElementById('save-session-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(document.getElementById('message-content').textContent).toBe('Session requires a name');
+
+      document.getElementById('session-name').value = 'Release prep';
+      document.getElementById('save-session-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'saveSession', data: { name: 'Release prep' } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('session-name').value).toBe('');
+      expect(document.querySelectorAll('#sessions-list .rule-item')).toHaveLength(2);
+    });
+
+    it('should restore, rename and delete a session', async () => {
+      await setupSessions();
+
+      const item = document.querySelector('#sessions-list .rule-item');
+      const nameInput = item.querySelector('.registry-name');
+      nameInput.value = 'Sprint 43';
+      nameInput.dispatchEvent(new window.Event('change'));
+      item.querySelector('.preview-drop-btn').click();
+      item.querySelector('.rule-delete-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      for (const message of [
+        { action: 'renameSession', data: { id: 's1', name: 'Sprint 43' } },
+        { action: 'restoreSession', data: { id: 's1' } },
+        { action: 'deleteSession', data: { id: 's1' } }
+      ]) {
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(message, expect.any(Function));
+      }
+    });
+
+    it('should export the chosen session and open pasted tabs', async () => {
+      await setupSessions();
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'exportTabs') {
+          callback({ success: true, message: 'Exported 12 tab(s)', data: { content: '## Research\n', fileName: 'tabs.md', mimeType: 'text/markdown' } });
+        } else {
+          callback({ success: true, message: 'Opened 2 tab(s) in a new window (0 group(s))' });
+        }
+      });
+      const writeText = vi.fn().mockResolvedValue();
+      Object.defineProperty(window.navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+      const source = document.getElementById('export-source');
+      expect([...source.options].map(option => option.textContent)).toEqual(['This window', 'Session: Sprint 42 research']);
+      source.value = 's1';
+      document.getElementById('export-format').value = 'markdown';
+      document.getElementById('copy-export-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'exportTabs', data: { format: 'markdown', sessionId: 's1' } },
+        expect.any(Function)
+      );
+      expect(writeText).toHaveBeenCalledWith('## Research\n');
+      expect(document.getElementById('message-content').textContent).toBe('Exported 12 tab(s) to the clipboard');
+
+      const importText = document.getElementById('import-text');
+      importText.value = 'https://a.example.com | A';
+      document.getElementById('import-text-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'importTabs', data: { text: 'https://a.example.com | A' } },
+        expect.any(Function)
+      );
+      expect(importText.value).toBe('');
+    });
+  });
+
+  describe('Prompt Presets', () => {
+    let savedPresets;
+
+    const setupPresets = async () => {
+      savedPresets = [{ id: 'p1', name: 'By project', prompt: 'Group by project', shortcut: 1 }];
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getPresets') {
+          callback({ success: true, data: savedPresets });
+        } else if (msg.action === 'savePresets') {
+          savedPresets = msg.data.presets.map((preset, index) => ({ id: preset.id || `p${index + 1}`, ...preset }));
+          callback({ success: true, data: savedPresets });
+        } else if (msg.action === 'runPreset') {
+          callback({ success: true, data: { groupsCreated: 2 } });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should fill the custom prompt from a saved preset', async () => {
+      await setupPresets();
+
+      const presetSelect = document.getElementById('preset-select');
+      expect([...presetSelect.options].map(option => option.textContent)).toEqual(['Saved prompts...', 'By project']);
+
+      presetSelect.value = 'p1';
+      presetSelect.dispatchEvent(new window.Event('change'));
+
+      expect(document.getElementById('custom-prompt').value).toBe('Group by project');
+    });
+
+    it('should save new presets and move a shortcut slot between presets', async () => {
+      await setupPresets();
+      document.getElementById('custom-prompt').value = 'Group by client';
+      document.getElementById('presets-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.getElementById('preset-prompt').value).toBe('Group by client');
+      document.getElementById('preset-name').value = 'By client';
+      document.getElementById('add-preset-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.querySelectorAll('#presets-list .rule-item')).toHaveLength(2);
+
+      const shortcutSelect = document.querySelectorAll('#presets-list select')[1];
+      shortcutSelect.value = '1';
+      shortcutSelect.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(savedPresets.map(preset => preset.shortcut)).toEqual([null, 1]);
+    });
+
+    it('should run a preset with the selected grouping options', async () => {
+      await setupPresets();
+      document.getElementById('incremental-toggle').checked = true;
+      document.getElementById('presets-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.querySelector('#presets-list .btn-primary').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'runPreset', data: { id: 'p1', incremental: true } },
+        expect.any(Function)
+      );
+      expect(document.getElementById('presets-section').classList.contains('hidden')).toBe(true);
+    });
+  });
+
+  describe('Privacy', () => {
+    let savedSettings;
+
+    const setupPrivacy = async () => {
+      savedSettings = { patterns: [{ id: 'p1', action: 'exclude', matchType: 'domain', pattern: 'mybank.com' }], stripSensitive: true };
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getPrivacySettings') {
+          callback({ success: true, data: savedSettings });
+        } else if (msg.action === 'savePrivacySettings') {
+          savedSettings = msg.data;
+          callback({ success: true, data: savedSettings });
+        } else if (msg.action === 'previewRequest') {
+          callback({
+            success: true,
+            data: {
+              provider: 'openai',
+              model: 'gpt-4o',
+              systemPrompt: 'Group these tabs',
+              tabData: '1. Ticket [number]',
+              tabCount: 1,
+              ruleTabCount: 0,
+              redactedCount: 0,
+              excludedTabs: [{ id: 1, title: 'Accounts - My Bank', url: 'https://online.mybank.com' }]
+            }
+          });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'openai' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('privacy-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list patterns and save new ones', async () => {
+      await setupPrivacy();
+
+      expect(document.querySelector('#privacy-list .rule-summary').textContent).toBe('Exclude: Domain mybank.com');
+
+      document.getElementById('privacy-action').value = 'redact';
+      document.getElementById('privacy-match-type').value = 'url';
+      document.getElementById('privacy-pattern').value = '/payroll';
+      document.getElementById('add-privacy-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          action: 'savePrivacySettings',
+          data: {
+            patterns: [
+              { id: 'p1', action: 'exclude', matchType: 'domain', pattern: 'mybank.com' },
+              { action: 'redact', matchType: 'url', pattern: '/payroll' }
+            ],
+            stripSensitive: true
+          }
+        },
+        expect.any(Function)
+      );
+      expect(document.querySelectorAll('#privacy-list .rule-item')).toHaveLength(2);
+    });
+
+    it('should show and save the tab protection toggles', async () => {
+      await setupPrivacy();
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getProtectionSettings') {
+          callback({ success: true, data: { pinned: true, active: false, audible: true, incognito: true } });
+        } else if (msg.action === 'getPrivacySettings') {
+          callback({ success: true, data: savedSettings });
+        } else {
+          callback({ success: true, data: msg.data });
+        }
+      });
+      document.getElementById('close-privacy-btn').click();
+      document.getElementById('privacy-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.getElementById('protect-pinned-toggle').checked).toBe(true);
+      expect(document.getElementById('protect-active-toggle').checked).toBe(false);
+
+      const activeToggle = document.getElementById('protect-active-toggle');
+      activeToggle.checked = true;
+      activeToggle.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'saveProtectionSettings', data: { pinned: true, active: true, audible: true, incognito: true } },
+        expect.any(Function)
+      );
+    });
+
+    it('should show the request that would be sent', async () => {
+      await setupPrivacy();
+
+      document.getElementById('show-request-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(document.getElementById('request-preview').classList.contains('hidden')).toBe(false);
+      expect(document.getElementById('request-summary').textContent).toContain('1 excluded: Accounts - My Bank');
+      expect(document.getElementById('request-text').textContent).toBe('Group these tabs\n\n1. Ticket [number]');
+    });
+  });
+
+  describe('Automatic Grouping', () => {
+    const setupAutomation = async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getAutomationSettings') {
+          callback({
+            success: true,
+            data: {
+              settings: {
+                enabled: false,
+                tabThreshold: 8,
+                intervalMinutes: 0,
+                classifyNewTabs: false,
+                debounceSeconds: 60,
+                quietHours: { enabled: false, start: '22:00', end: '07:00' },
+                dailyBudget: 20
+              },
+              status: { runsToday: 2, lastRunAt: null, lastResult: null }
+            }
+          });
+        } else if (msg.action === 'saveAutomationSettings') {
+          callback({ success: true, message: 'Automatic grouping is on', data: msg.data });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('automation-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should show saved settings and usage', async () => {
+      await setupAutomation();
+
+      expect(document.getElementById('automation-section').classList.contains('hidden')).toBe(false);
+      expect(document.getElementById('automation-threshold').value).toBe('8');
+      expect(document.getElementById('quiet-hours-start').value).toBe('22:00');
+      expect(document.getElementById('automation-status').textContent).toBe('Ran 2 of 20 times today.');
+    });
+
+    it('should save the form as numbers', async () => {
+      await setupAutomation();
+
+      document.getElementById('automation-toggle').checked = true;
+      document.getElementById('automation-interval').value = '30';
+      document.getElementById('classify-new-tabs-toggle').checked = true;
+      document.getElementById('quiet-hours-toggle').checked = true;
+      document.getElementById('save-automation-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          action: 'saveAutomationSettings',
+          data: {
+            enabled: true,
+            classifyNewTabs: true,
+            tabThreshold: 8,
+            intervalMinutes: 30,
+            debounceSeconds: 60,
+            dailyBudget: 20,
+            quietHours: { enabled: true, start: '22:00', end: '07:00' }
+          }
+        },
+        expect.any(Function)
+      );
+      expect(document.getElementById('message-content').textContent).toBe('Automatic grouping is on');
+    });
+  });
+
+  describe('Remembered Groups', () => {
+    const setupRegistry = async () => {
+      chrome.runtime.sendMessage.mockImplementation((msg, callback) => {
+        if (msg.action === 'getGroupRegistry') {
+          callback({ success: true, data: [{ key: 'research', name: 'Research', color: 'purple', useCount: 2 }] });
+        } else if (msg.action === 'updateGroupIdentity' || msg.action === 'forgetGroupIdentity') {
+          callback({ success: true });
+        } else {
+          callback({ success: true, data: { configured: true, provider: 'bedrock' } });
+        }
+      });
+
+      document.dispatchEvent(new window.Event('DOMContentLoaded'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      document.getElementById('registry-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+    };
+
+    it('should list remembered groups with their colors', async () => {
+      await setupRegistry();
+
+      expect(document.getElementById('registry-section').classList.contains('hidden')).toBe(false);
+      expect(document.querySelector('.registry-name').value).toBe('Research');
+      expect(document.querySelector('.registry-color').value).toBe('purple');
+    });
+
+    it('should save a new color for a group', async () => {
+      await setupRegistry();
+
+      const colorSelect = document.querySelector('.registry-color');
+      colorSelect.value = 'green';
+      colorSelect.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'updateGroupIdentity', data: { name: 'research', color: 'green' } },
+        expect.any(Function)
+      );
+    });
+
+    it('should forget a group', async () => {
+      await setupRegistry();
+
+      document.querySelector('.registry-forget-btn').click();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        { action: 'forgetGroupIdentity', data: { name: 'research' } },
+        expect.any(Function)
+      );
+    });
+  });
 });
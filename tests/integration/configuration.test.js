@@ -50,11 +50,43 @@ describe('Configuration Integration Tests', () => {
           })
         }
       },
+      tabs: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() },
+        onActivated: { addListener: vi.fn() }
+      },
+      commands: {
+        onCommand: { addListener: vi.fn() }
+      },
+      contextMenus: {
+        create: vi.fn(),
+        removeAll: vi.fn().mockResolvedValue(),
+        onClicked: { addListener: vi.fn() }
+      },
+      tabGroups: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() }
+      },
+      action: {
+        setBadgeText: vi.fn().mockResolvedValue(),
+        setBadgeBackgroundColor: vi.fn().mockResolvedValue(),
+        setTitle: vi.fn().mockResolvedValue()
+      },
+      alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+        get: vi.fn(),
+        onAlarm: { addListener: vi.fn() }
+      },
       runtime: {
         sendMessage: vi.fn(),
         onMessage: {
           addListener: vi.fn()
-        }
+        },
+        onStartup: { addListener: vi.fn() },
+        onInstalled: { addListener: vi.fn() }
       }
     };
 
@@ -41,6 +41,10 @@ describe('Custom Prompt Grouping Integration Tests', () => {
     // Mock Chrome APIs
     mockChrome = {
       tabs: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() },
+        onActivated: { addListener: vi.fn() },
         query: vi.fn().mockResolvedValue(mockTabs),
         group: vi.fn().mockImplementation(({ tabIds }) => {
           const groupId = createdGroups.length + 1;
@@ -60,6 +64,9 @@ describe('Custom Prompt Grouping Integration Tests', () => {
         })
       },
       tabGroups: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() },
         update: vi.fn().mockImplementation((groupId, { title, color }) => {
           const group = createdGroups.find(g => g.id === groupId);
           if (group) {
@@ -98,11 +105,32 @@ describe('Custom Prompt Grouping Integration Tests', () => {
           { result: { title: 'Test', url: 'https://test.com', contentPreview: 'Test content' } }
         ])
       },
+      commands: {
+        onCommand: { addListener: vi.fn() }
+      },
+      contextMenus: {
+        create: vi.fn(),
+        removeAll: vi.fn().mockResolvedValue(),
+        onClicked: { addListener: vi.fn() }
+      },
+      action: {
+        setBadgeText: vi.fn().mockResolvedValue(),
+        setBadgeBackgroundColor: vi.fn().mockResolvedValue(),
+        setTitle: vi.fn().mockResolvedValue()
+      },
+      alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+        get: vi.fn(),
+        onAlarm: { addListener: vi.fn() }
+      },
       runtime: {
         sendMessage: vi.fn(),
         onMessage: {
           addListener: vi.fn()
-        }
+        },
+        onStartup: { addListener: vi.fn() },
+        onInstalled: { addListener: vi.fn() }
       }
     };
 
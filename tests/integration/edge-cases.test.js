@@ -22,6 +22,10 @@ describe('Edge Cases and Error Scenarios Integration Tests', () => {
 
     mockChrome = {
       tabs: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() },
+        onActivated: { addListener: vi.fn() },
         query: vi.fn(),
         group: vi.fn().mockImplementation(() => {
           const groupId = createdGroups.length + 1;
@@ -31,6 +35,9 @@ describe('Edge Cases and Error Scenarios Integration Tests', () => {
         sendMessage: vi.fn()
       },
       tabGroups: {
+        onCreated: { addListener: vi.fn() },
+        onUpdated: { addListener: vi.fn() },
+        onRemoved: { addListener: vi.fn() },
         update: vi.fn().mockResolvedValue()
       },
       storage: {
@@ -58,11 +65,32 @@ describe('Edge Cases and Error Scenarios Integration Tests', () => {
       scripting: {
         executeScript: vi.fn()
       },
+      commands: {
+        onCommand: { addListener: vi.fn() }
+      },
+      contextMenus: {
+        create: vi.fn(),
+        removeAll: vi.fn().mockResolvedValue(),
+        onClicked: { addListener: vi.fn() }
+      },
+      action: {
+        setBadgeText: vi.fn().mockResolvedValue(),
+        setBadgeBackgroundColor: vi.fn().mockResolvedValue(),
+        setTitle: vi.fn().mockResolvedValue()
+      },
+      alarms: {
+        create: vi.fn(),
+        clear: vi.fn(),
+        get: vi.fn(),
+        onAlarm: { addListener: vi.fn() }
+      },
       runtime: {
         sendMessage: vi.fn(),
         onMessage: {
           addListener: vi.fn()
-        }
+        },
+        onStartup: { addListener: vi.fn() },
+        onInstalled: { addListener: vi.fn() }
       }
     };
 